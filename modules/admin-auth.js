@@ -0,0 +1,462 @@
+/**
+ * Admin accounts, console sessions and API tokens.
+ *
+ * Accounts live in the `admin_users` state document with scrypt password hashes;
+ * only hashes of session and API tokens are stored. Admins authenticate with a
+ * console session (POST /api/auth/login sets an HttpOnly, SameSite=Strict cookie) or
+ * an API token (`Authorization: Bearer gpa_...`). requireAdmin() guards sensitive
+ * routes and writes mutating requests to the audit trail (audit-log.js).
+ * The first account comes from ADMIN_USERNAME / ADMIN_PASSWORD.
+ */
+
+const crypto = require('crypto');
+const { ADMIN_SESSION_TTL, ADMIN_SESSION_COOKIE } = require('./config');
+const { StateDocument } = require('./state-store');
+const { auditLog: defaultAuditLog } = require('./audit-log');
+const { createLogger } = require('./logger');
+
+const log = createLogger('admin-auth');
+
+const USERS_SCHEMA_VERSION = 1;
+const SESSIONS_SCHEMA_VERSION = 1;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const SESSION_TOKEN_PREFIX = 'gps_';
+const API_TOKEN_PREFIX = 'gpa_';
+// lastUsedAt on API tokens is written at most this often.
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Invalid account/token input; surfaced as HTTP 400 (or `status`).
+ */
+class AdminAuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.status = status;
+    }
+}
+
+// ============ HASHING ============
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix) {
+    return `${prefix}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>`.
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - hashPassword() result
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when the username is unknown, so both cases take equally long.
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// ============ SERVICE ============
+
+class AdminAuthService {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.usersDocument] - StateDocument holding accounts
+     * @param {Object} [options.sessionsDocument] - StateDocument holding session hashes
+     * @param {number} [options.sessionTtl]
+     */
+    constructor(options = {}) {
+        this.usersDocument = options.usersDocument || new StateDocument('admin_users', {
+            schemaVersion: USERS_SCHEMA_VERSION,
+            defaultValue: () => [],
+            logger: log
+        });
+        this.sessionsDocument = options.sessionsDocument || new StateDocument('admin_sessions', {
+            schemaVersion: SESSIONS_SCHEMA_VERSION,
+            defaultValue: () => [],
+            logger: log
+        });
+        this.sessionTtl = options.sessionTtl ?? ADMIN_SESSION_TTL;
+        this.accounts = null;
+        this.sessions = null;
+    }
+
+    // ============ STORAGE ============
+
+    getAccounts() {
+        if (!this.accounts) {
+            const stored = this.usersDocument.load();
+            this.accounts = Array.isArray(stored) ? stored : [];
+        }
+        return this.accounts;
+    }
+
+    saveAccounts() {
+        this.usersDocument.save(this.accounts);
+    }
+
+    getSessions() {
+        if (!this.sessions) {
+            const stored = this.sessionsDocument.load();
+            this.sessions = Array.isArray(stored) ? stored : [];
+        }
+        return this.sessions;
+    }
+
+    saveSessions() {
+        const now = Date.now();
+        this.sessions = this.getSessions().filter(session => session.expiresAt > now);
+        this.sessionsDocument.save(this.sessions);
+    }
+
+    findAccount(username) {
+        const normalized = String(username || '').trim().toLowerCase();
+        return this.getAccounts().find(account => account.username === normalized) || null;
+    }
+
+    requireAccount(username) {
+        const account = this.findAccount(username);
+        if (!account) {
+            throw new AdminAuthError('Admin account not found', 404);
+        }
+        return account;
+    }
+
+    /**
+     * Account without password or token hashes (for listings and /api/auth/me).
+     */
+    formatAccount(account) {
+        return {
+            username: account.username,
+            name: account.name,
+            disabled: Boolean(account.disabled),
+            createdAt: account.createdAt,
+            lastLoginAt: account.lastLoginAt || null,
+            tokens: (account.tokens || []).map(({ hash, ...token }) => token)
+        };
+    }
+
+    // ============ ACCOUNTS ============
+
+    hasAccounts() {
+        return this.getAccounts().length > 0;
+    }
+
+    listAccounts() {
+        return this.getAccounts().map(account => this.formatAccount(account));
+    }
+
+    /**
+     * @param {Object} input
+     * @param {string} input.username - 2-32 chars: a-z, 0-9, '.', '_', '-'
+     * @param {string} input.password - At least 10 characters
+     * @param {string} [input.name] - Display name
+     * @returns {Object} formatted account
+     */
+    createAccount({ username, password, name } = {}) {
+        const normalized = String(username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(normalized)) {
+            throw new AdminAuthError('Username must be 2-32 characters: a-z, 0-9, ".", "_" or "-"');
+        }
+        if (this.findAccount(normalized)) {
+            throw new AdminAuthError(`Admin account already exists: ${normalized}`, 409);
+        }
+        const account = {
+            username: normalized,
+            name: String(name || '').trim() || normalized,
+            passwordHash: this.hashValidPassword(password),
+            disabled: false,
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null,
+            tokens: []
+        };
+        this.getAccounts().push(account);
+        this.saveAccounts();
+        return this.formatAccount(account);
+    }
+
+    hashValidPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AdminAuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        return hashPassword(password);
+    }
+
+    /**
+     * Change name, password or disabled flag. Disabling or changing the password ends
+     * the account's sessions.
+     * @param {string} username
+     * @param {Object} patch - { name?, password?, disabled? }
+     * @returns {Object} formatted account
+     */
+    updateAccount(username, patch = {}) {
+        const account = this.requireAccount(username);
+        let endSessions = false;
+
+        if (patch.name !== undefined) {
+            account.name = String(patch.name || '').trim() || account.username;
+        }
+        if (patch.password !== undefined) {
+            account.passwordHash = this.hashValidPassword(patch.password);
+            endSessions = true;
+        }
+        if (patch.disabled !== undefined) {
+            account.disabled = Boolean(patch.disabled);
+            endSessions = endSessions || account.disabled;
+        }
+
+        this.saveAccounts();
+        if (endSessions) {
+            this.sessions = this.getSessions().filter(session => session.username !== account.username);
+            this.saveSessions();
+        }
+        return this.formatAccount(account);
+    }
+
+    /**
+     * Create the bootstrap account from ADMIN_USERNAME / ADMIN_PASSWORD unless an
+     * account with that username already exists.
+     * @returns {boolean} Whether an account was created
+     */
+    ensureBootstrapAccount(username, password) {
+        if (!username || !password || this.findAccount(username)) {
+            return false;
+        }
+        this.createAccount({ username, password });
+        return true;
+    }
+
+    // ============ SESSIONS ============
+
+    /**
+     * @param {string} username
+     * @param {string} password
+     * @returns {{ token: string, expiresAt: string, account: Object }|null} null on bad credentials
+     */
+    login(username, password) {
+        const account = this.findAccount(username);
+        const valid = verifyPassword(password, account?.passwordHash || DUMMY_PASSWORD_HASH);
+        if (!account || !valid || account.disabled) {
+            return null;
+        }
+
+        const token = generateToken(SESSION_TOKEN_PREFIX);
+        const expiresAt = Date.now() + this.sessionTtl;
+        this.getSessions().push({ hash: hashToken(token), username: account.username, expiresAt });
+        this.saveSessions();
+
+        account.lastLoginAt = new Date().toISOString();
+        this.saveAccounts();
+
+        return { token, expiresAt: new Date(expiresAt).toISOString(), account: this.formatAccount(account) };
+    }
+
+    logout(token) {
+        if (!token) {
+            return false;
+        }
+        const hash = hashToken(token);
+        const before = this.getSessions().length;
+        this.sessions = this.getSessions().filter(session => session.hash !== hash);
+        if (this.sessions.length === before) {
+            return false;
+        }
+        this.saveSessions();
+        return true;
+    }
+
+    // ============ API TOKENS ============
+
+    /**
+     * Issue an API token. The token itself is only returned here.
+     * @param {string} username
+     * @param {string} [name] - What the token is for
+     * @returns {Object} { id, name, preview, createdAt, lastUsedAt, token }
+     */
+    createToken(username, name) {
+        const account = this.requireAccount(username);
+        const token = generateToken(API_TOKEN_PREFIX);
+        const record = {
+            id: `tok-${crypto.randomUUID()}`,
+            name: String(name || '').trim() || 'API token',
+            preview: `…${token.slice(-4)}`,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            hash: hashToken(token)
+        };
+        account.tokens = [...(account.tokens || []), record];
+        this.saveAccounts();
+        const { hash, ...visible } = record;
+        return { ...visible, token };
+    }
+
+    revokeToken(username, tokenId) {
+        const account = this.requireAccount(username);
+        const tokens = account.tokens || [];
+        if (!tokens.some(token => token.id === tokenId)) {
+            throw new AdminAuthError('API token not found', 404);
+        }
+        account.tokens = tokens.filter(token => token.id !== tokenId);
+        this.saveAccounts();
+        return true;
+    }
+
+    // ============ AUTHENTICATION ============
+
+    /**
+     * Resolve a session or API token to the account behind it.
+     * @param {string} token
+     * @returns {{ username: string, name: string, via: 'session'|'token', tokenId?: string }|null}
+     */
+    authenticate(token) {
+        if (!token) {
+            return null;
+        }
+        const hash = hashToken(token);
+
+        if (token.startsWith(SESSION_TOKEN_PREFIX)) {
+            const session = this.getSessions().find(entry => entry.hash === hash);
+            if (!session || session.expiresAt <= Date.now()) {
+                return null;
+            }
+            const account = this.findAccount(session.username);
+            if (!account || account.disabled) {
+                return null;
+            }
+            return { username: account.username, name: account.name, via: 'session' };
+        }
+
+        if (token.startsWith(API_TOKEN_PREFIX)) {
+            for (const account of this.getAccounts()) {
+                const record = (account.tokens || []).find(entry => entry.hash === hash);
+                if (!record) {
+                    continue;
+                }
+                if (account.disabled) {
+                    return null;
+                }
+                const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+                if (Date.now() - lastUsed > TOKEN_TOUCH_INTERVAL_MS) {
+                    record.lastUsedAt = new Date().toISOString();
+                    this.saveAccounts();
+                }
+                return { username: account.username, name: account.name, via: 'token', tokenId: record.id };
+            }
+        }
+
+        return null;
+    }
+}
+
+// ============ HTTP ============
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const key = part.slice(0, index).trim();
+            try {
+                cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Malformed cookie values are ignored.
+            }
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Token from `Authorization: Bearer ...`, else from the session cookie.
+ * @param {express.Request} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (match) {
+        return match[1];
+    }
+    return parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE] || null;
+}
+
+/**
+ * Audit action name for a request, using the route pattern when available
+ * (e.g. 'PATCH /api/admin/games/:id').
+ */
+function describeRequest(req) {
+    const routePath = req.route?.path;
+    const pattern = Array.isArray(routePath) ? routePath[0] : routePath;
+    return `${req.method} ${pattern ? req.baseUrl + pattern : req.originalUrl.split('?')[0]}`;
+}
+
+/**
+ * Build the route guard. Unauthenticated requests get 401; authenticated ones get
+ * req.admin, and mutating requests are audited once the response is sent.
+ * @param {AdminAuthService} service
+ * @param {AuditLog} audit
+ * @returns {Function} Express middleware
+ */
+function createRequireAdmin(service, audit) {
+    return function requireAdmin(req, res, next) {
+        const principal = service.authenticate(getRequestToken(req));
+        if (!principal) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.admin = principal;
+
+        if (!READ_ONLY_METHODS.has(req.method)) {
+            res.on('finish', () => {
+                audit.record({
+                    actor: principal.username,
+                    via: principal.via,
+                    action: describeRequest(req),
+                    path: req.originalUrl,
+                    status: res.statusCode,
+                    ip: req.ip,
+                    details: {
+                        params: req.params,
+                        query: req.query,
+                        body: req.body
+                    }
+                });
+            });
+        }
+        next();
+    };
+}
+
+const adminAuth = new AdminAuthService();
+const requireAdmin = createRequireAdmin(adminAuth, defaultAuditLog);
+
+module.exports = {
+    AdminAuthService,
+    AdminAuthError,
+    adminAuth,
+    requireAdmin,
+    createRequireAdmin,
+    getRequestToken,
+    hashPassword,
+    verifyPassword
+};
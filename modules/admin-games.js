@@ -1,25 +1,27 @@
-const fs = require('fs');
 const { randomUUID } = require('crypto');
-const { ADMIN_GAMES_FILE } = require('./config');
+const { StateDocument } = require('./state-store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('admin-games');
 
 const ALLOWED_STATES = new Set(['pre-game', 'live', 'post-game']);
 
+const ADMIN_GAMES_SCHEMA_VERSION = 1;
+const adminGamesDocument = new StateDocument('admin_games', {
+    schemaVersion: ADMIN_GAMES_SCHEMA_VERSION,
+    defaultValue: () => [],
+    // v0 was the same record array without the versioned envelope.
+    migrate: data => (Array.isArray(data) ? data : []),
+    logger: log
+});
+
 function readAdminGamesFile() {
-    if (!fs.existsSync(ADMIN_GAMES_FILE)) {
-        return [];
-    }
-    try {
-        const raw = fs.readFileSync(ADMIN_GAMES_FILE, 'utf8');
-        const data = JSON.parse(raw);
-        return Array.isArray(data) ? data : [];
-    } catch (error) {
-        console.error('[Admin Games] Failed to read admin games:', error.message);
-        return [];
-    }
+    const records = adminGamesDocument.load();
+    return Array.isArray(records) ? records : [];
 }
 
 function writeAdminGamesFile(records) {
-    fs.writeFileSync(ADMIN_GAMES_FILE, JSON.stringify(records, null, 2));
+    adminGamesDocument.save(records);
 }
 
 function normalizeTeamCode(value, fieldName) {
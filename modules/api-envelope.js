@@ -0,0 +1,119 @@
+/**
+ * Response envelope of the /api/v2 surface:
+ *   list:  { data: [...], meta: { total, generatedAt, cacheAge, stale } }
+ *   item:  { data: {...}, meta: { generatedAt, cacheAge, stale } }
+ *   error: { error: { code, message, details? } }
+ * total counts matches before pagination, cacheAge is the age in seconds of the cache
+ * entry the data came from (null when uncached) and stale marks an unrefreshed
+ * snapshot restore. Every error code has exactly one HTTP status (ERROR_CODES).
+ */
+
+const { getCacheNamespace } = require('./cache');
+
+const API_V2_PREFIX = '/api/v2/';
+
+// code -> HTTP status
+const ERROR_CODES = {
+    invalid_parameters: 400,
+    unknown_sport: 404,
+    not_found: 404,
+    not_supported: 404,
+    rate_limited: 429,
+    upstream_error: 502
+};
+
+/**
+ * Whether a request path belongs to the v2 surface.
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+function isApiV2Path(pathname) {
+    return String(pathname || '').startsWith(API_V2_PREFIX);
+}
+
+/**
+ * Error body for a code.
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message
+ * @param {*} [details]
+ * @returns {{ error: { code: string, message: string, details?: * } }}
+ */
+function errorBody(code, message, details) {
+    if (!ERROR_CODES[code]) {
+        throw new Error(`Unknown API error code "${code}"`);
+    }
+    return { error: { code, message, ...(details !== undefined ? { details } : {}) } };
+}
+
+function sendApiError(res, code, message, details) {
+    res.status(ERROR_CODES[code]).json(errorBody(code, message, details));
+}
+
+/**
+ * cacheAge and stale for the cache entries a response was built from. With several
+ * entries (the teams index reads every league), the oldest age wins and any stale
+ * entry makes the response stale.
+ * @param {Array<{ sport: string, resource: string, key?: string }>} [sources]
+ * @param {number} [now]
+ * @returns {{ cacheAge: number|null, stale: boolean }}
+ */
+function describeCacheSources(sources = [], now = Date.now()) {
+    let cacheAge = null;
+    let stale = false;
+    for (const { sport, resource, key } of sources) {
+        let entry;
+        try {
+            entry = getCacheNamespace(sport, resource).peek(key);
+        } catch (error) {
+            continue;
+        }
+        if (!entry || !entry.data) {
+            continue;
+        }
+        const age = Math.max(0, Math.round((now - entry.timestamp) / 1000));
+        cacheAge = cacheAge === null ? age : Math.max(cacheAge, age);
+        stale = stale || Boolean(entry.stale);
+    }
+    return { cacheAge, stale };
+}
+
+function buildMeta(cacheSources, extra = {}) {
+    return {
+        ...extra,
+        generatedAt: new Date().toISOString(),
+        ...describeCacheSources(cacheSources)
+    };
+}
+
+/**
+ * Send a list envelope.
+ * @param {express.Response} res
+ * @param {Array} data - The page to return
+ * @param {Object} [options]
+ * @param {number} [options.total] - Matches before pagination (default data.length)
+ * @param {Array} [options.cache] - Cache entries the list came from (see describeCacheSources)
+ */
+function sendList(res, data, options = {}) {
+    res.json({ data, meta: buildMeta(options.cache, { total: options.total ?? data.length }) });
+}
+
+/**
+ * Send a single-resource envelope.
+ * @param {express.Response} res
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {Array} [options.cache] - Cache entries the resource came from
+ */
+function sendItem(res, data, options = {}) {
+    res.json({ data, meta: buildMeta(options.cache) });
+}
+
+module.exports = {
+    ERROR_CODES,
+    isApiV2Path,
+    errorBody,
+    sendApiError,
+    describeCacheSources,
+    sendList,
+    sendItem
+};
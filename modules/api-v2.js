@@ -0,0 +1,186 @@
+/**
+ * Versioned /api/v2 routes, answering in the api-envelope.js envelope and reading
+ * through the same loaders and caches as v1:
+ *   GET /api/v2/sports
+ *   GET /api/v2/teams                    ?sport ?q ?league ?region ?selected ?sort ?limit ?offset
+ *   GET /api/v2/:sport/games             ?team ?state ?upcoming ?limit ?offset ?season
+ *   GET /api/v2/:sport/games/:id
+ *   GET /api/v2/:sport/games/:id/videos
+ *   GET /api/v2/:sport/standings         ?season ?team ?top ?group
+ *   GET /api/v2/:sport/bracket
+ * Sports with bespoke v1 routes (SHL, biathlon) pass their loaders in as `sources`.
+ * Unknown paths under /api/v2 answer not_found.
+ */
+
+const express = require('express');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const {
+    filterGames,
+    filterStandings,
+    hasCache,
+    loadSportGames,
+    loadSportGameVideos,
+    loadSportGameDetails,
+    loadSportStandings,
+    loadSportBracket
+} = require('./sport-routes');
+const { queryTeams } = require('./teams-index');
+const { sendApiError, sendList, sendItem } = require('./api-envelope');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('api');
+
+function cacheSource(sport, resource, key) {
+    return hasCache(sport, resource) ? [{ sport, resource, key }] : [];
+}
+
+function startTime(game) {
+    const time = new Date(game.startDateTime).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function paginate(items, offset = 0, limit) {
+    return limit ? items.slice(offset, offset + limit) : items.slice(offset);
+}
+
+function sendUpstreamError(res, what, error) {
+    log.error(`v2: error fetching ${what}:`, error);
+    sendApiError(res, 'upstream_error', error.message);
+}
+
+/**
+ * Build the v2 router. Mount it at /api/v2, before the generic /api sport router.
+ * @param {Object} options
+ * @param {Object} [options.aliases] - Legacy path prefix -> sport id (e.g. { football: 'allsvenskan' })
+ * @param {Function} options.listSports - () => the /api/sports array
+ * @param {Function} options.loadTeamsIndex - async () => team index for queryTeams()
+ * @param {string[]} [options.teamsIndexSports] - Sports whose games caches feed the index
+ * @param {Object} [options.sources] - sport -> { games?: () => Promise<Array>,
+ *   details?: (id) => Promise<Object|null>, videos?: (id) => Promise<Array> }.
+ *   `games` replaces the current-season list only; ?season still uses the provider.
+ * @returns {express.Router}
+ */
+function createApiV2Router(options) {
+    const aliases = options.aliases || {};
+    const sources = options.sources || {};
+    const teamsIndexSports = options.teamsIndexSports || [];
+    const router = express.Router();
+
+    router.param('sport', (req, res, next, value) => {
+        const sport = aliases[value] || value;
+        if (!getAvailableSports().includes(sport)) {
+            return sendApiError(res, 'unknown_sport', `Unknown sport: ${value}`);
+        }
+        req.sport = sport;
+        req.provider = getProvider(sport);
+        req.capabilities = getSportCapabilities(sport);
+        req.source = sources[sport] || {};
+        next();
+    });
+
+    router.get('/sports', validateRequest('listSportsV2'), (req, res) => {
+        sendList(res, options.listSports());
+    });
+
+    router.get('/teams', validateRequest('listTeamsV2'), async (req, res) => {
+        try {
+            const index = await options.loadTeamsIndex();
+            const { total, teams } = queryTeams(index, req.input.query);
+            sendList(res, teams, {
+                total,
+                cache: teamsIndexSports.flatMap(sport => cacheSource(sport, 'games'))
+            });
+        } catch (error) {
+            sendUpstreamError(res, 'teams index', error);
+        }
+    });
+
+    router.get('/:sport/games', validateRequest('listGamesV2'), async (req, res) => {
+        const { sport, provider, source } = req;
+        const { offset, limit, season, ...filters } = req.input.query;
+        try {
+            const games = source.games && !season
+                ? await source.games()
+                : await loadSportGames(sport, provider, { season, label: req.originalUrl });
+            // Copy before sorting: the list may be the cached array v1 also serves.
+            const newestFirst = (Array.isArray(games) ? [...games] : []).sort((a, b) => startTime(b) - startTime(a));
+            const matches = filterGames(newestFirst, filters);
+            sendList(res, paginate(matches, offset, limit), {
+                total: matches.length,
+                cache: season ? [] : cacheSource(sport, 'games')
+            });
+        } catch (error) {
+            sendUpstreamError(res, `${sport} games`, error);
+        }
+    });
+
+    router.get('/:sport/games/:id', validateRequest('getGameV2'), async (req, res) => {
+        const { sport, provider, source } = req;
+        const { id } = req.params;
+        try {
+            const details = source.details
+                ? await source.details(id)
+                : await loadSportGameDetails(sport, provider, id, { label: req.originalUrl });
+            if (!details) {
+                return sendApiError(res, 'not_found', `Game not found: ${id}`);
+            }
+            sendItem(res, details, { cache: cacheSource(sport, 'details', id) });
+        } catch (error) {
+            sendUpstreamError(res, `${sport} game ${id}`, error);
+        }
+    });
+
+    router.get('/:sport/games/:id/videos', validateRequest('listGameVideosV2'), async (req, res) => {
+        const { sport, provider, source } = req;
+        const { id } = req.params;
+        try {
+            const videos = source.videos
+                ? await source.videos(id)
+                : await loadSportGameVideos(sport, provider, id, { label: req.originalUrl });
+            const list = Array.isArray(videos) ? videos : [];
+            sendList(res, list, { cache: cacheSource(sport, 'videos', id) });
+        } catch (error) {
+            sendUpstreamError(res, `${sport} videos for ${id}`, error);
+        }
+    });
+
+    router.get('/:sport/standings', validateRequest('getStandingsV2'), async (req, res) => {
+        const { sport, provider } = req;
+        if (typeof provider.fetchStandings !== 'function') {
+            return sendApiError(res, 'not_supported', `Standings not available for ${sport}`);
+        }
+        const { season } = req.input.query;
+        try {
+            const standings = await loadSportStandings(sport, provider, { season, label: req.originalUrl });
+            sendItem(res, filterStandings(standings, req.input.query), {
+                cache: cacheSource(sport, 'standings', season)
+            });
+        } catch (error) {
+            sendUpstreamError(res, `${sport} standings`, error);
+        }
+    });
+
+    router.get('/:sport/bracket', validateRequest('getBracketV2'), async (req, res) => {
+        const { sport, provider, capabilities } = req;
+        if (!capabilities.bracket || typeof provider.fetchBracket !== 'function') {
+            return sendApiError(res, 'not_supported', `Bracket not available for ${sport}`);
+        }
+        try {
+            const bracket = await loadSportBracket(sport, provider, { label: req.originalUrl });
+            sendItem(res, bracket, { cache: cacheSource(sport, 'bracket') });
+        } catch (error) {
+            sendUpstreamError(res, `${sport} bracket`, error);
+        }
+    });
+
+    router.use((req, res) => {
+        sendApiError(res, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiV2Router
+};
@@ -0,0 +1,123 @@
+/**
+ * Persistent audit trail of admin actions.
+ *
+ * Every mutating request on an admin route, and every login and logout, is recorded
+ * with the account that made it (state document `admin_audit`, newest first,
+ * bounded). Password, secret and token fields in request bodies are redacted.
+ */
+
+const crypto = require('crypto');
+const { ADMIN_AUDIT_LOG_SIZE } = require('./config');
+const { StateDocument } = require('./state-store');
+const { createLogger } = require('./logger');
+
+const log = createLogger('audit');
+
+const AUDIT_SCHEMA_VERSION = 1;
+const MAX_DETAIL_LENGTH = 2000;
+const SENSITIVE_KEY = /password|secret|token/i;
+
+/**
+ * Copy of a request body with credentials replaced by '[redacted]'.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+            key,
+            SENSITIVE_KEY.test(key) ? '[redacted]' : redact(entry)
+        ]));
+    }
+    return value;
+}
+
+function truncateDetails(details) {
+    if (!details) {
+        return null;
+    }
+    const json = JSON.stringify(details);
+    return json.length > MAX_DETAIL_LENGTH ? { truncated: json.slice(0, MAX_DETAIL_LENGTH) } : details;
+}
+
+class AuditLog {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.document] - StateDocument holding the entries
+     * @param {number} [options.maxEntries]
+     */
+    constructor(options = {}) {
+        this.document = options.document || new StateDocument('admin_audit', {
+            schemaVersion: AUDIT_SCHEMA_VERSION,
+            defaultValue: () => [],
+            logger: log
+        });
+        this.maxEntries = options.maxEntries ?? ADMIN_AUDIT_LOG_SIZE;
+    }
+
+    readEntries() {
+        const entries = this.document.load();
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Append an entry.
+     * @param {Object} entry
+     * @param {string|null} entry.actor - Account username (null for failed logins)
+     * @param {string} entry.action - e.g. 'POST /api/cache/clear', 'login'
+     * @param {string} [entry.via] - 'session' | 'token'
+     * @param {number} [entry.status] - HTTP status of the response
+     * @param {string} [entry.path] - Request URL
+     * @param {string} [entry.ip]
+     * @param {Object} [entry.details]
+     * @returns {Object} The stored entry
+     */
+    record({ actor, action, via = null, status = null, path = null, ip = null, details = null }) {
+        const stored = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            actor: actor || null,
+            via,
+            action,
+            path,
+            status,
+            ip,
+            details: truncateDetails(redact(details))
+        };
+        try {
+            const entries = this.readEntries();
+            entries.unshift(stored);
+            this.document.save(entries.slice(0, this.maxEntries));
+        } catch (error) {
+            log.error('Failed to record entry:', error.message);
+        }
+        return stored;
+    }
+
+    /**
+     * Entries, newest first.
+     * @param {Object} [filter]
+     * @param {number} [filter.limit]
+     * @param {string} [filter.actor]
+     * @param {string} [filter.action] - Case-insensitive substring
+     * @returns {Array}
+     */
+    list({ limit = 100, actor = null, action = null } = {}) {
+        const actionQuery = action ? action.toLowerCase() : null;
+        return this.readEntries()
+            .filter(entry => !actor || entry.actor === actor)
+            .filter(entry => !actionQuery || String(entry.action).toLowerCase().includes(actionQuery))
+            .slice(0, limit);
+    }
+}
+
+const auditLog = new AuditLog();
+
+module.exports = {
+    AuditLog,
+    auditLog,
+    redact
+};
@@ -0,0 +1,307 @@
+/**
+ * Namespaced, bounded in-memory cache registry.
+ *
+ * Every cache is a CacheNamespace identified by `sport:resource` (e.g. `shl:games`,
+ * `allsvenskan:details`) with its own TTL policy (a fixed duration, or a function of
+ * the entry for live-aware TTLs), an LRU size bound and hit/miss counters.
+ *
+ * Namespaces registered with `persist` can be snapshotted and restored (see
+ * cache-snapshot.js). Restored entries are stale: get() serves them until a fresh
+ * set() replaces them or they age past their stale window.
+ */
+
+// Single-slot caches (games lists, the "current" standings table) use this key.
+const DEFAULT_KEY = 'current';
+
+function normalizeKey(key) {
+    if (key === null || key === undefined) {
+        return DEFAULT_KEY;
+    }
+    const normalized = String(key).trim();
+    return normalized || DEFAULT_KEY;
+}
+
+class CacheNamespace {
+    /**
+     * @param {string} sport - Sport slug (e.g. 'shl', 'allsvenskan')
+     * @param {string} resource - Resource type (games, details, videos, standings, bracket)
+     * @param {Object} options
+     * @param {number|Function} options.ttl - TTL in ms, or (entry) => ms
+     * @param {number} [options.maxEntries] - LRU bound; oldest entries are evicted past it
+     * @param {string} [options.label] - Human readable name for status pages
+     * @param {boolean} [options.liveAware] - Whether entries carry a hasLive flag
+     * @param {boolean} [options.persist] - Whether entries are included in disk snapshots
+     */
+    constructor(sport, resource, options = {}) {
+        if (options.ttl === undefined) {
+            throw new Error(`Cache namespace ${sport}:${resource} needs a ttl`);
+        }
+        this.sport = sport;
+        this.resource = resource;
+        this.id = `${sport}:${resource}`;
+        this.label = options.label || this.id;
+        this.ttl = options.ttl;
+        this.maxEntries = options.maxEntries || 1;
+        this.liveAware = Boolean(options.liveAware);
+        this.persist = Boolean(options.persist);
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0, staleHits: 0 };
+    }
+
+    getTtl(entry) {
+        return typeof this.ttl === 'function' ? this.ttl(entry || {}) : this.ttl;
+    }
+
+    isFresh(entry, now = Date.now()) {
+        return Boolean(entry && entry.data) && (now - entry.timestamp) < this.getTtl(entry);
+    }
+
+    isServableStale(entry, now = Date.now()) {
+        return Boolean(entry && entry.stale && entry.data) && now < entry.staleUntil;
+    }
+
+    /**
+     * Get data for a key, counting a hit or a miss. Restored (stale) entries are
+     * served as hits until replaced or past their stale window.
+     * @param {string} [key]
+     * @returns {*} cached data, or null when missing/expired
+     */
+    get(key) {
+        const cacheKey = normalizeKey(key);
+        const entry = this.entries.get(cacheKey);
+        const now = Date.now();
+        if (entry && entry.stale) {
+            if (!this.isServableStale(entry, now)) {
+                this.stats.misses++;
+                return null;
+            }
+            this.stats.staleHits++;
+        } else if (!this.isFresh(entry, now)) {
+            this.stats.misses++;
+            return null;
+        }
+        // Re-insert so Map iteration order doubles as LRU order.
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, entry);
+        this.stats.hits++;
+        return entry.data;
+    }
+
+    /**
+     * Read the raw entry (fresh or not) without touching counters or LRU order.
+     * @param {string} [key]
+     * @returns {Object|null} { data, timestamp, ...meta }
+     */
+    peek(key) {
+        return this.entries.get(normalizeKey(key)) || null;
+    }
+
+    /**
+     * Store data under a key, evicting the least recently used entries past the bound.
+     * @param {string} [key]
+     * @param {*} data
+     * @param {Object} [meta] - Extra entry fields (e.g. { hasLive: true })
+     */
+    set(key, data, meta = {}) {
+        const cacheKey = normalizeKey(key);
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { ...meta, data, timestamp: Date.now() });
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Patch metadata on an existing entry (no-op when the key is not cached).
+     * @param {string} [key]
+     * @param {Object} patch
+     */
+    setMeta(key, patch) {
+        const entry = this.entries.get(normalizeKey(key));
+        if (entry) {
+            Object.assign(entry, patch);
+        }
+    }
+
+    /**
+     * Whether the entry for a key was restored from a snapshot and not yet refreshed.
+     * @param {string} [key]
+     * @returns {boolean}
+     */
+    isStale(key) {
+        const entry = this.entries.get(normalizeKey(key));
+        return Boolean(entry && entry.stale);
+    }
+
+    /**
+     * Keys of restored entries that still need a refresh.
+     * @returns {string[]}
+     */
+    getStaleKeys() {
+        return Array.from(this.entries.entries())
+            .filter(([, entry]) => entry.stale)
+            .map(([key]) => key);
+    }
+
+    /**
+     * Serializable copy of the entries, oldest first (so restore keeps LRU order).
+     * @returns {Array<Object>} [{ key, data, timestamp, ...meta }]
+     */
+    snapshot() {
+        return Array.from(this.entries.entries())
+            .filter(([, entry]) => entry.data)
+            .map(([key, entry]) => {
+                const { stale, staleUntil, ...record } = entry;
+                return { key, ...record };
+            });
+    }
+
+    /**
+     * Restore snapshot records as stale entries. Keys that already hold data are kept.
+     * @param {Array<Object>} records - Output of snapshot()
+     * @param {Object} [options]
+     * @param {number} [options.maxStaleMs] - How long after its original timestamp a record may be served
+     * @returns {number} number of restored entries
+     */
+    restore(records, options = {}) {
+        const maxStaleMs = options.maxStaleMs ?? Infinity;
+        const now = Date.now();
+        let restored = 0;
+        for (const record of Array.isArray(records) ? records : []) {
+            if (!record || record.data === undefined || record.data === null) {
+                continue;
+            }
+            const { key, ...entry } = record;
+            const cacheKey = normalizeKey(key);
+            const timestamp = Number(entry.timestamp) || 0;
+            if (this.entries.has(cacheKey) || now - timestamp >= maxStaleMs) {
+                continue;
+            }
+            this.entries.set(cacheKey, { ...entry, timestamp, stale: true, staleUntil: timestamp + maxStaleMs });
+            restored++;
+        }
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return restored;
+    }
+
+    delete(key) {
+        return this.entries.delete(normalizeKey(key));
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    resetStats() {
+        this.stats = { hits: 0, misses: 0, evictions: 0, staleHits: 0 };
+    }
+
+    getStatus(now = Date.now()) {
+        let latest = null;
+        for (const entry of this.entries.values()) {
+            if (!latest || entry.timestamp > latest.timestamp) {
+                latest = entry;
+            }
+        }
+        const lookups = this.stats.hits + this.stats.misses;
+        const status = {
+            id: this.id,
+            sport: this.sport,
+            resource: this.resource,
+            label: this.label,
+            cached: Boolean(latest && latest.data),
+            entriesCount: this.entries.size,
+            maxEntries: this.maxEntries,
+            ageSeconds: latest ? Math.round((now - latest.timestamp) / 1000) : null,
+            ttlSeconds: Math.round(this.getTtl(latest) / 1000),
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            evictions: this.stats.evictions,
+            staleEntries: this.getStaleKeys().length,
+            staleHits: this.stats.staleHits,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+        };
+        if (this.liveAware) {
+            status.hasLiveGame = Boolean(latest && latest.hasLive);
+        }
+        return status;
+    }
+}
+
+class CacheRegistry {
+    constructor() {
+        this.namespaces = new Map();
+    }
+
+    /**
+     * Register a namespace. Registering the same sport/resource twice is an error.
+     * @returns {CacheNamespace}
+     */
+    register(sport, resource, options) {
+        const namespace = new CacheNamespace(sport, resource, options);
+        if (this.namespaces.has(namespace.id)) {
+            throw new Error(`Cache namespace already registered: ${namespace.id}`);
+        }
+        this.namespaces.set(namespace.id, namespace);
+        return namespace;
+    }
+
+    has(sport, resource) {
+        return this.namespaces.has(`${sport}:${resource}`);
+    }
+
+    /**
+     * @returns {CacheNamespace}
+     * @throws {Error} when the namespace is not registered
+     */
+    get(sport, resource) {
+        const namespace = this.namespaces.get(`${sport}:${resource}`);
+        if (!namespace) {
+            throw new Error(`Unknown cache namespace: ${sport}:${resource}`);
+        }
+        return namespace;
+    }
+
+    /**
+     * @param {Object} [filter] - Optional { sport, resource } filter
+     * @returns {CacheNamespace[]} namespaces in registration order
+     */
+    list(filter = {}) {
+        return Array.from(this.namespaces.values()).filter(namespace =>
+            (!filter.sport || namespace.sport === filter.sport)
+            && (!filter.resource || namespace.resource === filter.resource)
+        );
+    }
+
+    clearAll() {
+        for (const namespace of this.namespaces.values()) {
+            namespace.clear();
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        const namespaces = this.list().map(namespace => namespace.getStatus(now));
+        const totals = namespaces.reduce((acc, status) => {
+            acc.entries += status.entriesCount;
+            acc.hits += status.hits;
+            acc.misses += status.misses;
+            acc.evictions += status.evictions;
+            acc.staleEntries += status.staleEntries;
+            return acc;
+        }, { entries: 0, hits: 0, misses: 0, evictions: 0, staleEntries: 0 });
+        const lookups = totals.hits + totals.misses;
+        totals.hitRate = lookups > 0 ? Math.round((totals.hits / lookups) * 1000) / 1000 : null;
+        return { totals, namespaces };
+    }
+}
+
+module.exports = {
+    CacheNamespace,
+    CacheRegistry,
+    DEFAULT_KEY,
+    normalizeKey
+};
@@ -0,0 +1,262 @@
+/**
+ * Disk snapshots of the warm caches.
+ *
+ * The `persist` namespaces (games, standings, biathlon) are written to
+ * CACHE_SNAPSHOT_FILE every CACHE_SNAPSHOT_INTERVAL and on shutdown. On boot the
+ * snapshot is restored as stale entries, and refreshStaleCaches() refetches them in
+ * the background, retrying every CACHE_SNAPSHOT_RETRY_INTERVAL until none is left.
+ * Entries older than CACHE_SNAPSHOT_MAX_AGE are never restored.
+ */
+
+const fs = require('fs');
+const {
+    CACHE_SNAPSHOT_FILE,
+    CACHE_SNAPSHOT_INTERVAL,
+    CACHE_SNAPSHOT_MAX_AGE,
+    CACHE_SNAPSHOT_RETRY_INTERVAL
+} = require('./config');
+const { listCacheNamespaces, setCachedStandings } = require('./cache');
+const { refreshAllGames } = require('./games-cache');
+const { getProvider } = require('./providers');
+const { formatSwedishTimestamp } = require('./utils');
+const { addEntry } = require('./activity-log');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache-snapshot');
+
+const SNAPSHOT_VERSION = 1;
+
+// ============ SNAPSHOT STATE ============
+let snapshotTimer = null;
+let refreshRetryTimer = null;
+let stats = {
+    lastSave: null,
+    lastLoad: null,
+    savedEntries: 0,
+    restoredEntries: 0,
+    refreshedEntries: 0,
+    errors: []
+};
+
+function recordError(operation, error) {
+    log.error(`${operation} failed:`, error.message);
+    stats.errors.push({ operation, error: error.message, timestamp: formatSwedishTimestamp() });
+    if (stats.errors.length > 10) {
+        stats.errors.shift();
+    }
+}
+
+/**
+ * Build the snapshot payload from all persistable namespaces.
+ * @returns {{ version: number, savedAt: string, namespaces: Object }}
+ */
+function buildSnapshot() {
+    const namespaces = {};
+    for (const namespace of listCacheNamespaces()) {
+        if (!namespace.persist) {
+            continue;
+        }
+        const records = namespace.snapshot();
+        if (records.length > 0) {
+            namespaces[namespace.id] = records;
+        }
+    }
+    return { version: SNAPSHOT_VERSION, savedAt: new Date().toISOString(), namespaces };
+}
+
+/**
+ * Write the snapshot to disk (write-then-rename so a crash never leaves half a file).
+ * @param {string} [filePath]
+ * @returns {number} number of entries written
+ */
+function saveSnapshot(filePath = CACHE_SNAPSHOT_FILE) {
+    try {
+        const snapshot = buildSnapshot();
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, filePath);
+        const count = Object.values(snapshot.namespaces).reduce((sum, records) => sum + records.length, 0);
+        stats.lastSave = formatSwedishTimestamp();
+        stats.savedEntries = count;
+        return count;
+    } catch (error) {
+        recordError('save', error);
+        return 0;
+    }
+}
+
+/**
+ * Restore a snapshot from disk into the cache registry as stale entries.
+ * Missing, unreadable or foreign-version files are ignored.
+ * @param {string} [filePath]
+ * @returns {number} number of entries restored
+ */
+function loadSnapshot(filePath = CACHE_SNAPSHOT_FILE) {
+    if (!fs.existsSync(filePath)) {
+        return 0;
+    }
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        recordError('load', error);
+        return 0;
+    }
+
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.namespaces) {
+        log.info('Ignoring snapshot with unknown format');
+        return 0;
+    }
+
+    let restored = 0;
+    for (const namespace of listCacheNamespaces()) {
+        const records = snapshot.namespaces[namespace.id];
+        if (!namespace.persist || !records) {
+            continue;
+        }
+        restored += namespace.restore(records, { maxStaleMs: CACHE_SNAPSHOT_MAX_AGE });
+    }
+
+    stats.lastLoad = formatSwedishTimestamp();
+    stats.restoredEntries = restored;
+    if (restored > 0) {
+        log.info(`Restored ${restored} stale cache entries from ${snapshot.savedAt}`);
+        addEntry('cache-snapshot', 'cache', `Restored ${restored} cache entries from snapshot`);
+    }
+    return restored;
+}
+
+async function refreshStaleStandings(sport, key) {
+    const provider = getProvider(sport);
+    const standings = key === 'current'
+        ? await provider.fetchStandings()
+        : await provider.fetchStandings({ season: key });
+    if (standings) {
+        setCachedStandings(sport, key, standings);
+    }
+}
+
+// Namespaces refreshStaleCaches() is responsible for. Biathlon is skipped because
+// the scheduler refreshes it on startup anyway.
+function listRefreshableNamespaces() {
+    return listCacheNamespaces().filter(namespace => namespace.sport !== 'biathlon'
+        && (namespace.resource === 'games' || namespace.resource === 'standings'));
+}
+
+/**
+ * Number of restored entries still waiting for a successful refresh.
+ * @returns {number}
+ */
+function countStaleEntries() {
+    return listRefreshableNamespaces()
+        .reduce((count, namespace) => count + namespace.getStaleKeys().length, 0);
+}
+
+/**
+ * Refetch every stale (restored) entry. Runs sequentially to avoid the cold-start
+ * fan-out this module exists to prevent. Only entries a fetch actually replaced are
+ * counted: games fetches swallow their errors and leave the stale entry in place.
+ * @returns {Promise<number>} number of namespaces/keys refreshed
+ */
+async function refreshStaleCaches() {
+    let refreshed = 0;
+    for (const namespace of listRefreshableNamespaces()) {
+        const staleKeys = namespace.getStaleKeys();
+        if (staleKeys.length === 0) {
+            continue;
+        }
+        try {
+            if (namespace.resource === 'games') {
+                await refreshAllGames(namespace.sport);
+                if (!namespace.isStale()) {
+                    refreshed++;
+                }
+            } else {
+                for (const key of staleKeys) {
+                    await refreshStaleStandings(namespace.sport, key);
+                    if (!namespace.isStale(key)) {
+                        refreshed++;
+                    }
+                }
+            }
+        } catch (error) {
+            recordError(`refresh ${namespace.id}`, error);
+        }
+    }
+    stats.refreshedEntries += refreshed;
+    if (refreshed > 0) {
+        log.info(`Background refresh replaced ${refreshed} stale cache entries`);
+    }
+    return refreshed;
+}
+
+/**
+ * Refresh restored entries, and schedule another attempt while some are still stale.
+ * @param {number} retryInterval
+ */
+async function runStaleRefresh(retryInterval) {
+    try {
+        await refreshStaleCaches();
+    } catch (error) {
+        recordError('refresh', error);
+    }
+    const remaining = countStaleEntries();
+    if (remaining > 0 && snapshotTimer) {
+        log.warn(`${remaining} restored cache entries still stale - retrying in ${Math.round(retryInterval / 1000)}s`);
+        refreshRetryTimer = setTimeout(() => {
+            refreshRetryTimer = null;
+            runStaleRefresh(retryInterval);
+        }, retryInterval);
+    }
+}
+
+/**
+ * Start periodic snapshots and kick off the background refresh of restored entries.
+ * @param {Object} [options]
+ * @param {number} [options.retryInterval] - Delay between refresh attempts while entries stay stale
+ */
+function startLoop(options = {}) {
+    if (snapshotTimer) {
+        return;
+    }
+    log.info(`Writing snapshots every ${CACHE_SNAPSHOT_INTERVAL / 1000 / 60} minutes to ${CACHE_SNAPSHOT_FILE}`);
+    snapshotTimer = setInterval(() => saveSnapshot(), CACHE_SNAPSHOT_INTERVAL);
+    runStaleRefresh(options.retryInterval ?? CACHE_SNAPSHOT_RETRY_INTERVAL);
+}
+
+function stopLoop() {
+    if (snapshotTimer) {
+        clearInterval(snapshotTimer);
+        snapshotTimer = null;
+    }
+    if (refreshRetryTimer) {
+        clearTimeout(refreshRetryTimer);
+        refreshRetryTimer = null;
+    }
+}
+
+function getStats() {
+    return {
+        running: Boolean(snapshotTimer),
+        file: CACHE_SNAPSHOT_FILE,
+        interval: `${CACHE_SNAPSHOT_INTERVAL / 1000 / 60} minutes`,
+        lastSave: stats.lastSave,
+        lastLoad: stats.lastLoad,
+        savedEntries: stats.savedEntries,
+        restoredEntries: stats.restoredEntries,
+        refreshedEntries: stats.refreshedEntries,
+        staleEntries: countStaleEntries(),
+        recentErrors: stats.errors.slice(-5)
+    };
+}
+
+module.exports = {
+    buildSnapshot,
+    saveSnapshot,
+    loadSnapshot,
+    refreshStaleCaches,
+    startLoop,
+    stopLoop,
+    getStats
+};
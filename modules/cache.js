@@ -4,586 +4,186 @@ const {
     CACHE_DURATION_DETAILS,
     CACHE_DURATION_VIDEOS,
     CACHE_DURATION_STANDINGS,
-    CACHE_DURATION_BIATHLON
+    CACHE_DURATION_BIATHLON,
+    CACHE_DURATION_SEASON_GAMES,
+    CACHE_MAX_ENTRIES_DETAILS,
+    CACHE_MAX_ENTRIES_VIDEOS,
+    CACHE_MAX_ENTRIES_STANDINGS,
+    CACHE_MAX_ENTRIES_BRACKET,
+    CACHE_MAX_ENTRIES_SEASON_GAMES
 } = require('./config');
-
-// ============ CACHE STORAGE ============
-const cache = {
-    games: { data: null, timestamp: 0, hasLive: false },
-    details: new Map(),
-    videos: new Map(),
-    standings: { data: null, timestamp: 0 },
-    biathlon: { data: null, timestamp: 0, lastUpdate: null },
-    allsvenskanGames: { data: null, timestamp: 0, hasLive: false },
-    allsvenskanDetails: new Map(),
-    allsvenskanStandings: new Map(),
-    svenskaCupenGames: { data: null, timestamp: 0, hasLive: false },
-    svenskaCupenDetails: new Map(),
-    svenskaCupenStandings: new Map(),
-    hockeyAllsvenskanGames: { data: null, timestamp: 0, hasLive: false },
-    hockeyAllsvenskanDetails: new Map(),
-    hockeyAllsvenskanStandings: { data: null, timestamp: 0 },
-    europaLeagueQualGames: { data: null, timestamp: 0, hasLive: false },
-    europaLeagueQualDetails: new Map(),
-    europaLeagueQualStandings: new Map(),
-    conferenceLeagueQualGames: { data: null, timestamp: 0, hasLive: false },
-    conferenceLeagueQualDetails: new Map(),
-    conferenceLeagueQualStandings: new Map(),
-    // Knockout brackets keyed by sport slug (e.g. 'conference-league-qual').
-    brackets: new Map()
+const { CacheRegistry } = require('./cache-registry');
+
+// ============ TTL POLICIES ============
+// Games lists refresh faster while a game is live or starting soon.
+function liveAwareGamesTtl(entry) {
+    return entry.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
+}
+
+const RESOURCE_POLICIES = {
+    games: { ttl: liveAwareGamesTtl, maxEntries: 1, liveAware: true, persist: true, label: 'Games' },
+    details: { ttl: CACHE_DURATION_DETAILS, maxEntries: CACHE_MAX_ENTRIES_DETAILS, label: 'Details' },
+    videos: { ttl: CACHE_DURATION_VIDEOS, maxEntries: CACHE_MAX_ENTRIES_VIDEOS, label: 'Videos' },
+    standings: { ttl: CACHE_DURATION_STANDINGS, maxEntries: CACHE_MAX_ENTRIES_STANDINGS, persist: true, label: 'Standings' },
+    // Brackets change about as often as standings, so reuse that TTL.
+    bracket: { ttl: CACHE_DURATION_STANDINGS, maxEntries: CACHE_MAX_ENTRIES_BRACKET, label: 'Bracket' },
+    // Finished seasons (providers with the seasons capability), keyed by season.
+    seasonGames: { ttl: CACHE_DURATION_SEASON_GAMES, maxEntries: CACHE_MAX_ENTRIES_SEASON_GAMES, label: 'Past Seasons' }
 };
 
-// ============ CACHE HELPERS ============
-const DEFAULT_ALLSVENSKAN_STANDINGS_KEY = 'current';
-const DEFAULT_SVENSKA_CUPEN_STANDINGS_KEY = 'current';
-const DEFAULT_EUROPA_LEAGUE_QUAL_STANDINGS_KEY = 'current';
-const DEFAULT_CONFERENCE_LEAGUE_QUAL_STANDINGS_KEY = 'current';
-
-function isCacheValid(cacheEntry, duration) {
-    return cacheEntry && cacheEntry.data && (Date.now() - cacheEntry.timestamp) < duration;
-}
-
-function getGamesCacheDuration() {
-    return cache.games.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function getAllsvenskanGamesCacheDuration() {
-    return cache.allsvenskanGames.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function getSvenskaCupenGamesCacheDuration() {
-    return cache.svenskaCupenGames.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function setGamesLiveFlag(hasLive) {
-    cache.games.hasLive = Boolean(hasLive);
-}
-
-function setAllsvenskanLiveFlag(hasLive) {
-    cache.allsvenskanGames.hasLive = Boolean(hasLive);
-}
-
-function setSvenskaCupenLiveFlag(hasLive) {
-    cache.svenskaCupenGames.hasLive = Boolean(hasLive);
-}
-
-function getHockeyAllsvenskanGamesCacheDuration() {
-    return cache.hockeyAllsvenskanGames.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function setHockeyAllsvenskanLiveFlag(hasLive) {
-    cache.hockeyAllsvenskanGames.hasLive = Boolean(hasLive);
-}
-
-function getEuropaLeagueQualGamesCacheDuration() {
-    return cache.europaLeagueQualGames.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function setEuropaLeagueQualLiveFlag(hasLive) {
-    cache.europaLeagueQualGames.hasLive = Boolean(hasLive);
-}
-
-function getConferenceLeagueQualGamesCacheDuration() {
-    return cache.conferenceLeagueQualGames.hasLive ? CACHE_DURATION_LIVE : CACHE_DURATION_NORMAL;
-}
-
-function setConferenceLeagueQualLiveFlag(hasLive) {
-    cache.conferenceLeagueQualGames.hasLive = Boolean(hasLive);
-}
-
-function getCachedGames() {
-    const duration = getGamesCacheDuration();
-    if (isCacheValid(cache.games, duration)) {
-        return cache.games.data;
+// Which resources each sport caches. Adding a league means adding a line here.
+const SPORT_CACHES = {
+    shl: { label: 'SHL', resources: ['games', 'details', 'videos', 'standings'] },
+    hockeyallsvenskan: { label: 'HockeyAllsvenskan', resources: ['games', 'details', 'videos', 'standings'] },
+    allsvenskan: { label: 'Allsvenskan', resources: ['games', 'details', 'videos', 'standings', 'seasonGames'] },
+    'svenska-cupen': { label: 'Svenska Cupen', resources: ['games', 'details', 'standings', 'seasonGames'] },
+    'europa-league-qual': { label: 'Europa League Qualifying', resources: ['games', 'details', 'standings', 'bracket'] },
+    'conference-league-qual': { label: 'Conference League Qualifying', resources: ['games', 'details', 'standings', 'bracket'] },
+    // Biathlon races are refreshed by the scheduler, not polled per goal, so no live TTL.
+    biathlon: {
+        label: 'Biathlon',
+        resources: ['games'],
+        overrides: { games: { ttl: CACHE_DURATION_BIATHLON, liveAware: false, label: 'Races' } }
     }
-    return null;
-}
-
-function setCachedGames(data, hasLive = false) {
-    cache.games = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedAllsvenskanGames() {
-    const duration = getAllsvenskanGamesCacheDuration();
-    if (isCacheValid(cache.allsvenskanGames, duration)) {
-        return cache.allsvenskanGames.data;
-    }
-    return null;
-}
-
-function setCachedAllsvenskanGames(data, hasLive = false) {
-    cache.allsvenskanGames = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedSvenskaCupenGames() {
-    const duration = getSvenskaCupenGamesCacheDuration();
-    if (isCacheValid(cache.svenskaCupenGames, duration)) {
-        return cache.svenskaCupenGames.data;
-    }
-    return null;
-}
-
-function setCachedSvenskaCupenGames(data, hasLive = false) {
-    cache.svenskaCupenGames = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedHockeyAllsvenskanGames() {
-    const duration = getHockeyAllsvenskanGamesCacheDuration();
-    if (isCacheValid(cache.hockeyAllsvenskanGames, duration)) {
-        return cache.hockeyAllsvenskanGames.data;
-    }
-    return null;
-}
-
-function setCachedHockeyAllsvenskanGames(data, hasLive = false) {
-    cache.hockeyAllsvenskanGames = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedEuropaLeagueQualGames() {
-    const duration = getEuropaLeagueQualGamesCacheDuration();
-    if (isCacheValid(cache.europaLeagueQualGames, duration)) {
-        return cache.europaLeagueQualGames.data;
-    }
-    return null;
-}
-
-function setCachedEuropaLeagueQualGames(data, hasLive = false) {
-    cache.europaLeagueQualGames = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedConferenceLeagueQualGames() {
-    const duration = getConferenceLeagueQualGamesCacheDuration();
-    if (isCacheValid(cache.conferenceLeagueQualGames, duration)) {
-        return cache.conferenceLeagueQualGames.data;
-    }
-    return null;
-}
-
-function setCachedConferenceLeagueQualGames(data, hasLive = false) {
-    cache.conferenceLeagueQualGames = {
-        data,
-        timestamp: Date.now(),
-        hasLive
-    };
-}
-
-function getCachedDetails(uuid) {
-    const cached = cache.details.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
-    }
-    return null;
-}
+};
 
-function setCachedDetails(uuid, data) {
-    cache.details.set(uuid, { data, timestamp: Date.now() });
-}
+// ============ CACHE REGISTRY ============
+const registry = new CacheRegistry();
 
-function getCachedAllsvenskanDetails(uuid) {
-    const cached = cache.allsvenskanDetails.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
+for (const [sport, config] of Object.entries(SPORT_CACHES)) {
+    for (const resource of config.resources) {
+        const policy = { ...RESOURCE_POLICIES[resource], ...(config.overrides?.[resource] || {}) };
+        registry.register(sport, resource, {
+            ...policy,
+            label: `${config.label} ${policy.label}`
+        });
     }
-    return null;
 }
 
-function setCachedAllsvenskanDetails(uuid, data) {
-    cache.allsvenskanDetails.set(uuid, { data, timestamp: Date.now() });
+/**
+ * Get a cache namespace by sport and resource.
+ * @param {string} sport - Sport slug (e.g. 'shl')
+ * @param {string} resource - games | details | videos | standings | bracket | seasonGames
+ * @returns {CacheNamespace}
+ */
+function getCacheNamespace(sport, resource) {
+    return registry.get(sport, resource);
 }
 
-function getCachedSvenskaCupenDetails(uuid) {
-    const cached = cache.svenskaCupenDetails.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
-    }
-    return null;
+/**
+ * List registered cache namespaces.
+ * @param {Object} [filter] - Optional { sport, resource } filter
+ * @returns {CacheNamespace[]}
+ */
+function listCacheNamespaces(filter) {
+    return registry.list(filter);
 }
 
-function setCachedSvenskaCupenDetails(uuid, data) {
-    cache.svenskaCupenDetails.set(uuid, { data, timestamp: Date.now() });
+/**
+ * Whether a cached entry was restored from a disk snapshot and not yet refreshed.
+ */
+function isCacheStale(sport, resource, key) {
+    return registry.get(sport, resource).isStale(key);
 }
 
-function getCachedHockeyAllsvenskanDetails(uuid) {
-    const cached = cache.hockeyAllsvenskanDetails.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
-    }
-    return null;
+// ============ GAMES CACHE ============
+function getCachedGames(sport) {
+    return registry.get(sport, 'games').get();
 }
 
-function setCachedHockeyAllsvenskanDetails(uuid, data) {
-    cache.hockeyAllsvenskanDetails.set(uuid, { data, timestamp: Date.now() });
+function setCachedGames(sport, data, hasLive = false) {
+    registry.get(sport, 'games').set(null, data, { hasLive: Boolean(hasLive) });
 }
 
-function getCachedEuropaLeagueQualDetails(uuid) {
-    const cached = cache.europaLeagueQualDetails.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
-    }
-    return null;
+function setGamesLiveFlag(sport, hasLive) {
+    registry.get(sport, 'games').setMeta(null, { hasLive: Boolean(hasLive) });
 }
 
-function setCachedEuropaLeagueQualDetails(uuid, data) {
-    cache.europaLeagueQualDetails.set(uuid, { data, timestamp: Date.now() });
+function getGamesCacheDuration(sport) {
+    const namespace = registry.get(sport, 'games');
+    return namespace.getTtl(namespace.peek());
 }
 
-function getCachedConferenceLeagueQualDetails(uuid) {
-    const cached = cache.conferenceLeagueQualDetails.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_DETAILS)) {
-        return cached.data;
-    }
-    return null;
+// ============ DETAILS / VIDEOS CACHE ============
+function getCachedDetails(sport, id) {
+    return registry.get(sport, 'details').get(id);
 }
 
-function setCachedConferenceLeagueQualDetails(uuid, data) {
-    cache.conferenceLeagueQualDetails.set(uuid, { data, timestamp: Date.now() });
+function setCachedDetails(sport, id, data) {
+    registry.get(sport, 'details').set(id, data);
 }
 
-function getCachedVideos(uuid) {
-    const cached = cache.videos.get(uuid);
-    if (isCacheValid(cached, CACHE_DURATION_VIDEOS)) {
-        return cached.data;
-    }
-    return null;
+function getCachedVideos(sport, id) {
+    return registry.get(sport, 'videos').get(id);
 }
 
-function setCachedVideos(uuid, data) {
-    cache.videos.set(uuid, { data, timestamp: Date.now() });
+function setCachedVideos(sport, id, data) {
+    registry.get(sport, 'videos').set(id, data);
 }
 
 // ============ STANDINGS CACHE ============
-function getCachedStandings() {
-    if (isCacheValid(cache.standings, CACHE_DURATION_STANDINGS)) {
-        return cache.standings.data;
-    }
-    return null;
-}
-
-function setCachedStandings(data) {
-    cache.standings = { data, timestamp: Date.now() };
-}
-
-function getCachedHockeyAllsvenskanStandings() {
-    if (isCacheValid(cache.hockeyAllsvenskanStandings, CACHE_DURATION_STANDINGS)) {
-        return cache.hockeyAllsvenskanStandings.data;
-    }
-    return null;
-}
-
-function setCachedHockeyAllsvenskanStandings(data) {
-    cache.hockeyAllsvenskanStandings = { data, timestamp: Date.now() };
-}
-
-function normalizeAllsvenskanStandingsKey(season) {
-    if (!season) {
-        return DEFAULT_ALLSVENSKAN_STANDINGS_KEY;
-    }
-    const normalized = String(season).trim();
-    return normalized || DEFAULT_ALLSVENSKAN_STANDINGS_KEY;
-}
-
-function getCachedAllsvenskanStandings(season) {
-    const key = normalizeAllsvenskanStandingsKey(season);
-    const cached = cache.allsvenskanStandings.get(key);
-    if (isCacheValid(cached, CACHE_DURATION_STANDINGS)) {
-        return cached.data;
-    }
-    return null;
-}
-
-function setCachedAllsvenskanStandings(season, data) {
-    const key = normalizeAllsvenskanStandingsKey(season);
-    cache.allsvenskanStandings.set(key, { data, timestamp: Date.now() });
-}
-
-function normalizeSvenskaCupenStandingsKey(season) {
-    if (!season) {
-        return DEFAULT_SVENSKA_CUPEN_STANDINGS_KEY;
-    }
-    const normalized = String(season).trim();
-    return normalized || DEFAULT_SVENSKA_CUPEN_STANDINGS_KEY;
+// Standings are keyed by season; an empty season maps to the 'current' table.
+function getCachedStandings(sport, season) {
+    return registry.get(sport, 'standings').get(season);
 }
 
-function getCachedSvenskaCupenStandings(season) {
-    const key = normalizeSvenskaCupenStandingsKey(season);
-    const cached = cache.svenskaCupenStandings.get(key);
-    if (isCacheValid(cached, CACHE_DURATION_STANDINGS)) {
-        return cached.data;
-    }
-    return null;
-}
-
-function setCachedSvenskaCupenStandings(season, data) {
-    const key = normalizeSvenskaCupenStandingsKey(season);
-    cache.svenskaCupenStandings.set(key, { data, timestamp: Date.now() });
-}
-
-function normalizeEuropaLeagueQualStandingsKey(season) {
-    if (!season) {
-        return DEFAULT_EUROPA_LEAGUE_QUAL_STANDINGS_KEY;
-    }
-    const normalized = String(season).trim();
-    return normalized || DEFAULT_EUROPA_LEAGUE_QUAL_STANDINGS_KEY;
-}
-
-function getCachedEuropaLeagueQualStandings(season) {
-    const key = normalizeEuropaLeagueQualStandingsKey(season);
-    const cached = cache.europaLeagueQualStandings.get(key);
-    if (isCacheValid(cached, CACHE_DURATION_STANDINGS)) {
-        return cached.data;
-    }
-    return null;
-}
-
-function setCachedEuropaLeagueQualStandings(season, data) {
-    const key = normalizeEuropaLeagueQualStandingsKey(season);
-    cache.europaLeagueQualStandings.set(key, { data, timestamp: Date.now() });
-}
-
-function normalizeConferenceLeagueQualStandingsKey(season) {
-    if (!season) {
-        return DEFAULT_CONFERENCE_LEAGUE_QUAL_STANDINGS_KEY;
-    }
-    const normalized = String(season).trim();
-    return normalized || DEFAULT_CONFERENCE_LEAGUE_QUAL_STANDINGS_KEY;
+function setCachedStandings(sport, season, data) {
+    registry.get(sport, 'standings').set(season, data);
 }
 
-function getCachedConferenceLeagueQualStandings(season) {
-    const key = normalizeConferenceLeagueQualStandingsKey(season);
-    const cached = cache.conferenceLeagueQualStandings.get(key);
-    if (isCacheValid(cached, CACHE_DURATION_STANDINGS)) {
-        return cached.data;
-    }
-    return null;
+// ============ PAST SEASON GAMES CACHE ============
+function getCachedSeasonGames(sport, season) {
+    return registry.get(sport, 'seasonGames').get(season);
 }
 
-function setCachedConferenceLeagueQualStandings(season, data) {
-    const key = normalizeConferenceLeagueQualStandingsKey(season);
-    cache.conferenceLeagueQualStandings.set(key, { data, timestamp: Date.now() });
+function setCachedSeasonGames(sport, season, data) {
+    registry.get(sport, 'seasonGames').set(season, data);
 }
 
 // ============ KNOCKOUT BRACKET CACHE ============
-// Brackets change about as often as standings, so reuse that TTL.
 function getCachedBracket(sport) {
-    const cached = cache.brackets.get(String(sport));
-    if (isCacheValid(cached, CACHE_DURATION_STANDINGS)) {
-        return cached.data;
-    }
-    return null;
+    return registry.get(sport, 'bracket').get();
 }
 
 function setCachedBracket(sport, data) {
-    cache.brackets.set(String(sport), { data, timestamp: Date.now() });
-}
-
-// ============ BIATHLON CACHE ============
-function getCachedBiathlon() {
-    if (isCacheValid(cache.biathlon, CACHE_DURATION_BIATHLON)) {
-        return cache.biathlon.data;
-    }
-    return null;
-}
-
-function setCachedBiathlon(data) {
-    cache.biathlon = {
-        data,
-        timestamp: Date.now(),
-        lastUpdate: new Date().toISOString()
-    };
-}
-
-function getBiathlonLastUpdate() {
-    return cache.biathlon.lastUpdate;
+    registry.get(sport, 'bracket').set(null, data);
 }
 
 function clearAllCaches() {
-    cache.games = { data: null, timestamp: 0, hasLive: false };
-    cache.details.clear();
-    cache.videos.clear();
-    cache.standings = { data: null, timestamp: 0 };
-    cache.biathlon = { data: null, timestamp: 0, lastUpdate: null };
-    cache.allsvenskanGames = { data: null, timestamp: 0, hasLive: false };
-    cache.allsvenskanDetails.clear();
-    cache.allsvenskanStandings.clear();
-    cache.svenskaCupenGames = { data: null, timestamp: 0, hasLive: false };
-    cache.svenskaCupenDetails.clear();
-    cache.svenskaCupenStandings.clear();
-    cache.hockeyAllsvenskanGames = { data: null, timestamp: 0, hasLive: false };
-    cache.hockeyAllsvenskanDetails.clear();
-    cache.hockeyAllsvenskanStandings = { data: null, timestamp: 0 };
-    cache.europaLeagueQualGames = { data: null, timestamp: 0, hasLive: false };
-    cache.europaLeagueQualDetails.clear();
-    cache.europaLeagueQualStandings.clear();
-    cache.conferenceLeagueQualGames = { data: null, timestamp: 0, hasLive: false };
-    cache.conferenceLeagueQualDetails.clear();
-    cache.conferenceLeagueQualStandings.clear();
-    cache.brackets.clear();
+    registry.clearAll();
 }
 
+/**
+ * Per-namespace cache status (entries, age, TTL, hit/miss counters) plus totals.
+ * @returns {{ totals: Object, sports: Object, namespaces: Array }}
+ */
 function getCacheStatus() {
-    const now = Date.now();
-    const gamesAge = cache.games.timestamp ? Math.round((now - cache.games.timestamp) / 1000) : null;
-    const standingsAge = cache.standings.timestamp ? Math.round((now - cache.standings.timestamp) / 1000) : null;
-    const biathlonAge = cache.biathlon.timestamp ? Math.round((now - cache.biathlon.timestamp) / 1000) : null;
-    const allsvenskanGamesAge = cache.allsvenskanGames.timestamp
-        ? Math.round((now - cache.allsvenskanGames.timestamp) / 1000)
-        : null;
-    const allsvenskanStandingsEntries = Array.from(cache.allsvenskanStandings.values());
-    const allsvenskanStandingsLatest = allsvenskanStandingsEntries.reduce((latest, entry) => {
-        if (!entry?.timestamp) return latest;
-        return entry.timestamp > latest ? entry.timestamp : latest;
-    }, 0);
-    const allsvenskanStandingsLatestAge = allsvenskanStandingsLatest
-        ? Math.round((now - allsvenskanStandingsLatest) / 1000)
-        : null;
-    const svenskaCupenGamesAge = cache.svenskaCupenGames.timestamp
-        ? Math.round((now - cache.svenskaCupenGames.timestamp) / 1000)
-        : null;
-    const svenskaCupenStandingsEntries = Array.from(cache.svenskaCupenStandings.values());
-    const svenskaCupenStandingsLatest = svenskaCupenStandingsEntries.reduce((latest, entry) => {
-        if (!entry?.timestamp) return latest;
-        return entry.timestamp > latest ? entry.timestamp : latest;
-    }, 0);
-    const svenskaCupenStandingsLatestAge = svenskaCupenStandingsLatest
-        ? Math.round((now - svenskaCupenStandingsLatest) / 1000)
-        : null;
-
-    return {
-        games: {
-            cached: !!cache.games.data,
-            ageSeconds: gamesAge,
-            hasLiveGame: cache.games.hasLive,
-            cacheDuration: cache.games.hasLive ? '15s (live/starting soon mode)' : '60s (normal mode)'
-        },
-        details: {
-            entriesCount: cache.details.size,
-            cacheDuration: '30s'
-        },
-        videos: {
-            entriesCount: cache.videos.size,
-            cacheDuration: '60s'
-        },
-        standings: {
-            cached: !!cache.standings.data,
-            ageSeconds: standingsAge,
-            cacheDuration: '5m'
-        },
-        biathlon: {
-            cached: !!cache.biathlon.data,
-            ageSeconds: biathlonAge,
-            lastUpdate: cache.biathlon.lastUpdate,
-            cacheDuration: '30m'
-        },
-        allsvenskan: {
-            games: {
-                cached: !!cache.allsvenskanGames.data,
-                ageSeconds: allsvenskanGamesAge,
-                hasLiveGame: cache.allsvenskanGames.hasLive,
-                cacheDuration: cache.allsvenskanGames.hasLive ? '15s (live/starting soon mode)' : '60s (normal mode)'
-            },
-            details: {
-                entriesCount: cache.allsvenskanDetails.size,
-                cacheDuration: '30s'
-            },
-            standings: {
-                cached: cache.allsvenskanStandings.size > 0,
-                ageSeconds: allsvenskanStandingsLatestAge,
-                cacheDuration: '5m',
-                entriesCount: cache.allsvenskanStandings.size
-            }
-        },
-        svenskaCupen: {
-            games: {
-                cached: !!cache.svenskaCupenGames.data,
-                ageSeconds: svenskaCupenGamesAge,
-                hasLiveGame: cache.svenskaCupenGames.hasLive,
-                cacheDuration: cache.svenskaCupenGames.hasLive ? '15s (live/starting soon mode)' : '60s (normal mode)'
-            },
-            details: {
-                entriesCount: cache.svenskaCupenDetails.size,
-                cacheDuration: '30s'
-            },
-            standings: {
-                cached: cache.svenskaCupenStandings.size > 0,
-                ageSeconds: svenskaCupenStandingsLatestAge,
-                cacheDuration: '5m',
-                entriesCount: cache.svenskaCupenStandings.size
-            }
-        }
-    };
+    const status = registry.getStatus();
+    const sports = Object.fromEntries(
+        Object.entries(SPORT_CACHES).map(([sport, config]) => [sport, config.label])
+    );
+    return { ...status, sports };
 }
 
 module.exports = {
+    getCacheNamespace,
+    listCacheNamespaces,
+    isCacheStale,
     getCachedGames,
     setCachedGames,
+    setGamesLiveFlag,
+    getGamesCacheDuration,
     getCachedDetails,
     setCachedDetails,
     getCachedVideos,
     setCachedVideos,
     getCachedStandings,
     setCachedStandings,
-    getCachedBiathlon,
-    setCachedBiathlon,
-    getBiathlonLastUpdate,
-    getCachedAllsvenskanGames,
-    setCachedAllsvenskanGames,
-    getCachedAllsvenskanDetails,
-    setCachedAllsvenskanDetails,
-    getCachedAllsvenskanStandings,
-    setCachedAllsvenskanStandings,
-    getCachedSvenskaCupenGames,
-    setCachedSvenskaCupenGames,
-    getCachedSvenskaCupenDetails,
-    setCachedSvenskaCupenDetails,
-    getCachedSvenskaCupenStandings,
-    setCachedSvenskaCupenStandings,
-    getCachedHockeyAllsvenskanGames,
-    setCachedHockeyAllsvenskanGames,
-    getCachedHockeyAllsvenskanDetails,
-    setCachedHockeyAllsvenskanDetails,
-    getCachedHockeyAllsvenskanStandings,
-    setCachedHockeyAllsvenskanStandings,
-    getCachedEuropaLeagueQualGames,
-    setCachedEuropaLeagueQualGames,
-    getCachedEuropaLeagueQualDetails,
-    setCachedEuropaLeagueQualDetails,
-    getCachedEuropaLeagueQualStandings,
-    setCachedEuropaLeagueQualStandings,
-    getCachedConferenceLeagueQualGames,
-    setCachedConferenceLeagueQualGames,
-    getCachedConferenceLeagueQualDetails,
-    setCachedConferenceLeagueQualDetails,
-    getCachedConferenceLeagueQualStandings,
-    setCachedConferenceLeagueQualStandings,
+    getCachedSeasonGames,
+    setCachedSeasonGames,
     getCachedBracket,
     setCachedBracket,
     clearAllCaches,
     getCacheStatus,
-    getGamesCacheDuration,
-    setGamesLiveFlag,
-    setAllsvenskanLiveFlag,
-    setSvenskaCupenLiveFlag,
-    setHockeyAllsvenskanLiveFlag,
-    setEuropaLeagueQualLiveFlag,
-    setConferenceLeagueQualLiveFlag
+    SPORT_CACHES
 };
@@ -0,0 +1,408 @@
+/**
+ * iCalendar (.ics) feeds for teams, leagues and biathlon, built from the cached
+ * game lists:
+ *   GET /api/calendar/team/:code.ics   ?sport   every team-sport game for a team code
+ *   GET /api/calendar/:sport.ics                 one league (legacy aliases accepted)
+ *   GET /api/calendar/biathlon.ics     ?gender ?discipline ?country
+ * Event UIDs are stable (`<sport>-<game id>@gamepulse`), so rescheduled games update
+ * in place. Finished games carry the final score. Times are written in UTC.
+ */
+
+const express = require('express');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const { getCacheNamespace, getCachedGames, setCachedGames } = require('./cache');
+const { getAllGamesCached } = require('./games-cache');
+const teamIdentity = require('./team-identity');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('calendar');
+
+const PRODUCT_ID = '-//GamePulse//Sports Calendar//EN';
+const UID_DOMAIN = 'gamepulse';
+// Calendar clients poll subscribed feeds; ask for roughly hourly refreshes.
+const REFRESH_INTERVAL = 'PT1H';
+const FEED_CACHE_CONTROL = 'public, max-age=300';
+
+// Expected event length, used for DTEND (upstream feeds only give a start time).
+const EVENT_DURATION_MINUTES = {
+    shl: 150,
+    hockeyallsvenskan: 150,
+    biathlon: 90
+};
+const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+// ============ ICS FORMATTING ============
+
+/**
+ * Escape a TEXT property value (RFC 5545 3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 3.1). Never splits a
+ * multi-byte UTF-8 character.
+ * @param {string} line
+ * @returns {string} CRLF-joined physical lines
+ */
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit.
+        const limit = lines.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            lines.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20261018T170000Z).
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Serialize a calendar.
+ * @param {Object} calendar
+ * @param {string} calendar.name - X-WR-CALNAME
+ * @param {string} [calendar.description]
+ * @param {Array} calendar.events - buildGameEvent()/buildRaceEvent() results
+ * @param {Date} [now] - DTSTAMP
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildCalendar({ name, description, events }, now = new Date()) {
+    const stamp = formatDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        description ? `X-WR-CALDESC:${escapeText(description)}` : null,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(event.start)}`,
+            `DTEND:${formatDateTime(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            event.location ? `LOCATION:${escapeText(event.location)}` : null,
+            event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+            event.categories?.length ? `CATEGORIES:${event.categories.map(escapeText).join(',')}` : null,
+            'STATUS:CONFIRMED',
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        );
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ============ EVENTS ============
+
+function buildUid(sport, id) {
+    return `${sport}-${String(id).replace(/[^A-Za-z0-9_.-]/g, '_')}@${UID_DOMAIN}`;
+}
+
+function parseStart(game) {
+    const start = new Date(game.rawStartDateTime || game.startDateTime);
+    return Number.isNaN(start.getTime()) ? null : start;
+}
+
+function getEnd(sport, start) {
+    const minutes = EVENT_DURATION_MINUTES[sport] || DEFAULT_EVENT_DURATION_MINUTES;
+    return new Date(start.getTime() + minutes * 60 * 1000);
+}
+
+function toScore(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Build a calendar event for a team-sport game.
+ * @param {string} sport
+ * @param {string} leagueName - Provider display name
+ * @param {Object} game
+ * @returns {Object|null} null when the game has no usable start time
+ */
+function buildGameEvent(sport, leagueName, game) {
+    const start = parseStart(game);
+    if (!game?.uuid || !start) {
+        return null;
+    }
+
+    const homeName = teamIdentity.getTeamName(game.homeTeamInfo, { prefer: 'long', fallback: game.homeTeamInfo?.code || 'Home' });
+    const awayName = teamIdentity.getTeamName(game.awayTeamInfo, { prefer: 'long', fallback: game.awayTeamInfo?.code || 'Away' });
+    const homeScore = toScore(game.homeTeamInfo?.score);
+    const awayScore = toScore(game.awayTeamInfo?.score);
+    const isFinal = game.state === 'post-game' && homeScore !== null && awayScore !== null;
+
+    const summary = isFinal
+        ? `${homeName} ${homeScore}–${awayScore} ${awayName}`
+        : `${homeName} – ${awayName}`;
+    const descriptionLines = [leagueName];
+    if (isFinal) {
+        descriptionLines.push(`Final score: ${homeScore}–${awayScore}`);
+    } else if (game.state === 'live') {
+        descriptionLines.push('Live now');
+    }
+
+    return {
+        uid: buildUid(sport, game.uuid),
+        start,
+        end: getEnd(sport, start),
+        summary,
+        location: game.venueInfo?.name || null,
+        description: descriptionLines.join('\n'),
+        categories: [leagueName]
+    };
+}
+
+/**
+ * Build a calendar event for a biathlon race.
+ * @param {Object} race
+ * @returns {Object|null}
+ */
+function buildRaceEvent(race) {
+    const start = parseStart(race);
+    if (!race?.uuid || !start) {
+        return null;
+    }
+
+    const location = [race.location, race.countryName].filter(Boolean).join(', ');
+    const descriptionLines = [race.eventName, race.km ? `${race.km} km` : null];
+    if (race.state === 'completed') {
+        descriptionLines.push('Finished');
+    } else if (race.state === 'live') {
+        descriptionLines.push('Live now');
+    }
+
+    return {
+        uid: buildUid('biathlon', race.uuid),
+        start,
+        end: getEnd('biathlon', start),
+        summary: `${race.genderDisplay || ''} ${race.discipline || 'Race'} – ${race.location || 'TBA'}`.trim(),
+        location: location || null,
+        description: descriptionLines.filter(Boolean).join('\n'),
+        categories: ['Biathlon']
+    };
+}
+
+// ============ DATA ============
+
+function getGamesNamespace(sport) {
+    try {
+        return getCacheNamespace(sport, 'games');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Full games list for a sport from the shared caches (fetching on a miss).
+ * @param {string} sport
+ * @returns {Promise<Array>}
+ */
+async function loadSportGames(sport) {
+    const namespace = getGamesNamespace(sport);
+    if (namespace?.liveAware) {
+        return getAllGamesCached(sport);
+    }
+
+    const cached = namespace ? getCachedGames(sport) : null;
+    if (cached) {
+        return cached;
+    }
+    const games = await getProvider(sport).fetchAllGames();
+    const list = Array.isArray(games) ? games : [];
+    if (namespace) {
+        setCachedGames(sport, list);
+    }
+    return list;
+}
+
+/**
+ * Apply the biathlon ?gender/?discipline/?country filters (same semantics as
+ * /api/biathlon/races).
+ * @param {Array} races
+ * @param {Object} query
+ * @returns {Array}
+ */
+function filterRaces(races, query) {
+    let result = races;
+    if (query.gender) {
+        const gender = String(query.gender).toLowerCase();
+        result = result.filter(race => race.gender === gender);
+    }
+    if (query.discipline) {
+        const discipline = String(query.discipline).toLowerCase();
+        result = result.filter(race => String(race.discipline || '').toLowerCase().includes(discipline));
+    }
+    if (query.country) {
+        const country = String(query.country).toUpperCase();
+        result = result.filter(race => race.country === country);
+    }
+    return result;
+}
+
+function isTeamGame(game, code) {
+    return [game.homeTeamInfo, game.awayTeamInfo]
+        .some(teamInfo => teamIdentity.getTeamCode(teamInfo).toUpperCase() === code);
+}
+
+function sortByStart(events) {
+    return events.sort((a, b) => a.start - b.start);
+}
+
+function sendCalendar(res, filename, calendar) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Cache-Control': FEED_CACHE_CONTROL
+    });
+    res.send(buildCalendar(calendar));
+}
+
+function sendError(res, status, message) {
+    res.status(status).json({ error: message });
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the calendar feed router. Mount it under /api/calendar, before the generic
+ * sport router.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy sport id -> sport id (e.g. { football: 'allsvenskan' })
+ * @param {Object} [options.sources] - sport -> async () => games, for sports whose list
+ *   is not the plain provider list (SHL's manually added games)
+ * @returns {express.Router}
+ */
+function createCalendarRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const sources = options.sources || {};
+    const router = express.Router();
+
+    const resolveSport = value => aliases[value] || value;
+    const loadGames = sport => (sources[sport] ? sources[sport]() : loadSportGames(sport));
+
+    /**
+     * GET /api/calendar/team/:code.ics
+     * Every team-sport game for a team code. ?sport limits it to some sports
+     * (comma-separated).
+     */
+    router.get('/team/:code.ics', validateRequest('getTeamCalendar'), async (req, res) => {
+        const code = String(req.params.code).trim().toUpperCase();
+        const teamSports = getAvailableSports().filter(sport => getSportCapabilities(sport).teams);
+        const requested = req.input.query.sport
+            ? req.input.query.sport.map(sport => resolveSport(sport.toLowerCase()))
+            : teamSports;
+        const unknown = requested.filter(sport => !teamSports.includes(sport));
+        if (unknown.length > 0) {
+            return sendError(res, 404, `Unknown sport: ${unknown.join(', ')}`);
+        }
+
+        let teamName = code;
+        const perSport = await Promise.all(requested.map(async (sport) => {
+            try {
+                const leagueName = getProvider(sport).getName();
+                const games = (await loadGames(sport)).filter(game => isTeamGame(game, code));
+                const sample = games[0];
+                if (sample) {
+                    const teamInfo = teamIdentity.getTeamCode(sample.homeTeamInfo).toUpperCase() === code
+                        ? sample.homeTeamInfo
+                        : sample.awayTeamInfo;
+                    teamName = teamIdentity.getTeamName(teamInfo, { prefer: 'long', fallback: code });
+                }
+                return games.map(game => buildGameEvent(sport, leagueName, game));
+            } catch (error) {
+                // One failing league should not empty the whole team calendar.
+                log.error(`${sport} games unavailable for team ${code}:`, error.message);
+                return [];
+            }
+        }));
+
+        sendCalendar(res, `${code.toLowerCase()}.ics`, {
+            name: teamName,
+            description: `${teamName} fixtures and results`,
+            events: sortByStart(perSport.flat().filter(Boolean))
+        });
+    });
+
+    /**
+     * GET /api/calendar/:sport.ics
+     * All games of a league. Biathlon supports ?gender, ?discipline and ?country.
+     */
+    router.get('/:sport.ics', validateRequest('getSportCalendar'), async (req, res) => {
+        const sport = resolveSport(String(req.params.sport).toLowerCase());
+        if (!getAvailableSports().includes(sport)) {
+            return sendError(res, 404, `Unknown sport: ${req.params.sport}`);
+        }
+
+        try {
+            const leagueName = getProvider(sport).getName();
+            const games = await loadGames(sport);
+            const events = sport === 'biathlon'
+                ? filterRaces(games, req.input.query).map(buildRaceEvent)
+                : games.map(game => buildGameEvent(sport, leagueName, game));
+
+            const filters = sport === 'biathlon'
+                ? [req.input.query.gender, req.input.query.discipline, req.input.query.country].filter(Boolean)
+                : [];
+            const name = filters.length ? `${leagueName} (${filters.join(', ')})` : leagueName;
+
+            sendCalendar(res, `${req.params.sport}.ics`, {
+                name,
+                description: `${leagueName} schedule and results`,
+                events: sortByStart(events.filter(Boolean))
+            });
+        } catch (error) {
+            log.error(`Error building ${sport} feed:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCalendarRouter,
+    buildCalendar,
+    buildGameEvent,
+    buildRaceEvent,
+    filterRaces,
+    escapeText,
+    foldLine
+};
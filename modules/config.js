@@ -2,6 +2,28 @@ const path = require('path');
 
 // ============ SERVER CONFIGURATION ============
 const PORT = process.env.PORT || 3080;
+// Public origin of the API, for absolute links in responses that are cached or
+// read elsewhere (Atom feeds). Never taken from the request's Host header.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://sports-api.kokarn.com').replace(/\/+$/, '');
+
+// ============ UPSTREAM DATA SOURCE ============
+// live     - providers call shl.se, ESPN, IBU, FotMob, ... directly (default)
+// record   - same as live, and every upstream response is saved under FIXTURES_DIR
+// fixtures - providers are served the recorded responses, no network access
+const DATA_PROVIDER = (process.env.DATA_PROVIDER || 'live').toLowerCase();
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'upstream');
+
+// ============ UPSTREAM HTTP CLIENT ============
+const UPSTREAM_TIMEOUT = 10 * 1000;             // per-attempt timeout
+const UPSTREAM_HOST_TIMEOUTS = {                // per-host overrides (ms)
+    'en.wikipedia.org': 8 * 1000                // supplementary bracket source, fail fast
+};
+const UPSTREAM_MAX_CONCURRENCY = 6;             // in-flight requests per host
+const UPSTREAM_MAX_RETRIES = 2;                 // extra attempts on 5xx/429/network errors
+const UPSTREAM_RETRY_BASE_DELAY = 500;          // backoff: 500ms, 1s, 2s, ...
+const UPSTREAM_RETRY_MAX_DELAY = 5 * 1000;
+const UPSTREAM_BREAKER_THRESHOLD = 5;           // consecutive failures before a host is cut off
+const UPSTREAM_BREAKER_COOLDOWN = 30 * 1000;    // how long a tripped host is skipped
 
 // ============ CACHE DURATIONS (milliseconds) ============
 const CACHE_DURATION_LIVE = 15 * 1000;      // 15 seconds when live games exist
@@ -10,14 +32,32 @@ const CACHE_DURATION_DETAILS = 30 * 1000;   // 30 seconds for game details
 const CACHE_DURATION_VIDEOS = 60 * 1000;    // 1 minute for videos
 const CACHE_DURATION_STANDINGS = 5 * 60 * 1000;  // 5 minutes for standings
 const CACHE_DURATION_BIATHLON = 30 * 60 * 1000;  // 30 minutes for biathlon schedule
+const CACHE_DURATION_SEASON_GAMES = 24 * 60 * 60 * 1000;  // 24 hours for finished seasons' games
+
+// ============ CACHE SIZE BOUNDS (entries per namespace, LRU-evicted) ============
+const CACHE_MAX_ENTRIES_DETAILS = 500;      // game details per sport
+const CACHE_MAX_ENTRIES_VIDEOS = 500;       // video lists per sport
+const CACHE_MAX_ENTRIES_STANDINGS = 10;     // standings tables (current + past seasons)
+const CACHE_MAX_ENTRIES_BRACKET = 5;        // knockout brackets per competition
+const CACHE_MAX_ENTRIES_SEASON_GAMES = 10;  // past seasons' game lists per sport
+
+// ============ CACHE SNAPSHOTS ============
+const CACHE_SNAPSHOT_FILE = process.env.CACHE_SNAPSHOT_FILE || path.join(__dirname, '..', 'cache_snapshot.json');
+const CACHE_SNAPSHOT_INTERVAL = 5 * 60 * 1000;      // write a snapshot every 5 minutes
+const CACHE_SNAPSHOT_MAX_AGE = 12 * 60 * 60 * 1000; // restored entries are servable for 12 hours
+const CACHE_SNAPSHOT_RETRY_INTERVAL = 60 * 1000;      // retry refreshing restored entries every minute until it succeeds
 
 // ============ SCHEDULER INTERVALS (milliseconds) ============
 const BIATHLON_CHECK_INTERVAL = 60 * 60 * 1000;  // 1 hour for biathlon schedule refresh
 
+// ============ STATE STORE ============
+// Directory for persisted state documents (seen_games.json, admin_games.json, ...)
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, '..');
+const SEEN_GAMES_TTL = 30 * 24 * 60 * 60 * 1000;     // 30 days
+const SEEN_VIDEOS_TTL = 30 * 24 * 60 * 60 * 1000;    // 30 days
+const SEEN_PRE_GAME_TTL = 7 * 24 * 60 * 60 * 1000;   // 7 days
+
 // ============ NOTIFIER CONFIGURATION ============
-const SEEN_GAMES_FILE = path.join(__dirname, '..', 'seen_games.json');
-const SEEN_VIDEOS_FILE = path.join(__dirname, '..', 'seen_videos.json');
-const ADMIN_GAMES_FILE = path.join(__dirname, '..', 'admin_games.json');
 const HIGHLIGHTS_TOPIC_PREFIX = 'shl-highlights-';
 const TEAM_ALL_TOPIC_PREFIX = 'shl-all-';
 const GLOBAL_ALL_TOPIC = 'shl-all-videos';
@@ -30,11 +70,92 @@ const NOTIFIER_INTERVAL_LIVE = 30 * 1000;        // 30 seconds
 // ============ PRE-GAME NOTIFICATION CONFIGURATION ============
 const PRE_GAME_REMINDER_MINUTES = 5;             // Minutes before game start to send notification
 const PRE_GAME_CHECK_INTERVAL = 60 * 1000;       // Legacy: kept for backwards compatibility
-const SEEN_PRE_GAME_FILE = path.join(__dirname, '..', 'seen_pre_game.json');
+
+// ============ OUTBOUND WEBHOOKS ============
+const WEBHOOK_TIMEOUT = 10 * 1000;               // per-delivery-attempt timeout
+const WEBHOOK_MAX_ATTEMPTS = 5;                  // first attempt + retries
+const WEBHOOK_RETRY_BASE_DELAY = 10 * 1000;      // backoff: 10s, 20s, 40s, ...
+const WEBHOOK_RETRY_MAX_DELAY = 5 * 60 * 1000;
+const WEBHOOK_DELIVERY_LOG_SIZE = 200;           // most recent deliveries kept for the admin console
+
+// ============ HIGHLIGHT FEEDS ============
+const HIGHLIGHT_FEED_SIZE = 300;                 // clips kept in highlight_feed.json
+const HIGHLIGHT_FEED_ENTRIES = 50;               // entries per Atom feed response
+
+// ============ SCORING LEADERS ============
+// Goals/assists/points per player, built from the play-by-play of finished hockey games.
+const LEADERS_REFRESH_INTERVAL = 30 * 60 * 1000; // look for newly finished games every 30 minutes
+const LEADERS_GAMES_PER_RUN = 60;                // play-by-play fetches per run, so a cold start is spread out
+const LEADERS_DETAILS_CONCURRENCY = 2;           // parallel play-by-play fetches
+
+// ============ ADMIN AUTHENTICATION ============
+// Bootstrap account, created on startup when no account with this username exists.
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || null;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const ADMIN_SESSION_TTL = 12 * 60 * 60 * 1000;   // console sessions last 12 hours
+const ADMIN_SESSION_COOKIE = 'gp_admin_session';
+const ADMIN_AUDIT_LOG_SIZE = 2000;               // audit entries kept in admin_audit.json
+
+// ============ SPREADSHEET EXPORTS ============
+const EXPORT_CACHE_DURATION = 10 * 60 * 1000;    // built workbooks are reused for 10 minutes
+const EXPORT_CACHE_MAX_ENTRIES = 20;
+const EXPORT_DETAILS_CONCURRENCY = 4;            // parallel details fetches for goals/results sheets
+const EXPORT_GOALS_CACHE_DURATION = 6 * 60 * 60 * 1000; // a season's hockey goal rows are rebuilt at least every 6 hours
+
+// ============ IMAGE PROXY CACHE ============
+// Proxied images (originals and resized variants) are kept on disk, least recently
+// used evicted first once the directory exceeds IMAGE_CACHE_MAX_BYTES.
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, '..', 'image_cache');
+const IMAGE_CACHE_MAX_BYTES = (parseInt(process.env.IMAGE_CACHE_MAX_MB, 10) || 200) * 1024 * 1024;
+const IMAGE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;     // logos and thumbnails rarely change
+const IMAGE_MAX_DIMENSION = 1024;                     // largest w/h a client may request
+
+// ============ RATE LIMITING ============
+// Token buckets per client (IP, or API key sent as X-API-Key). Limits are requests per
+// minute; a client may spend a full minute's allowance as a burst.
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_READ = parseInt(process.env.RATE_LIMIT_READ, 10) || 300;          // cached reads
+const RATE_LIMIT_UPSTREAM = parseInt(process.env.RATE_LIMIT_UPSTREAM, 10) || 60;   // routes that can miss the cache
+const RATE_LIMIT_IMAGE = parseInt(process.env.RATE_LIMIT_IMAGE, 10) || 120;        // /api/img
+// Comma-separated "name:key" pairs. Keyed clients get their own buckets, sized by the multiplier.
+const RATE_LIMIT_API_KEYS = process.env.RATE_LIMIT_API_KEYS || '';
+const RATE_LIMIT_API_KEY_MULTIPLIER = parseInt(process.env.RATE_LIMIT_API_KEY_MULTIPLIER, 10) || 10;
+const RATE_LIMIT_MAX_CLIENTS = 10000;            // tracked buckets per class before idle ones are dropped
+// Express "trust proxy" setting (e.g. 1, loopback). Required behind a reverse proxy so
+// per-IP limits see the client address instead of the proxy's.
+const TRUST_PROXY = process.env.TRUST_PROXY || null;
+
+// ============ LOGGING ============
+// Levels: error, warn, info, debug (or silent). LOG_LEVELS overrides single modules,
+// e.g. "cache=debug,upstream=warn"; a namespace also covers its children
+// ("provider" covers "provider:shl"). Levels can be changed at runtime in /admin/logging.
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const LOG_LEVELS = process.env.LOG_LEVELS || '';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// ============ HEALTH ============
+// Consecutive failed upstream requests (4xx/5xx, timeouts, open circuit) before a
+// provider is reported as degraded by /api/health.
+const HEALTH_PROVIDER_FAILURE_THRESHOLD = 3;
 
 module.exports = {
     // Server
     PORT,
+    PUBLIC_BASE_URL,
+
+    // Upstream data source
+    DATA_PROVIDER,
+    FIXTURES_DIR,
+
+    // Upstream HTTP client
+    UPSTREAM_TIMEOUT,
+    UPSTREAM_HOST_TIMEOUTS,
+    UPSTREAM_MAX_CONCURRENCY,
+    UPSTREAM_MAX_RETRIES,
+    UPSTREAM_RETRY_BASE_DELAY,
+    UPSTREAM_RETRY_MAX_DELAY,
+    UPSTREAM_BREAKER_THRESHOLD,
+    UPSTREAM_BREAKER_COOLDOWN,
 
     // Cache durations
     CACHE_DURATION_LIVE,
@@ -43,14 +164,31 @@ module.exports = {
     CACHE_DURATION_VIDEOS,
     CACHE_DURATION_STANDINGS,
     CACHE_DURATION_BIATHLON,
+    CACHE_DURATION_SEASON_GAMES,
+
+    // Cache size bounds
+    CACHE_MAX_ENTRIES_DETAILS,
+    CACHE_MAX_ENTRIES_VIDEOS,
+    CACHE_MAX_ENTRIES_STANDINGS,
+    CACHE_MAX_ENTRIES_BRACKET,
+    CACHE_MAX_ENTRIES_SEASON_GAMES,
+
+    // Cache snapshots
+    CACHE_SNAPSHOT_FILE,
+    CACHE_SNAPSHOT_INTERVAL,
+    CACHE_SNAPSHOT_MAX_AGE,
+    CACHE_SNAPSHOT_RETRY_INTERVAL,
 
     // Scheduler
     BIATHLON_CHECK_INTERVAL,
 
+    // State store
+    STATE_DIR,
+    SEEN_GAMES_TTL,
+    SEEN_VIDEOS_TTL,
+    SEEN_PRE_GAME_TTL,
+
     // Notifier
-    SEEN_GAMES_FILE,
-    SEEN_VIDEOS_FILE,
-    ADMIN_GAMES_FILE,
     HIGHLIGHTS_TOPIC_PREFIX,
     TEAM_ALL_TOPIC_PREFIX,
     GLOBAL_ALL_TOPIC,
@@ -61,5 +199,57 @@ module.exports = {
     // Pre-game notifications
     PRE_GAME_REMINDER_MINUTES,
     PRE_GAME_CHECK_INTERVAL,
-    SEEN_PRE_GAME_FILE
+
+    // Outbound webhooks
+    WEBHOOK_TIMEOUT,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_DELAY,
+    WEBHOOK_RETRY_MAX_DELAY,
+    WEBHOOK_DELIVERY_LOG_SIZE,
+
+    // Highlight feeds
+    HIGHLIGHT_FEED_SIZE,
+    HIGHLIGHT_FEED_ENTRIES,
+
+    // Scoring leaders
+    LEADERS_REFRESH_INTERVAL,
+    LEADERS_GAMES_PER_RUN,
+    LEADERS_DETAILS_CONCURRENCY,
+
+    // Admin authentication
+    ADMIN_USERNAME,
+    ADMIN_PASSWORD,
+    ADMIN_SESSION_TTL,
+    ADMIN_SESSION_COOKIE,
+    ADMIN_AUDIT_LOG_SIZE,
+
+    // Spreadsheet exports
+    EXPORT_CACHE_DURATION,
+    EXPORT_CACHE_MAX_ENTRIES,
+    EXPORT_DETAILS_CONCURRENCY,
+    EXPORT_GOALS_CACHE_DURATION,
+
+    // Image proxy cache
+    IMAGE_CACHE_DIR,
+    IMAGE_CACHE_MAX_BYTES,
+    IMAGE_CACHE_TTL,
+    IMAGE_MAX_DIMENSION,
+
+    // Rate limiting
+    RATE_LIMIT_ENABLED,
+    RATE_LIMIT_READ,
+    RATE_LIMIT_UPSTREAM,
+    RATE_LIMIT_IMAGE,
+    RATE_LIMIT_API_KEYS,
+    RATE_LIMIT_API_KEY_MULTIPLIER,
+    RATE_LIMIT_MAX_CLIENTS,
+    TRUST_PROXY,
+
+    // Logging
+    LOG_LEVEL,
+    LOG_LEVELS,
+    LOG_FORMAT,
+
+    // Health
+    HEALTH_PROVIDER_FAILURE_THRESHOLD
 };
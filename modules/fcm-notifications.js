@@ -2,6 +2,10 @@ const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
 const { formatSwedishTimestamp } = require('./utils');
+const { fcmSends } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('fcm');
 
 /**
  * Sanitize a string for use as an FCM topic name.
@@ -86,10 +90,10 @@ function loadErrorLog() {
             if (!Array.isArray(errorLog)) {
                 errorLog = [];
             }
-            console.log(`[FCM] Loaded ${errorLog.length} error log entries`);
+            log.info(`Loaded ${errorLog.length} error log entries`);
         }
     } catch (error) {
-        console.error('[FCM] Error loading error log:', error.message);
+        log.error('Error loading error log:', error.message);
         errorLog = [];
     }
 }
@@ -101,7 +105,7 @@ function saveErrorLog() {
     try {
         fs.writeFileSync(ERROR_LOG_PATH, JSON.stringify(errorLog, null, 2), 'utf8');
     } catch (error) {
-        console.error('[FCM] Error saving error log:', error.message);
+        log.error('Error saving error log:', error.message);
     }
 }
 
@@ -177,6 +181,17 @@ let stats = {
     lastSent: null
 };
 
+/**
+ * Count a send attempt for /metrics, labelled by the payload's notification type
+ * (goal, highlight, pre_game, test) and how it was targeted.
+ * @param {'topic'|'condition'|'device'} target
+ * @param {Object} data - Message data payload
+ * @param {'success'|'failure'} outcome
+ */
+function countSend(target, data, outcome) {
+    fcmSends.inc({ type: data?.type || 'other', target, outcome });
+}
+
 // ============ INITIALIZATION ============
 
 /**
@@ -196,7 +211,7 @@ function initializeFirebase() {
             firebaseApp = admin.initializeApp({
                 credential: admin.credential.cert(serviceAccount)
             });
-            console.log('[FCM] Initialized with service account file');
+            log.info('Initialized with service account file');
             return true;
         }
 
@@ -213,14 +228,14 @@ function initializeFirebase() {
                     privateKey
                 })
             });
-            console.log('[FCM] Initialized with environment variables');
+            log.info('Initialized with environment variables');
             return true;
         }
 
-        console.warn('[FCM] Not configured. Set GOOGLE_APPLICATION_CREDENTIALS or FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY');
+        log.warn('Not configured. Set GOOGLE_APPLICATION_CREDENTIALS or FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY');
         return false;
     } catch (error) {
-        console.error('[FCM] Initialization error:', error.message);
+        log.error('Initialization error:', error.message);
         return false;
     }
 }
@@ -265,7 +280,7 @@ function updateTopicStats() {
 }
 
 // Note: No persistent storage - subscriber tracking is session-only
-console.log('[FCM] Subscriber tracking is session-only (no persistent storage)');
+log.info('Subscriber tracking is session-only (no persistent storage)');
 
 // ============ PUBLIC API ============
 
@@ -352,9 +367,9 @@ async function registerDevice(token, topics = [], metadata = {}) {
         for (const topic of topicsToAdd) {
             try {
                 await admin.messaging().subscribeToTopic([token], topic);
-                console.log(`[FCM] Subscribed ${token.slice(-8)} to topic: ${topic}`);
+                log.info(`Subscribed ${token.slice(-8)} to topic: ${topic}`);
             } catch (error) {
-                console.error(`[FCM] Error subscribing to topic ${topic}:`, error.message);
+                log.error(`Error subscribing to topic ${topic}:`, error.message);
             }
         }
 
@@ -362,9 +377,9 @@ async function registerDevice(token, topics = [], metadata = {}) {
         for (const topic of topicsToRemove) {
             try {
                 await admin.messaging().unsubscribeFromTopic([token], topic);
-                console.log(`[FCM] Unsubscribed ${token.slice(-8)} from topic: ${topic}`);
+                log.info(`Unsubscribed ${token.slice(-8)} from topic: ${topic}`);
             } catch (error) {
-                console.error(`[FCM] Error unsubscribing from topic ${topic}:`, error.message);
+                log.error(`Error unsubscribing from topic ${topic}:`, error.message);
             }
         }
 
@@ -386,7 +401,7 @@ async function registerDevice(token, topics = [], metadata = {}) {
             totalTopics: topics.length
         };
     } catch (error) {
-        console.error('[FCM] Error registering device:', error.message);
+        log.error('Error registering device:', error.message);
         return { success: false, error: error.message };
     }
 }
@@ -411,7 +426,7 @@ async function unregisterDevice(token) {
             try {
                 await admin.messaging().unsubscribeFromTopic([token], topic);
             } catch (error) {
-                console.error(`[FCM] Error unsubscribing from topic ${topic}:`, error.message);
+                log.error(`Error unsubscribing from topic ${topic}:`, error.message);
             }
         }
 
@@ -421,7 +436,7 @@ async function unregisterDevice(token) {
 
         return { success: true };
     } catch (error) {
-        console.error('[FCM] Error unregistering device:', error.message);
+        log.error('Error unregistering device:', error.message);
         return { success: false, error: error.message };
     }
 }
@@ -436,7 +451,7 @@ async function unregisterDevice(token) {
  */
 async function sendToTopic({ topic, title, body, data = {}, urgent = false }) {
     if (!isConfigured()) {
-        console.warn('[FCM] Not configured. Cannot send notification.');
+        log.warn('Not configured. Cannot send notification.');
         return { success: false, error: 'Not configured' };
     }
 
@@ -455,12 +470,14 @@ async function sendToTopic({ topic, title, body, data = {}, urgent = false }) {
     try {
         const response = await admin.messaging().send(message);
         stats.notificationsSent++;
+        countSend('topic', data, 'success');
         stats.lastSent = formatSwedishTimestamp();
-        console.log(`[FCM] Sent notification to topic "${topic}": "${title}"`);
+        log.info(`Sent notification to topic "${topic}": "${title}"`);
         return { success: true, messageId: response };
     } catch (error) {
         stats.errors++;
-        console.error('[FCM] Error sending to topic:', error.message);
+        countSend('topic', data, 'failure');
+        log.error('Error sending to topic:', error.message);
         logError('sendToTopic', error.message, { topic, title, body });
         return { success: false, error: error.message };
     }
@@ -476,7 +493,7 @@ async function sendToTopic({ topic, title, body, data = {}, urgent = false }) {
  */
 async function sendToTopics({ topics, title, body, data = {}, urgent = false }) {
     if (!isConfigured()) {
-        console.warn('[FCM] Not configured. Cannot send notification.');
+        log.warn('Not configured. Cannot send notification.');
         return { success: false, error: 'Not configured' };
     }
 
@@ -508,12 +525,14 @@ async function sendToTopics({ topics, title, body, data = {}, urgent = false })
     try {
         const response = await admin.messaging().send(message);
         stats.notificationsSent++;
+        countSend('condition', data, 'success');
         stats.lastSent = formatSwedishTimestamp();
-        console.log(`[FCM] Sent notification to topics [${topics.join(', ')}]: "${title}"`);
+        log.info(`Sent notification to topics [${topics.join(', ')}]: "${title}"`);
         return { success: true, messageId: response };
     } catch (error) {
         stats.errors++;
-        console.error('[FCM] Error sending to topics:', error.message);
+        countSend('condition', data, 'failure');
+        log.error('Error sending to topics:', error.message);
         logError('sendToTopics', error.message, { topics, title, body });
         return { success: false, error: error.message };
     }
@@ -529,7 +548,7 @@ async function sendToTopics({ topics, title, body, data = {}, urgent = false })
  */
 async function sendToDevice({ token, title, body, data = {}, urgent = false }) {
     if (!isConfigured()) {
-        console.warn('[FCM] Not configured. Cannot send notification.');
+        log.warn('Not configured. Cannot send notification.');
         return { success: false, error: 'Not configured' };
     }
 
@@ -548,12 +567,14 @@ async function sendToDevice({ token, title, body, data = {}, urgent = false }) {
     try {
         const response = await admin.messaging().send(message);
         stats.notificationsSent++;
+        countSend('device', data, 'success');
         stats.lastSent = formatSwedishTimestamp();
-        console.log(`[FCM] Sent notification to device: "${title}"`);
+        log.info(`Sent notification to device: "${title}"`);
         return { success: true, messageId: response };
     } catch (error) {
         stats.errors++;
-        console.error('[FCM] Error sending to device:', error.message);
+        countSend('device', data, 'failure');
+        log.error('Error sending to device:', error.message);
         logError('sendToDevice', error.message, { tokenPreview: `...${token.slice(-8)}`, title, body });
         return { success: false, error: error.message };
     }
@@ -719,7 +740,7 @@ async function sendGoalNotification(goal, options = {}) {
             : `(${teamTopics.map(topic => `'${topic}' in topics`).join(' || ')})`;
         const condition = `'goal_notifications' in topics && ${teamsCondition}`;
 
-        console.log(`[FCM] Sending goal notification to: ${condition}`);
+        log.info(`Sending goal notification to: ${condition}`);
         
         result = await sendWithCondition({
             condition,
@@ -784,14 +805,14 @@ async function sendHighlightNotification(highlight, options = {}) {
     const uniqueTeamTopics = [...new Set(teamTopics)];
 
     if (uniqueTeamTopics.length === 0) {
-        console.warn('[FCM] Highlight notification skipped - missing team topics');
+        log.warn('Highlight notification skipped - missing team topics');
         return { success: false, error: 'Missing team codes for highlight targeting' };
     }
 
     const teamsCondition = uniqueTeamTopics.map(topic => `'${topic}' in topics`).join(' || ');
     const condition = `'goal_notifications' in topics && (${teamsCondition})`;
 
-    console.log(`[FCM] Sending highlight notification to: ${condition}`);
+    log.info(`Sending highlight notification to: ${condition}`);
 
     return sendWithCondition({
         condition,
@@ -811,7 +832,7 @@ async function sendHighlightNotification(highlight, options = {}) {
  */
 async function sendWithCondition({ condition, title, body, data = {}, urgent = false }) {
     if (!isConfigured()) {
-        console.warn('[FCM] Not configured. Cannot send notification.');
+        log.warn('Not configured. Cannot send notification.');
         return { success: false, error: 'Not configured' };
     }
 
@@ -830,12 +851,14 @@ async function sendWithCondition({ condition, title, body, data = {}, urgent = f
     try {
         const response = await admin.messaging().send(message);
         stats.notificationsSent++;
+        countSend('condition', data, 'success');
         stats.lastSent = formatSwedishTimestamp();
-        console.log(`[FCM] Sent notification with condition: "${title}"`);
+        log.info(`Sent notification with condition: "${title}"`);
         return { success: true, messageId: response };
     } catch (error) {
         stats.errors++;
-        console.error('[FCM] Error sending with condition:', error.message);
+        countSend('condition', data, 'failure');
+        log.error('Error sending with condition:', error.message);
         logError('sendWithCondition', error.message, { condition, title, body });
         return { success: false, error: error.message };
     }
@@ -924,7 +947,7 @@ async function sendPreGameNotification(gameInfo) {
         }
         message += ` - starts in ${minutesUntilStart} minutes!`;
     } else {
-        console.warn(`[FCM] Unknown sport for pre-game notification: ${sport}`);
+        log.warn(`Unknown sport for pre-game notification: ${sport}`);
         return { success: false, error: 'Unknown sport' };
     }
 
@@ -950,11 +973,11 @@ async function sendPreGameNotification(gameInfo) {
         // Condition: pre_game AND (home_team OR away_team)
         const condition = `'${preGameTopic}' in topics && ('${homeTeamTopic}' in topics || '${awayTeamTopic}' in topics)`;
 
-        console.log(`[FCM] Sending pre-game notification for ${sport}: ${message}`);
+        log.info(`Sending pre-game notification for ${sport}: ${message}`);
         return sendWithCondition({ condition, title, body: message, data });
     } else {
         // For biathlon (or any sport without team codes), just use the pre-game topic
-        console.log(`[FCM] Sending pre-game notification for ${sport}: ${message}`);
+        log.info(`Sending pre-game notification for ${sport}: ${message}`);
         return sendToTopic({ topic: preGameTopic, title, body: message, data });
     }
 }
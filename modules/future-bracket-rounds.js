@@ -10,6 +10,11 @@
  * is unavailable the existing ESPN bracket still renders unchanged.
  */
 
+const upstreamClient = require('./upstream-client');
+const { createLogger } = require('./logger');
+
+const log = createLogger('bracket');
+
 const WIKIMEDIA_API = 'https://en.wikipedia.org/w/api.php';
 const CONFERENCE_PAGE = '2026–27 UEFA Conference League qualifying (third and play-off round matches)';
 const CACHE_MS = 30 * 60 * 1000;
@@ -208,10 +213,10 @@ async function fetchWikitext(pageTitle) {
         formatversion: '2',
         origin: '*'
     });
-    const response = await fetch(`${WIKIMEDIA_API}?${params}`, {
-        headers: { 'User-Agent': 'GamePulse/3.15 (https://github.com/kokarn/leksand-highlights)' },
-        signal: AbortSignal.timeout(8000)
-    });
+    // Each attempt times out after the Wikimedia entry in UPSTREAM_HOST_TIMEOUTS (8s).
+    const response = await upstreamClient.request(`${WIKIMEDIA_API}?${params}`, {
+        headers: { 'User-Agent': 'GamePulse/3.15 (https://github.com/kokarn/leksand-highlights)' }
+    }, { provider: 'wikipedia' });
     if (!response.ok) {
         throw new Error(`Wikimedia HTTP ${response.status}`);
     }
@@ -233,7 +238,7 @@ async function fetchConferenceFutureRounds() {
         cachedAt = Date.now();
         return cachedConference;
     } catch (error) {
-        console.warn('[Bracket] Future Conference League draw unavailable:', error.message);
+        log.warn('Future Conference League draw unavailable:', error.message);
         return [plannedRound('Third Round', 'Draw completed · fixture details temporarily unavailable', '2026-08-06', '2026-08-13'), plannedRound('Play-off Round', 'Draw: 3 August 2026', '2026-08-20', '2026-08-27')];
     }
 }
@@ -365,5 +370,5 @@ function mergeFutureRounds(bracket, futureRounds) {
 module.exports = {
     fetchConferenceFutureRounds,
     mergeFutureRounds,
-    __test: { describeSlot, splitSeriesRow, parseSportsSeriesRound, plainWikiText }
+    __test: { WIKIMEDIA_API, describeSlot, splitSeriesRow, parseSportsSeriesRound, plainWikiText }
 };
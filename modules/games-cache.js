@@ -9,33 +9,29 @@
  * rate-limit/ban risk against shl.se and ESPN.
  *
  * FIX: route every consumer through getActiveGames(sport), which reads the same
- * per-sport cache slots the HTTP layer already uses (cache.js), fetching the full
- * list at most once per TTL window and sharing it across all callers. A watcher fetch
+ * per-sport `games` cache namespaces the HTTP layer already uses (cache.js), fetching
+ * the full list at most once per TTL window and sharing it across all callers. A watcher fetch
  * warms the route cache and vice versa. TTL is live-aware: 15s when a game is live or
  * starting soon, 60s otherwise (identical to the existing HTTP behaviour).
  */
 
 const { getProvider } = require('./providers');
 const {
+    getCacheNamespace,
     getCachedGames,
     setCachedGames,
     setGamesLiveFlag,
-    getCachedAllsvenskanGames,
-    setCachedAllsvenskanGames,
-    setAllsvenskanLiveFlag,
-    getCachedSvenskaCupenGames,
-    setCachedSvenskaCupenGames,
-    setSvenskaCupenLiveFlag,
-    getCachedHockeyAllsvenskanGames,
-    setCachedHockeyAllsvenskanGames,
-    setHockeyAllsvenskanLiveFlag,
-    getCachedEuropaLeagueQualGames,
-    setCachedEuropaLeagueQualGames,
-    setEuropaLeagueQualLiveFlag,
-    getCachedConferenceLeagueQualGames,
-    setCachedConferenceLeagueQualGames,
-    setConferenceLeagueQualLiveFlag
+    SPORT_CACHES
 } = require('./cache');
+const liveEvents = require('./live-events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('games-cache');
+
+// Sports whose HTTP route reports its own, fresher games list to the live event
+// stream: /api/games (server.js loadShlGames) detects started games and fetches live
+// scores. Observing the raw schedule here too would make the two disagree.
+const OBSERVED_BY_ROUTE = new Set(['shl']);
 
 // How close to kickoff a pre-game counts as "starting soon" for fast-cache purposes.
 // Mirrors server.js STARTING_SOON_WINDOW_MINUTES / RECENT_START_WINDOW_MINUTES.
@@ -60,40 +56,19 @@ function shouldUseFastGamesCache(games, now = new Date()) {
         && games.some(game => game.state === 'live' || isGameNearStart(game, now));
 }
 
-// Per-sport cache adapters. Only the sports that back the watchers are wired here;
-// biathlon has its own dedicated cache/scheduler and is not polled per-goal.
-const CACHE_ADAPTERS = {
-    shl: {
-        get: getCachedGames,
-        set: setCachedGames,
-        setLiveFlag: setGamesLiveFlag
-    },
-    allsvenskan: {
-        get: getCachedAllsvenskanGames,
-        set: setCachedAllsvenskanGames,
-        setLiveFlag: setAllsvenskanLiveFlag
-    },
-    'svenska-cupen': {
-        get: getCachedSvenskaCupenGames,
-        set: setCachedSvenskaCupenGames,
-        setLiveFlag: setSvenskaCupenLiveFlag
-    },
-    hockeyallsvenskan: {
-        get: getCachedHockeyAllsvenskanGames,
-        set: setCachedHockeyAllsvenskanGames,
-        setLiveFlag: setHockeyAllsvenskanLiveFlag
-    },
-    'europa-league-qual': {
-        get: getCachedEuropaLeagueQualGames,
-        set: setCachedEuropaLeagueQualGames,
-        setLiveFlag: setEuropaLeagueQualLiveFlag
-    },
-    'conference-league-qual': {
-        get: getCachedConferenceLeagueQualGames,
-        set: setCachedConferenceLeagueQualGames,
-        setLiveFlag: setConferenceLeagueQualLiveFlag
-    }
-};
+// Per-sport cache adapters, derived from the cache registry. Only live-aware games
+// namespaces back the watchers; biathlon has its own scheduler-driven TTL and is not
+// polled per-goal.
+const CACHE_ADAPTERS = Object.fromEntries(
+    Object.keys(SPORT_CACHES)
+        .filter(sport => SPORT_CACHES[sport].resources.includes('games')
+            && getCacheNamespace(sport, 'games').liveAware)
+        .map(sport => [sport, {
+            get: () => getCachedGames(sport),
+            set: (games, hasLive) => setCachedGames(sport, games, hasLive),
+            setLiveFlag: hasLive => setGamesLiveFlag(sport, hasLive)
+        }])
+);
 
 // Coalesce concurrent misses per sport: if two watchers miss at the same instant,
 // they await the same in-flight fetch instead of both hitting the network.
@@ -121,6 +96,10 @@ async function getAllGamesCached(sport) {
         return cached;
     }
 
+    return fetchAndStoreGames(sport, adapter);
+}
+
+function fetchAndStoreGames(sport, adapter) {
     if (inFlight.has(sport)) {
         return inFlight.get(sport);
     }
@@ -131,7 +110,7 @@ async function getAllGamesCached(sport) {
         try {
             games = await provider.fetchAllGames();
         } catch (error) {
-            console.error(`[GamesCache] ${sport} fetchAllGames failed:`, error.message);
+            log.error(`${sport} fetchAllGames failed:`, error.message);
             return [];
         }
         if (!Array.isArray(games)) {
@@ -139,15 +118,31 @@ async function getAllGamesCached(sport) {
         }
         const fast = shouldUseFastGamesCache(games);
         adapter.set(games, fast);
+        if (!OBSERVED_BY_ROUTE.has(sport)) {
+            liveEvents.observeGames(sport, games);
+        }
         return games;
-    })();
+    })().finally(() => {
+        inFlight.delete(sport);
+    });
 
     inFlight.set(sport, fetchPromise);
-    try {
-        return await fetchPromise;
-    } finally {
-        inFlight.delete(sport);
+    return fetchPromise;
+}
+
+/**
+ * Refetch the full games list for a sport regardless of cache state and store it.
+ * Used to replace stale entries restored from a cache snapshot. Joins an in-flight
+ * fetch when one is already running. A failed fetch leaves the current entry in place.
+ * @param {string} sport
+ * @returns {Promise<Array>} fetched games (empty on error)
+ */
+async function refreshAllGames(sport) {
+    const adapter = CACHE_ADAPTERS[sport];
+    if (!adapter) {
+        throw new Error(`No games cache for sport: ${sport}`);
     }
+    return fetchAndStoreGames(sport, adapter);
 }
 
 /**
@@ -170,6 +165,7 @@ async function getActiveGames(sport) {
 module.exports = {
     getActiveGames,
     getAllGamesCached,
+    refreshAllGames,
     shouldUseFastGamesCache,
     isGameNearStart
 };
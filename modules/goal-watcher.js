@@ -4,6 +4,11 @@ const { getActiveGames } = require('./games-cache');
 const pushNotifications = require('./fcm-notifications');
 const { addEntry } = require('./activity-log');
 const teamIdentity = require('./team-identity');
+const liveEvents = require('./live-events');
+const { goalsDetected, timeWatcherRun } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('goal-watcher');
 
 // ============ GOAL WATCHER STATE ============
 // Track previously seen goals to detect new ones
@@ -234,6 +239,9 @@ async function checkGameForNewGoals(game, sport) {
             return [];
         }
 
+        // Penalties/cards go to the live stream only; goals are published below.
+        liveEvents.observeGameDetails(sport, game, details);
+
         const goals = details.events.goals || [];
 
         // Initialize seen goals for this game if needed
@@ -246,7 +254,7 @@ async function checkGameForNewGoals(game, sport) {
             // First check for this game with goals - mark all current goals as seen
             const goalIds = new Set(goals.map(g => getGoalId(g, gameId)));
             seenGoals.set(gameId, goalIds);
-            console.log(`[GoalWatcher] Initialized ${goalIds.size} existing goals for game ${gameId}`);
+            log.info(`Initialized ${goalIds.size} existing goals for game ${gameId}`);
             return [];
         }
 
@@ -302,7 +310,7 @@ async function checkGameForNewGoals(game, sport) {
 
         return newGoals;
     } catch (error) {
-        console.error(`[GoalWatcher] Error checking game ${gameId}:`, error.message);
+        log.error(`Error checking game ${gameId}:`, error.message);
         return [];
     }
 }
@@ -313,7 +321,7 @@ async function checkGameForNewGoals(game, sport) {
  */
 async function runCheck() {
     const timestamp = formatSwedishTimestamp();
-    console.log(`\n--- [GoalWatcher] Running check at ${timestamp} ---`);
+    log.debug('Running check');
 
     const results = {
         gamesChecked: 0,
@@ -338,7 +346,7 @@ async function runCheck() {
 
             return { liveCount: liveGames.length, goals: goalsPerGame.flat() };
         } catch (error) {
-            console.error(`[GoalWatcher] Error checking ${sport} games:`, error.message);
+            log.error(`Error checking ${sport} games:`, error.message);
             addEntry('goal-watcher', 'error', `Error checking ${sport} games: ${error.message}`);
             return { liveCount: 0, goals: [] };
         }
@@ -352,8 +360,10 @@ async function runCheck() {
     // Send notifications for new goals concurrently. Each send independently marks its
     // goal seen ONLY on success, so a failed send retries next tick (order-independent).
     await Promise.all(results.newGoals.map(async (goal) => {
-        console.log(`[GoalWatcher] New goal detected: ${goal.scorerName} for ${goal.scoringTeamName} (${goal.homeScore}-${goal.awayScore})`);
+        log.info(`New goal detected: ${goal.scorerName} for ${goal.scoringTeamName} (${goal.homeScore}-${goal.awayScore})`);
         addEntry('goal-watcher', 'goal', `Goal: ${goal.scorerName} for ${goal.scoringTeamName} (${goal.homeScore}-${goal.awayScore})`, { sport: goal.sport, gameId: goal.gameId });
+        // Stream clients get the goal right away; a push retry does not republish it.
+        liveEvents.publishGoal(goal);
 
         try {
             await pushNotifications.sendGoalNotification(goal);
@@ -368,7 +378,7 @@ async function runCheck() {
             stats.notificationsSent++;
             addEntry('goal-watcher', 'notification', `Goal notification sent: ${goal.scoringTeamName} (${goal.homeScore}-${goal.awayScore})`);
         } catch (error) {
-            console.error('[GoalWatcher] Error sending notification:', error.message);
+            log.error('Error sending notification:', error.message);
             addEntry('goal-watcher', 'error', `Goal notification failed (will retry): ${error.message}`);
         }
     }));
@@ -377,9 +387,10 @@ async function runCheck() {
     stats.lastCheck = timestamp;
     stats.gamesChecked = results.gamesChecked;
     stats.goalsDetected += results.newGoals.length;
+    results.newGoals.forEach(goal => goalsDetected.inc({ sport: goal.sport }));
 
     if (results.newGoals.length > 0) {
-        console.log(`[GoalWatcher] Detected ${results.newGoals.length} new goals, sent ${results.notificationsSent} notifications`);
+        log.info(`Detected ${results.newGoals.length} new goals, sent ${results.notificationsSent} notifications`);
     }
 
     return results;
@@ -412,9 +423,9 @@ function cleanupOldGames() {
     }
 
     if (evicted > 0) {
-        console.log(`[GoalWatcher] Cleanup evicted ${evicted} stale games. Now tracking ${seenGoals.size}.`);
+        log.info(`Cleanup evicted ${evicted} stale games. Now tracking ${seenGoals.size}.`);
     } else {
-        console.log(`[GoalWatcher] Tracking goals for ${seenGoals.size} games`);
+        log.debug(`Tracking goals for ${seenGoals.size} games`);
     }
 }
 
@@ -424,12 +435,12 @@ function cleanupOldGames() {
  */
 function startLoop() {
     if (isRunning) {
-        console.log('[GoalWatcher] Already running');
+        log.info('Already running');
         return;
     }
 
     isRunning = true;
-    console.log('[GoalWatcher] Starting goal watcher service...');
+    log.info('Starting goal watcher service...');
 
     const checkLoop = async () => {
         if (!isRunning) {
@@ -437,18 +448,18 @@ function startLoop() {
         }
 
         try {
-            const results = await runCheck();
+            const results = await timeWatcherRun('goal-watcher', runCheck);
 
             // Check more frequently if there are live games
             const delay = results.gamesChecked > 0 ? 10 * 1000 : 60 * 1000;
 
             if (results.gamesChecked > 0) {
-                console.log(`[GoalWatcher] ${results.gamesChecked} live games. Next check in 10 seconds.`);
+                log.debug(`${results.gamesChecked} live games, next check in 10 seconds`);
             }
 
             setTimeout(checkLoop, delay);
         } catch (error) {
-            console.error('[GoalWatcher] Error in main loop:', error);
+            log.error('Error in main loop:', error);
             setTimeout(checkLoop, 60 * 1000);
         }
     };
@@ -465,7 +476,7 @@ function startLoop() {
  */
 function stopLoop() {
     isRunning = false;
-    console.log('[GoalWatcher] Stopped');
+    log.info('Stopped');
 }
 
 /**
@@ -0,0 +1,225 @@
+/**
+ * Head-to-head history between two teams.
+ *
+ * GET /api/h2h?sport&teamA&teamB collects the finished meetings from the current game
+ * list and, for sports with the seasons capability, the last ?seasons past seasons
+ * (loadPastSeasonGames, cached for a day). It answers the meetings, newest first, and
+ * per-team records overall and split by home and away. Past seasons that cannot be
+ * fetched are listed under `unavailable`.
+ */
+
+const express = require('express');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const { loadSportGames, loadPastSeasonGames, loadSportStandings } = require('./sport-routes');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('h2h');
+
+// Sports without teams.
+const NO_TEAM_SPORTS = ['biathlon'];
+
+function startTime(game) {
+    const time = new Date(game.startDateTime).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function matchesTeam(teamInfo, query) {
+    const target = String(query).trim().toLowerCase();
+    return Boolean(teamInfo) && [teamInfo.code, teamInfo.uuid, teamInfo.names?.short, teamInfo.names?.long]
+        .some(value => value && String(value).toLowerCase() === target);
+}
+
+// SHL games carry the final score on home/awayTeamResult; the football providers
+// only set it on home/awayTeamInfo.
+function toScore(result, teamInfo) {
+    for (const candidate of [result?.score, teamInfo?.score]) {
+        const score = Number(candidate);
+        if (candidate !== undefined && candidate !== null && Number.isFinite(score)) {
+            return score;
+        }
+    }
+    return null;
+}
+
+function emptyRecord() {
+    return { played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 };
+}
+
+function addResult(record, goalsFor, goalsAgainst) {
+    record.played += 1;
+    record.goalsFor += goalsFor;
+    record.goalsAgainst += goalsAgainst;
+    if (goalsFor > goalsAgainst) {
+        record.wins += 1;
+    } else if (goalsFor < goalsAgainst) {
+        record.losses += 1;
+    } else {
+        record.draws += 1;
+    }
+}
+
+function emptySide(query) {
+    return { query, info: null, ...emptyRecord(), home: emptyRecord(), away: emptyRecord() };
+}
+
+// ============ HEAD TO HEAD ============
+
+/**
+ * Meetings and aggregates from game lists. Games are de-duplicated by uuid, so
+ * overlapping lists (the current list can include last season's games) are fine.
+ * @param {Array<Array>} gameLists
+ * @param {string} teamA - Code, uuid or name
+ * @param {string} teamB
+ * @returns {{ teamA: Object, teamB: Object, played: number, draws: number, meetings: Array }}
+ */
+function buildHeadToHead(gameLists, teamA, teamB) {
+    const sides = { teamA: emptySide(teamA), teamB: emptySide(teamB) };
+    const seen = new Set();
+    const meetings = [];
+
+    for (const game of gameLists.flat()) {
+        const id = game?.uuid || game?.id;
+        if (!game || (id && seen.has(id))) {
+            continue;
+        }
+        if (id) {
+            seen.add(id);
+        }
+
+        for (const side of Object.values(sides)) {
+            side.info = side.info || [game.homeTeamInfo, game.awayTeamInfo].find(info => matchesTeam(info, side.query)) || null;
+        }
+
+        const aIsHome = matchesTeam(game.homeTeamInfo, teamA) && matchesTeam(game.awayTeamInfo, teamB);
+        const aIsAway = matchesTeam(game.homeTeamInfo, teamB) && matchesTeam(game.awayTeamInfo, teamA);
+        if ((!aIsHome && !aIsAway) || game.state !== 'post-game') {
+            continue;
+        }
+        const homeScore = toScore(game.homeTeamResult, game.homeTeamInfo);
+        const awayScore = toScore(game.awayTeamResult, game.awayTeamInfo);
+        if (homeScore === null || awayScore === null) {
+            continue;
+        }
+
+        const goalsA = aIsHome ? homeScore : awayScore;
+        const goalsB = aIsHome ? awayScore : homeScore;
+        addResult(sides.teamA, goalsA, goalsB);
+        addResult(sides.teamA[aIsHome ? 'home' : 'away'], goalsA, goalsB);
+        addResult(sides.teamB, goalsB, goalsA);
+        addResult(sides.teamB[aIsHome ? 'away' : 'home'], goalsB, goalsA);
+
+        let winner = 'draw';
+        if (goalsA !== goalsB) {
+            winner = goalsA > goalsB ? 'teamA' : 'teamB';
+        }
+        meetings.push({ ...game, winner });
+    }
+
+    meetings.sort((a, b) => startTime(b) - startTime(a));
+    return {
+        teamA: sides.teamA,
+        teamB: sides.teamB,
+        played: meetings.length,
+        draws: sides.teamA.draws,
+        meetings
+    };
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the head-to-head router. Mount it at /api/h2h.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy sport id -> sport id (e.g. { football: 'allsvenskan' })
+ * @param {Object} [options.sources] - sport -> async () => games, for sports whose list
+ *   is not the plain provider list (SHL's manually added games)
+ * @returns {express.Router}
+ */
+function createHeadToHeadRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const sources = options.sources || {};
+    const router = express.Router();
+
+    // Past seasons to read, newest first, from the current standings' season list.
+    async function listPastSeasons(sport, provider, count, label) {
+        if (!count || !getSportCapabilities(sport).seasons || typeof provider.fetchStandings !== 'function') {
+            return [];
+        }
+        const standings = await loadSportStandings(sport, provider, { label });
+        const current = standings?.season ? String(standings.season) : null;
+        return (standings?.availableSeasons || [])
+            .map(String)
+            .filter(season => season !== current)
+            .slice(0, count);
+    }
+
+    /**
+     * GET /api/h2h
+     */
+    router.get('/', validateRequest('getHeadToHead'), async (req, res) => {
+        const { teamA, teamB, seasons: seasonCount } = req.input.query;
+        const sport = aliases[req.input.query.sport] || req.input.query.sport;
+        if (!getAvailableSports().includes(sport)) {
+            return res.status(404).json({ error: `Unknown sport: ${req.input.query.sport}` });
+        }
+        if (NO_TEAM_SPORTS.includes(sport)) {
+            return res.status(404).json({ error: `Head-to-head not available for ${sport}` });
+        }
+
+        if (teamA.trim().toLowerCase() === teamB.trim().toLowerCase()) {
+            const message = 'teamA and teamB must be different teams';
+            return res.status(400).json({ error: message, details: [{ in: 'query', name: 'teamB', message }] });
+        }
+
+        const provider = getProvider(sport);
+        const label = req.originalUrl;
+        let current;
+        try {
+            current = sources[sport]
+                ? await sources[sport]()
+                : await loadSportGames(sport, provider, { label });
+        } catch (error) {
+            log.error(`Error loading ${sport} games:`, error);
+            return res.status(500).json({ error: error.message });
+        }
+
+        const unavailable = [];
+        let pastSeasons = [];
+        try {
+            pastSeasons = await listPastSeasons(sport, provider, seasonCount, label);
+        } catch (error) {
+            log.warn(`No past ${sport} seasons:`, error.message);
+            unavailable.push({ season: null, error: error.message });
+        }
+        const past = await Promise.all(pastSeasons.map(async (season) => {
+            try {
+                return await loadPastSeasonGames(sport, provider, season, { label: `${label} (${season})` });
+            } catch (error) {
+                log.warn(`Leaving ${sport} ${season} out of head-to-head:`, error.message);
+                unavailable.push({ season, error: error.message });
+                return [];
+            }
+        }));
+
+        const result = buildHeadToHead([current, ...past], teamA, teamB);
+        const missing = [result.teamA, result.teamB].find(side => !side.info);
+        if (missing) {
+            return res.status(404).json({ error: `Team not found in ${sport}: ${missing.query}` });
+        }
+
+        res.json({
+            sport,
+            seasons: pastSeasons,
+            ...result,
+            unavailable
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHeadToHeadRouter,
+    buildHeadToHead
+};
@@ -0,0 +1,220 @@
+/**
+ * Health and readiness reports for /healthz/ready and /api/health.
+ *
+ * HealthMonitor builds a report from state the modules already keep:
+ * - providers: failure streak and last OK answer (upstream-client.js), plus the age
+ *   of the sport's games cache
+ * - fcm: whether Firebase credentials are configured
+ * - watchers: when each background loop last finished a run (metrics.js)
+ * - stateStorage: whether every state document can still be written (state-store.js)
+ * Each check is ok, degraded or down; only down checks make the instance not ready.
+ * The sources are passed in by server.js.
+ */
+
+const { HEALTH_PROVIDER_FAILURE_THRESHOLD } = require('./config');
+
+const STATUS_ORDER = ['unknown', 'ok', 'degraded', 'down'];
+
+// Games lists of polled sports are refreshed by the goal watcher, which ticks at
+// least once a minute (goal-watcher.js).
+const DEFAULT_GAMES_REFRESH_INTERVAL = 60 * 1000;
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst), 'ok');
+}
+
+function toIso(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+class HealthMonitor {
+    /**
+     * @param {Object} sources
+     * @param {Function} sources.providers - () => [{ sport, name, slug }]
+     * @param {Function} sources.getUpstreamStatus - () => provider slug -> stats (upstream-client getProviderStatus())
+     * @param {Function} sources.getGamesCache - (sport) => games cache namespace status, or null
+     * @param {Object} [sources.gamesRefreshIntervals] - sport -> ms between refreshes of its games list
+     * @param {Object} sources.watchers - name -> { getStats: () => { running }, interval: ms (longest) }
+     * @param {Function} sources.getWatcherLastRun - (name) => ms timestamp or null
+     * @param {Function} sources.isFcmConfigured - () => boolean
+     * @param {Function} sources.checkStateStorage - () => [{ name, location, writable, error }]
+     * @param {number} [sources.failureThreshold] - Defaults to HEALTH_PROVIDER_FAILURE_THRESHOLD
+     * @param {Function} [sources.now] - Clock, injectable for tests
+     */
+    constructor(sources) {
+        this.sources = sources;
+        this.gamesRefreshIntervals = sources.gamesRefreshIntervals || {};
+        this.failureThreshold = sources.failureThreshold ?? HEALTH_PROVIDER_FAILURE_THRESHOLD;
+        this.now = sources.now || Date.now;
+        this.createdAt = this.now();
+        this.startedAt = null;
+    }
+
+    /**
+     * Called once the server listens and the background loops are started.
+     */
+    markStarted() {
+        this.startedAt = this.now();
+    }
+
+    checkProvider({ sport, name, slug }, upstreamStatus) {
+        const upstream = upstreamStatus[slug] || null;
+        const reasons = [];
+
+        if (upstream && upstream.consecutiveFailures >= this.failureThreshold) {
+            reasons.push(`${upstream.consecutiveFailures} consecutive upstream failures (last: ${upstream.lastError})`);
+        }
+
+        const cache = this.sources.getGamesCache(sport);
+        let data = null;
+        if (cache) {
+            const refreshInterval = this.gamesRefreshIntervals[sport] ?? DEFAULT_GAMES_REFRESH_INTERVAL;
+            // One missed refresh is tolerated before the data counts as stale.
+            const maxAgeSeconds = cache.ttlSeconds + Math.round((2 * refreshInterval) / 1000);
+            const stale = cache.cached && cache.ageSeconds > maxAgeSeconds;
+            data = {
+                cached: cache.cached,
+                ageSeconds: cache.ageSeconds,
+                ttlSeconds: cache.ttlSeconds,
+                maxAgeSeconds,
+                stale,
+                restoredFromSnapshot: cache.staleEntries > 0
+            };
+            if (stale) {
+                reasons.push(`games data is ${cache.ageSeconds}s old (policy allows ${maxAgeSeconds}s)`);
+            }
+        }
+
+        let status = 'unknown';
+        if (reasons.length) {
+            status = 'degraded';
+        } else if (upstream?.lastSuccessAt || data?.cached) {
+            status = 'ok';
+        }
+
+        return {
+            status,
+            reasons,
+            name,
+            provider: slug,
+            upstream: upstream
+                ? {
+                    requests: upstream.requests,
+                    failures: upstream.failures,
+                    consecutiveFailures: upstream.consecutiveFailures,
+                    lastSuccessAt: upstream.lastSuccessAt,
+                    lastFailureAt: upstream.lastFailureAt,
+                    lastError: upstream.lastError
+                }
+                : null,
+            data
+        };
+    }
+
+    checkWatcher(name, { getStats, interval }, now) {
+        const running = Boolean(getStats()?.running);
+        const lastRunAt = this.sources.getWatcherLastRun(name);
+        const maxAgeSeconds = Math.round((2 * interval) / 1000);
+        const sinceSeconds = Math.round((now - (lastRunAt || this.startedAt || this.createdAt)) / 1000);
+        const reasons = [];
+
+        if (!running) {
+            reasons.push('not running');
+        } else if (sinceSeconds > maxAgeSeconds) {
+            reasons.push(lastRunAt
+                ? `last run finished ${sinceSeconds}s ago (expected at least every ${Math.round(interval / 1000)}s)`
+                : `no run has finished in ${sinceSeconds}s since start`);
+        }
+
+        return {
+            status: reasons.length ? 'degraded' : 'ok',
+            reasons,
+            running,
+            lastRunAt: toIso(lastRunAt),
+            maxAgeSeconds
+        };
+    }
+
+    checkFcm() {
+        const configured = Boolean(this.sources.isFcmConfigured());
+        return {
+            status: configured ? 'ok' : 'degraded',
+            reasons: configured ? [] : ['Firebase is not configured; push notifications are disabled'],
+            configured
+        };
+    }
+
+    checkStateStorage() {
+        const documents = this.sources.checkStateStorage();
+        const reasons = documents
+            .filter(document => !document.writable)
+            .map(document => `${document.location} is not writable: ${document.error}`);
+        return {
+            status: reasons.length ? 'down' : 'ok',
+            reasons,
+            documents
+        };
+    }
+
+    checkStartup() {
+        return this.startedAt
+            ? { status: 'ok', reasons: [] }
+            : { status: 'down', reasons: ['server is starting'] };
+    }
+
+    /**
+     * Readiness for load balancers: started and able to write state.
+     * @returns {{ ready: boolean, status: string, reasons: string[] }}
+     */
+    getReadiness() {
+        const checks = [this.checkStartup(), this.checkStateStorage()];
+        const ready = checks.every(check => check.status !== 'down');
+        return {
+            ready,
+            status: ready ? 'ready' : 'not_ready',
+            reasons: checks.flatMap(check => check.reasons)
+        };
+    }
+
+    /**
+     * Full report. status is the worst of all checks; providers without any data or
+     * upstream traffic yet are 'unknown' and do not degrade it.
+     * @returns {Object}
+     */
+    getReport() {
+        const now = this.now();
+        const upstreamStatus = this.sources.getUpstreamStatus() || {};
+
+        const providers = Object.fromEntries(this.sources.providers()
+            .map(provider => [provider.sport, this.checkProvider(provider, upstreamStatus)]));
+        const watchers = Object.fromEntries(Object.entries(this.sources.watchers)
+            .map(([name, watcher]) => [name, this.checkWatcher(name, watcher, now)]));
+        const fcm = this.checkFcm();
+        const stateStorage = this.checkStateStorage();
+        const startup = this.checkStartup();
+
+        const status = worstStatus([
+            startup.status,
+            fcm.status,
+            stateStorage.status,
+            ...Object.values(providers).map(check => check.status),
+            ...Object.values(watchers).map(check => check.status)
+        ]);
+
+        return {
+            status,
+            ready: startup.status !== 'down' && stateStorage.status !== 'down',
+            timestamp: new Date(now).toISOString(),
+            startedAt: toIso(this.startedAt),
+            providers,
+            fcm,
+            watchers,
+            stateStorage
+        };
+    }
+}
+
+module.exports = {
+    HealthMonitor
+};
@@ -0,0 +1,278 @@
+/**
+ * Atom feeds of newly published highlight clips.
+ *
+ * The notifier records every new highlight / goal clip (recordClip) in the persisted
+ * `highlight_feed` state document, served as:
+ *   GET /api/feeds/highlights.xml                  every sport (?sport ?team)
+ *   GET /api/feeds/:sport/highlights.xml           one league (legacy aliases accepted)
+ *   GET /api/feeds/team/:code/highlights.xml       clips from a team's games
+ * Absolute links are built from PUBLIC_BASE_URL, never the request's Host header.
+ */
+
+const express = require('express');
+const { HIGHLIGHT_FEED_SIZE, HIGHLIGHT_FEED_ENTRIES, PUBLIC_BASE_URL } = require('./config');
+const { getProvider, getAvailableSports } = require('./providers');
+const { StateDocument } = require('./state-store');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('highlight-feed');
+
+const FEED_SCHEMA_VERSION = 1;
+const FEED_CACHE_CONTROL = 'public, max-age=300';
+const ATOM_CONTENT_TYPE = 'application/atom+xml; charset=utf-8';
+
+const document = new StateDocument('highlight_feed', {
+    schemaVersion: FEED_SCHEMA_VERSION,
+    defaultValue: () => [],
+    logger: log
+});
+
+// ============ STORE ============
+
+function readEntries() {
+    const entries = document.load();
+    return Array.isArray(entries) ? entries : [];
+}
+
+function normalizeCode(code) {
+    return code ? String(code).trim().toUpperCase() : null;
+}
+
+function toIsoDate(value, fallback) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+}
+
+/**
+ * Record a newly seen clip. Only highlights and goal clips are kept; anything else
+ * (and a clip already in the feed) is ignored.
+ * @param {string} sport
+ * @param {Object} gameInfo - provider.getGameDisplayInfo() result
+ * @param {Object} video - Provider video object
+ * @param {Object} options
+ * @param {boolean} [options.isHighlight]
+ * @param {boolean} [options.isGoalClip]
+ * @param {string} [options.videoUrl] - provider.getVideoUrl(video)
+ * @param {string|null} [options.thumbnail] - provider.getVideoThumbnail(video)
+ * @param {string} [options.league] - Provider display name
+ * @returns {Object|null} The stored entry, or null when nothing was recorded
+ */
+function recordClip(sport, gameInfo, video, options = {}) {
+    const { isHighlight = false, isGoalClip = false } = options;
+    if ((!isHighlight && !isGoalClip) || !video?.id) {
+        return null;
+    }
+
+    const id = `${sport}:${video.id}`;
+    const entries = readEntries();
+    if (entries.some(entry => entry.id === id)) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+        id,
+        sport,
+        league: options.league || sport,
+        gameId: gameInfo.gameId,
+        videoId: video.id,
+        title: video.title || video.name || video.description || `Highlights: ${gameInfo.homeTeam} vs ${gameInfo.awayTeam}`,
+        videoUrl: options.videoUrl || null,
+        thumbnail: options.thumbnail || null,
+        homeTeam: gameInfo.homeTeam,
+        awayTeam: gameInfo.awayTeam,
+        homeTeamCode: normalizeCode(gameInfo.homeTeamCode),
+        awayTeamCode: normalizeCode(gameInfo.awayTeamCode),
+        gameStartTime: gameInfo.startTime || null,
+        isHighlight,
+        isGoalClip,
+        publishedAt: toIsoDate(video.date || video.publishedAt || video.created_at, now),
+        recordedAt: now
+    };
+
+    entries.unshift(entry);
+    document.save(entries.slice(0, HIGHLIGHT_FEED_SIZE));
+    return entry;
+}
+
+/**
+ * Stored clips, newest first.
+ * @param {Object} [filter]
+ * @param {string[]} [filter.sports]
+ * @param {string[]} [filter.teams] - Team codes (either side of the game)
+ * @param {number} [filter.limit]
+ * @returns {Array}
+ */
+function getEntries({ sports = [], teams = [], limit = HIGHLIGHT_FEED_ENTRIES } = {}) {
+    const teamCodes = teams.map(normalizeCode).filter(Boolean);
+    return readEntries()
+        .filter(entry => sports.length === 0 || sports.includes(entry.sport))
+        .filter(entry => teamCodes.length === 0
+            || teamCodes.includes(entry.homeTeamCode)
+            || teamCodes.includes(entry.awayTeamCode))
+        .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+        .slice(0, limit);
+}
+
+// ============ ATOM ============
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function getProxiedImageUrl(baseUrl, imageUrl) {
+    return imageUrl ? `${baseUrl}/api/img?url=${encodeURIComponent(imageUrl)}` : null;
+}
+
+function buildEntryContent(entry, thumbnailUrl) {
+    const parts = [];
+    if (thumbnailUrl) {
+        parts.push(`<p><img src="${escapeXml(thumbnailUrl)}" alt="${escapeXml(entry.title)}"/></p>`);
+    }
+    parts.push(`<p>${escapeXml(entry.homeTeam)} vs ${escapeXml(entry.awayTeam)} · ${escapeXml(entry.league)}</p>`);
+    if (entry.videoUrl) {
+        parts.push(`<p><a href="${escapeXml(entry.videoUrl)}">Watch the clip</a></p>`);
+    }
+    return parts.join('');
+}
+
+function buildEntry(entry, baseUrl) {
+    const thumbnailUrl = getProxiedImageUrl(baseUrl, entry.thumbnail);
+    const gameUrl = `${baseUrl}/api/${encodeURIComponent(entry.sport)}/game/${encodeURIComponent(entry.gameId)}/details`;
+    const lines = [
+        '  <entry>',
+        `    <id>urn:gamepulse:clip:${escapeXml(entry.id)}</id>`,
+        `    <title>${escapeXml(entry.title)}</title>`,
+        `    <published>${entry.publishedAt}</published>`,
+        `    <updated>${entry.publishedAt}</updated>`,
+        entry.videoUrl ? `    <link rel="alternate" type="text/html" href="${escapeXml(entry.videoUrl)}"/>` : null,
+        `    <link rel="related" type="application/json" title="${escapeXml(`${entry.homeTeam} vs ${entry.awayTeam}`)}" href="${escapeXml(gameUrl)}"/>`,
+        thumbnailUrl ? `    <media:thumbnail url="${escapeXml(thumbnailUrl)}"/>` : null,
+        `    <category term="${escapeXml(entry.sport)}" label="${escapeXml(entry.league)}"/>`,
+        ...[entry.homeTeamCode, entry.awayTeamCode].filter(Boolean).map(code => `    <category term="${escapeXml(code)}"/>`),
+        `    <summary>${escapeXml(`${entry.homeTeam} vs ${entry.awayTeam} (${entry.league})`)}</summary>`,
+        `    <content type="html">${escapeXml(buildEntryContent(entry, thumbnailUrl))}</content>`,
+        '  </entry>'
+    ];
+    return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Serialize entries as an Atom feed.
+ * @param {Array} entries - getEntries() result
+ * @param {Object} meta
+ * @param {string} meta.id - Stable feed id (URN)
+ * @param {string} meta.title
+ * @param {string} meta.baseUrl - Absolute server origin, for self/proxy links
+ * @param {string} meta.selfPath - Request path of this feed
+ * @returns {string}
+ */
+function buildAtomFeed(entries, { id, title, baseUrl, selfPath }) {
+    const updated = entries[0]?.publishedAt || new Date().toISOString();
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+        `  <id>${escapeXml(id)}</id>`,
+        `  <title>${escapeXml(title)}</title>`,
+        `  <updated>${updated}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${baseUrl}${selfPath}`)}"/>`,
+        '  <author><name>GamePulse</name></author>',
+        '  <generator>GamePulse</generator>',
+        ...entries.map(entry => buildEntry(entry, baseUrl)),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the highlight feed router. Mount it under /api/feeds.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy sport id -> sport id (e.g. { football: 'allsvenskan' })
+ * @param {string} [options.baseUrl] - Public origin for absolute links (defaults to PUBLIC_BASE_URL)
+ * @returns {express.Router}
+ */
+function createFeedsRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const baseUrl = options.baseUrl || PUBLIC_BASE_URL;
+    const router = express.Router();
+
+    const resolveSport = value => aliases[value] || value;
+
+    const sendFeed = (req, res, { id, title, sports = [], teams = [] }) => {
+        const unknown = sports.filter(sport => !getAvailableSports().includes(sport));
+        if (unknown.length > 0) {
+            return res.status(404).json({ error: `Unknown sport: ${unknown.join(', ')}` });
+        }
+
+        res.set({
+            'Content-Type': ATOM_CONTENT_TYPE,
+            'Cache-Control': FEED_CACHE_CONTROL
+        });
+        res.send(buildAtomFeed(getEntries({ sports, teams }), {
+            id,
+            title,
+            baseUrl,
+            selfPath: req.originalUrl
+        }));
+    };
+
+    /**
+     * GET /api/feeds/highlights.xml
+     * All recorded clips. ?sport and ?team narrow it (comma-separated).
+     */
+    router.get('/highlights.xml', validateRequest('getHighlightsFeed'), (req, res) => {
+        const sports = (req.input.query.sport || []).map(sport => resolveSport(sport.toLowerCase()));
+        const teams = (req.input.query.team || []).map(normalizeCode);
+        const scope = [...sports, ...teams].join(',');
+        sendFeed(req, res, {
+            id: scope ? `urn:gamepulse:feed:highlights:${scope}` : 'urn:gamepulse:feed:highlights',
+            title: scope ? `GamePulse highlights (${scope})` : 'GamePulse highlights',
+            sports,
+            teams
+        });
+    });
+
+    /**
+     * GET /api/feeds/team/:code/highlights.xml
+     * Clips from games a team played in.
+     */
+    router.get('/team/:code/highlights.xml', validateRequest('getTeamHighlightsFeed'), (req, res) => {
+        const code = normalizeCode(req.params.code);
+        sendFeed(req, res, {
+            id: `urn:gamepulse:feed:highlights:team:${code}`,
+            title: `${code} highlights`,
+            teams: [code]
+        });
+    });
+
+    /**
+     * GET /api/feeds/:sport/highlights.xml
+     * Clips from one league.
+     */
+    router.get('/:sport/highlights.xml', validateRequest('getSportHighlightsFeed'), (req, res) => {
+        const sport = resolveSport(String(req.params.sport).toLowerCase());
+        const known = getAvailableSports().includes(sport);
+        sendFeed(req, res, {
+            id: `urn:gamepulse:feed:highlights:${sport}`,
+            title: known ? `${getProvider(sport).getName()} highlights` : sport,
+            sports: [sport]
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    recordClip,
+    getEntries,
+    buildAtomFeed,
+    createFeedsRouter
+};
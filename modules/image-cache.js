@@ -0,0 +1,201 @@
+/**
+ * Size-bounded on-disk cache for the /api/img proxy.
+ *
+ * Originals and rendered variants are stored under IMAGE_CACHE_DIR, keyed by
+ * sha256(version + url + variant):
+ *   <key>.img   the bytes
+ *   <key>.json  { url, variant, contentType, size, createdAt }
+ * Entries expire after IMAGE_CACHE_TTL, and the least recently used ones are deleted
+ * past IMAGE_CACHE_MAX_BYTES. Disk errors are logged and treated as misses.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { IMAGE_CACHE_DIR, IMAGE_CACHE_MAX_BYTES, IMAGE_CACHE_TTL } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('image-cache');
+
+// Part of every key; bump it when the stored bytes change meaning so old entries are
+// never served (they age out through LRU eviction).
+// 2: SVGs are sanitised before they are stored
+const CACHE_VERSION = 2;
+
+class DiskImageCache {
+    /**
+     * @param {Object} [options] - Defaults come from config.js
+     * @param {string} [options.dir]
+     * @param {number} [options.maxBytes]
+     * @param {number} [options.ttl]
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || IMAGE_CACHE_DIR;
+        this.maxBytes = options.maxBytes ?? IMAGE_CACHE_MAX_BYTES;
+        this.ttl = options.ttl ?? IMAGE_CACHE_TTL;
+        this.now = options.now || Date.now;
+        // key -> metadata, least recently used first
+        this.index = null;
+        this.indexPromise = null;
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+    }
+
+    static key(url, variant) {
+        return crypto.createHash('sha256').update(`${CACHE_VERSION}\n${url}\n${variant}`).digest('hex');
+    }
+
+    filePath(key, extension) {
+        return path.join(this.dir, `${key}.${extension}`);
+    }
+
+    async loadIndex() {
+        if (this.index) {
+            return this.index;
+        }
+        if (!this.indexPromise) {
+            this.indexPromise = this.readIndex().then(index => {
+                this.index = index;
+                return index;
+            });
+        }
+        return this.indexPromise;
+    }
+
+    async readIndex() {
+        const entries = [];
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            for (const name of await fs.promises.readdir(this.dir)) {
+                if (!name.endsWith('.json')) {
+                    continue;
+                }
+                try {
+                    const meta = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+                    const stat = await fs.promises.stat(this.filePath(meta.key, 'img'));
+                    entries.push({ ...meta, lastAccessAt: stat.mtimeMs });
+                } catch (error) {
+                    // Half-written or orphaned entry; it is overwritten on the next store.
+                }
+            }
+        } catch (error) {
+            this.recordError('read index', error);
+        }
+
+        entries.sort((a, b) => a.lastAccessAt - b.lastAccessAt);
+        const index = new Map(entries.map(entry => [entry.key, entry]));
+        this.totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        return index;
+    }
+
+    recordError(operation, error) {
+        this.stats.errors++;
+        log.error(`Failed to ${operation}:`, error.message);
+    }
+
+    /**
+     * @param {string} url
+     * @param {string} variant - e.g. 'original', 'w64-png'
+     * @returns {Promise<{ buffer: Buffer, contentType: string }|null>}
+     */
+    async get(url, variant) {
+        const index = await this.loadIndex();
+        const key = DiskImageCache.key(url, variant);
+        const meta = index.get(key);
+
+        if (!meta || this.now() - meta.createdAt > this.ttl) {
+            if (meta) {
+                await this.remove(key);
+            }
+            this.stats.misses++;
+            return null;
+        }
+
+        try {
+            const buffer = await fs.promises.readFile(this.filePath(key, 'img'));
+            index.delete(key);
+            index.set(key, { ...meta, lastAccessAt: this.now() });
+            this.stats.hits++;
+            return { buffer, contentType: meta.contentType };
+        } catch (error) {
+            this.recordError(`read ${variant} of ${url}`, error);
+            await this.remove(key);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store an image, then evict least recently used entries over the size bound.
+     * @param {string} url
+     * @param {string} variant
+     * @param {{ buffer: Buffer, contentType: string }} image
+     */
+    async set(url, variant, { buffer, contentType }) {
+        if (buffer.length > this.maxBytes) {
+            return;
+        }
+        const index = await this.loadIndex();
+        const key = DiskImageCache.key(url, variant);
+        const meta = { key, url, variant, contentType, size: buffer.length, createdAt: this.now() };
+
+        try {
+            await this.remove(key);
+            const tmpPath = `${this.filePath(key, 'img')}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, buffer);
+            await fs.promises.rename(tmpPath, this.filePath(key, 'img'));
+            await fs.promises.writeFile(this.filePath(key, 'json'), JSON.stringify(meta));
+        } catch (error) {
+            this.recordError(`store ${variant} of ${url}`, error);
+            return;
+        }
+
+        index.set(key, { ...meta, lastAccessAt: this.now() });
+        this.totalBytes += meta.size;
+        this.stats.writes++;
+
+        for (const oldestKey of index.keys()) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            await this.remove(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    async remove(key) {
+        const meta = this.index?.get(key);
+        if (meta) {
+            this.index.delete(key);
+            this.totalBytes -= meta.size;
+        }
+        await Promise.all(['img', 'json'].map(extension =>
+            fs.promises.rm(this.filePath(key, extension), { force: true }).catch(() => {})
+        ));
+    }
+
+    async clear() {
+        const index = await this.loadIndex();
+        await Promise.all(Array.from(index.keys()).map(key => this.remove(key)));
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            dir: this.dir,
+            entries: this.index ? this.index.size : null,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            ...this.stats,
+            hitRate: lookups ? this.stats.hits / lookups : null
+        };
+    }
+}
+
+const imageCache = new DiskImageCache();
+
+module.exports = {
+    DiskImageCache,
+    imageCache
+};
@@ -8,10 +8,27 @@
  * behind the Kokarn API.
  *
  * Security: the target URL is validated against a strict host allowlist (SSRF
- * protection) and only http/https + image content is proxied.
+ * protection) and only http/https + image content is proxied. The body must sniff as
+ * the declared image type, and SVGs are sanitised before they are cached or served
+ * (image-sanitizer.js).
+ *
+ * Variants: `?w=` / `?h=` (1-IMAGE_MAX_DIMENSION px) return a PNG scaled to fit, so
+ * the app can ask for exactly the size it renders. SVG logos are rasterised with resvg
+ * (`?format=png` rasterises at natural size). resvg only encodes PNG, which is often
+ * larger than a photographic JPEG thumbnail, so a resized raster image that comes out
+ * bigger than its original is served as the original instead. Originals and variants are kept in the
+ * disk cache (image-cache.js), so the origin CDN is asked once per image rather than
+ * once per request.
  */
 
 const { URL } = require('url');
+const { Resvg } = require('@resvg/resvg-js');
+const { IMAGE_MAX_DIMENSION } = require('./config');
+const { imageCache } = require('./image-cache');
+const { sniffImageType, normalizeImageType, sanitizeSvg, ImageSanitizeError } = require('./image-sanitizer');
+const { createLogger } = require('./logger');
+
+const log = createLogger('image-proxy');
 
 // Hosts (and their subdomains) we are willing to proxy team logos / video
 // thumbnails from. Anything else is rejected with 400.
@@ -35,6 +52,8 @@ const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5 MB hard cap
 const FETCH_TIMEOUT_MS = 8000;
 // Cache proxied images at the edge/browser for a day — logos rarely change.
 const CACHE_CONTROL = 'public, max-age=86400, s-maxage=86400';
+// Served SVGs cannot run script or load anything even if opened directly.
+const SVG_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox";
 
 /**
  * Returns true if the hostname is (or is a subdomain of) an allowlisted host.
@@ -75,20 +94,121 @@ function parseAllowedUrl(raw) {
     return parsed;
 }
 
+// ============ VARIANTS ============
+
+// Raster formats resvg can decode; other formats (WebP, AVIF) are served unresized.
+const RESIZABLE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif']);
+const OUTPUT_FORMATS = new Set(['png']);
+
+/**
+ * Parse the ?w / ?h / ?format variant parameters. Returns null when invalid.
+ * @param {Object} query - Express req.query
+ * @returns {{ width: number|null, height: number|null, format: string|null }|null}
+ */
+function parseVariant(query = {}) {
+    const parseDimension = (value) => {
+        if (value === undefined || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isInteger(number) && number >= 1 && number <= IMAGE_MAX_DIMENSION ? number : NaN;
+    };
+    const width = parseDimension(query.w);
+    const height = parseDimension(query.h);
+    const format = query.format ? String(query.format).toLowerCase() : null;
+
+    if (Number.isNaN(width) || Number.isNaN(height) || (format && !OUTPUT_FORMATS.has(format))) {
+        return null;
+    }
+    return { width, height, format };
+}
+
+/**
+ * Cache key part for a variant ('original' when no transformation was asked for).
+ */
+function describeVariant({ width, height, format }) {
+    if (!width && !height && !format) {
+        return 'original';
+    }
+    return [width && `w${width}`, height && `h${height}`, format || 'png'].filter(Boolean).join('-');
+}
+
+function isSvg(contentType) {
+    return contentType.startsWith('image/svg+xml');
+}
+
 /**
- * Express handler: GET /api/img?url=<encoded remote image url>
+ * Render an image at the requested size as PNG. SVGs are rasterised at any size;
+ * raster images are scaled down only (never up) and keep their aspect ratio. With both
+ * w and h the image fits inside the box. Without an explicit format, a raster image
+ * whose PNG is not smaller than the original is returned unchanged.
+ * @param {{ buffer: Buffer, contentType: string }} image
+ * @param {{ width: number|null, height: number|null, format: string|null }} variant
+ * @returns {{ buffer: Buffer, contentType: string }} The original when it cannot or need not change
  */
-async function handleImageProxy(req, res) {
-    const target = parseAllowedUrl(req.query.url);
-    if (!target) {
-        return res.status(400).json({ error: 'Invalid or disallowed image url' });
+function renderVariant(image, { width, height, format }) {
+    const vector = isSvg(image.contentType);
+    if (!vector && !RESIZABLE_TYPES.has(image.contentType)) {
+        return image;
     }
 
+    // resvg only renders SVG, so raster images are embedded in one at their natural size.
+    const source = vector
+        ? image.buffer
+        : `<svg xmlns="http://www.w3.org/2000/svg"><image href="data:${image.contentType};base64,${image.buffer.toString('base64')}"/></svg>`;
+    const natural = new Resvg(source);
+
+    let scale = Math.min(
+        width ? width / natural.width : Infinity,
+        height ? height / natural.height : Infinity
+    );
+    if (scale === Infinity) {
+        scale = 1;
+    }
+    scale = Math.min(scale, IMAGE_MAX_DIMENSION / Math.max(natural.width, natural.height));
+    if (!vector) {
+        scale = Math.min(scale, 1);
+        if (scale === 1 && (!format || image.contentType === 'image/png')) {
+            return image;
+        }
+    }
+
+    const rendered = new Resvg(source, {
+        fitTo: { mode: 'zoom', value: scale },
+        background: 'transparent'
+    }).render();
+    const png = rendered.asPng();
+    if (!vector && !format && png.length >= image.buffer.length) {
+        return image;
+    }
+    return { buffer: png, contentType: 'image/png' };
+}
+
+// ============ HANDLER ============
+
+/**
+ * Origin failure, mapped straight to the HTTP response.
+ */
+class ImageProxyError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ImageProxyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Fetch an image from the origin CDN, enforcing the type and size limits.
+ * @param {URL} target
+ * @param {Function} fetchImpl
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ */
+async function fetchOriginal(target, fetchImpl) {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
     try {
-        const upstream = await fetch(target.toString(), {
+        const upstream = await fetchImpl(target.toString(), {
             signal: controller.signal,
             headers: {
                 // Some CDNs 403 without a UA / referer.
@@ -99,43 +219,137 @@ async function handleImageProxy(req, res) {
         });
 
         if (!upstream.ok) {
-            return res.status(upstream.status === 404 ? 404 : 502).json({
-                error: `Upstream image responded ${upstream.status}`,
-            });
+            throw new ImageProxyError(upstream.status === 404 ? 404 : 502, `Upstream image responded ${upstream.status}`);
         }
 
-        const contentType = upstream.headers.get('content-type') || '';
+        const contentType = normalizeImageType(upstream.headers.get('content-type'));
         if (!contentType.startsWith('image/')) {
-            return res.status(415).json({ error: 'Upstream is not an image' });
+            throw new ImageProxyError(415, 'Upstream is not an image');
         }
 
         const contentLength = Number(upstream.headers.get('content-length') || 0);
         if (contentLength && contentLength > MAX_IMAGE_BYTES) {
-            return res.status(413).json({ error: 'Image too large' });
+            throw new ImageProxyError(413, 'Image too large');
         }
 
         const buffer = Buffer.from(await upstream.arrayBuffer());
         if (buffer.length > MAX_IMAGE_BYTES) {
-            return res.status(413).json({ error: 'Image too large' });
+            throw new ImageProxyError(413, 'Image too large');
         }
 
-        res.set('Content-Type', contentType);
-        res.set('Cache-Control', CACHE_CONTROL);
-        res.set('Content-Length', String(buffer.length));
-        return res.send(buffer);
+        const detectedType = sniffImageType(buffer);
+        if (!detectedType) {
+            throw new ImageProxyError(415, 'Upstream body is not a supported image');
+        }
+        if (detectedType !== contentType) {
+            throw new ImageProxyError(415, `Upstream image type mismatch (declared ${contentType}, detected ${detectedType})`);
+        }
+        if (detectedType === 'image/svg+xml') {
+            return { buffer: sanitizeSvg(buffer), contentType: detectedType };
+        }
+        return { buffer, contentType: detectedType };
     } catch (error) {
+        if (error instanceof ImageProxyError) {
+            throw error;
+        }
+        if (error instanceof ImageSanitizeError) {
+            throw new ImageProxyError(415, error.message);
+        }
         const aborted = error?.name === 'AbortError';
-        console.error(`[image-proxy] failed for ${target.toString()}:`, error?.message || error);
-        return res.status(aborted ? 504 : 502).json({ error: 'Failed to fetch image' });
+        log.error(`failed for ${target.toString()}:`, error?.message || error);
+        throw new ImageProxyError(aborted ? 504 : 502, 'Failed to fetch image');
     } finally {
         clearTimeout(timeout);
     }
 }
 
+/**
+ * Build the GET /api/img handler.
+ * @param {Object} [options]
+ * @param {DiskImageCache} [options.cache]
+ * @param {Function} [options.fetchImpl] - fetch()-compatible function
+ * @returns {Function} Express handler
+ */
+function createImageProxyHandler({ cache = imageCache, fetchImpl = (...args) => fetch(...args) } = {}) {
+    // Concurrent misses for the same image share one origin fetch / render.
+    const inFlight = new Map();
+
+    function once(key, load) {
+        if (!inFlight.has(key)) {
+            inFlight.set(key, load().finally(() => inFlight.delete(key)));
+        }
+        return inFlight.get(key);
+    }
+
+    function loadOriginal(target) {
+        const url = target.toString();
+        return once(`${url}\noriginal`, async () => {
+            const image = await fetchOriginal(target, fetchImpl);
+            await cache.set(url, 'original', image);
+            return image;
+        });
+    }
+
+    async function loadVariant(target, variant, variantKey) {
+        const url = target.toString();
+        const original = await cache.get(url, 'original') || await loadOriginal(target);
+        const image = renderVariant(original, variant);
+        await cache.set(url, variantKey, image);
+        return image;
+    }
+
+    /**
+     * Express handler: GET /api/img?url=<encoded remote image url>&w=&h=&format=
+     */
+    return async function handleImageProxy(req, res) {
+        const target = parseAllowedUrl(req.query.url);
+        if (!target) {
+            return res.status(400).json({ error: 'Invalid or disallowed image url' });
+        }
+        const variant = parseVariant(req.query);
+        if (!variant) {
+            return res.status(400).json({ error: `Invalid variant: w and h must be 1-${IMAGE_MAX_DIMENSION}, format must be png` });
+        }
+        const variantKey = describeVariant(variant);
+        const url = target.toString();
+
+        try {
+            let image = await cache.get(url, variantKey);
+            res.set('X-Image-Cache', image ? 'HIT' : 'MISS');
+            if (!image) {
+                image = variantKey === 'original'
+                    ? await loadOriginal(target)
+                    : await once(`${url}\n${variantKey}`, () => loadVariant(target, variant, variantKey));
+            }
+
+            res.set('Content-Type', image.contentType);
+            res.set('X-Content-Type-Options', 'nosniff');
+            if (isSvg(image.contentType)) {
+                res.set('Content-Security-Policy', SVG_CONTENT_SECURITY_POLICY);
+            }
+            res.set('Cache-Control', CACHE_CONTROL);
+            res.set('Content-Length', String(image.buffer.length));
+            return res.send(image.buffer);
+        } catch (error) {
+            if (error instanceof ImageProxyError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            log.error(`failed to render ${variantKey} of ${url}:`, error?.message || error);
+            return res.status(422).json({ error: 'Image could not be converted' });
+        }
+    };
+}
+
+const handleImageProxy = createImageProxyHandler();
+
 module.exports = {
     handleImageProxy,
+    createImageProxyHandler,
     isAllowedHost,
     parseAllowedUrl,
+    parseVariant,
+    describeVariant,
+    renderVariant,
     ALLOWED_HOST_SUFFIXES,
     MAX_IMAGE_BYTES,
 };
@@ -0,0 +1,186 @@
+/**
+ * Content sniffing and SVG sanitising for the /api/img proxy.
+ *
+ * sniffImageType() identifies PNG/JPEG/GIF/WebP/AVIF/SVG from the bytes, so the proxy
+ * can reject bodies that do not match the declared type.
+ *
+ * sanitizeSvg() drops script-capable and animation elements, on* handlers, href/src
+ * values other than #id and inline raster data: URIs, external CSS references and
+ * DOCTYPE / processing instructions. Names are matched on their local name, so a
+ * namespace prefix does not get past these rules. The result is parsed with resvg,
+ * so malformed SVGs are rejected.
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+
+const TYPE_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-png': 'image/png',
+    'image/svg': 'image/svg+xml'
+};
+
+// Elements removed with their content. <set>/<animate*> can switch an href to any URL
+// after load, and their attributeName may be entity-encoded, so they all go.
+const DANGEROUS_ELEMENTS = [
+    'script', 'foreignObject', 'iframe', 'embed', 'object', 'audio', 'video', 'handler', 'listener',
+    'set', 'animate', 'animateMotion', 'animateTransform', 'animateColor'
+];
+// Matched against the local name, i.e. after any `prefix:`.
+const LINK_ATTRIBUTES = new Set(['href', 'src']);
+// Optional namespace prefix of an element or attribute name.
+const NS_PREFIX = '(?:[\\w.-]+:)?';
+const SAFE_DATA_URI = /^data:image\/(?:png|jpeg|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+const SVG_START = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:(?:<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>)\s*)*<svg[\s>]/i;
+
+/**
+ * Raised when an SVG cannot be sanitised (not well-formed XML).
+ */
+class ImageSanitizeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageSanitizeError';
+    }
+}
+
+/**
+ * Canonical MIME type ('image/jpg' -> 'image/jpeg', parameters dropped).
+ * @param {string} contentType
+ * @returns {string}
+ */
+function normalizeImageType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Detect the image format from its first bytes.
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null when the bytes are not a supported image
+ */
+function sniffImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+        return null;
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    const ascii = buffer.subarray(0, 12).toString('latin1');
+    if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) {
+        return 'image/gif';
+    }
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (ascii.slice(4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii.slice(8, 12))) {
+        return 'image/avif';
+    }
+    const text = buffer.subarray(0, 4096).toString('utf8').replace(/^﻿/, '');
+    if (SVG_START.test(text)) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&colon;/gi, ':')
+        .replace(/&amp;/gi, '&');
+}
+
+function isSafeReference(value) {
+    const decoded = decodeEntities(value).replace(/[\s\u0000-\u001f]/g, '');
+    return decoded.startsWith('#') || SAFE_DATA_URI.test(decoded);
+}
+
+/**
+ * Remove external url() and image-set() references, quoted URLs and @import rules
+ * from CSS. CSS escapes could hide any of them, so CSS containing backslashes is
+ * dropped entirely.
+ * @param {string} css
+ * @returns {string}
+ */
+function sanitizeCss(css) {
+    if (css.includes('\\')) {
+        return '';
+    }
+    return css
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\(\s*(['"]?)([^)]*?)\1\s*\)/gi, (match, quote, target) => (target.trim().startsWith('#') ? match : 'none'))
+        .replace(/(?:-webkit-)?image-set\s*\((?:[^()]|\([^()]*\))*\)/gi, 'none')
+        .replace(/(["'])\s*(?:[a-z][\w+.-]*:|\/\/)[^"']*\1/gi, '""')
+        .replace(/expression\s*\(/gi, '(')
+        .replace(/javascript:/gi, '');
+}
+
+function sanitizeAttributes(attributes) {
+    const kept = [];
+    const pattern = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'))?/g;
+    let match;
+    while ((match = pattern.exec(attributes)) !== null) {
+        const name = match[1];
+        const quoted = match[2] || '""';
+        const value = quoted.slice(1, -1);
+        const localName = name.toLowerCase().replace(/^[\w.-]+:/, '');
+
+        if (localName.startsWith('on') || localName === 'base') {
+            continue;
+        }
+        if (LINK_ATTRIBUTES.has(localName) && !isSafeReference(value)) {
+            continue;
+        }
+        if (localName === 'style') {
+            kept.push(`${name}=${quoted[0]}${sanitizeCss(decodeEntities(value)).replace(/["'<&]/g, '')}${quoted[0]}`);
+            continue;
+        }
+        if (/(?:java|vb)script:/i.test(decodeEntities(value).replace(/\s/g, ''))) {
+            continue;
+        }
+        kept.push(`${name}=${quoted}`);
+    }
+    return kept.length ? ` ${kept.join(' ')}` : '';
+}
+
+/**
+ * Sanitise an SVG document (see module comment).
+ * @param {Buffer|string} svg
+ * @returns {Buffer} Sanitised SVG (UTF-8)
+ * @throws {ImageSanitizeError} When the result is not a renderable SVG
+ */
+function sanitizeSvg(svg) {
+    const dangerous = DANGEROUS_ELEMENTS.join('|');
+    let text = Buffer.isBuffer(svg) ? svg.toString('utf8') : String(svg);
+
+    text = text
+        .replace(/^﻿/, '')
+        .replace(/<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>/gi, '')
+        .replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(new RegExp(`<(${NS_PREFIX})(${dangerous})\\b[^>]*(?<!\\/)>[\\s\\S]*?<\\/\\1\\2\\s*>`, 'gi'), '')
+        .replace(new RegExp(`<\\/?${NS_PREFIX}(?:${dangerous})\\b[^>]*>`, 'gi'), '');
+
+    text = text.replace(new RegExp(`(<${NS_PREFIX}style\\b[^>]*>)([\\s\\S]*?)(<\\/${NS_PREFIX}style\\s*>)`, 'gi'),
+        (_, open, css, close) => `${open}${sanitizeCss(css)}${close}`);
+
+    text = text.replace(/<([a-zA-Z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g,
+        (_, name, attributes, selfClosing) => `<${name}${sanitizeAttributes(attributes)}${selfClosing ? '/' : ''}>`);
+
+    try {
+        new Resvg(text);
+    } catch (error) {
+        throw new ImageSanitizeError(`Invalid SVG: ${error.message}`);
+    }
+    return Buffer.from(text, 'utf8');
+}
+
+module.exports = {
+    ImageSanitizeError,
+    normalizeImageType,
+    sniffImageType,
+    sanitizeSvg
+};
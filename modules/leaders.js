@@ -0,0 +1,353 @@
+/**
+ * Season scoring leaders (goals, assists, points) for hockey.
+ *
+ * A background loop reads the play-by-play of each finished game once, at most
+ * LEADERS_GAMES_PER_RUN per LEADERS_REFRESH_INTERVAL, and stores goals and assists per
+ * player in the `scoring_leaders` state document. Sports opt in with the `leaders`
+ * capability.
+ *   GET /api/:sport/leaders   ?team ?limit
+ */
+
+const express = require('express');
+const {
+    LEADERS_REFRESH_INTERVAL,
+    LEADERS_GAMES_PER_RUN,
+    LEADERS_DETAILS_CONCURRENCY
+} = require('./config');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const { loadSportGames } = require('./sport-routes');
+const { StateDocument } = require('./state-store');
+const { formatSwedishTimestamp, mapWithConcurrency } = require('./utils');
+const { addEntry } = require('./activity-log');
+const { timeWatcherRun } = require('./metrics');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('leaders');
+
+const LEADERS_SCHEMA_VERSION = 1;
+const CATEGORIES = ['points', 'goals', 'assists'];
+
+// sport -> { updatedAt, pending, games: { [gameId]: { startDateTime, players: [] } } }
+const document = new StateDocument('scoring_leaders', {
+    schemaVersion: LEADERS_SCHEMA_VERSION,
+    defaultValue: () => ({}),
+    logger: log
+});
+
+// ============ LEADERS STATE ============
+let refreshTimer = null;
+// sport -> { updatedAt, gamesCounted, gamesPending, players }, rebuilt after a refresh saves
+const summaries = new Map();
+let stats = {
+    lastRun: null,
+    runCount: 0,
+    gamesRead: 0,
+    errors: []
+};
+
+function recordError(sport, message) {
+    stats.errors.push({ sport, message, timestamp: formatSwedishTimestamp() });
+    if (stats.errors.length > 10) {
+        stats.errors.shift();
+    }
+}
+
+function readState() {
+    const state = document.load();
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+}
+
+function getTime(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function joinName(firstName, lastName) {
+    return [firstName, lastName]
+        .map(part => (typeof part === 'string' ? part.trim() : ''))
+        .filter(Boolean)
+        .join(' ');
+}
+
+// ============ AGGREGATION ============
+
+/**
+ * Goals and assists per player in one game's play-by-play.
+ * @param {Array} goals - details.events.goals
+ * @returns {Array<{ id: string, name: string, teamCode: string|null, goals: number, assists: number }>}
+ */
+function extractGamePoints(goals) {
+    const players = new Map();
+    const credit = (player, teamCode, field) => {
+        const name = joinName(player?.firstName || player?.givenName, player?.familyName || player?.lastName);
+        const id = player?.uuid || player?.playerId || (name ? name.toLowerCase() : null);
+        if (!id) {
+            return;
+        }
+        if (!players.has(id)) {
+            players.set(id, { id: String(id), name, teamCode, goals: 0, assists: 0 });
+        }
+        players.get(id)[field] += 1;
+    };
+
+    for (const goal of Array.isArray(goals) ? goals : []) {
+        const teamCode = goal.eventTeam?.teamCode || null;
+        credit(goal.player, teamCode, 'goals');
+        for (const assist of [goal.assist1, goal.assist2]) {
+            if (assist) {
+                credit(assist, teamCode, 'assists');
+            }
+        }
+    }
+    return Array.from(players.values());
+}
+
+/**
+ * Season totals per player from stored games. A player's team is the one of their
+ * latest game, so a traded player is listed under the new club.
+ * @param {Object} games - gameId -> { startDateTime, players }
+ * @returns {Array<{ id, name, teamCode, goals, assists, points }>}
+ */
+function sumPlayers(games) {
+    const totals = new Map();
+    const ordered = Object.values(games).sort((a, b) => getTime(a.startDateTime) - getTime(b.startDateTime));
+    for (const game of ordered) {
+        for (const line of game.players || []) {
+            const total = totals.get(line.id) || { id: line.id, name: line.name, teamCode: null, goals: 0, assists: 0, points: 0 };
+            total.name = line.name || total.name;
+            total.teamCode = line.teamCode || total.teamCode;
+            total.goals += line.goals;
+            total.assists += line.assists;
+            total.points = total.goals + total.assists;
+            totals.set(line.id, total);
+        }
+    }
+    return Array.from(totals.values());
+}
+
+/**
+ * Leader lists, best first. Ties on the category are broken by the other categories
+ * and then the name; `rank` is shared by players with the same value.
+ * @param {Array} players - sumPlayers() output
+ * @param {Object} [options]
+ * @param {string} [options.team] - Team code (case-insensitive)
+ * @param {number} [options.limit=20] - Players per list
+ * @returns {{ points: Array, goals: Array, assists: Array }}
+ */
+function buildLeaders(players, { team, limit = 20 } = {}) {
+    const teamCode = team ? String(team).trim().toUpperCase() : null;
+    const pool = teamCode
+        ? players.filter(player => String(player.teamCode || '').toUpperCase() === teamCode)
+        : players;
+
+    const tieBreakers = {
+        points: ['points', 'goals', 'assists'],
+        goals: ['goals', 'points', 'assists'],
+        assists: ['assists', 'points', 'goals']
+    };
+
+    return Object.fromEntries(CATEGORIES.map(category => {
+        const sorted = pool
+            .filter(player => player[category] > 0)
+            .sort((a, b) => {
+                for (const field of tieBreakers[category]) {
+                    if (b[field] !== a[field]) {
+                        return b[field] - a[field];
+                    }
+                }
+                return a.name.localeCompare(b.name, 'sv');
+            });
+        let rank = 0;
+        const ranked = sorted.slice(0, limit).map((player, index) => {
+            if (index === 0 || sorted[index - 1][category] !== player[category]) {
+                rank = index + 1;
+            }
+            return { rank, ...player };
+        });
+        return [category, ranked];
+    }));
+}
+
+// ============ BACKGROUND REFRESH ============
+
+/**
+ * Read the play-by-play of finished games not stored yet (oldest first, at most
+ * LEADERS_GAMES_PER_RUN) and drop games that left the game list.
+ * @param {string} sport
+ * @param {Object} [options]
+ * @param {number} [options.maxGames]
+ * @returns {Promise<{ added: number, pending: number }>}
+ */
+async function refreshSport(sport, { maxGames = LEADERS_GAMES_PER_RUN } = {}) {
+    const provider = getProvider(sport);
+    const games = await loadSportGames(sport, provider, { label: 'leaders' });
+    const finished = games.filter(game => game.state === 'post-game' && game.uuid);
+
+    const state = readState();
+    const current = state[sport] || { updatedAt: null, pending: 0, games: {} };
+    const ids = new Set(finished.map(game => game.uuid));
+    // An empty list is more likely an upstream hiccup than a new season.
+    const stored = finished.length === 0
+        ? { ...current.games }
+        : Object.fromEntries(Object.entries(current.games).filter(([id]) => ids.has(id)));
+
+    const missing = finished
+        .filter(game => !stored[game.uuid])
+        .sort((a, b) => getTime(a.startDateTime) - getTime(b.startDateTime));
+    const batch = missing.slice(0, maxGames);
+
+    const read = await mapWithConcurrency(batch, LEADERS_DETAILS_CONCURRENCY, async (game) => {
+        try {
+            const details = await provider.fetchGameDetails(game.uuid);
+            // Without any events the play-by-play is not published yet; try again next run.
+            if (!details?.events?.all?.length) {
+                return null;
+            }
+            return [game.uuid, { startDateTime: game.startDateTime, players: extractGamePoints(details.events.goals) }];
+        } catch (error) {
+            log.warn(`${sport} play-by-play unavailable for ${game.uuid}:`, error.message);
+            recordError(sport, `${game.uuid}: ${error.message}`);
+            return null;
+        }
+    });
+
+    const added = read.filter(Boolean);
+    for (const [id, entry] of added) {
+        stored[id] = entry;
+    }
+    const pending = missing.length - added.length;
+    const pruned = Object.keys(current.games).filter(id => !stored[id]).length;
+
+    if (added.length > 0 || pruned > 0 || pending !== current.pending || !current.updatedAt) {
+        state[sport] = { updatedAt: new Date().toISOString(), pending, games: stored };
+        document.save(state);
+        summaries.delete(sport);
+    }
+    stats.gamesRead += added.length;
+    if (added.length > 0) {
+        log.info(`${sport} leaders: ${added.length} games added, ${pending} pending`);
+        addEntry('leaders', 'refresh', `${sport} scoring leaders: ${added.length} games added, ${pending} pending`);
+    }
+    return { added: added.length, pending };
+}
+
+/**
+ * One run over every sport with the leaders capability. A failing sport is logged
+ * and skipped.
+ */
+async function refreshLeaders() {
+    const sports = getAvailableSports().filter(sport => getSportCapabilities(sport).leaders);
+    for (const sport of sports) {
+        try {
+            await refreshSport(sport);
+        } catch (error) {
+            log.error(`Error refreshing ${sport} leaders:`, error.message);
+            recordError(sport, error.message);
+        }
+    }
+    stats.lastRun = formatSwedishTimestamp();
+    stats.runCount++;
+}
+
+function startLoop() {
+    if (refreshTimer) {
+        return;
+    }
+    log.info(`Refreshing scoring leaders every ${LEADERS_REFRESH_INTERVAL / 1000 / 60} minutes`);
+    const run = async () => {
+        try {
+            await timeWatcherRun('leaders', refreshLeaders);
+        } catch (error) {
+            log.error('Leaders run failed:', error.message);
+        }
+        refreshTimer = setTimeout(run, LEADERS_REFRESH_INTERVAL);
+    };
+    refreshTimer = setTimeout(run, 0);
+}
+
+function stopLoop() {
+    if (refreshTimer) {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+    }
+}
+
+function getStats() {
+    const state = readState();
+    return {
+        running: Boolean(refreshTimer),
+        interval: `${LEADERS_REFRESH_INTERVAL / 1000 / 60} minutes`,
+        lastRun: stats.lastRun,
+        runCount: stats.runCount,
+        gamesRead: stats.gamesRead,
+        sports: Object.fromEntries(Object.entries(state).map(([sport, entry]) => [sport, {
+            updatedAt: entry.updatedAt,
+            gamesCounted: Object.keys(entry.games || {}).length,
+            gamesPending: entry.pending || 0
+        }])),
+        recentErrors: stats.errors.slice(-5)
+    };
+}
+
+// ============ ROUTER ============
+
+/**
+ * Stored leaders of a sport.
+ * @param {string} sport
+ * @param {Object} [options] - buildLeaders() options
+ * @returns {Object} { sport, updatedAt, gamesCounted, gamesPending, points, goals, assists }
+ */
+function getLeaders(sport, options = {}) {
+    if (!summaries.has(sport)) {
+        const entry = readState()[sport] || { updatedAt: null, pending: 0, games: {} };
+        summaries.set(sport, {
+            updatedAt: entry.updatedAt,
+            gamesCounted: Object.keys(entry.games || {}).length,
+            gamesPending: entry.pending || 0,
+            players: sumPlayers(entry.games || {})
+        });
+    }
+    const { players, ...summary } = summaries.get(sport);
+    return { sport, ...summary, ...buildLeaders(players, options) };
+}
+
+/**
+ * Build the leaders router. Mount it under /api, before the generic sport router.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy path prefix -> sport id
+ * @returns {express.Router}
+ */
+function createLeadersRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const router = express.Router();
+
+    /**
+     * GET /api/:sport/leaders
+     */
+    router.get('/:sport/leaders', validateRequest('getSportLeaders'), (req, res) => {
+        const sport = aliases[req.input.params.sport] || req.input.params.sport;
+        if (!getAvailableSports().includes(sport)) {
+            return res.status(404).json({ error: `Unknown sport: ${req.input.params.sport}` });
+        }
+        if (!getSportCapabilities(sport).leaders) {
+            return res.status(404).json({ error: `Leaders not available for ${sport}` });
+        }
+        res.json(getLeaders(sport, req.input.query));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createLeadersRouter,
+    extractGamePoints,
+    sumPlayers,
+    buildLeaders,
+    getLeaders,
+    refreshSport,
+    refreshLeaders,
+    startLoop,
+    stopLoop,
+    getStats
+};
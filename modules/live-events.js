@@ -0,0 +1,506 @@
+/**
+ * Live event stream (Server-Sent Events) for scores and match events.
+ *
+ * The watchers and routes that already see fresh data report it here, and every
+ * change is published to GET /api/live/stream clients as one of:
+ *   score, state      (observeGames)
+ *   goal              (publishGoal, from the goal watcher)
+ *   penalty, card     (observeGameDetails)
+ *   clip              (publishClip, from the notifier)
+ *   pre-game          (pre-game watcher)
+ * The first sighting of a game only records a baseline. Clients filter with ?sport=,
+ * ?team= and ?game=; a ring buffer replays missed events after Last-Event-ID.
+ */
+
+const { EventEmitter } = require('events');
+
+const HISTORY_SIZE = 200;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const CLIENT_RETRY_MS = 5000;
+// Games not reported for this long are forgotten (state + seen event ids).
+const GAME_TRACKING_TTL_MS = 12 * 60 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+const gameSnapshots = new Map(); // `${sport}:${gameId}` -> { state, homeScore, awayScore, seenAt }
+const seenEventKeys = new Map(); // `${sport}:${gameId}` -> { keys: Set of event keys, seenAt }
+let nextEventId = 1;
+let clientCount = 0;
+let stats = {
+    published: 0,
+    lastEventAt: null,
+    byType: {}
+};
+
+function getGameKey(sport, gameId) {
+    return `${sport}:${gameId}`;
+}
+
+function normalizeCode(code) {
+    return code ? String(code).trim().toUpperCase() : null;
+}
+
+function toScore(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// ============ PUBLISHING ============
+
+/**
+ * Publish an event to all matching stream clients.
+ * @param {string} type - score | state | goal | penalty | card | clip | pre-game
+ * @param {Object} event
+ * @param {string} event.sport
+ * @param {string} event.gameId
+ * @param {Array<string>} [event.teams] - Team codes involved (used by ?team=)
+ * @param {Object} [event.data] - Type-specific payload
+ * @returns {Object} The published event (with id and timestamp)
+ */
+function publish(type, { sport, gameId, teams = [], data = {} }) {
+    const event = {
+        id: nextEventId++,
+        type,
+        sport,
+        gameId: gameId ? String(gameId) : null,
+        teams: teams.map(normalizeCode).filter(Boolean),
+        timestamp: new Date().toISOString(),
+        data
+    };
+
+    history.push(event);
+    if (history.length > HISTORY_SIZE) {
+        history.shift();
+    }
+
+    stats.published++;
+    stats.lastEventAt = event.timestamp;
+    stats.byType[type] = (stats.byType[type] || 0) + 1;
+
+    emitter.emit('event', event);
+    return event;
+}
+
+function getGameTeams(game) {
+    return [game?.homeTeamInfo?.code, game?.awayTeamInfo?.code];
+}
+
+/**
+ * Diff a freshly fetched games list against the last one seen and publish score and
+ * state changes. Call it wherever a sport's full games list is fetched.
+ * @param {string} sport
+ * @param {Array} games
+ * @returns {Array} Published events
+ */
+function observeGames(sport, games) {
+    if (!Array.isArray(games)) {
+        return [];
+    }
+
+    const now = Date.now();
+    const published = [];
+    cleanupTrackedGames(now);
+
+    for (const game of games) {
+        if (!game?.uuid) {
+            continue;
+        }
+
+        const key = getGameKey(sport, game.uuid);
+        const next = {
+            state: game.state || null,
+            homeScore: toScore(game.homeTeamInfo?.score),
+            awayScore: toScore(game.awayTeamInfo?.score),
+            seenAt: now
+        };
+        const previous = gameSnapshots.get(key);
+        // Keep the last known score when a provider briefly drops it (null) or a lagging
+        // source reports an older one: scores only go up within a game.
+        const hasScore = next.homeScore !== null && next.awayScore !== null;
+        const isRegression = Boolean(previous) && hasScore
+            && ((previous.homeScore !== null && next.homeScore < previous.homeScore)
+                || (previous.awayScore !== null && next.awayScore < previous.awayScore));
+        if (previous && (!hasScore || isRegression)) {
+            next.homeScore = previous.homeScore;
+            next.awayScore = previous.awayScore;
+        }
+        gameSnapshots.set(key, next);
+
+        if (!previous) {
+            continue;
+        }
+
+        const teams = getGameTeams(game);
+
+        if (next.state && previous.state && next.state !== previous.state) {
+            published.push(publish('state', {
+                sport,
+                gameId: game.uuid,
+                teams,
+                data: {
+                    from: previous.state,
+                    to: next.state,
+                    homeTeamCode: game.homeTeamInfo?.code || null,
+                    awayTeamCode: game.awayTeamInfo?.code || null,
+                    homeScore: next.homeScore,
+                    awayScore: next.awayScore
+                }
+            }));
+        }
+
+        const scoreChanged = next.homeScore !== previous.homeScore || next.awayScore !== previous.awayScore;
+        if (hasScore && scoreChanged) {
+            published.push(publish('score', {
+                sport,
+                gameId: game.uuid,
+                teams,
+                data: {
+                    homeTeamCode: game.homeTeamInfo?.code || null,
+                    awayTeamCode: game.awayTeamInfo?.code || null,
+                    homeScore: next.homeScore,
+                    awayScore: next.awayScore,
+                    previousHomeScore: previous.homeScore,
+                    previousAwayScore: previous.awayScore,
+                    state: next.state
+                }
+            }));
+        }
+    }
+
+    return published;
+}
+
+/**
+ * Stable key for a provider event (penalty/card). Prefers the provider's own id.
+ */
+function getEventKey(event) {
+    if (event?.id || event?.eventId) {
+        return String(event.id || event.eventId);
+    }
+    return [
+        event?.type || '',
+        event?.period || '',
+        event?.time || event?.clock || '',
+        event?.teamCode || event?.eventTeam?.teamCode || event?.eventTeam?.place || '',
+        event?.player?.uuid || event?.player?.name || event?.player?.familyName || '',
+        event?.cardType || event?.variant?.shortName || ''
+    ].join('|');
+}
+
+function buildPenaltyData(event) {
+    return {
+        period: event.period ?? null,
+        time: event.time || event.clock || null,
+        teamCode: event.eventTeam?.teamCode || event.teamCode || null,
+        player: event.player
+            ? [event.player.firstName, event.player.familyName || event.player.lastName].filter(Boolean).join(' ') || event.player.name || null
+            : null,
+        offence: typeof event.offence === 'string'
+            ? event.offence
+            : (event.offence?.name || event.offence?.shortName || null),
+        penaltyMinutes: event.penaltyMinutes ?? null,
+        variant: event.variant?.description || event.variant?.shortName || null
+    };
+}
+
+function buildCardData(event) {
+    return {
+        cardType: event.cardType || null,
+        period: event.period ?? null,
+        time: event.clock || event.time || null,
+        teamCode: event.teamCode || null,
+        player: event.player?.name || (typeof event.player === 'string' ? event.player : null)
+    };
+}
+
+/**
+ * Publish penalties and cards that were not present the last time this game's
+ * details were observed. Goals are published by the goal watcher (publishGoal).
+ * @param {string} sport
+ * @param {Object} game - Game from the games list (uuid, homeTeamInfo, awayTeamInfo)
+ * @param {Object} details - provider.fetchGameDetails() result
+ * @returns {Array} Published events
+ */
+function observeGameDetails(sport, game, details) {
+    const gameId = game?.uuid;
+    if (!gameId || !details?.events) {
+        return [];
+    }
+
+    const candidates = [
+        ...(details.events.penalties || []).map(event => ({ type: 'penalty', event })),
+        ...(details.events.cards || []).map(event => ({ type: 'card', event }))
+    ];
+    const key = getGameKey(sport, gameId);
+    const entry = seenEventKeys.get(key);
+    const currentKeys = new Set(candidates.map(({ type, event }) => `${type}:${getEventKey(event)}`));
+
+    if (!entry) {
+        seenEventKeys.set(key, { keys: currentKeys, seenAt: Date.now() });
+        return [];
+    }
+    entry.seenAt = Date.now();
+    const seen = entry.keys;
+
+    const teams = getGameTeams(game);
+    const published = [];
+    for (const { type, event } of candidates) {
+        const eventKey = `${type}:${getEventKey(event)}`;
+        if (seen.has(eventKey)) {
+            continue;
+        }
+        seen.add(eventKey);
+        published.push(publish(type, {
+            sport,
+            gameId,
+            teams,
+            data: type === 'penalty' ? buildPenaltyData(event) : buildCardData(event)
+        }));
+    }
+    return published;
+}
+
+/**
+ * Publish a goal detected by the goal watcher. Safe to call again for the same goal
+ * (the watcher retries goals whose push failed); each goalId is published once.
+ * @param {Object} goal - extractGoalDetails() result with goalId
+ * @returns {Object|null} The published event, or null if already published
+ */
+function publishGoal(goal) {
+    const now = Date.now();
+    cleanupTrackedGames(now);
+
+    const key = getGameKey(goal.sport, goal.gameId);
+    if (!seenEventKeys.has(key)) {
+        seenEventKeys.set(key, { keys: new Set(), seenAt: now });
+    }
+    const entry = seenEventKeys.get(key);
+    entry.seenAt = now;
+    const seen = entry.keys;
+    const eventKey = `goal:${goal.goalId}`;
+    if (goal.goalId && seen.has(eventKey)) {
+        return null;
+    }
+    seen.add(eventKey);
+
+    return publish('goal', {
+        sport: goal.sport,
+        gameId: goal.gameId,
+        teams: [goal.homeTeamCode, goal.awayTeamCode],
+        data: {
+            scorerName: goal.scorerName,
+            scoringTeamCode: goal.scoringTeamCode,
+            scoringTeamName: goal.scoringTeamName,
+            homeTeamCode: goal.homeTeamCode,
+            awayTeamCode: goal.awayTeamCode,
+            homeScore: goal.homeScore,
+            awayScore: goal.awayScore,
+            period: goal.period,
+            time: goal.time
+        }
+    });
+}
+
+/**
+ * Publish a newly seen video clip.
+ * @param {string} sport
+ * @param {Object} gameInfo - provider.getGameDisplayInfo() result
+ * @param {Object} video - Provider video object
+ * @param {Object} [flags]
+ * @param {boolean} [flags.isHighlight]
+ * @param {boolean} [flags.isGoalClip]
+ * @returns {Object} The published event
+ */
+function publishClip(sport, gameInfo, video, { isHighlight = false, isGoalClip = false } = {}) {
+    return publish('clip', {
+        sport,
+        gameId: gameInfo.gameId,
+        teams: [gameInfo.homeTeamCode, gameInfo.awayTeamCode],
+        data: {
+            videoId: video.id,
+            title: video.title || video.name || video.description || null,
+            thumbnail: video.thumbnail || video.renderedMedia?.url || null,
+            isHighlight,
+            isGoalClip,
+            homeTeamCode: gameInfo.homeTeamCode || null,
+            awayTeamCode: gameInfo.awayTeamCode || null
+        }
+    });
+}
+
+/**
+ * Forget games that have not been reported for a long time. Seen event keys expire
+ * on their own timestamp: goals can be published for games that never show up in a
+ * games list (and so never get a snapshot).
+ */
+function cleanupTrackedGames(now = Date.now()) {
+    for (const [key, snapshot] of gameSnapshots) {
+        if (now - snapshot.seenAt > GAME_TRACKING_TTL_MS) {
+            gameSnapshots.delete(key);
+        }
+    }
+    for (const [key, entry] of seenEventKeys) {
+        if (now - entry.seenAt > GAME_TRACKING_TTL_MS) {
+            seenEventKeys.delete(key);
+        }
+    }
+}
+
+// ============ SUBSCRIBING ============
+
+function parseList(value) {
+    const values = Array.isArray(value) ? value : [value];
+    const items = values
+        .flatMap(item => String(item ?? '').split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Build a stream filter from query parameters.
+ * @param {Object} query - { sport, team, game }
+ * @returns {Object} { sports, teams, gameIds } (null = no restriction)
+ */
+function parseFilter(query = {}) {
+    const sports = parseList(query.sport);
+    const teams = parseList(query.team);
+    const gameIds = parseList(query.game);
+    return {
+        sports: sports ? new Set(sports.map(sport => sport.toLowerCase())) : null,
+        teams: teams ? new Set(teams.map(normalizeCode)) : null,
+        gameIds: gameIds ? new Set(gameIds) : null
+    };
+}
+
+function matchesFilter(event, filter) {
+    if (!filter) {
+        return true;
+    }
+    if (filter.sports && !filter.sports.has(event.sport)) {
+        return false;
+    }
+    if (filter.gameIds && !filter.gameIds.has(event.gameId)) {
+        return false;
+    }
+    if (filter.teams && !event.teams.some(team => filter.teams.has(team))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Listen for published events.
+ * @param {Function} listener - (event) => void
+ * @param {Object} [filter] - parseFilter() result
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(listener, filter = null) {
+    const handler = (event) => {
+        if (matchesFilter(event, filter)) {
+            listener(event);
+        }
+    };
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+}
+
+/**
+ * Buffered events newer than lastEventId (for reconnecting clients).
+ * @param {number} lastEventId
+ * @param {Object} [filter]
+ * @returns {Array}
+ */
+function getEventsSince(lastEventId, filter = null) {
+    return history.filter(event => event.id > lastEventId && matchesFilter(event, filter));
+}
+
+// ============ SSE ENDPOINT ============
+
+function formatSseEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Express handler for GET /api/live/stream.
+ */
+function handleLiveStream(req, res) {
+    const filter = parseFilter(req.query);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable proxy buffering (nginx) so events are delivered immediately.
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = rawLastEventId === undefined || rawLastEventId === '' ? NaN : Number(rawLastEventId);
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+        for (const event of getEventsSince(lastEventId, filter)) {
+            res.write(formatSseEvent(event));
+        }
+    }
+
+    clientCount++;
+    const unsubscribe = subscribe(event => res.write(formatSseEvent(event)), filter);
+    // Comment lines keep idle connections open through proxies and load balancers.
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        clientCount--;
+    });
+}
+
+/**
+ * Stream statistics for /api/status.
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        clients: clientCount,
+        published: stats.published,
+        byType: { ...stats.byType },
+        lastEventAt: stats.lastEventAt,
+        lastEventId: nextEventId - 1,
+        trackedGames: gameSnapshots.size
+    };
+}
+
+/**
+ * Reset all state (tests).
+ */
+function reset() {
+    history.length = 0;
+    gameSnapshots.clear();
+    seenEventKeys.clear();
+    emitter.removeAllListeners('event');
+    nextEventId = 1;
+    clientCount = 0;
+    stats = { published: 0, lastEventAt: null, byType: {} };
+}
+
+module.exports = {
+    publish,
+    observeGames,
+    observeGameDetails,
+    publishGoal,
+    publishClip,
+    parseFilter,
+    matchesFilter,
+    subscribe,
+    getEventsSince,
+    handleLiveStream,
+    getStats,
+    reset
+};
@@ -0,0 +1,296 @@
+/**
+ * Leveled, namespaced logging with request IDs.
+ *
+ * createLogger('fcm') returns a logger with error/warn/info/debug; arguments work like
+ * console.log and a trailing plain object is logged as structured fields. Levels are
+ * resolved per namespace ("provider" also covers "provider:shl"), default from
+ * LOG_LEVEL / LOG_LEVELS and can be changed at runtime with setLevel().
+ * LOG_FORMAT=json writes one JSON object per line.
+ *
+ * requestLogging() gives every request an ID (X-Request-Id) kept in AsyncLocalStorage,
+ * so every line logged while handling it carries the ID.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVEL, LOG_LEVELS, LOG_FORMAT } = require('./config');
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: 100 };
+const LEVEL_NAMES = Object.keys(LEVELS);
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function isValidLevel(level) {
+    return Object.prototype.hasOwnProperty.call(LEVELS, level);
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Parse LOG_LEVELS ("cache=debug,upstream=warn") into namespace -> level.
+ * Entries with unknown levels are ignored.
+ * @param {string} value
+ * @returns {Map<string, string>}
+ */
+function parseLevelOverrides(value) {
+    const overrides = new Map();
+    for (const entry of String(value || '').split(',')) {
+        const [namespace, level] = entry.split('=').map(part => (part || '').trim().toLowerCase());
+        if (namespace && isValidLevel(level)) {
+            overrides.set(namespace, level);
+        }
+    }
+    return overrides;
+}
+
+function formatFieldValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function defaultWrite(line, level) {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+class Logger {
+    constructor(manager, namespace) {
+        this.manager = manager;
+        this.namespace = namespace;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.manager.getLevel(this.namespace)];
+    }
+
+    error(...args) {
+        this.manager.write('error', this.namespace, args);
+    }
+
+    warn(...args) {
+        this.manager.write('warn', this.namespace, args);
+    }
+
+    info(...args) {
+        this.manager.write('info', this.namespace, args);
+    }
+
+    debug(...args) {
+        this.manager.write('debug', this.namespace, args);
+    }
+
+    /**
+     * Logger for a sub-namespace ('provider' -> 'provider:shl').
+     * @param {string} name
+     * @returns {Logger}
+     */
+    child(name) {
+        return this.manager.getLogger(`${this.namespace}:${name}`);
+    }
+}
+
+class LogManager {
+    /**
+     * @param {Object} [options] - Defaults come from config.js
+     * @param {string} [options.level] - Default level
+     * @param {string} [options.levels] - "namespace=level" overrides
+     * @param {'text'|'json'} [options.format]
+     * @param {Function} [options.write] - (line, level) => void, injectable for tests
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        const level = (options.level || LOG_LEVEL).toLowerCase();
+        this.defaultLevel = isValidLevel(level) ? level : 'info';
+        this.overrides = parseLevelOverrides(options.levels ?? LOG_LEVELS);
+        this.format = options.format || LOG_FORMAT;
+        this.writeLine = options.write || defaultWrite;
+        this.now = options.now || Date.now;
+        this.loggers = new Map();
+    }
+
+    /**
+     * @param {string} namespace - e.g. 'cache', 'provider:shl'
+     * @returns {Logger}
+     */
+    getLogger(namespace) {
+        const key = String(namespace).toLowerCase();
+        if (!this.loggers.has(key)) {
+            this.loggers.set(key, new Logger(this, key));
+        }
+        return this.loggers.get(key);
+    }
+
+    /**
+     * Effective level: the most specific override, else the default.
+     * @param {string} namespace
+     * @returns {string}
+     */
+    getLevel(namespace) {
+        const parts = namespace.split(':');
+        for (let length = parts.length; length > 0; length--) {
+            const level = this.overrides.get(parts.slice(0, length).join(':'));
+            if (level) {
+                return level;
+            }
+        }
+        return this.defaultLevel;
+    }
+
+    /**
+     * Set or clear (level null) the override for a namespace.
+     * @param {string} namespace
+     * @param {string|null} level
+     */
+    setLevel(namespace, level) {
+        const key = String(namespace || '').trim().toLowerCase();
+        if (!key) {
+            throw new Error('namespace is required');
+        }
+        if (level === null || level === undefined || level === '') {
+            this.overrides.delete(key);
+            return;
+        }
+        if (!isValidLevel(level)) {
+            throw new Error(`Unknown log level "${level}" (use ${LEVEL_NAMES.join(', ')})`);
+        }
+        this.overrides.set(key, level);
+    }
+
+    setDefaultLevel(level) {
+        if (!isValidLevel(level)) {
+            throw new Error(`Unknown log level "${level}" (use ${LEVEL_NAMES.join(', ')})`);
+        }
+        this.defaultLevel = level;
+    }
+
+    /**
+     * Levels for the admin console: every namespace that has logged or been created,
+     * plus overrides for namespaces not seen yet.
+     */
+    getConfig() {
+        const names = new Set([...this.loggers.keys(), ...this.overrides.keys()]);
+        return {
+            defaultLevel: this.defaultLevel,
+            format: this.format,
+            levels: LEVEL_NAMES,
+            namespaces: Array.from(names).sort().map(namespace => ({
+                namespace,
+                level: this.getLevel(namespace),
+                override: this.overrides.get(namespace) || null
+            }))
+        };
+    }
+
+    write(level, namespace, args) {
+        if (LEVELS[level] < LEVELS[this.getLevel(namespace)]) {
+            return;
+        }
+
+        let fields = {};
+        if (args.length > 1 && isPlainObject(args[args.length - 1])) {
+            fields = args[args.length - 1];
+            args = args.slice(0, -1);
+        }
+        const requestId = fields.requestId || requestContext.getStore()?.requestId || null;
+        const { requestId: _ignored, ...extra } = fields;
+        const time = new Date(this.now()).toISOString();
+
+        let line;
+        if (this.format === 'json') {
+            const error = args.find(arg => arg instanceof Error);
+            const message = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+            line = JSON.stringify({
+                time,
+                level,
+                namespace,
+                msg: message,
+                ...(requestId ? { requestId } : {}),
+                ...extra,
+                ...(error ? { err: serializeError(error) } : {})
+            });
+        } else {
+            const fieldText = Object.entries(extra)
+                .map(([key, value]) => ` ${key}=${formatFieldValue(value)}`)
+                .join('');
+            const requestText = requestId ? ` req=${requestId}` : '';
+            line = `${time} ${level.toUpperCase().padEnd(5)} [${namespace}] ${util.format(...args)}${fieldText}${requestText}`;
+        }
+
+        try {
+            this.writeLine(line, level);
+        } catch (error) {
+            // Logging must never take a request down (e.g. EPIPE on a closed stdout).
+        }
+    }
+}
+
+// ============ REQUEST IDS ============
+
+/**
+ * The current request's ID, or null outside a request.
+ * @returns {string|null}
+ */
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+/**
+ * Express middleware: assign a request ID, expose it as X-Request-Id and run the
+ * rest of the request inside its log context. Finished requests are logged at debug
+ * level under "http".
+ * @param {Object} [options]
+ * @param {Logger} [options.logger]
+ * @returns {Function}
+ */
+function requestLogging(options = {}) {
+    const log = options.logger || logManager.getLogger('http');
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const ms = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+            log.debug(`${req.method} ${req.originalUrl} ${res.statusCode} ${ms}ms`, { requestId });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+// ============ SHARED INSTANCE ============
+const logManager = new LogManager();
+
+/**
+ * Logger for a module namespace.
+ * @param {string} namespace - e.g. 'fcm', 'goal-watcher'
+ * @returns {Logger}
+ */
+function createLogger(namespace) {
+    return logManager.getLogger(namespace);
+}
+
+module.exports = {
+    LEVEL_NAMES,
+    LogManager,
+    Logger,
+    createLogger,
+    logManager,
+    requestLogging,
+    getRequestId,
+    isValidLevel
+};
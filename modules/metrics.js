@@ -0,0 +1,369 @@
+/**
+ * Prometheus metrics for GET /metrics.
+ *
+ * A small registry of counters, gauges and histograms rendered in the Prometheus text
+ * format (version 0.0.4). Every metric name and label set is declared in the catalogue
+ * below. Values that already live elsewhere (cache counters, breaker state, rate
+ * limiter stats) are read by a `collect` function at scrape time (wired in server.js).
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds. Upstream calls are usually sub-second but include retries and backoff.
+const UPSTREAM_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// Seconds. A goal-watcher tick fans out to every live game.
+const WATCHER_DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - e.g. 'gamepulse_upstream_requests_total'
+     * @param {string} options.help
+     * @param {string[]} [options.labelNames]
+     * @param {Function} [options.collect] - (metric) => void, called before rendering;
+     *   the metric is reset first, so collect() sets every current value
+     */
+    constructor({ name, help, labelNames = [], collect = null }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collectFn = collect;
+        this.values = new Map();
+    }
+
+    // Labels in declaration order; unknown names are an error, missing ones are ''.
+    normalizeLabels(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Metric ${this.name} has no label "${name}"`);
+            }
+        }
+        return Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')]));
+    }
+
+    entry(labels, create) {
+        const normalized = this.normalizeLabels(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: normalized, ...create() });
+        }
+        return this.values.get(key);
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = Number(value);
+    }
+
+    /**
+     * Current value for a label set (0 when never recorded).
+     */
+    get(labels = {}) {
+        const key = JSON.stringify(this.normalizeLabels(labels));
+        return this.values.get(key)?.value ?? 0;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    async collect() {
+        if (this.collectFn) {
+            this.reset();
+            await this.collectFn(this);
+        }
+    }
+
+    renderSamples() {
+        return Array.from(this.values.values())
+            .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples()
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * Set the gauge to the current time in seconds (for "last success" style gauges).
+     */
+    setToCurrentTime(labels = {}) {
+        this.set(labels, Date.now() / 1000);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - As Metric, plus:
+     * @param {number[]} options.buckets - Upper bounds, ascending
+     */
+    constructor(options) {
+        super(options);
+        this.buckets = [...options.buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels = {}, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start timing; call the returned function to observe the elapsed seconds.
+     * @param {Object} [labels]
+     * @returns {Function} (extraLabels) => seconds
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    get(labels = {}) {
+        const key = JSON.stringify(this.normalizeLabels(labels));
+        const entry = this.values.get(key);
+        return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    getMetric(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Prometheus text exposition of every metric. A failing collect() is logged and
+     * leaves that metric empty instead of failing the scrape.
+     * @returns {Promise<string>}
+     */
+    async render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            try {
+                await metric.collect();
+            } catch (error) {
+                log.error(`Failed to collect ${metric.name}:`, error.message);
+                metric.reset();
+            }
+            blocks.push(metric.render());
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+// ============ METRIC CATALOGUE ============
+const metrics = new MetricsRegistry();
+
+metrics.gauge({
+    name: 'gamepulse_process_start_time_seconds',
+    help: 'Unix time the server process started.',
+    collect: metric => metric.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+});
+
+metrics.gauge({
+    name: 'gamepulse_process_resident_memory_bytes',
+    help: 'Resident set size of the server process.',
+    collect: metric => metric.set({}, process.memoryUsage().rss)
+});
+
+const upstreamRequests = metrics.counter({
+    name: 'gamepulse_upstream_requests_total',
+    help: 'Upstream requests by provider, host and result (2xx/3xx/4xx/5xx status class, timeout, error, rejected by an open circuit).',
+    labelNames: ['provider', 'host', 'status']
+});
+
+const upstreamDuration = metrics.histogram({
+    name: 'gamepulse_upstream_request_duration_seconds',
+    help: 'Upstream request latency including retries.',
+    labelNames: ['provider', 'host'],
+    buckets: UPSTREAM_DURATION_BUCKETS
+});
+
+const upstreamLastSuccess = metrics.gauge({
+    name: 'gamepulse_upstream_last_success_timestamp_seconds',
+    help: 'Unix time of the last 2xx/3xx upstream response per provider. A provider stuck on 403 stops advancing it.',
+    labelNames: ['provider']
+});
+
+const goalsDetected = metrics.counter({
+    name: 'gamepulse_goals_detected_total',
+    help: 'New goals detected by the goal watcher. A goal whose push failed is detected again on the next tick.',
+    labelNames: ['sport']
+});
+
+const fcmSends = metrics.counter({
+    name: 'gamepulse_fcm_sends_total',
+    help: 'Firebase Cloud Messaging sends by notification type (goal, highlight, pre_game, test), target (topic, condition, device) and outcome.',
+    labelNames: ['type', 'target', 'outcome']
+});
+
+const ntfySends = metrics.counter({
+    name: 'gamepulse_ntfy_sends_total',
+    help: 'Video notifications posted to ntfy.sh by outcome.',
+    labelNames: ['outcome']
+});
+
+const watcherRunDuration = metrics.histogram({
+    name: 'gamepulse_watcher_run_duration_seconds',
+    help: 'Duration of one background loop run (goal-watcher, notifier, pre-game-watcher, scheduler).',
+    labelNames: ['watcher'],
+    buckets: WATCHER_DURATION_BUCKETS
+});
+
+const watcherRuns = metrics.counter({
+    name: 'gamepulse_watcher_runs_total',
+    help: 'Background loop runs by outcome (error means the run threw).',
+    labelNames: ['watcher', 'outcome']
+});
+
+const watcherLastRun = metrics.gauge({
+    name: 'gamepulse_watcher_last_run_timestamp_seconds',
+    help: 'Unix time the background loop last finished a run.',
+    labelNames: ['watcher']
+});
+
+/**
+ * Run one iteration of a background loop, recording its duration and outcome.
+ * Errors are rethrown so the loop's own error handling still applies.
+ * @param {string} watcher - e.g. 'goal-watcher'
+ * @param {Function} run - async () => result
+ * @returns {Promise<*>} The run's result
+ */
+async function timeWatcherRun(watcher, run) {
+    const endTimer = watcherRunDuration.startTimer({ watcher });
+    let outcome = 'ok';
+    try {
+        return await run();
+    } catch (error) {
+        outcome = 'error';
+        throw error;
+    } finally {
+        endTimer();
+        watcherRuns.inc({ watcher, outcome });
+        watcherLastRun.setToCurrentTime({ watcher });
+    }
+}
+
+/**
+ * When a background loop last finished a run.
+ * @param {string} watcher - e.g. 'goal-watcher'
+ * @returns {number|null} Unix time in ms, or null before its first run
+ */
+function getWatcherLastRun(watcher) {
+    const seconds = watcherLastRun.get({ watcher });
+    return seconds ? seconds * 1000 : null;
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    PROMETHEUS_CONTENT_TYPE,
+    metrics,
+    upstreamRequests,
+    upstreamDuration,
+    upstreamLastSuccess,
+    goalsDetected,
+    fcmSends,
+    ntfySends,
+    timeWatcherRun,
+    getWatcherLastRun
+};
@@ -1,7 +1,6 @@
-const fs = require('fs');
 const {
-    SEEN_GAMES_FILE,
-    SEEN_VIDEOS_FILE,
+    SEEN_GAMES_TTL,
+    SEEN_VIDEOS_TTL,
     HIGHLIGHTS_TOPIC_PREFIX,
     TEAM_ALL_TOPIC_PREFIX,
     GLOBAL_ALL_TOPIC,
@@ -14,10 +13,17 @@ const { getActiveGames } = require('./games-cache');
 const { formatSwedishTimestamp } = require('./utils');
 const { addEntry } = require('./activity-log');
 const pushNotifications = require('./fcm-notifications');
+const { SeenIdStore } = require('./state-store');
+const liveEvents = require('./live-events');
+const highlightFeed = require('./highlight-feed');
+const { ntfySends, timeWatcherRun } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('notifier');
 
 // ============ NOTIFIER STATE ============
-let seenGames = [];
-let seenVideos = [];
+const seenGames = new SeenIdStore('seen_games', { ttlMs: SEEN_GAMES_TTL, logger: log });
+const seenVideos = new SeenIdStore('seen_videos', { ttlMs: SEEN_VIDEOS_TTL, logger: log });
 let isFirstCheck = true;  // Skip notifications on startup
 let stats = {
     lastCheck: null,
@@ -28,34 +34,16 @@ let stats = {
 
 // ============ DATA PERSISTENCE ============
 function loadData() {
-    if (fs.existsSync(SEEN_GAMES_FILE)) {
-        try {
-            seenGames = JSON.parse(fs.readFileSync(SEEN_GAMES_FILE, 'utf8'));
-        } catch (e) {
-            console.error('Error reading seen_games.json:', e);
-        }
-    }
-    if (fs.existsSync(SEEN_VIDEOS_FILE)) {
-        try {
-            seenVideos = JSON.parse(fs.readFileSync(SEEN_VIDEOS_FILE, 'utf8'));
-        } catch (e) {
-            console.error('Error reading seen_videos.json:', e);
-        }
-    }
+    seenGames.load();
+    seenVideos.load();
 }
 
 function saveSeenGame(gameId) {
-    if (!seenGames.includes(gameId)) {
-        seenGames.push(gameId);
-        fs.writeFileSync(SEEN_GAMES_FILE, JSON.stringify(seenGames, null, 2));
-    }
+    seenGames.add(gameId);
 }
 
 function saveSeenVideo(videoId) {
-    if (!seenVideos.includes(videoId)) {
-        seenVideos.push(videoId);
-        fs.writeFileSync(SEEN_VIDEOS_FILE, JSON.stringify(seenVideos, null, 2));
-    }
+    seenVideos.add(videoId);
 }
 
 // ============ NOTIFICATIONS ============
@@ -76,7 +64,7 @@ async function sendNotification(topic, video, gameInfo, isHighlight, sport = 'sh
         message += `\n\n![Thumbnail](${imageUrl})`;
     }
 
-    console.log(`[Notifier] Sending notification to ntfy.sh/${topic}...`);
+    log.info(`Sending notification to ntfy.sh/${topic}...`);
     try {
         const payload = {
             topic,
@@ -93,32 +81,53 @@ async function sendNotification(topic, video, gameInfo, isHighlight, sport = 'sh
             }]
         };
 
-        await fetch('https://ntfy.sh', {
+        const response = await fetch('https://ntfy.sh', {
             method: 'POST',
             body: JSON.stringify(payload),
             headers: { 'Content-Type': 'application/json' }
         });
+        if (!response.ok) {
+            throw new Error(`ntfy.sh responded ${response.status}`);
+        }
+        ntfySends.inc({ outcome: 'success' });
         stats.notificationsSent++;
         addEntry('notifier', 'notification', `Video notification: ${gameInfo.homeTeam} vs ${gameInfo.awayTeam}`);
     } catch (error) {
-        console.error(`Error sending notification to ${topic}:`, error.message);
+        ntfySends.inc({ outcome: 'failure' });
+        log.error(`Error sending notification to ${topic}:`, error.message);
         addEntry('notifier', 'error', `Video notification failed: ${error.message}`);
     }
 }
 
+/**
+ * Add a highlight / goal clip to the Atom feeds. Unlike pushes this also runs on the
+ * startup check: clips published while the server was down still belong in the feed.
+ */
+function recordFeedClip(provider, sport, gameInfo, video, flags) {
+    try {
+        highlightFeed.recordClip(sport, gameInfo, video, {
+            ...flags,
+            videoUrl: provider.getVideoUrl(video),
+            thumbnail: provider.getVideoThumbnail(video),
+            league: provider.getName()
+        });
+    } catch (error) {
+        log.error(`Failed to record ${sport} clip ${video.id} in the highlight feed:`, error.message);
+    }
+}
+
 async function processGameVideos(game, skipNotifications = false, sport = 'shl') {
     const provider = getProvider(sport);
     const gameInfo = provider.getGameDisplayInfo(game);
-    const timestamp = formatSwedishTimestamp();
 
-    console.log(`[${timestamp}] [${sport}] Checking videos for ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} (${gameInfo.gameId})...`);
+    log.debug(`[${sport}] Checking videos for ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} (${gameInfo.gameId})...`);
 
     try {
         const videos = await provider.fetchGameVideos(gameInfo.gameId);
         if (!videos) return;
 
         for (const video of videos) {
-            if (seenVideos.includes(video.id)) continue;
+            if (seenVideos.has(video.id)) continue;
 
             const isHighlight = provider.isHighlight(video);
 
@@ -152,18 +161,22 @@ async function processGameVideos(game, skipNotifications = false, sport = 'shl')
                     });
 
                     if (pushResult.success) {
-                        console.log(`[Notifier] FCM highlight notification sent for game ${gameInfo.gameId}`);
+                        log.info(`FCM highlight notification sent for game ${gameInfo.gameId}`);
                         addEntry('notifier', 'notification', `Highlight push sent: ${gameInfo.homeTeam} vs ${gameInfo.awayTeam}`, {
                             sport,
                             gameId: gameInfo.gameId,
                             videoId: video.id
                         });
                     } else {
-                        console.warn(`[Notifier] FCM highlight notification not sent: ${pushResult.error || 'unknown error'}`);
+                        log.warn(`FCM highlight notification not sent: ${pushResult.error || 'unknown error'}`);
                     }
                 }
             }
 
+            if (!skipNotifications) {
+                liveEvents.publishClip(sport, gameInfo, video, { isHighlight });
+            }
+            recordFeedClip(provider, sport, gameInfo, video, { isHighlight });
             saveSeenVideo(video.id);
         }
 
@@ -175,7 +188,7 @@ async function processGameVideos(game, skipNotifications = false, sport = 'shl')
         }
 
     } catch (e) {
-        console.error(`Error processing videos for ${gameInfo.gameId}: ${e.message}`);
+        log.error(`Error processing videos for ${gameInfo.gameId}: ${e.message}`);
         addEntry('notifier', 'error', `Error processing videos: ${e.message}`);
     }
 }
@@ -189,9 +202,8 @@ async function processGameVideos(game, skipNotifications = false, sport = 'shl')
 async function processFootballGoalClips(game, sport, skipNotifications = false) {
     const provider = getProvider(sport);
     const gameInfo = provider.getGameDisplayInfo(game);
-    const timestamp = formatSwedishTimestamp();
 
-    console.log(`[${timestamp}] [${sport}] Checking goal clips for ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} (${gameInfo.gameId})...`);
+    log.debug(`[${sport}] Checking goal clips for ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} (${gameInfo.gameId})...`);
 
     try {
         const videos = await provider.fetchGameVideos(gameInfo.gameId);
@@ -200,7 +212,7 @@ async function processFootballGoalClips(game, sport, skipNotifications = false)
         }
 
         for (const video of videos) {
-            if (seenVideos.includes(video.id)) {
+            if (seenVideos.has(video.id)) {
                 continue;
             }
 
@@ -225,17 +237,24 @@ async function processFootballGoalClips(game, sport, skipNotifications = false)
                 });
 
                 if (pushResult.success) {
-                    console.log(`[Notifier] [${sport}] Goal-clip push sent for game ${gameInfo.gameId}: ${clipTitle}`);
+                    log.info(`[${sport}] Goal-clip push sent for game ${gameInfo.gameId}: ${clipTitle}`);
                     addEntry('notifier', 'notification', `Goal clip push: ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} — ${clipTitle}`, {
                         sport,
                         gameId: gameInfo.gameId,
                         videoId: video.id
                     });
                 } else {
-                    console.warn(`[Notifier] [${sport}] Goal-clip push not sent: ${pushResult.error || 'unknown error'}`);
+                    log.warn(`[${sport}] Goal-clip push not sent: ${pushResult.error || 'unknown error'}`);
                 }
             }
 
+            // Every new clip goes to the live stream; only goal clips are pushed.
+            const isHighlight = typeof provider.isHighlight === 'function' && provider.isHighlight(video);
+            if (!skipNotifications) {
+                liveEvents.publishClip(sport, gameInfo, video, { isHighlight, isGoalClip });
+            }
+            recordFeedClip(provider, sport, gameInfo, video, { isHighlight, isGoalClip });
+
             // Mark every clip seen (goal or not) so we don't re-scan it next tick.
             saveSeenVideo(video.id);
         }
@@ -247,7 +266,7 @@ async function processFootballGoalClips(game, sport, skipNotifications = false)
             saveSeenGame(gameInfo.gameId);
         }
     } catch (e) {
-        console.error(`[${sport}] Error processing goal clips for ${gameInfo.gameId}: ${e.message}`);
+        log.error(`[${sport}] Error processing goal clips for ${gameInfo.gameId}: ${e.message}`);
         addEntry('notifier', 'error', `Error processing ${sport} goal clips: ${e.message}`);
     }
 }
@@ -255,7 +274,7 @@ async function processFootballGoalClips(game, sport, skipNotifications = false)
 // ============ MAIN CHECK LOOP ============
 async function runCheck() {
     const provider = getProvider();
-    console.log(`\n--- [Notifier] Running check at ${formatSwedishTimestamp()} ---`);
+    log.debug('Running check');
     loadData();
 
     const games = await getActiveGames('shl');
@@ -263,7 +282,7 @@ async function runCheck() {
     // Skip all notifications on first check after server start
     const skipNotifications = isFirstCheck;
     if (isFirstCheck) {
-        console.log(`[Notifier] Startup check - indexing videos without sending notifications...`);
+        log.info('Startup check - indexing videos without sending notifications');
         isFirstCheck = false;
     }
 
@@ -271,7 +290,7 @@ async function runCheck() {
 
     for (const game of games) {
         const gameInfo = provider.getGameDisplayInfo(game);
-        if (seenGames.includes(gameInfo.gameId)) continue;
+        if (seenGames.has(gameInfo.gameId)) continue;
         await processGameVideos(game, skipNotifications, 'shl');
     }
 
@@ -284,11 +303,11 @@ async function runCheck() {
         hockeyAllsvenskanGames = await getActiveGames('hockeyallsvenskan');
         for (const game of hockeyAllsvenskanGames) {
             const gameInfo = haProvider.getGameDisplayInfo(game);
-            if (seenGames.includes(gameInfo.gameId)) continue;
+            if (seenGames.has(gameInfo.gameId)) continue;
             await processGameVideos(game, skipNotifications, 'hockeyallsvenskan');
         }
     } catch (e) {
-        console.error(`[Notifier] Error checking HockeyAllsvenskan videos: ${e.message}`);
+        log.error(`Error checking HockeyAllsvenskan videos: ${e.message}`);
         addEntry('notifier', 'error', `Error checking HockeyAllsvenskan videos: ${e.message}`);
     }
 
@@ -300,11 +319,11 @@ async function runCheck() {
         footballGames = await getActiveGames('allsvenskan');
         for (const game of footballGames) {
             const gameInfo = footballProvider.getGameDisplayInfo(game);
-            if (seenGames.includes(gameInfo.gameId)) continue;
+            if (seenGames.has(gameInfo.gameId)) continue;
             await processFootballGoalClips(game, 'allsvenskan', skipNotifications);
         }
     } catch (e) {
-        console.error(`[Notifier] Error checking Allsvenskan goal clips: ${e.message}`);
+        log.error(`Error checking Allsvenskan goal clips: ${e.message}`);
         addEntry('notifier', 'error', `Error checking Allsvenskan goal clips: ${e.message}`);
     }
 
@@ -318,25 +337,25 @@ async function runCheck() {
 
 function startLoop() {
     stats.isRunning = true;
-    console.log('[Notifier] Starting background notification service...');
+    log.info('Starting background notification service...');
     loadData();
 
     const checkLoop = async () => {
         try {
-            const games = await runCheck();
+            const games = await timeWatcherRun('notifier', runCheck);
             const hasLiveGame = games && games.some(g => g.state === 'live');
 
             const delay = hasLiveGame ? NOTIFIER_INTERVAL_LIVE : NOTIFIER_INTERVAL_NORMAL;
 
             if (hasLiveGame) {
-                console.log(`[Notifier] Live game active! Next check in 30 seconds.`);
+                log.debug('Live game active, next check in 30 seconds');
             } else {
-                console.log(`[Notifier] No live games. Next check in 5 minutes.`);
+                log.debug('No live games, next check in 5 minutes');
             }
 
             setTimeout(checkLoop, delay);
         } catch (error) {
-            console.error('[Notifier] Error in main loop:', error);
+            log.error('Error in main loop:', error);
             setTimeout(checkLoop, NOTIFIER_INTERVAL_NORMAL);
         }
     };
@@ -350,8 +369,8 @@ function getStats() {
         lastCheck: stats.lastCheck,
         gamesChecked: stats.gamesChecked,
         totalNotificationsSent: stats.notificationsSent,
-        seenGamesCount: seenGames.length,
-        seenVideosCount: seenVideos.length
+        seenGamesCount: seenGames.size,
+        seenVideosCount: seenVideos.size
     };
 }
 
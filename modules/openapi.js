@@ -0,0 +1,1607 @@
+/**
+ * OpenAPI 3.1 description of the HTTP API, and request validation against it.
+ *
+ * Every route is described once, in the OPERATION CATALOGUE below:
+ * - buildOpenApiDocument() renders the document served at GET /api/openapi.json
+ * - validateRequest(operationId) is the route middleware that checks path, query and
+ *   body against the same schemas, coerces query strings and fills in defaults into
+ *   req.input = { params, query, body }
+ * Invalid requests get 400 { error, details: [{ in, name, message }] } (the
+ * invalid_parameters envelope for v2 operations). Unknown query parameters are
+ * ignored. The validator implements the subset of JSON Schema the catalogue uses.
+ */
+
+const { STATUS_CODES } = require('http');
+const { IMAGE_MAX_DIMENSION, ADMIN_SESSION_COOKIE } = require('./config');
+const { ERROR_CODES, sendApiError } = require('./api-envelope');
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+// ============ SCHEMA VALIDATION ============
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(expected, value) {
+    const actual = typeOf(value);
+    return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+function describeTypes(types) {
+    const article = type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+    return types.map(type => (type === 'null' ? 'null' : article(type))).join(' or ');
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} name - Used in messages, e.g. 'limit' or 'topics[0]'
+ * @param {Object} [schemas] - components.schemas, for $ref
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateValue(schema, value, name, schemas = SCHEMAS) {
+    if (!schema) {
+        return [];
+    }
+    if (schema.$ref) {
+        const target = schemas[schema.$ref.slice(SCHEMA_REF_PREFIX.length)];
+        if (!target) {
+            throw new Error(`Unknown schema reference ${schema.$ref}`);
+        }
+        return validateValue(target, value, name, schemas);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(type, value))) {
+            return [`${name} must be ${describeTypes(types)}`];
+        }
+    }
+    if (value === null) {
+        return [];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${name} must be one of: ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${name} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${name} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${name} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${name} has an invalid format`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${name} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${name}[${index}]`, schemas)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const prefix = name === 'body' ? '' : `${name}.`;
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${prefix}${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateValue(properties[key], propertyValue, `${prefix}${key}`, schemas));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${prefix}${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateValue(schema.additionalProperties, propertyValue, `${prefix}${key}`, schemas));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Turn a raw path or query string into the parameter's declared type.
+ * Arrays accept repeated parameters and comma-separated lists (?league=shl,allsvenskan).
+ * @returns {{ value: *, error: string|null }}
+ */
+function coerceParameter(schema, raw, name) {
+    const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+    if (type === 'array') {
+        const items = (Array.isArray(raw) ? raw : [raw])
+            .flatMap(item => String(item).split(','))
+            .map(item => item.trim())
+            .filter(Boolean);
+        const coerced = [];
+        for (const item of items) {
+            const { value, error } = coerceParameter(schema.items || {}, item, name);
+            if (error) {
+                return { value: undefined, error };
+            }
+            coerced.push(value);
+        }
+        return { value: coerced, error: null };
+    }
+
+    if (Array.isArray(raw) || typeof raw === 'object') {
+        return { value: undefined, error: `${name} must be a single value` };
+    }
+    const text = String(raw).trim();
+
+    if (type === 'integer') {
+        return /^-?\d+$/.test(text)
+            ? { value: Number(text), error: null }
+            : { value: undefined, error: `${name} must be an integer` };
+    }
+    if (type === 'number') {
+        const number = Number(text);
+        return text !== '' && Number.isFinite(number)
+            ? { value: number, error: null }
+            : { value: undefined, error: `${name} must be a number` };
+    }
+    if (type === 'boolean') {
+        if (['true', '1'].includes(text.toLowerCase())) {
+            return { value: true, error: null };
+        }
+        if (['false', '0'].includes(text.toLowerCase())) {
+            return { value: false, error: null };
+        }
+        return { value: undefined, error: `${name} must be true or false` };
+    }
+    return { value: text, error: null };
+}
+
+/**
+ * Coerce and validate one group of parameters (path or query).
+ * @param {Object} definitions - name -> { schema, required }
+ * @param {Object} raw - req.params or req.query
+ * @param {string} location - 'path' or 'query'
+ * @returns {{ values: Object, details: Object[] }}
+ */
+function readParameters(definitions = {}, raw = {}, location) {
+    const values = {};
+    const details = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+        const input = raw[name];
+        // An empty ?team= means "no filter", as it always has.
+        if (input === undefined || input === '') {
+            if (definition.required) {
+                details.push({ in: location, name, message: `${name} is required` });
+            } else if (definition.schema.default !== undefined) {
+                values[name] = definition.schema.default;
+            }
+            continue;
+        }
+
+        const { value, error } = coerceParameter(definition.schema, input, name);
+        const messages = error ? [error] : validateValue(definition.schema, value, name);
+        if (messages.length) {
+            details.push(...messages.map(message => ({ in: location, name, message })));
+        } else {
+            values[name] = value;
+        }
+    }
+
+    return { values, details };
+}
+
+/**
+ * Validate a request against an operation.
+ * @param {Object} operation - Catalogue entry
+ * @param {{ params?: Object, query?: Object, body?: * }} request
+ * @returns {{ input: { params, query, body }, details: Object[] }}
+ */
+function checkRequest(operation, { params = {}, query = {}, body } = {}) {
+    const path = readParameters(operation.params, params, 'path');
+    const search = readParameters(operation.query, query, 'query');
+    const details = [...path.details, ...search.details];
+
+    if (operation.body) {
+        const hasBody = body !== undefined && body !== null
+            && !(typeOf(body) === 'object' && Object.keys(body).length === 0 && !operation.body.required);
+        if (!hasBody && operation.body.required) {
+            details.push({ in: 'body', name: 'body', message: 'request body is required' });
+        } else if (hasBody) {
+            for (const message of validateValue(operation.body.schema, body, 'body')) {
+                const name = message.split(' ')[0];
+                details.push({ in: 'body', name, message });
+            }
+        }
+    }
+
+    return {
+        input: { params: path.values, query: search.values, body: body ?? {} },
+        details
+    };
+}
+
+// ============ COMPONENTS ============
+
+const ref = name => ({ $ref: `${SCHEMA_REF_PREFIX}${name}` });
+const arrayOf = name => ({ type: 'array', items: ref(name) });
+
+const VALIDATION_DETAILS = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            name: { type: 'string' },
+            message: { type: 'string' }
+        }
+    }
+};
+
+// Win/draw/loss record (modules/head-to-head.js)
+const H2H_RECORD = Object.fromEntries(
+    ['played', 'wins', 'draws', 'losses', 'goalsFor', 'goalsAgainst'].map(field => [field, { type: 'integer' }])
+);
+
+// v2 envelopes (modules/api-envelope.js)
+const CACHE_META = {
+    generatedAt: { type: 'string', format: 'date-time' },
+    cacheAge: { type: ['integer', 'null'], description: 'Seconds since the data was fetched upstream; null when not cached' },
+    stale: { type: 'boolean', description: 'Served from a snapshot restored at startup that has not been refreshed yet' }
+};
+const listOf = items => ({
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: { data: { type: 'array', items }, meta: ref('ListMeta') }
+});
+const itemOf = schema => ({
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: { data: schema, meta: ref('ItemMeta') }
+});
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'details'],
+        properties: {
+            error: { type: 'string', description: 'Every message below, joined with "; "' },
+            details: VALIDATION_DETAILS
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } }
+    },
+    Capabilities: {
+        type: 'object',
+        description: 'What the provider of a sport supports (see modules/providers/base.js).',
+        properties: Object.fromEntries(
+            ['videos', 'details', 'standings', 'seasons', 'bracket', 'liveEvents', 'teams', 'goalClips', 'leaders']
+                .map(flag => [flag, { type: 'boolean' }])
+        )
+    },
+    Sport: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', examples: ['shl'] },
+            name: { type: 'string' },
+            icon: { type: 'string' },
+            capabilities: ref('Capabilities')
+        }
+    },
+    TeamInfo: {
+        type: 'object',
+        properties: {
+            uuid: { type: 'string' },
+            code: { type: 'string' },
+            names: {
+                type: 'object',
+                properties: { short: { type: 'string' }, long: { type: 'string' } }
+            },
+            score: { type: ['integer', 'null'] },
+            icon: { type: ['string', 'null'], description: 'Route it through /api/img' }
+        }
+    },
+    Game: {
+        type: 'object',
+        properties: {
+            uuid: { type: 'string' },
+            startDateTime: { type: 'string', description: 'Local time as sent by the league' },
+            rawStartDateTime: { type: 'string', format: 'date-time' },
+            state: { type: 'string', examples: ['pre-game', 'live', 'post-game'] },
+            homeTeamInfo: ref('TeamInfo'),
+            awayTeamInfo: ref('TeamInfo'),
+            venueInfo: { type: ['object', 'null'], properties: { name: { type: 'string' } } }
+        }
+    },
+    GameDetails: {
+        type: 'object',
+        description: 'Game info, team stats and events (goals, penalties, periods). The shape follows the league.',
+        properties: {
+            info: { type: 'object' },
+            teamStats: { type: ['object', 'null'] },
+            events: { type: 'object' }
+        }
+    },
+    Video: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            thumbnail: { type: ['string', 'null'] }
+        }
+    },
+    VideoDetails: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            streams: {
+                type: 'object',
+                properties: { hls: { type: ['string', 'null'] }, embed: { type: ['string', 'null'] } }
+            },
+            images: {
+                type: 'object',
+                properties: { thumbnail: { type: ['string', 'null'] }, gif: { type: ['string', 'null'] } }
+            }
+        }
+    },
+    StandingsRow: {
+        type: 'object',
+        properties: {
+            position: { type: 'integer' },
+            teamCode: { type: 'string' },
+            teamName: { type: 'string' },
+            teamShortName: { type: 'string' },
+            teamUuid: { type: 'string' },
+            gamesPlayed: { type: 'integer' },
+            wins: { type: 'integer' },
+            losses: { type: 'integer' },
+            points: { type: 'integer' },
+            goalsFor: { type: 'integer' },
+            goalsAgainst: { type: 'integer' },
+            goalDiff: { type: 'integer' }
+        }
+    },
+    Standings: {
+        type: 'object',
+        properties: {
+            season: { type: ['string', 'null'] },
+            standings: arrayOf('StandingsRow'),
+            groups: { type: 'array', description: 'Cup group tables', items: { type: 'object' } }
+        }
+    },
+    Bracket: {
+        type: 'object',
+        description: 'Knockout rounds with their ties (see modules/bracket-builder.js).',
+        properties: { rounds: { type: 'array', items: { type: 'object' } } }
+    },
+    Leader: {
+        type: 'object',
+        properties: {
+            rank: { type: 'integer', description: 'Shared by players with the same value' },
+            id: { type: 'string', description: 'Player uuid' },
+            name: { type: 'string' },
+            teamCode: { type: ['string', 'null'], description: 'Team of the player\'s latest game' },
+            goals: { type: 'integer' },
+            assists: { type: 'integer' },
+            points: { type: 'integer' }
+        }
+    },
+    Leaders: {
+        type: 'object',
+        description: 'See modules/leaders.js',
+        properties: {
+            sport: { type: 'string' },
+            updatedAt: { type: ['string', 'null'], format: 'date-time' },
+            gamesCounted: { type: 'integer', description: 'Finished games whose play-by-play is included' },
+            gamesPending: { type: 'integer', description: 'Finished games not read yet' },
+            points: arrayOf('Leader'),
+            goals: arrayOf('Leader'),
+            assists: arrayOf('Leader')
+        }
+    },
+    Team: {
+        type: 'object',
+        description: 'SHL team from static/teams.json',
+        properties: {
+            code: { type: 'string' },
+            uuid: { type: 'string' },
+            names: { type: 'object' },
+            arena: { type: 'string' }
+        }
+    },
+    IndexedTeam: {
+        type: 'object',
+        description: 'Team of the cross-league index (modules/teams-index.js)',
+        properties: {
+            uid: { type: 'string', description: '`${sport}:${id}`, unique across sports' },
+            id: { type: 'string' },
+            sport: { type: 'string', enum: ['hockey', 'football'] },
+            code: { type: 'string' },
+            key: { type: 'string' },
+            leagues: { type: 'array', items: { type: 'string' } },
+            selected: { type: 'boolean' }
+        }
+    },
+    TeamsPage: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            teams: arrayOf('IndexedTeam')
+        }
+    },
+    TeamOverview: {
+        type: 'object',
+        description: 'See modules/team-overview.js',
+        properties: {
+            team: ref('IndexedTeam'),
+            form: { type: 'array', items: { type: 'string', enum: ['W', 'L', 'D', 'OT'] }, description: 'Last 5 finished games, most recent first' },
+            nextGame: { oneOf: [ref('Game'), { type: 'null' }] },
+            standings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        league: { type: 'string' },
+                        season: { type: ['string', 'null'] },
+                        group: { type: ['string', 'null'], description: 'Cup group stage' },
+                        position: { type: ['integer', 'null'] },
+                        points: { type: ['integer', 'null'] },
+                        gamesPlayed: { type: ['integer', 'null'] }
+                    }
+                }
+            },
+            latestHighlight: { type: ['object', 'null'], description: 'Highlight feed entry' },
+            fixtures: { type: 'array', items: ref('Game'), description: 'Oldest first, each with `sport`' },
+            unavailable: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { league: { type: 'string' }, resource: { type: 'string', enum: ['games', 'standings'] }, error: { type: 'string' } }
+                }
+            }
+        }
+    },
+    BiathlonRace: {
+        type: 'object',
+        properties: {
+            uuid: { type: 'string' },
+            discipline: { type: 'string' },
+            gender: { type: 'string', enum: ['men', 'women', 'mixed'] },
+            country: { type: 'string' },
+            startDateTime: { type: 'string' },
+            state: { type: 'string' }
+        }
+    },
+    HeadToHeadRecord: {
+        type: 'object',
+        properties: H2H_RECORD
+    },
+    HeadToHeadSide: {
+        type: 'object',
+        description: 'A team\'s record in the meetings',
+        properties: {
+            query: { type: 'string', description: 'teamA or teamB as given' },
+            info: { type: 'object', description: 'Team info from the game list' },
+            ...H2H_RECORD,
+            home: ref('HeadToHeadRecord'),
+            away: ref('HeadToHeadRecord')
+        }
+    },
+    HeadToHead: {
+        type: 'object',
+        description: 'See modules/head-to-head.js',
+        properties: {
+            sport: { type: 'string' },
+            seasons: { type: 'array', items: { type: 'string' }, description: 'Past seasons read besides the current game list' },
+            teamA: ref('HeadToHeadSide'),
+            teamB: ref('HeadToHeadSide'),
+            played: { type: 'integer' },
+            draws: { type: 'integer' },
+            meetings: {
+                type: 'array',
+                description: 'Newest first; each game has winner: teamA, teamB or draw',
+                items: ref('Game')
+            },
+            unavailable: {
+                type: 'array',
+                items: { type: 'object', properties: { season: { type: ['string', 'null'] }, error: { type: 'string' } } }
+            }
+        }
+    },
+    ScheduleEvent: {
+        type: 'object',
+        description: 'Game or race of any sport, with the fields below added (modules/schedule.js)',
+        properties: {
+            sport: { type: 'string' },
+            startTime: { type: 'integer', description: 'Start, ms since the epoch' },
+            normalizedState: { type: 'string', description: 'pre-game, live or post-game (biathlon states mapped)' },
+            isLive: { type: 'boolean' },
+            isStartingSoon: { type: 'boolean' },
+            isCompleted: { type: 'boolean' },
+            section: { type: 'string', enum: ['live', 'startingSoon', 'today', 'tomorrow', 'thisWeek', 'upcoming', 'recentResults', 'earlierResults'] }
+        }
+    },
+    Schedule: {
+        type: 'object',
+        properties: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            timeZone: { type: 'string', description: 'Days and sections are counted in this zone' },
+            total: { type: 'integer' },
+            sections: {
+                type: 'array',
+                description: 'Non-empty sections in display order',
+                items: {
+                    type: 'object',
+                    properties: { key: { type: 'string' }, title: { type: 'string' }, count: { type: 'integer' } }
+                }
+            },
+            events: arrayOf('ScheduleEvent'),
+            unavailable: {
+                type: 'array',
+                description: 'Sports left out because their provider failed',
+                items: { type: 'object', properties: { sport: { type: 'string' }, error: { type: 'string' } } }
+            }
+        }
+    },
+    Readiness: {
+        type: 'object',
+        properties: {
+            ready: { type: 'boolean' },
+            status: { type: 'string', enum: ['ready', 'not_ready'] },
+            reasons: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    ListMeta: {
+        type: 'object',
+        required: ['total', 'generatedAt', 'cacheAge', 'stale'],
+        properties: { total: { type: 'integer', description: 'Matches before pagination' }, ...CACHE_META }
+    },
+    ItemMeta: {
+        type: 'object',
+        required: ['generatedAt', 'cacheAge', 'stale'],
+        properties: CACHE_META
+    },
+    ApiError: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                    message: { type: 'string' },
+                    details: { description: 'For invalid_parameters, one entry per invalid parameter', ...VALIDATION_DETAILS }
+                }
+            }
+        }
+    },
+    HealthReport: {
+        type: 'object',
+        description: 'See modules/health.js',
+        properties: {
+            status: { type: 'string', enum: ['ok', 'degraded', 'down'] },
+            ready: { type: 'boolean' },
+            providers: { type: 'object' },
+            fcm: { type: 'object' },
+            watchers: { type: 'object' },
+            stateStorage: { type: 'object' }
+        }
+    }
+};
+
+const RESPONSES = {
+    BadRequest: { description: 'Invalid path, query or body parameter', schema: ref('ValidationError') },
+    Unauthorized: { description: 'Not signed in (session cookie or Bearer API token required)', schema: ref('Error') },
+    NotFound: { description: 'Unknown sport, game or resource', schema: ref('Error') },
+    TooManyRequests: { description: 'Rate limited; see Retry-After and RateLimit-* headers', schema: ref('Error') },
+    UpstreamError: { description: 'Upstream provider failed', schema: ref('Error') },
+    Unavailable: { description: 'Service not configured or not ready', schema: ref('Error') }
+};
+
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    404: 'NotFound',
+    429: 'TooManyRequests',
+    500: 'UpstreamError',
+    503: 'Unavailable'
+};
+
+// /api/v2 operations answer errors as ApiError; the code fixes the status.
+const V2_RESPONSES = {
+    V2BadRequest: { description: 'invalid_parameters', schema: ref('ApiError') },
+    V2NotFound: { description: 'unknown_sport, not_found or not_supported', schema: ref('ApiError') },
+    V2TooManyRequests: { description: 'rate_limited; see Retry-After and RateLimit-* headers', schema: ref('ApiError') },
+    V2UpstreamError: { description: 'upstream_error: the provider failed', schema: ref('ApiError') }
+};
+
+const V2_ERROR_RESPONSES = {
+    400: 'V2BadRequest',
+    404: 'V2NotFound',
+    429: 'V2TooManyRequests',
+    502: 'V2UpstreamError'
+};
+
+const SECURITY_SCHEMES = {
+    adminSession: { type: 'apiKey', in: 'cookie', name: ADMIN_SESSION_COOKIE, description: 'Set by POST /api/auth/login' },
+    apiToken: { type: 'http', scheme: 'bearer', description: 'Admin API token (gpa_...), created in the admin console' }
+};
+
+// ============ SHARED PARAMETERS ============
+
+const SPORT_PARAM = {
+    description: 'Sport id from /api/sports. Legacy alias: football = allsvenskan.',
+    schema: { type: 'string', examples: ['allsvenskan', 'hockeyallsvenskan', 'svenska-cupen'] }
+};
+
+const GAME_ID_PARAM = { description: 'Game id (uuid for hockey)', schema: { type: 'string' } };
+
+const TEAM_CODE_PARAM = { description: 'Team code, e.g. LHF', schema: { type: 'string', maxLength: 40 } };
+
+const GAME_QUERY = {
+    team: { description: 'Team code, id or name (case-insensitive)', schema: { type: 'string', maxLength: 100 } },
+    state: { description: 'Game state, e.g. pre-game, live, post-game (case-insensitive)', schema: { type: 'string', maxLength: 20 } },
+    upcoming: { description: 'Only games that have not started', schema: { type: 'boolean' } },
+    limit: { description: 'At most this many games', schema: { type: 'integer', minimum: 1 } }
+};
+
+const SEASON_QUERY = {
+    season: { description: 'Past season (providers with the seasons capability); bypasses the cache', schema: { type: 'string', maxLength: 20 } }
+};
+
+const STANDINGS_QUERY = {
+    team: { description: 'Team code, id or name', schema: { type: 'string', maxLength: 100 } },
+    top: { description: 'Only the top N rows', schema: { type: 'integer', minimum: 1 } }
+};
+
+const TEAMS_QUERY = {
+    sport: { description: 'Sport family', schema: { type: 'string', enum: ['hockey', 'football', 'all'], default: 'all' } },
+    q: { description: 'Diacritic-insensitive search over code, key and names', schema: { type: 'string', maxLength: 100 } },
+    league: { description: 'League ids (OR)', schema: { type: 'array', items: { type: 'string', maxLength: 40 } } },
+    region: { description: 'Hockey region or city', schema: { type: 'string', maxLength: 100 } },
+    selected: { description: 'Ids to mark selected: true', schema: { type: 'array', items: { type: 'string', maxLength: 100 } } },
+    sort: { description: 'Sort order', schema: { type: 'string', enum: ['name', 'code'], default: 'name' } },
+    limit: { description: 'Page size', schema: { type: 'integer', minimum: 0 } },
+    offset: { description: 'Page start', schema: { type: 'integer', minimum: 0 } }
+};
+
+const LOCAL_DATE = { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+const OFFSET_QUERY = { description: 'Skip this many matches', schema: { type: 'integer', minimum: 0, default: 0 } };
+
+const listLimit = (fallback, maximum) => ({
+    description: `Number of entries (default ${fallback}${maximum ? `, at most ${maximum}` : ''})`,
+    schema: { type: 'integer', minimum: 1, ...(maximum ? { maximum } : {}), default: fallback }
+});
+
+const BIATHLON_GENDER = { type: 'string', enum: ['men', 'women', 'mixed'] };
+
+const json = (schema, description = 'OK') => ({ description, schema });
+const file = (contentType, description) => ({ description, contentType, schema: { type: 'string' } });
+
+// ============ OPERATION CATALOGUE ============
+// operationId -> { method, path (first is canonical, the rest are aliases), tag,
+// summary, admin, v2, params, query, body, responses, errors }. Path parameters use the
+// OpenAPI {name} form; validateRequest() reads them from req.params.
+
+const OPERATIONS = {
+    // ---- Service ----
+    getLiveness: {
+        method: 'get', path: '/healthz', tag: 'Service',
+        summary: 'Liveness: the process is up',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    getReadiness: {
+        method: 'get', path: '/healthz/ready', tag: 'Service',
+        summary: 'Readiness: started and able to write state',
+        responses: { 200: json(ref('Readiness')) },
+        errors: [503]
+    },
+    getOpenApiDocument: {
+        method: 'get', path: '/api/openapi.json', tag: 'Service',
+        summary: 'This document',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    listSports: {
+        method: 'get', path: '/api/sports', tag: 'Sports',
+        summary: 'Available sports with their capability flags',
+        responses: { 200: json(arrayOf('Sport')) }
+    },
+    getSchedule: {
+        method: 'get', path: '/api/schedule', tag: 'Sports',
+        summary: 'Games and races of every sport in one date-sorted list, grouped for the home screen',
+        query: {
+            from: { description: 'First day, Europe/Stockholm (default 7 days ago)', schema: LOCAL_DATE },
+            to: { description: 'Last day, inclusive (default in 30 days)', schema: LOCAL_DATE },
+            sports: {
+                description: 'Sport ids, or the families hockey and football (default every sport)',
+                schema: { type: 'array', items: { type: 'string', maxLength: 40 } }
+            },
+            teams: {
+                description: 'Team codes, ids or names; filters team sports only',
+                schema: { type: 'array', maxItems: 100, items: { type: 'string', maxLength: 100 } }
+            },
+            nations: {
+                description: 'Host nation codes, e.g. SWE; filters biathlon only',
+                schema: { type: 'array', items: { type: 'string', maxLength: 3 } }
+            }
+        },
+        responses: { 200: json(ref('Schedule')) }
+    },
+    getHeadToHead: {
+        method: 'get', path: '/api/h2h', tag: 'Sports',
+        summary: 'Finished meetings of two teams with wins, draws, losses and goals, overall and home/away',
+        query: {
+            sport: { required: true, description: 'Team sport id (football = allsvenskan)', schema: { type: 'string', maxLength: 40 } },
+            teamA: { required: true, description: 'Team code, id or name (case-insensitive)', schema: { type: 'string', maxLength: 100 } },
+            teamB: { required: true, description: 'The other team', schema: { type: 'string', maxLength: 100 } },
+            seasons: {
+                description: 'Past seasons to include besides the current game list (sports with the seasons capability)',
+                schema: { type: 'integer', minimum: 0, maximum: 5, default: 3 }
+            }
+        },
+        responses: { 200: json(ref('HeadToHead')) },
+        errors: [404, 500]
+    },
+
+    // ---- Teams ----
+    listTeams: {
+        method: 'get', path: '/api/teams', tag: 'Teams',
+        summary: 'SHL teams, or the cross-league team index when any query parameter is given',
+        description: 'Without query parameters the response is the bare array of SHL teams (legacy shape). '
+            + 'With any of the parameters below it is { total, teams } across every league.',
+        query: TEAMS_QUERY,
+        responses: { 200: json({ oneOf: [arrayOf('Team'), ref('TeamsPage')] }) },
+        errors: [500]
+    },
+    getTeam: {
+        method: 'get', path: '/api/teams/{code}', tag: 'Teams',
+        summary: 'One SHL team by code',
+        params: { code: TEAM_CODE_PARAM },
+        responses: { 200: json(ref('Team')) },
+        errors: [404]
+    },
+    getTeamOverview: {
+        method: 'get', path: '/api/teams/{key}/overview', tag: 'Teams',
+        summary: 'Fixtures across leagues, form, next game, table positions and latest clip of a club',
+        description: 'A key used in both sports (AIK, DIF, VIK) needs ?sport, or pass the uid (football:AIK).',
+        params: { key: { description: 'Team key or uid from the teams index', schema: { type: 'string', maxLength: 100 } } },
+        query: { sport: { description: 'Sport family, for keys used in both', schema: { type: 'string', enum: ['hockey', 'football'] } } },
+        responses: { 200: json(ref('TeamOverview')) },
+        errors: [404, 500]
+    },
+
+    // ---- SHL ----
+    listShlGames: {
+        method: 'get', path: ['/api/games', '/api/shl/games'], tag: 'SHL',
+        summary: 'SHL games, newest first, with live scores and manually added games',
+        responses: { 200: json(arrayOf('Game')) },
+        errors: [500]
+    },
+    getShlStandings: {
+        method: 'get', path: ['/api/standings', '/api/shl/standings'], tag: 'SHL',
+        summary: 'SHL standings',
+        query: STANDINGS_QUERY,
+        responses: { 200: json(ref('Standings')) },
+        errors: [500]
+    },
+    listShlGameVideos: {
+        method: 'get', path: ['/api/game/{uuid}/videos', '/api/shl/game/{uuid}/videos'], tag: 'SHL',
+        summary: 'Highlight clips of an SHL game',
+        params: { uuid: GAME_ID_PARAM },
+        responses: { 200: json(arrayOf('Video')) },
+        errors: [500]
+    },
+    getShlGameDetails: {
+        method: 'get', path: ['/api/game/{uuid}/details', '/api/shl/game/{uuid}/details'], tag: 'SHL',
+        summary: 'Details and events of an SHL game',
+        params: { uuid: GAME_ID_PARAM },
+        responses: { 200: json(ref('GameDetails')) },
+        errors: [500]
+    },
+    getVideo: {
+        method: 'get', path: '/api/video/{id}', tag: 'SHL',
+        summary: 'Streaming URLs and images of an SHL clip',
+        params: { id: { description: 'Video id', schema: { type: 'string' } } },
+        responses: { 200: json(ref('VideoDetails')) },
+        errors: [404, 500]
+    },
+
+    // ---- Biathlon ----
+    listBiathlonNations: {
+        method: 'get', path: '/api/biathlon/nations', tag: 'Biathlon',
+        summary: 'Biathlon nations',
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }) }
+    },
+    listBiathlonDisciplines: {
+        method: 'get', path: '/api/biathlon/disciplines', tag: 'Biathlon',
+        summary: 'Biathlon disciplines',
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }) }
+    },
+    listBiathlonEvents: {
+        method: 'get', path: '/api/biathlon/events', tag: 'Biathlon',
+        summary: 'World Cup stops and championships',
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }) },
+        errors: [500]
+    },
+    listBiathlonRaces: {
+        method: 'get', path: ['/api/biathlon/races', '/api/biathlon/games'], tag: 'Biathlon',
+        summary: 'Biathlon races',
+        query: {
+            upcoming: { description: 'Only upcoming races (fetched live, not cached)', schema: { type: 'boolean' } },
+            limit: { description: 'With upcoming: at most this many races (default 20)', schema: { type: 'integer', minimum: 1, default: 20 } },
+            country: { description: 'Host country code, e.g. SWE', schema: { type: 'string', maxLength: 3 } },
+            discipline: { description: 'Discipline name, substring match (sprint, pursuit, ...)', schema: { type: 'string', maxLength: 40 } },
+            gender: { description: 'Gender', schema: BIATHLON_GENDER }
+        },
+        responses: { 200: json(arrayOf('BiathlonRace')) },
+        errors: [500]
+    },
+    getBiathlonSchedule: {
+        method: 'get', path: '/api/biathlon/schedule', tag: 'Biathlon',
+        summary: 'Upcoming biathlon races',
+        query: { limit: listLimit(30) },
+        responses: { 200: json(arrayOf('BiathlonRace')) },
+        errors: [500]
+    },
+    getBiathlonStandings: {
+        method: 'get', path: '/api/biathlon/standings', tag: 'Biathlon',
+        summary: 'World Cup standings',
+        query: {
+            gender: { description: 'Gender', schema: { type: 'string', enum: ['all', 'men', 'women'], default: 'all' } },
+            type: {
+                description: 'Cup',
+                schema: { type: 'string', enum: ['overall', 'sprint', 'pursuit', 'individual', 'mass-start', 'nations'], default: 'overall' }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    getBiathlonRace: {
+        method: 'get', path: ['/api/biathlon/race/{id}', '/api/biathlon/game/{id}/details'], tag: 'Biathlon',
+        summary: 'Details and results of a race',
+        params: { id: { description: 'Race id', schema: { type: 'string' } } },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [404, 500]
+    },
+
+    // ---- Any sport ----
+    listSportGames: {
+        method: 'get', path: '/api/{sport}/games', tag: 'Sports',
+        summary: 'Games of any sport, newest first',
+        params: { sport: SPORT_PARAM },
+        query: { ...GAME_QUERY, ...SEASON_QUERY },
+        responses: { 200: json(arrayOf('Game')) },
+        errors: [404, 500]
+    },
+    listSportGameVideos: {
+        method: 'get', path: '/api/{sport}/game/{id}/videos', tag: 'Sports',
+        summary: 'Clips of a game ([] for sports without a clip source)',
+        params: { sport: SPORT_PARAM, id: GAME_ID_PARAM },
+        responses: { 200: json(arrayOf('Video')) },
+        errors: [404, 500]
+    },
+    getSportGameDetails: {
+        method: 'get', path: '/api/{sport}/game/{id}/details', tag: 'Sports',
+        summary: 'Details and events of a game',
+        params: { sport: SPORT_PARAM, id: GAME_ID_PARAM },
+        responses: { 200: json(ref('GameDetails')) },
+        errors: [404, 500]
+    },
+    getSportStandings: {
+        method: 'get', path: '/api/{sport}/standings', tag: 'Sports',
+        summary: 'League table, or group tables for cups',
+        params: { sport: SPORT_PARAM },
+        query: {
+            ...SEASON_QUERY,
+            ...STANDINGS_QUERY,
+            group: { description: 'Cup group id or name', schema: { type: 'string', maxLength: 40 } }
+        },
+        responses: { 200: json(ref('Standings')) },
+        errors: [404, 500]
+    },
+    getSportBracket: {
+        method: 'get', path: '/api/{sport}/bracket', tag: 'Sports',
+        summary: 'Knockout bracket (sports with the bracket capability)',
+        params: { sport: SPORT_PARAM },
+        responses: { 200: json(ref('Bracket')) },
+        errors: [404, 500]
+    },
+    getSportLeaders: {
+        method: 'get', path: '/api/{sport}/leaders', tag: 'Sports',
+        summary: 'Season goals, assists and points leaders from play-by-play (sports with the leaders capability)',
+        params: { sport: SPORT_PARAM },
+        query: {
+            team: { description: 'Team code (case-insensitive)', schema: { type: 'string', maxLength: 40 } },
+            limit: { description: 'Players per list', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+        },
+        responses: { 200: json(ref('Leaders')) },
+        errors: [404]
+    },
+
+    // ---- Media, live, feeds ----
+    getImage: {
+        method: 'get', path: '/api/img', tag: 'Media',
+        summary: 'Proxy a team logo or thumbnail from an allowed CDN, optionally resized',
+        query: {
+            url: { required: true, description: 'Absolute https URL on an allowed image host', schema: { type: 'string', maxLength: 2048 } },
+            w: { description: 'Width in pixels', schema: { type: 'integer', minimum: 1, maximum: IMAGE_MAX_DIMENSION } },
+            h: { description: 'Height in pixels', schema: { type: 'integer', minimum: 1, maximum: IMAGE_MAX_DIMENSION } },
+            format: { description: 'Output format (SVGs are rasterised)', schema: { type: 'string', enum: ['png'] } }
+        },
+        responses: { 200: file('image/*', 'The image') },
+        errors: [404, 413, 415, 422, 502, 504]
+    },
+    streamLiveEvents: {
+        method: 'get', path: '/api/live/stream', tag: 'Media',
+        summary: 'Live scores, state changes and match events (Server-Sent Events)',
+        query: {
+            sport: { description: 'Sport ids', schema: { type: 'array', items: { type: 'string' } } },
+            team: { description: 'Team codes', schema: { type: 'array', items: { type: 'string' } } },
+            game: { description: 'Game ids', schema: { type: 'array', items: { type: 'string' } } },
+            lastEventId: { description: 'Resume after this event (or send Last-Event-ID)', schema: { type: 'string' } }
+        },
+        responses: { 200: file('text/event-stream', 'Event stream') }
+    },
+    getTeamCalendar: {
+        method: 'get', path: '/api/calendar/team/{code}.ics', tag: 'Feeds',
+        summary: 'iCalendar feed of every game of a team',
+        params: { code: TEAM_CODE_PARAM },
+        query: { sport: { description: 'Limit to these sports', schema: { type: 'array', items: { type: 'string' } } } },
+        responses: { 200: file('text/calendar', 'iCalendar feed') },
+        errors: [404, 500]
+    },
+    getSportCalendar: {
+        method: 'get', path: '/api/calendar/{sport}.ics', tag: 'Feeds',
+        summary: 'iCalendar feed of a league (biathlon: ?gender ?discipline ?country)',
+        params: { sport: SPORT_PARAM },
+        query: {
+            gender: { description: 'Biathlon only: men, women or mixed', schema: { type: 'string', maxLength: 10 } },
+            discipline: { description: 'Biathlon only', schema: { type: 'string', maxLength: 40 } },
+            country: { description: 'Biathlon only', schema: { type: 'string', maxLength: 3 } }
+        },
+        responses: { 200: file('text/calendar', 'iCalendar feed') },
+        errors: [404, 500]
+    },
+    getHighlightsFeed: {
+        method: 'get', path: '/api/feeds/highlights.xml', tag: 'Feeds',
+        summary: 'Atom feed of new highlight and goal clips',
+        query: {
+            sport: { description: 'Sport ids', schema: { type: 'array', items: { type: 'string' } } },
+            team: { description: 'Team codes', schema: { type: 'array', items: { type: 'string' } } }
+        },
+        responses: { 200: file('application/atom+xml', 'Atom feed') }
+    },
+    getTeamHighlightsFeed: {
+        method: 'get', path: '/api/feeds/team/{code}/highlights.xml', tag: 'Feeds',
+        summary: 'Atom feed of clips from a team\'s games',
+        params: { code: TEAM_CODE_PARAM },
+        responses: { 200: file('application/atom+xml', 'Atom feed') }
+    },
+    getSportHighlightsFeed: {
+        method: 'get', path: '/api/feeds/{sport}/highlights.xml', tag: 'Feeds',
+        summary: 'Atom feed of clips from one league',
+        params: { sport: SPORT_PARAM },
+        responses: { 200: file('application/atom+xml', 'Atom feed') },
+        errors: [404]
+    },
+    getWorkbookExport: {
+        method: 'get', path: '/api/export/{sport}.xlsx', tag: 'Feeds',
+        summary: 'Excel workbook of games, results and standings',
+        params: { sport: SPORT_PARAM },
+        query: {
+            ...SEASON_QUERY,
+            team: { description: 'Team code (biathlon: nation)', schema: { type: 'string', maxLength: 100 } },
+            gender: { description: 'Biathlon only: men, women or mixed', schema: { type: 'string', maxLength: 10 } },
+            discipline: { description: 'Biathlon only', schema: { type: 'string', maxLength: 40 } }
+        },
+        responses: { 200: file('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'Workbook') },
+        errors: [404, 500]
+    },
+
+    // ---- Devices ----
+    registerDevice: {
+        method: 'post', path: '/api/fcm/register', tag: 'Devices',
+        summary: 'Register a device for push notifications and subscribe it to topics',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                    token: { type: 'string', minLength: 1, maxLength: 4096 },
+                    topics: { type: 'array', maxItems: 500, items: { type: 'string', minLength: 1, maxLength: 900 } },
+                    platform: { type: 'string', maxLength: 20 }
+                }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    unregisterDevice: {
+        method: 'post', path: '/api/fcm/unregister', tag: 'Devices',
+        summary: 'Unregister a device',
+        body: {
+            required: true,
+            schema: { type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1, maxLength: 4096 } } }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+
+    // ---- Admin: session ----
+    login: {
+        method: 'post', path: '/api/auth/login', tag: 'Admin',
+        summary: 'Sign in; sets the session cookie',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                required: ['username', 'password'],
+                properties: { username: { type: 'string', maxLength: 100 }, password: { type: 'string', maxLength: 1000 } }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [401]
+    },
+    logout: {
+        method: 'post', path: '/api/auth/logout', tag: 'Admin',
+        summary: 'Sign out',
+        responses: { 200: json(ref('Message')) }
+    },
+    getCurrentUser: {
+        method: 'get', path: '/api/auth/me', tag: 'Admin', admin: true,
+        summary: 'The signed-in account',
+        responses: { 200: json({ type: 'object' }) }
+    },
+
+    // ---- Admin: accounts, audit, logging ----
+    listAdminUsers: {
+        method: 'get', path: '/api/admin/users', tag: 'Admin', admin: true,
+        summary: 'Admin accounts and their API tokens',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    createAdminUser: {
+        method: 'post', path: '/api/admin/users', tag: 'Admin', admin: true,
+        summary: 'Create an admin account',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                required: ['username', 'password'],
+                properties: { username: { type: 'string' }, password: { type: 'string' }, name: { type: 'string' } }
+            }
+        },
+        responses: { 201: json({ type: 'object' }, 'Created') }
+    },
+    updateAdminUser: {
+        method: 'patch', path: '/api/admin/users/{username}', tag: 'Admin', admin: true,
+        summary: 'Rename, change the password of, or disable an account',
+        params: { username: { description: 'Account name', schema: { type: 'string' } } },
+        body: {
+            schema: {
+                type: 'object',
+                properties: { name: { type: 'string' }, password: { type: 'string' }, disabled: { type: 'boolean' } }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) }
+    },
+    createAdminToken: {
+        method: 'post', path: '/api/admin/users/{username}/tokens', tag: 'Admin', admin: true,
+        summary: 'Create an API token (the secret is only returned once)',
+        params: { username: { description: 'Account name', schema: { type: 'string' } } },
+        body: { schema: { type: 'object', properties: { name: { type: 'string', maxLength: 100 } } } },
+        responses: { 201: json({ type: 'object' }, 'Created') }
+    },
+    revokeAdminToken: {
+        method: 'delete', path: '/api/admin/users/{username}/tokens/{tokenId}', tag: 'Admin', admin: true,
+        summary: 'Revoke an API token',
+        params: {
+            username: { description: 'Account name', schema: { type: 'string' } },
+            tokenId: { description: 'Token id', schema: { type: 'string' } }
+        },
+        responses: { 200: json(ref('Message')) }
+    },
+    listAuditEntries: {
+        method: 'get', path: '/api/admin/audit', tag: 'Admin', admin: true,
+        summary: 'Audit trail, newest first',
+        query: {
+            limit: listLimit(100, 500),
+            actor: { description: 'Account name', schema: { type: 'string' } },
+            action: { description: 'Action, e.g. "login failed"', schema: { type: 'string' } }
+        },
+        responses: { 200: json({ type: 'object' }) }
+    },
+    getLoggingConfig: {
+        method: 'get', path: '/api/admin/logging', tag: 'Admin', admin: true,
+        summary: 'Log levels per namespace',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    updateLoggingConfig: {
+        method: 'put', path: '/api/admin/logging', tag: 'Admin', admin: true,
+        summary: 'Set or clear a namespace level, or change the default level',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    namespace: { type: 'string' },
+                    level: { type: ['string', 'null'] },
+                    defaultLevel: { type: 'string' }
+                }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) }
+    },
+
+    // ---- Admin: games and webhooks ----
+    listAdminGames: {
+        method: 'get', path: '/api/admin/games', tag: 'Admin', admin: true,
+        summary: 'Manually added SHL games',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    createAdminGame: {
+        method: 'post', path: '/api/admin/games', tag: 'Admin', admin: true,
+        summary: 'Add a manual SHL game',
+        body: { required: true, schema: { type: 'object', description: 'homeTeamCode, awayTeamCode, startDateTime, state, homeScore, awayScore, venue' } },
+        responses: { 201: json({ type: 'object' }, 'Created') }
+    },
+    updateAdminGame: {
+        method: 'patch', path: '/api/admin/games/{id}', tag: 'Admin', admin: true,
+        summary: 'Update a manual game; sendNotification pushes a goal when the score changed',
+        params: { id: GAME_ID_PARAM },
+        body: { schema: { type: 'object', properties: { sendNotification: { type: 'boolean' } } } },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [404]
+    },
+    deleteAdminGame: {
+        method: 'delete', path: '/api/admin/games/{id}', tag: 'Admin', admin: true,
+        summary: 'Delete a manual game',
+        params: { id: GAME_ID_PARAM },
+        responses: { 200: json(ref('Message')) },
+        errors: [404]
+    },
+    listWebhooks: {
+        method: 'get', path: '/api/admin/webhooks', tag: 'Admin', admin: true,
+        summary: 'Webhook subscriptions and the events they can receive',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    listWebhookDeliveries: {
+        method: 'get', path: '/api/admin/webhooks/deliveries', tag: 'Admin', admin: true,
+        summary: 'Recent webhook deliveries',
+        query: {
+            webhook: { description: 'Webhook id', schema: { type: 'string' } },
+            limit: listLimit(50, 200)
+        },
+        responses: { 200: json({ type: 'object' }) }
+    },
+    createWebhook: {
+        method: 'post', path: '/api/admin/webhooks', tag: 'Admin', admin: true,
+        summary: 'Subscribe a URL to events',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string' },
+                    name: { type: 'string' },
+                    events: { type: 'array', items: { type: 'string' } },
+                    sports: { type: 'array', items: { type: 'string' } },
+                    teams: { type: 'array', items: { type: 'string' } },
+                    secret: { type: 'string' },
+                    enabled: { type: 'boolean' }
+                }
+            }
+        },
+        responses: { 201: json({ type: 'object' }, 'Created') }
+    },
+    updateWebhook: {
+        method: 'patch', path: '/api/admin/webhooks/{id}', tag: 'Admin', admin: true,
+        summary: 'Update a webhook; rotateSecret issues a new signing secret',
+        params: { id: { description: 'Webhook id', schema: { type: 'string' } } },
+        body: { schema: { type: 'object' } },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [404]
+    },
+    deleteWebhook: {
+        method: 'delete', path: '/api/admin/webhooks/{id}', tag: 'Admin', admin: true,
+        summary: 'Delete a webhook',
+        params: { id: { description: 'Webhook id', schema: { type: 'string' } } },
+        responses: { 200: json(ref('Message')) },
+        errors: [404]
+    },
+    testWebhook: {
+        method: 'post', path: '/api/admin/webhooks/{id}/test', tag: 'Admin', admin: true,
+        summary: 'Send a test delivery',
+        params: { id: { description: 'Webhook id', schema: { type: 'string' } } },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [404]
+    },
+
+    // ---- Operations ----
+    getHealthReport: {
+        method: 'get', path: '/api/health', tag: 'Operations', admin: true,
+        summary: 'Per-provider, watcher, FCM and state storage health',
+        responses: { 200: json(ref('HealthReport')) },
+        errors: [503]
+    },
+    getStatus: {
+        method: 'get', path: '/api/status', tag: 'Operations', admin: true,
+        summary: 'Server, cache, upstream and watcher status',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    listActivity: {
+        method: 'get', path: '/api/activity', tag: 'Operations', admin: true,
+        summary: 'Recent notifier and watcher activity',
+        query: { limit: listLimit(50) },
+        responses: { 200: json({ type: 'array', items: { type: 'object' } }) }
+    },
+    clearActivity: {
+        method: 'post', path: '/api/activity/clear', tag: 'Operations', admin: true,
+        summary: 'Clear the activity log',
+        responses: { 200: json(ref('Message')) }
+    },
+    clearCaches: {
+        method: 'post', path: '/api/cache/clear', tag: 'Operations', admin: true,
+        summary: 'Clear every response cache',
+        responses: { 200: json(ref('Message')) }
+    },
+    runNotifierCheck: {
+        method: 'post', path: '/api/notifier/check', tag: 'Operations', admin: true,
+        summary: 'Run the highlight notifier now',
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    refreshBiathlon: {
+        method: 'post', path: '/api/biathlon/refresh', tag: 'Operations', admin: true,
+        summary: 'Refresh the biathlon schedule now',
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    getSchedulerStatus: {
+        method: 'get', path: '/api/scheduler/status', tag: 'Operations', admin: true,
+        summary: 'Scheduler statistics',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    getMetrics: {
+        method: 'get', path: '/metrics', tag: 'Operations', admin: true,
+        summary: 'Prometheus metrics',
+        responses: { 200: file('text/plain', 'Prometheus text format 0.0.4') },
+        errors: [500]
+    },
+
+    // ---- Notifications ----
+    getNotificationStatus: {
+        method: 'get', path: '/api/notifications/status', tag: 'Notifications', admin: true,
+        summary: 'Push notification and watcher statistics',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    sendTestNotification: {
+        method: 'post', path: '/api/notifications/test', tag: 'Notifications', admin: true,
+        summary: 'Send a test push (to a device token or the test topic)',
+        body: { schema: { type: 'object', properties: { message: { type: 'string' }, token: { type: 'string' } } } },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500, 503]
+    },
+    sendGoalTestNotification: {
+        method: 'post', path: '/api/notifications/goal-test', tag: 'Notifications', admin: true,
+        summary: 'Send a simulated goal push',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                description: 'Also: homeTeamCode, awayTeamCode, homeScore, awayScore, scorerName, time, period, token, sendOpposing',
+                properties: {
+                    sport: { type: 'string' },
+                    scoringTeamCode: { type: 'string' },
+                    opposingTeamCode: { type: 'string' },
+                    scoringIsHome: { type: ['boolean', 'string'] }
+                }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500, 503]
+    },
+    runGoalWatcherCheck: {
+        method: 'post', path: '/api/goal-watcher/check', tag: 'Notifications', admin: true,
+        summary: 'Run the goal watcher now',
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    runPreGameWatcherCheck: {
+        method: 'post', path: '/api/pre-game-watcher/check', tag: 'Notifications', admin: true,
+        summary: 'Run the pre-game watcher now',
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500]
+    },
+    sendPreGameTestNotification: {
+        method: 'post', path: '/api/notifications/pre-game-test', tag: 'Notifications', admin: true,
+        summary: 'Send a test pre-game reminder',
+        body: {
+            required: true,
+            schema: {
+                type: 'object',
+                description: 'Team sports: homeTeamCode, awayTeamCode, venue. Biathlon: gender, discipline, venue.',
+                properties: { sport: { type: 'string' }, minutesUntilStart: { type: ['integer', 'string'] } }
+            }
+        },
+        responses: { 200: json({ type: 'object' }) },
+        errors: [500, 503]
+    },
+    getSubscriberStats: {
+        method: 'get', path: '/api/fcm/subscribers', tag: 'Notifications', admin: true,
+        summary: 'Registered devices and topic counts',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    listTopics: {
+        method: 'get', path: '/api/fcm/topics', tag: 'Notifications', admin: true,
+        summary: 'Topics with subscriber counts',
+        responses: { 200: json({ type: 'object' }) }
+    },
+    getTopic: {
+        method: 'get', path: '/api/fcm/topics/{topic}', tag: 'Notifications', admin: true,
+        summary: 'Subscribers of one topic',
+        params: { topic: { description: 'Topic name', schema: { type: 'string' } } },
+        responses: { 200: json({ type: 'object' }) }
+    },
+    listFcmErrors: {
+        method: 'get', path: '/api/fcm/errors', tag: 'Notifications', admin: true,
+        summary: 'Recent FCM send errors',
+        query: { limit: listLimit(50) },
+        responses: { 200: json({ type: 'object' }) }
+    },
+    clearFcmErrors: {
+        method: 'post', path: '/api/fcm/errors/clear', tag: 'Notifications', admin: true,
+        summary: 'Clear the FCM error log',
+        responses: { 200: json({ type: 'object' }) }
+    },
+
+    // ---- API v2 (modules/api-v2.js) ----
+    listSportsV2: {
+        method: 'get', path: '/api/v2/sports', tag: 'API v2', v2: true,
+        summary: 'Available sports with their capability flags',
+        responses: { 200: json(listOf(ref('Sport'))) }
+    },
+    listTeamsV2: {
+        method: 'get', path: '/api/v2/teams', tag: 'API v2', v2: true,
+        summary: 'Teams of every league, searchable and paginated',
+        description: 'cacheAge and stale describe the oldest league schedule the index was built from.',
+        query: TEAMS_QUERY,
+        responses: { 200: json(listOf(ref('IndexedTeam'))) },
+        errors: [502]
+    },
+    listGamesV2: {
+        method: 'get', path: '/api/v2/{sport}/games', tag: 'API v2', v2: true,
+        summary: 'Games of any sport, newest first',
+        description: 'SHL includes manually added games. ?season lists a past season and is never cached.',
+        params: { sport: SPORT_PARAM },
+        query: { ...GAME_QUERY, offset: OFFSET_QUERY, ...SEASON_QUERY },
+        responses: { 200: json(listOf(ref('Game'))) },
+        errors: [404, 502]
+    },
+    getGameV2: {
+        method: 'get', path: '/api/v2/{sport}/games/{id}', tag: 'API v2', v2: true,
+        summary: 'Details and events of a game',
+        params: { sport: SPORT_PARAM, id: GAME_ID_PARAM },
+        responses: { 200: json(itemOf(ref('GameDetails'))) },
+        errors: [404, 502]
+    },
+    listGameVideosV2: {
+        method: 'get', path: '/api/v2/{sport}/games/{id}/videos', tag: 'API v2', v2: true,
+        summary: 'Clips of a game (empty for sports without a clip source)',
+        params: { sport: SPORT_PARAM, id: GAME_ID_PARAM },
+        responses: { 200: json(listOf(ref('Video'))) },
+        errors: [404, 502]
+    },
+    getStandingsV2: {
+        method: 'get', path: '/api/v2/{sport}/standings', tag: 'API v2', v2: true,
+        summary: 'League table, or group tables for cups',
+        params: { sport: SPORT_PARAM },
+        query: {
+            ...SEASON_QUERY,
+            ...STANDINGS_QUERY,
+            group: { description: 'Cup group id or name', schema: { type: 'string', maxLength: 40 } }
+        },
+        responses: { 200: json(itemOf(ref('Standings'))) },
+        errors: [404, 502]
+    },
+    getBracketV2: {
+        method: 'get', path: '/api/v2/{sport}/bracket', tag: 'API v2', v2: true,
+        summary: 'Knockout bracket (sports with the bracket capability)',
+        params: { sport: SPORT_PARAM },
+        responses: { 200: json(itemOf(ref('Bracket'))) },
+        errors: [404, 502]
+    }
+};
+
+const TAGS = [
+    { name: 'Service', description: 'Liveness, readiness and this document' },
+    { name: 'Sports', description: 'Games, details, clips, standings and brackets for every sport' },
+    { name: 'Teams' },
+    { name: 'SHL', description: 'SHL routes (merged with manually added games)' },
+    { name: 'Biathlon' },
+    { name: 'Media', description: 'Image proxy and live event stream' },
+    { name: 'Feeds', description: 'Calendar, Atom and spreadsheet exports' },
+    { name: 'Devices', description: 'Push notification registration (app)' },
+    { name: 'Admin', description: 'Admin console: accounts, audit, logging, games, webhooks' },
+    { name: 'Operations', description: 'Status, metrics and manual runs' },
+    { name: 'Notifications', description: 'Push notification tools' },
+    { name: 'API v2', description: 'Every response is { data, meta }; errors are { error: { code, message } }. v1 routes are frozen.' }
+];
+
+// ============ DOCUMENT ============
+
+function getOperation(operationId) {
+    const operation = OPERATIONS[operationId];
+    if (!operation) {
+        throw new Error(`Unknown API operation "${operationId}"`);
+    }
+    return operation;
+}
+
+function getPaths(operation) {
+    return Array.isArray(operation.path) ? operation.path : [operation.path];
+}
+
+function toParameters(definitions = {}, location) {
+    return Object.entries(definitions).map(([name, definition]) => ({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(definition.required),
+        ...(definition.description ? { description: definition.description } : {}),
+        schema: definition.schema
+    }));
+}
+
+function toContent(contentType, schema) {
+    return { [contentType]: { schema } };
+}
+
+function buildResponses(operation) {
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses)) {
+        responses[status] = {
+            description: response.description,
+            content: toContent(response.contentType || 'application/json', response.schema)
+        };
+    }
+
+    const errorResponses = operation.v2 ? V2_ERROR_RESPONSES : ERROR_RESPONSES;
+    const errors = new Set(operation.errors || []);
+    if (operation.params || operation.query || operation.body) {
+        errors.add(400);
+    }
+    if (operation.admin) {
+        errors.add(401);
+    }
+    if (getPaths(operation)[0].startsWith('/api/')) {
+        errors.add(429);
+    }
+    for (const status of Array.from(errors).sort()) {
+        responses[status] = errorResponses[status]
+            ? { $ref: `#/components/responses/${errorResponses[status]}` }
+            : { description: STATUS_CODES[status], content: toContent('application/json', ref('Error')) };
+    }
+    return responses;
+}
+
+function buildOperation(operationId, operation, aliasOf) {
+    return {
+        operationId: aliasOf ? `${operationId}Alias${aliasOf}` : operationId,
+        tags: [operation.tag],
+        summary: aliasOf ? `${operation.summary} (alias of ${getPaths(operation)[0]})` : operation.summary,
+        ...(operation.description ? { description: operation.description } : {}),
+        parameters: [...toParameters(operation.params, 'path'), ...toParameters(operation.query, 'query')],
+        ...(operation.body
+            ? { requestBody: { required: Boolean(operation.body.required), content: toContent('application/json', operation.body.schema) } }
+            : {}),
+        responses: buildResponses(operation),
+        ...(operation.admin ? { security: [{ adminSession: [] }, { apiToken: [] }] } : {})
+    };
+}
+
+/**
+ * The OpenAPI 3.1 document for GET /api/openapi.json.
+ * @param {Object} [options]
+ * @param {string} [options.version] - API version (package.json)
+ * @param {string} [options.serverUrl] - e.g. 'https://api.example.com'; omitted when unknown
+ * @returns {Object}
+ */
+function buildOpenApiDocument(options = {}) {
+    const paths = {};
+    for (const [operationId, operation] of Object.entries(OPERATIONS)) {
+        getPaths(operation).forEach((path, index) => {
+            paths[path] = paths[path] || {};
+            paths[path][operation.method] = buildOperation(operationId, operation, index || null);
+        });
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'GamePulse API',
+            version: options.version || '0.0.0',
+            description: 'Scores, schedules, standings, highlights and push notifications for SHL, '
+                + 'HockeyAllsvenskan, Allsvenskan, Svenska Cupen, UEFA qualifiers and biathlon.'
+        },
+        ...(options.serverUrl ? { servers: [{ url: options.serverUrl }] } : {}),
+        tags: TAGS,
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            responses: Object.fromEntries(Object.entries({ ...RESPONSES, ...V2_RESPONSES }).map(([name, response]) => [name, {
+                description: response.description,
+                content: toContent('application/json', response.schema)
+            }])),
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+}
+
+// ============ MIDDLEWARE ============
+
+/**
+ * Route middleware validating a request against its catalogue entry. Throws at
+ * startup for an unknown operationId, so a route cannot go undocumented by a typo.
+ * @param {string} operationId
+ * @returns {Function} Express middleware; sets req.input = { params, query, body }
+ */
+function validateRequest(operationId) {
+    const operation = getOperation(operationId);
+    return (req, res, next) => {
+        const { input, details } = checkRequest(operation, { params: req.params, query: req.query, body: req.body });
+        if (details.length) {
+            const message = details.map(detail => detail.message).join('; ');
+            return operation.v2
+                ? sendApiError(res, 'invalid_parameters', message, details)
+                : res.status(400).json({ error: message, details });
+        }
+        req.input = input;
+        next();
+    };
+}
+
+module.exports = {
+    OPERATIONS,
+    buildOpenApiDocument,
+    validateRequest,
+    checkRequest,
+    validateValue,
+    getOperation
+};
@@ -12,19 +12,27 @@
  * - Predictable timing
  */
 
-const fs = require('fs');
 const {
     PRE_GAME_REMINDER_MINUTES,
-    SEEN_PRE_GAME_FILE
+    SEEN_PRE_GAME_TTL
 } = require('./config');
 const { getProvider } = require('./providers');
 const { formatSwedishTimestamp } = require('./utils');
 const pushNotifications = require('./fcm-notifications');
 const { addEntry } = require('./activity-log');
 const teamIdentity = require('./team-identity');
+const { SeenIdStore } = require('./state-store');
+const liveEvents = require('./live-events');
+const { timeWatcherRun } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pre-game-watcher');
 
 // ============ PRE-GAME WATCHER STATE ============
-let seenPreGameNotifications = new Set(); // Track sent notifications by gameId
+const seenPreGameNotifications = new SeenIdStore('seen_pre_game', {
+    ttlMs: SEEN_PRE_GAME_TTL,
+    logger: log
+}); // Track sent notifications by gameId
 let scheduledNotifications = new Map(); // Track scheduled timeouts by gameId -> { timeout, gameInfo, scheduledFor }
 let isRunning = false;
 let dailyScheduleTimer = null;
@@ -42,32 +50,11 @@ const DAILY_SCHEDULE_HOUR = 6; // 6:00 AM
 // ============ DATA PERSISTENCE ============
 
 /**
- * Load previously sent pre-game notification IDs from file
+ * Load previously sent pre-game notification IDs (expired IDs are pruned)
  */
 function loadSeenNotifications() {
-    if (fs.existsSync(SEEN_PRE_GAME_FILE)) {
-        try {
-            const data = JSON.parse(fs.readFileSync(SEEN_PRE_GAME_FILE, 'utf8'));
-            seenPreGameNotifications = new Set(data);
-            console.log(`[PreGameWatcher] Loaded ${seenPreGameNotifications.size} seen notification IDs`);
-        } catch (e) {
-            console.error('[PreGameWatcher] Error reading seen_pre_game.json:', e);
-        }
-    }
-}
-
-/**
- * Save sent notification IDs to file
- */
-function saveSeenNotifications() {
-    try {
-        // Only keep the most recent 100 entries to prevent file from growing indefinitely
-        const notificationArray = Array.from(seenPreGameNotifications);
-        const trimmedArray = notificationArray.slice(-100);
-        fs.writeFileSync(SEEN_PRE_GAME_FILE, JSON.stringify(trimmedArray, null, 2));
-    } catch (e) {
-        console.error('[PreGameWatcher] Error saving seen_pre_game.json:', e);
-    }
+    const count = seenPreGameNotifications.load();
+    log.info(`Loaded ${count} seen notification IDs`);
 }
 
 /**
@@ -76,7 +63,6 @@ function saveSeenNotifications() {
  */
 function markNotificationSent(gameId) {
     seenPreGameNotifications.add(gameId);
-    saveSeenNotifications();
 }
 
 /**
@@ -249,7 +235,7 @@ function scheduleNotification(gameInfo) {
     const remainingMinutes = minutesFromNow % 60;
     const timeFromNowStr = hoursFromNow > 0 ? `${hoursFromNow}h ${remainingMinutes}m` : `${minutesFromNow}m`;
 
-    console.log(`[PreGameWatcher] + Scheduled: ${displayName} (notify in ${timeFromNowStr})`);
+    log.info(`+ Scheduled: ${displayName} (notify in ${timeFromNowStr})`);
 
     const timeout = setTimeout(async () => {
         await sendScheduledNotification(gameId);
@@ -271,7 +257,7 @@ function scheduleNotification(gameInfo) {
 async function sendScheduledNotification(gameId) {
     const scheduled = scheduledNotifications.get(gameId);
     if (!scheduled) {
-        console.warn(`[PreGameWatcher] No scheduled notification found for ${gameId}`);
+        log.warn(`No scheduled notification found for ${gameId}`);
         return;
     }
 
@@ -280,12 +266,29 @@ async function sendScheduledNotification(gameId) {
 
     // Double-check we haven't already sent
     if (hasNotificationBeenSent(gameId)) {
-        console.log(`[PreGameWatcher] Notification for ${gameId} was already sent, skipping`);
+        log.info(`Notification for ${gameId} was already sent, skipping`);
         return;
     }
 
     const displayName = gameInfo.eventName || `${gameInfo.homeTeamName} vs ${gameInfo.awayTeamName}`;
-    console.log(`[PreGameWatcher] Sending scheduled notification for ${gameInfo.sport}: ${displayName}`);
+    log.info(`Sending scheduled notification for ${gameInfo.sport}: ${displayName}`);
+
+    // Live stream clients and webhooks get the reminder even if the push fails.
+    liveEvents.publish('pre-game', {
+        sport: gameInfo.sport,
+        gameId,
+        teams: [gameInfo.homeTeamCode, gameInfo.awayTeamCode],
+        data: {
+            homeTeamCode: gameInfo.homeTeamCode || null,
+            awayTeamCode: gameInfo.awayTeamCode || null,
+            homeTeamName: gameInfo.homeTeamName || null,
+            awayTeamName: gameInfo.awayTeamName || null,
+            eventName: gameInfo.eventName || null,
+            startDateTime: gameInfo.startDateTime,
+            venue: gameInfo.venue || null,
+            minutesUntilStart: gameInfo.minutesUntilStart
+        }
+    });
 
     try {
         const result = await pushNotifications.sendPreGameNotification(gameInfo);
@@ -294,14 +297,14 @@ async function sendScheduledNotification(gameId) {
             markNotificationSent(gameId);
             stats.notificationsSent++;
             stats.totalNotificationsSent++;
-            console.log(`[PreGameWatcher] Successfully sent notification for ${displayName}`);
+            log.info(`Successfully sent notification for ${displayName}`);
             addEntry('pre-game-watcher', 'notification', `Pre-game notification sent: ${displayName}`);
         } else {
-            console.error(`[PreGameWatcher] Failed to send notification for ${gameId}:`, result.error);
+            log.error(`Failed to send notification for ${gameId}:`, result.error);
             addEntry('pre-game-watcher', 'error', `Pre-game notification failed: ${displayName}`);
         }
     } catch (error) {
-        console.error(`[PreGameWatcher] Error sending notification for ${gameId}:`, error.message);
+        log.error(`Error sending notification for ${gameId}:`, error.message);
         addEntry('pre-game-watcher', 'error', `Pre-game notification error: ${error.message}`);
     }
 }
@@ -323,9 +326,7 @@ function cancelAllScheduled() {
  */
 async function runDailySchedule() {
     const timestamp = formatSwedishTimestamp();
-    console.log(`\n========================================`);
-    console.log(`[PreGameWatcher] Running daily schedule at ${timestamp}`);
-    console.log(`========================================`);
+    log.info(`Running daily schedule at ${timestamp}`);
 
     const now = new Date();
     const next24Hours = new Date(now.getTime() + 24 * 60 * 60 * 1000);
@@ -334,7 +335,7 @@ async function runDailySchedule() {
     // Cancel any existing scheduled notifications (in case of manual re-run)
     const previousCount = scheduledNotifications.size;
     if (previousCount > 0) {
-        console.log(`[PreGameWatcher] Clearing ${previousCount} previously scheduled notifications`);
+        log.info(`Clearing ${previousCount} previously scheduled notifications`);
         cancelAllScheduled();
     }
 
@@ -356,10 +357,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${shlScheduled} SHL notifications`);
+        log.info(`Scheduled ${shlScheduled} SHL notifications`);
         totalScheduled += shlScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching SHL games:', error.message);
+        log.error('Error fetching SHL games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching SHL games: ${error.message}`);
     }
 
@@ -381,10 +382,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${haScheduled} HockeyAllsvenskan notifications`);
+        log.info(`Scheduled ${haScheduled} HockeyAllsvenskan notifications`);
         totalScheduled += haScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching HockeyAllsvenskan games:', error.message);
+        log.error('Error fetching HockeyAllsvenskan games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching HockeyAllsvenskan games: ${error.message}`);
     }
 
@@ -406,10 +407,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${footballScheduled} Allsvenskan notifications`);
+        log.info(`Scheduled ${footballScheduled} Allsvenskan notifications`);
         totalScheduled += footballScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching Allsvenskan games:', error.message);
+        log.error('Error fetching Allsvenskan games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching Allsvenskan games: ${error.message}`);
     }
 
@@ -431,10 +432,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${cupScheduled} Svenska Cupen notifications`);
+        log.info(`Scheduled ${cupScheduled} Svenska Cupen notifications`);
         totalScheduled += cupScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching Svenska Cupen games:', error.message);
+        log.error('Error fetching Svenska Cupen games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching Svenska Cupen games: ${error.message}`);
     }
 
@@ -456,10 +457,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${elqScheduled} Europa League Qualifying notifications`);
+        log.info(`Scheduled ${elqScheduled} Europa League Qualifying notifications`);
         totalScheduled += elqScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching Europa League Qualifying games:', error.message);
+        log.error('Error fetching Europa League Qualifying games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching Europa League Qualifying games: ${error.message}`);
     }
 
@@ -481,10 +482,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${clqScheduled} Conference League Qualifying notifications`);
+        log.info(`Scheduled ${clqScheduled} Conference League Qualifying notifications`);
         totalScheduled += clqScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching Conference League Qualifying games:', error.message);
+        log.error('Error fetching Conference League Qualifying games:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching Conference League Qualifying games: ${error.message}`);
     }
 
@@ -506,10 +507,10 @@ async function runDailySchedule() {
                 }
             }
         }
-        console.log(`[PreGameWatcher] Scheduled ${biathlonScheduled} Biathlon notifications`);
+        log.info(`Scheduled ${biathlonScheduled} Biathlon notifications`);
         totalScheduled += biathlonScheduled;
     } catch (error) {
-        console.error('[PreGameWatcher] Error fetching Biathlon races:', error.message);
+        log.error('Error fetching Biathlon races:', error.message);
         addEntry('pre-game-watcher', 'error', `Error fetching Biathlon races: ${error.message}`);
     }
 
@@ -518,9 +519,8 @@ async function runDailySchedule() {
     addEntry('pre-game-watcher', 'refresh', `Daily schedule: ${totalScheduled} notifications scheduled`);
 
     // Log a clear summary of all scheduled notifications
-    console.log(`\n[PreGameWatcher] ===== SCHEDULED NOTIFICATIONS SUMMARY =====`);
     if (scheduledNotifications.size === 0) {
-        console.log(`[PreGameWatcher] No notifications scheduled for the next 24 hours.`);
+        log.info('No notifications scheduled for the next 24 hours');
     } else {
         // Sort by scheduled time
         const sortedNotifications = Array.from(scheduledNotifications.entries())
@@ -539,21 +539,10 @@ async function runDailySchedule() {
             const notifyTime = new Date(notification.notifyAt);
             const gameTimeStr = gameTime.toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm', hour: '2-digit', minute: '2-digit' });
             const notifyTimeStr = notifyTime.toLocaleString('sv-SE', { timeZone: 'Europe/Stockholm', hour: '2-digit', minute: '2-digit' });
-            const sportEmoji = (notification.sport === 'shl' || notification.sport === 'hockeyallsvenskan')
-                ? '🏒'
-                : (notification.sport === 'allsvenskan' || notification.sport === 'europa-league-qual' || notification.sport === 'conference-league-qual')
-                    ? '⚽'
-                    : notification.sport === 'svenska-cupen'
-                        ? '🏆'
-                        : '🎯';
-            
-            console.log(`[PreGameWatcher]   ${sportEmoji} ${notification.name}`);
-            console.log(`[PreGameWatcher]      Game: ${gameTimeStr} | Notify: ${notifyTimeStr} | ${notification.venue || 'TBA'}`);
+            log.info(`[${notification.sport}] ${notification.name} - game ${gameTimeStr}, notify ${notifyTimeStr}, ${notification.venue || 'TBA'}`);
         }
     }
-    console.log(`[PreGameWatcher] ==========================================`);
-    console.log(`[PreGameWatcher] Total: ${totalScheduled} notifications scheduled`);
-    console.log(`========================================\n`);
+    log.info(`Total: ${totalScheduled} notifications scheduled`);
 
     return { totalScheduled };
 }
@@ -594,13 +583,13 @@ function scheduleNextDailyRun() {
     const nextRun = new Date(Date.now() + msUntilNext);
     
     stats.nextScheduleRun = nextRun.toISOString();
-    console.log(`[PreGameWatcher] Next daily schedule at ${nextRun.toISOString()} (${Math.round(msUntilNext / 60000)} minutes)`);
+    log.info(`Next daily schedule at ${nextRun.toISOString()} (${Math.round(msUntilNext / 60000)} minutes)`);
 
     dailyScheduleTimer = setTimeout(async () => {
         if (!isRunning) {
             return;
         }
-        await runDailySchedule();
+        await timeWatcherRun('pre-game-watcher', runDailySchedule);
         scheduleNextDailyRun();
     }, msUntilNext);
 }
@@ -619,25 +608,25 @@ async function runCheck() {
  */
 function startLoop() {
     if (isRunning) {
-        console.log('[PreGameWatcher] Already running');
+        log.info('Already running');
         return;
     }
 
     isRunning = true;
     loadSeenNotifications();
     
-    console.log('[PreGameWatcher] Starting pre-game notification scheduler...');
-    console.log(`[PreGameWatcher] Sports: Hockey (SHL), Football (Allsvenskan), Svenska Cupen, Biathlon`);
-    console.log(`[PreGameWatcher] Reminder time: ${PRE_GAME_REMINDER_MINUTES} minutes before start`);
-    console.log(`[PreGameWatcher] Daily schedule time: ${DAILY_SCHEDULE_HOUR}:00 (Stockholm time)`);
+    log.info('Starting pre-game notification scheduler...');
+    log.info(`Sports: Hockey (SHL), Football (Allsvenskan), Svenska Cupen, Biathlon`);
+    log.info(`Reminder time: ${PRE_GAME_REMINDER_MINUTES} minutes before start`);
+    log.info(`Daily schedule time: ${DAILY_SCHEDULE_HOUR}:00 (Stockholm time)`);
 
     // Run initial schedule after a short delay (to let other services start)
     setTimeout(async () => {
         if (!isRunning) {
             return;
         }
-        console.log('[PreGameWatcher] Running initial schedule...');
-        await runDailySchedule();
+        log.info('Running initial schedule...');
+        await timeWatcherRun('pre-game-watcher', runDailySchedule);
         scheduleNextDailyRun();
     }, 5000);
 }
@@ -654,7 +643,7 @@ function stopLoop() {
     }
     
     cancelAllScheduled();
-    console.log('[PreGameWatcher] Stopped');
+    log.info('Stopped');
 }
 
 /**
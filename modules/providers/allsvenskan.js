@@ -27,6 +27,19 @@ class AllsvenskanProvider extends BaseProvider {
         this.maxFotbollPlayPlaylists = 50;
     }
 
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            videos: true,
+            details: true,
+            standings: true,
+            seasons: true,
+            liveEvents: true,
+            teams: true,
+            goalClips: true
+        };
+    }
+
     normalizeComparableText(value) {
         return teamIdentity.normalizeComparableText(value);
     }
@@ -117,16 +130,16 @@ class AllsvenskanProvider extends BaseProvider {
         url.searchParams.set('count', String(this.maxFotbollPlayGameCandidates));
 
         try {
-            const response = await fetch(url.toString(), { headers: this.headers });
+            const response = await this.fetchUpstream(url.toString(), { headers: this.headers });
             if (!response.ok) {
-                console.warn(`[${this.name}] FotbollPlay game lookup failed (${response.status})`);
+                this.log.warn(`FotbollPlay game lookup failed (${response.status})`);
                 return [];
             }
 
             const data = await response.json();
             return Array.isArray(data?.games) ? data.games : [];
         } catch (error) {
-            console.warn(`[${this.name}] Could not fetch FotbollPlay games:`, error.message);
+            this.log.warn(`Could not fetch FotbollPlay games:`, error.message);
             return [];
         }
     }
@@ -288,7 +301,7 @@ class AllsvenskanProvider extends BaseProvider {
     async fetchSeasonEvents(year) {
         const { start, end } = this.getSeasonDateRange(year);
         const url = `${this.scoreboardBaseUrl}?dates=${start}-${end}&limit=${this.maxEvents}`;
-        const response = await fetch(url, { headers: this.headers });
+        const response = await this.fetchUpstream(url, { headers: this.headers });
 
         if (!response.ok) {
             throw new Error(`[${this.name}] Scoreboard fetch failed (${response.status})`);
@@ -302,7 +315,7 @@ class AllsvenskanProvider extends BaseProvider {
         try {
             return await this.fetchSeasonEvents(year);
         } catch (error) {
-            console.warn(`[${this.name}] Failed to fetch ${year} schedule:`, error.message);
+            this.log.warn(`Failed to fetch ${year} schedule:`, error.message);
             return [];
         }
     }
@@ -418,7 +431,20 @@ class AllsvenskanProvider extends BaseProvider {
         return Array.from(merged.values());
     }
 
-    async fetchAllGames() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.season] - Past season (year); only that year is fetched
+     */
+    async fetchAllGames(options = {}) {
+        if (options.season) {
+            const season = Number.parseInt(options.season, 10);
+            if (!Number.isInteger(season)) {
+                throw new Error(`[${this.name}] Invalid season: ${options.season}`);
+            }
+            const games = this.normalizeEvents(await this.fetchSeasonEvents(season));
+            return games.sort((a, b) => new Date(b.startDateTime) - new Date(a.startDateTime));
+        }
+
         const year = this.getSeasonYear();
         const now = new Date();
         const events = await this.fetchSeasonEventsSafe(year);
@@ -500,9 +526,9 @@ class AllsvenskanProvider extends BaseProvider {
             url.searchParams.set('count', String(this.maxFotbollPlayPlaylists));
             url.searchParams.set('holdback', 'public');
 
-            const response = await fetch(url.toString(), { headers: this.headers });
+            const response = await this.fetchUpstream(url.toString(), { headers: this.headers });
             if (!response.ok) {
-                console.warn(`[${this.name}] FotbollPlay playlist fetch failed for ${gameId}: ${response.status}`);
+                this.log.warn(`FotbollPlay playlist fetch failed for ${gameId}: ${response.status}`);
                 return [];
             }
 
@@ -535,14 +561,14 @@ class AllsvenskanProvider extends BaseProvider {
 
             return clips;
         } catch (error) {
-            console.warn(`[${this.name}] Failed to fetch clips for game ${gameId}:`, error.message);
+            this.log.warn(`Failed to fetch clips for game ${gameId}:`, error.message);
             return [];
         }
     }
 
     async fetchGameDetails(gameId) {
         const url = `${this.summaryBaseUrl}?event=${gameId}`;
-        const response = await fetch(url, { headers: this.headers });
+        const response = await this.fetchUpstream(url, { headers: this.headers });
 
         if (!response.ok) {
             if (response.status === 404) {
@@ -1056,7 +1082,7 @@ class AllsvenskanProvider extends BaseProvider {
     }
 
     async fetchStandingsData(url) {
-        const response = await fetch(url, { headers: this.headers });
+        const response = await this.fetchUpstream(url, { headers: this.headers });
 
         if (!response.ok) {
             throw new Error(`[${this.name}] Standings fetch failed (${response.status})`);
@@ -1076,7 +1102,7 @@ class AllsvenskanProvider extends BaseProvider {
             if (!season) {
                 throw error;
             }
-            console.warn(`[${this.name}] Season ${season} standings failed, falling back:`, error.message);
+            this.log.warn(`Season ${season} standings failed, falling back:`, error.message);
             data = await this.fetchStandingsData(this.standingsUrl);
         }
 
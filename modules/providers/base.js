@@ -4,6 +4,36 @@
  * All data providers must implement these methods.
  * This allows swapping between different data sources (SHL, mock, etc.)
  */
+
+const upstreamClient = require('../upstream-client');
+const { createLogger } = require('../logger');
+
+/**
+ * Capability flags every provider reports through getCapabilities(). Defaults are
+ * conservative: a provider only claims what it overrides.
+ *   videos      - fetchGameVideos() can return clips (not a stub returning [])
+ *   details     - fetchGameDetails() returns a details payload
+ *   standings   - fetchStandings() returns a league/group table
+ *   seasons     - fetchAllGames()/fetchStandings() accept { season } for past seasons
+ *   bracket     - fetchBracket() builds a knockout bracket
+ *   liveEvents  - game details carry live goal/play-by-play events (goal watcher)
+ *   teams       - games reference clubs that appear in /api/teams
+ *   goalClips   - isGoalClip() can single out per-goal clips among the videos
+ *   leaders     - game details name the scorer and assists of every goal, so
+ *                 season scoring leaders can be built (modules/leaders.js)
+ */
+const DEFAULT_CAPABILITIES = Object.freeze({
+    videos: false,
+    details: false,
+    standings: false,
+    seasons: false,
+    bracket: false,
+    liveEvents: false,
+    teams: false,
+    goalClips: false,
+    leaders: false
+});
+
 class BaseProvider {
     constructor(name) {
         this.name = name;
@@ -17,6 +47,45 @@ class BaseProvider {
         return this.name;
     }
 
+    /**
+     * Provider name as a metrics label / log namespace ('Svenska Cupen' -> 'svenska-cupen').
+     * @returns {string}
+     */
+    getSlug() {
+        return String(this.name || 'other').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    }
+
+    /**
+     * Logger namespaced per provider ('provider:shl'). A getter because subclasses
+     * re-brand this.name after the base constructor ran.
+     * @returns {Logger}
+     */
+    get log() {
+        return createLogger(`provider:${this.getSlug()}`);
+    }
+
+    /**
+     * Describe which optional features this provider supports. Subclasses override
+     * by spreading super.getCapabilities() and flipping the flags they implement.
+     * @returns {Object} Capability flags (see DEFAULT_CAPABILITIES)
+     */
+    getCapabilities() {
+        return { ...DEFAULT_CAPABILITIES };
+    }
+
+    /**
+     * fetch() for upstream requests. All provider HTTP calls go through the shared
+     * upstream client (timeouts, retries, per-host concurrency and circuit breaking),
+     * which in turn honours DATA_PROVIDER=record|fixtures. Requests are labelled with
+     * getSlug() in /metrics.
+     * @param {string} url
+     * @param {Object} [init] - fetch() options
+     * @returns {Promise<Response>}
+     */
+    fetchUpstream(url, init) {
+        return upstreamClient.request(url, init, { provider: this.getSlug() });
+    }
+
     /**
      * Fetch all games (raw, unfiltered)
      * @returns {Promise<Array>} Array of game objects
@@ -146,3 +215,4 @@ class BaseProvider {
 }
 
 module.exports = BaseProvider;
+module.exports.DEFAULT_CAPABILITIES = DEFAULT_CAPABILITIES;
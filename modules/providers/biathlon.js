@@ -23,6 +23,15 @@ class BiathlonProvider extends BaseProvider {
         this.currentSeason = '2025-26';
     }
 
+    // Races and World Cup standings only: athletes, not clubs, and no clips yet.
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            details: true,
+            standings: true
+        };
+    }
+
     /**
      * Get the 2025-26 World Cup calendar
      * This is a curated list based on official IBU calendar
@@ -319,13 +328,13 @@ class BiathlonProvider extends BaseProvider {
         const context = label || 'data';
 
         try {
-            const response = await fetch(url, { headers: this.headers });
+            const response = await this.fetchUpstream(url, { headers: this.headers });
             if (!response.ok) {
                 throw new Error(`IBU ${context} fetch failed (${response.status})`);
             }
             return await response.json();
         } catch (error) {
-            console.warn(`[${this.name}] Failed to fetch IBU ${context}:`, error.message);
+            this.log.warn(`Failed to fetch IBU ${context}:`, error.message);
             return null;
         }
     }
@@ -529,7 +538,7 @@ class BiathlonProvider extends BaseProvider {
     }
 
     async fetchAllGames() {
-        console.log(`[${this.name}] Fetching biathlon race schedule...`);
+        this.log.debug(`Fetching biathlon race schedule...`);
         try {
             const events = await this.fetchIbuSchedule();
             if (events.length) {
@@ -546,7 +555,7 @@ class BiathlonProvider extends BaseProvider {
                 return currentRaces;
             }
         } catch (error) {
-            console.warn(`[${this.name}] Falling back to static calendar:`, error.message);
+            this.log.warn(`Falling back to static calendar:`, error.message);
         }
 
         const fallbackEvents = this.getSeasonCalendar();
@@ -806,7 +815,7 @@ class BiathlonProvider extends BaseProvider {
         const { gender = 'all', type = 'overall' } = options;
         const seasonId = this.getSeasonId();
 
-        console.log(`[${this.name}] Fetching standings for season ${seasonId}, gender: ${gender}, type: ${type}...`);
+        this.log.debug(`Fetching standings for season ${seasonId}, gender: ${gender}, type: ${type}...`);
 
         try {
             const standingsResults = [];
@@ -881,7 +890,7 @@ class BiathlonProvider extends BaseProvider {
                 availableTypes: ['overall', 'sprint', 'pursuit', 'individual', 'mass-start']
             };
         } catch (error) {
-            console.error(`[${this.name}] Error fetching standings:`, error.message);
+            this.log.error(`Error fetching standings:`, error.message);
             return {
                 season: this.currentSeason,
                 seasonId,
@@ -28,6 +28,19 @@ class EuropaLeagueQualProvider extends AllsvenskanProvider {
         this.standingsUrl = 'https://site.web.api.espn.com/apis/v2/sports/soccer/uefa.europa_qual/standings';
     }
 
+    // Same ESPN contract as Allsvenskan minus FotbollPlay clips and a league table
+    // (knockout format), plus the bracket.
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            videos: false,
+            goalClips: false,
+            standings: false,
+            seasons: false,
+            bracket: true
+        };
+    }
+
     normalizeEvent(event) {
         const normalized = super.normalizeEvent(event);
         if (normalized) {
@@ -82,7 +95,7 @@ class EuropaLeagueQualProvider extends AllsvenskanProvider {
             // If ESPN ever exposes a table, reuse the parent parser.
             return super.fetchStandings(options);
         } catch (error) {
-            console.warn(`[${this.name}] Standings unavailable:`, error.message);
+            this.log.warn(`Standings unavailable:`, error.message);
             return {
                 season: String(this.getSeasonYear()),
                 league: 'Europa League Qualifying',
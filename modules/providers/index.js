@@ -1,3 +1,4 @@
+const { DEFAULT_CAPABILITIES } = require('./base');
 const SHLProvider = require('./shl');
 const HockeyAllsvenskanProvider = require('./hockeyallsvenskan');
 const BiathlonProvider = require('./biathlon');
@@ -5,6 +6,9 @@ const AllsvenskanProvider = require('./allsvenskan');
 const SvenskaCupenProvider = require('./svenska-cupen');
 const EuropaLeagueQualProvider = require('./europa-league-qual');
 const ConferenceLeagueQualProvider = require('./conference-league-qual');
+const { createLogger } = require('../logger');
+
+const log = createLogger('provider');
 
 // Available providers by sport
 const providers = {
@@ -36,7 +40,7 @@ function getProvider(sport = 'shl') {
         }
 
         providerInstances[sportKey] = new Provider();
-        console.log(`[Provider] Initialized ${providerInstances[sportKey].getName()} data provider`);
+        log.info(`Initialized ${providerInstances[sportKey].getName()} data provider`);
     }
 
     return providerInstances[sportKey];
@@ -53,6 +57,18 @@ function getAllProviders() {
     }, {});
 }
 
+/**
+ * Get the capability flags for a sport. Providers swapped in via setProvider() that
+ * predate getCapabilities() report the conservative defaults.
+ * @param {string} sport - Sport name
+ * @returns {Object} Capability flags (see BaseProvider DEFAULT_CAPABILITIES)
+ */
+function getSportCapabilities(sport) {
+    const provider = getProvider(sport);
+    const capabilities = typeof provider.getCapabilities === 'function' ? provider.getCapabilities() : {};
+    return { ...DEFAULT_CAPABILITIES, ...capabilities };
+}
+
 /**
  * Get list of available sports
  * @returns {Array<string>} List of sport identifiers
@@ -68,7 +84,7 @@ function getAvailableSports() {
  */
 function setProvider(sport, provider) {
     providerInstances[sport.toLowerCase()] = provider;
-    console.log(`[Provider] Switched to ${provider.getName()} data provider for ${sport}`);
+    log.info(`Switched to ${provider.getName()} data provider for ${sport}`);
 }
 
 /**
@@ -87,6 +103,7 @@ module.exports = {
     getProvider,
     getAllProviders,
     getAvailableSports,
+    getSportCapabilities,
     setProvider,
     resetProvider,
     providers
@@ -27,8 +27,20 @@ class SHLProvider extends BaseProvider {
         this.maxHoursSinceGame = 36;
     }
 
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            videos: true,
+            details: true,
+            standings: true,
+            liveEvents: true,
+            teams: true,
+            leaders: true
+        };
+    }
+
     async fetchAllGames() {
-        const response = await fetch(this.scheduleUrl, { headers: this.headers });
+        const response = await this.fetchUpstream(this.scheduleUrl, { headers: this.headers });
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -40,7 +52,7 @@ class SHLProvider extends BaseProvider {
         const gamesToCheck = games.filter(game => this.isGameInLiveWindow(game));
 
         if (gamesToCheck.length > 0) {
-            console.log(`[${this.name}] Checking ${gamesToCheck.length} games for live status...`);
+            this.log.debug(`Checking ${gamesToCheck.length} games for live status...`);
 
             const liveCheckResults = await Promise.all(
                 gamesToCheck.map(async (game) => {
@@ -55,7 +67,7 @@ class SHLProvider extends BaseProvider {
             );
 
             if (liveGameIds.size > 0) {
-                console.log(`[${this.name}] Found ${liveGameIds.size} games that are actually live`);
+                this.log.debug(`Found ${liveGameIds.size} games that are actually live`);
                 return games.map(game => {
                     if (liveGameIds.has(game.uuid)) {
                         return { ...game, state: 'live' };
@@ -231,7 +243,7 @@ class SHLProvider extends BaseProvider {
     async checkGameHasStarted(gameId) {
         try {
             const playByPlayUrl = `${this.baseUrl}/gameday/play-by-play/${gameId}`;
-            const response = await fetch(playByPlayUrl, { headers: this.headers });
+            const response = await this.fetchUpstream(playByPlayUrl, { headers: this.headers });
 
             if (!response.ok) {
                 return false;
@@ -241,7 +253,7 @@ class SHLProvider extends BaseProvider {
             // If there are any events, the game has started
             return Array.isArray(events) && events.length > 0;
         } catch (e) {
-            console.warn(`[${this.name}] Could not check game events for ${gameId}:`, e.message);
+            this.log.warn(`Could not check game events for ${gameId}:`, e.message);
             return false;
         }
     }
@@ -314,7 +326,7 @@ class SHLProvider extends BaseProvider {
      * Returns team standings with position, points, wins, losses, etc.
      */
     async fetchStandings() {
-        console.log(`[${this.name}] Calculating standings from game data...`);
+        this.log.debug(`Calculating standings from game data...`);
 
         try {
             // Fetch all games for the season
@@ -423,7 +435,7 @@ class SHLProvider extends BaseProvider {
                     ...team
                 }));
 
-            console.log(`[${this.name}] Calculated standings for ${standings.length} teams from ${completedGames.length} games`);
+            this.log.debug(`Calculated standings for ${standings.length} teams from ${completedGames.length} games`);
 
             const season = this.seasonLabel;
             return {
@@ -435,18 +447,18 @@ class SHLProvider extends BaseProvider {
                 availableSeasons: [season]
             };
         } catch (error) {
-            console.error(`[${this.name}] Error calculating standings:`, error.message);
+            this.log.error(`Error calculating standings:`, error.message);
             throw error;
         }
     }
 
     async fetchActiveGames() {
-        console.log(`[${this.name}] Fetching active games...`);
+        this.log.debug(`Fetching active games...`);
         try {
             const games = await this.fetchAllGames();
             return this.filterActiveGames(games);
         } catch (error) {
-            console.error(`[${this.name}] Error fetching schedule:`, error.message);
+            this.log.error(`Error fetching schedule:`, error.message);
             return [];
         }
     }
@@ -482,7 +494,7 @@ class SHLProvider extends BaseProvider {
                 const info = this.getGameDisplayInfo(g);
                 return `${info.homeTeam} vs ${info.awayTeam} (${g.state})`;
             }).join(', ');
-            console.log(`[${this.name}] Found ${activeGames.length} active/recent games: ${details}`);
+            this.log.debug(`Found ${activeGames.length} active/recent games: ${details}`);
         }
 
         return activeGames;
@@ -491,15 +503,15 @@ class SHLProvider extends BaseProvider {
     async fetchGameVideos(gameId) {
         const url = `${this.baseUrl}/media/videos-for-game?page=0&pageSize=20&gameUuid=${gameId}`;
         try {
-            const response = await fetch(url, { headers: this.headers });
+            const response = await this.fetchUpstream(url, { headers: this.headers });
             if (!response.ok) {
-                console.error(`[${this.name}] Failed to fetch videos for ${gameId}: ${response.status}`);
+                this.log.error(`Failed to fetch videos for ${gameId}: ${response.status}`);
                 return [];
             }
             const data = await response.json();
             return data.items || [];
         } catch (e) {
-            console.error(`[${this.name}] Error fetching videos for ${gameId}:`, e);
+            this.log.error(`Error fetching videos for ${gameId}:`, e);
             return [];
         }
     }
@@ -509,8 +521,8 @@ class SHLProvider extends BaseProvider {
         const playByPlayUrl = `${this.baseUrl}/gameday/play-by-play/${gameId}`;
 
         const [gameInfoResponse, playByPlayResponse] = await Promise.all([
-            fetch(gameInfoUrl, { headers: this.headers }),
-            fetch(playByPlayUrl, { headers: this.headers })
+            this.fetchUpstream(gameInfoUrl, { headers: this.headers }),
+            this.fetchUpstream(playByPlayUrl, { headers: this.headers })
         ]);
 
         let gameInfo = null;
@@ -520,7 +532,7 @@ class SHLProvider extends BaseProvider {
                 try {
                     gameInfo = JSON.parse(rawText);
                 } catch (e) {
-                    console.warn(`[${this.name}] Invalid game-info JSON for ${gameId}:`, e.message);
+                    this.log.warn(`Invalid game-info JSON for ${gameId}:`, e.message);
                 }
             }
         }
@@ -533,7 +545,7 @@ class SHLProvider extends BaseProvider {
                     const rawEvents = JSON.parse(rawText);
                     events = Array.isArray(rawEvents) ? rawEvents : [];
                 } catch (e) {
-                    console.warn(`[${this.name}] Invalid play-by-play JSON for ${gameId}:`, e.message);
+                    this.log.warn(`Invalid play-by-play JSON for ${gameId}:`, e.message);
                 }
             }
         }
@@ -542,12 +554,12 @@ class SHLProvider extends BaseProvider {
         if (gameInfo?.ssgtUuid && gameInfo?.homeTeam && gameInfo?.awayTeam) {
             const teamStatsUrl = `${this.baseUrl}/gameday/post-game-data/team-stats/${gameId}?ssgtUuid=${gameInfo.ssgtUuid}&homeTeamUuid=${gameInfo.homeTeam.uuid}&awayTeamUuid=${gameInfo.awayTeam.uuid}`;
             try {
-                const response = await fetch(teamStatsUrl, { headers: this.headers });
+                const response = await this.fetchUpstream(teamStatsUrl, { headers: this.headers });
                 if (response.ok) {
                     teamStats = await response.json();
                 }
             } catch (e) {
-                console.warn(`[${this.name}] Could not fetch team stats for ${gameId}:`, e.message);
+                this.log.warn(`Could not fetch team stats for ${gameId}:`, e.message);
             }
         }
 
@@ -605,7 +617,7 @@ class SHLProvider extends BaseProvider {
         try {
             // For live games, get score from play-by-play events
             const playByPlayUrl = `${this.baseUrl}/gameday/play-by-play/${game.uuid}`;
-            const playByPlayResponse = await fetch(playByPlayUrl, { headers: this.headers });
+            const playByPlayResponse = await this.fetchUpstream(playByPlayUrl, { headers: this.headers });
             if (playByPlayResponse.ok) {
                 const events = await playByPlayResponse.json();
                 if (Array.isArray(events) && events.length > 0) {
@@ -635,7 +647,7 @@ class SHLProvider extends BaseProvider {
             // Fallback to team-stats endpoint (for post-game)
             if (game.ssgtUuid && game.homeTeamInfo?.uuid && game.awayTeamInfo?.uuid) {
                 const url = `${this.baseUrl}/gameday/post-game-data/team-stats/${game.uuid}?ssgtUuid=${game.ssgtUuid}&homeTeamUuid=${game.homeTeamInfo.uuid}&awayTeamUuid=${game.awayTeamInfo.uuid}`;
-                const response = await fetch(url, { headers: this.headers });
+                const response = await this.fetchUpstream(url, { headers: this.headers });
                 if (response.ok) {
                     const teamStats = await response.json();
                     const stats = teamStats?.stats || [];
@@ -651,7 +663,7 @@ class SHLProvider extends BaseProvider {
                 }
             }
         } catch (e) {
-            console.warn(`[${this.name}] Could not fetch score for ${game.uuid}:`, e.message);
+            this.log.warn(`Could not fetch score for ${game.uuid}:`, e.message);
         }
         return null;
     }
@@ -707,9 +719,9 @@ class SHLProvider extends BaseProvider {
         const stayLiveUrl = `https://api.staylive.tv/videos/${videoId}`;
 
         try {
-            const response = await fetch(stayLiveUrl, { headers: this.headers });
+            const response = await this.fetchUpstream(stayLiveUrl, { headers: this.headers });
             if (!response.ok) {
-                console.error(`[${this.name}] Failed to fetch video details for ${videoId}: ${response.status}`);
+                this.log.error(`Failed to fetch video details for ${videoId}: ${response.status}`);
                 return null;
             }
 
@@ -757,7 +769,7 @@ class SHLProvider extends BaseProvider {
                 geoRestricted: !video.geo_restricted?.allowed,
             };
         } catch (e) {
-            console.error(`[${this.name}] Error fetching video details for ${videoId}:`, e);
+            this.log.error(`Error fetching video details for ${videoId}:`, e);
             return null;
         }
     }
@@ -25,6 +25,18 @@ class SvenskaCupenProvider extends BaseProvider {
         };
     }
 
+    // No clip source; standings are the cup's group tables.
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            details: true,
+            standings: true,
+            seasons: true,
+            liveEvents: true,
+            teams: true
+        };
+    }
+
     buildLeagueUrl(options = {}) {
         const url = new URL(this.leagueApiUrl);
         url.searchParams.set('id', this.leagueId);
@@ -39,24 +51,20 @@ class SvenskaCupenProvider extends BaseProvider {
 
     async fetchLeagueData(options = {}) {
         const url = this.buildLeagueUrl(options);
-        const response = await fetch(url, { headers: this.headers });
+        const response = await this.fetchUpstream(url, { headers: this.headers });
 
         if (!response.ok) {
             // FotMob withdrew unauthenticated access to its public API — /api/leagues
             // now returns 404/403 for everyone without a signed request header. Rather
             // than throw on every 15s poll (which spammed the GoalWatcher error log and
-            // masked real failures), degrade gracefully: warn ONCE, then return an empty
-            // dataset so downstream normalization yields zero games. Revisit when a
-            // replacement data source (e.g. TheSportsDB league 4756) is wired in.
-            if (!this._sourceUnavailableWarned) {
-                console.warn(`[${this.name}] League source unavailable (${response.status}) — Svenska Cupen data disabled until a new provider source is configured. Suppressing further warnings.`);
-                this._sourceUnavailableWarned = true;
-            }
+            // masked real failures), degrade gracefully: return an empty dataset so
+            // downstream normalization yields zero games. The upstream client logs the
+            // status once per streak, and /api/health reports the provider as degraded
+            // while the failures continue. Revisit when a replacement data source (e.g.
+            // TheSportsDB league 4756) is wired in.
             return null;
         }
 
-        // Source is back — allow a fresh warning if it fails again later.
-        this._sourceUnavailableWarned = false;
         return response.json();
     }
 
@@ -386,7 +394,7 @@ class SvenskaCupenProvider extends BaseProvider {
             return null;
         }
 
-        const response = await fetch(resolvedUrl, { headers: this.headers });
+        const response = await this.fetchUpstream(resolvedUrl, { headers: this.headers });
         if (!response.ok) {
             throw new Error(`[${this.name}] Match page fetch failed (${response.status})`);
         }
@@ -797,7 +805,7 @@ class SvenskaCupenProvider extends BaseProvider {
                 commentary: null
             };
         } catch (error) {
-            console.warn(`[${this.name}] Detail fallback for game ${gameId}:`, error.message);
+            this.log.warn(`Detail fallback for game ${gameId}:`, error.message);
             return this.buildFallbackDetails(game);
         }
     }
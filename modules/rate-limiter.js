@@ -0,0 +1,288 @@
+/**
+ * Per-client rate limiting for the public API and the image proxy.
+ *
+ * Token buckets per client and request class:
+ *   - read:     cached list endpoints (games, standings, teams, feeds, ...)
+ *   - upstream: routes that fetch on a cache miss, and the login route
+ *   - image:    /api/img
+ * A client is its IP address, or its `X-API-Key` when listed in RATE_LIMIT_API_KEYS
+ * (keyed clients get larger buckets). Over-limit requests get a 429 with Retry-After;
+ * limited responses carry RateLimit-* headers. getStats() feeds /api/status.
+ */
+
+const {
+    RATE_LIMIT_ENABLED,
+    RATE_LIMIT_READ,
+    RATE_LIMIT_UPSTREAM,
+    RATE_LIMIT_IMAGE,
+    RATE_LIMIT_API_KEYS,
+    RATE_LIMIT_API_KEY_MULTIPLIER,
+    RATE_LIMIT_MAX_CLIENTS
+} = require('./config');
+const { isApiV2Path, errorBody } = require('./api-envelope');
+
+const WINDOW_MS = 60 * 1000;
+const TOP_LIMITED_CLIENTS = 10;
+
+// Routes whose responses can trigger upstream fetches (ids not yet in cache).
+const UPSTREAM_ROUTES = [
+    /^\/api\/(?:[\w-]+\/)?game\/[^/]+\/(?:details|videos)$/,
+    /^\/api\/v2\/[\w-]+\/games\/[^/]+(?:\/videos)?$/,
+    /^\/api\/video\/[^/]+$/,
+    /^\/api\/biathlon\/race\/[^/]+$/,
+    /^\/api\/export\//,
+    /^\/api\/h2h$/,
+    /^\/api\/auth\/login$/
+];
+
+/**
+ * Request class for a path, or null when the path is not rate limited.
+ * @param {string} pathname - e.g. '/api/shl/game/abc/details'
+ * @param {Object} [query] - Parsed query string (?season selects past seasons)
+ * @returns {'read'|'upstream'|'image'|null}
+ */
+function classifyRequest(pathname, query = {}) {
+    if (!pathname.startsWith('/api/')) {
+        return null;
+    }
+    if (pathname === '/api/img') {
+        return 'image';
+    }
+    if (query.season || UPSTREAM_ROUTES.some(pattern => pattern.test(pathname))) {
+        return 'upstream';
+    }
+    return 'read';
+}
+
+/**
+ * Parse RATE_LIMIT_API_KEYS ("name:key,name2:key2") into key -> name.
+ * @param {string} value
+ * @returns {Map<string, string>}
+ */
+function parseApiKeys(value) {
+    const keys = new Map();
+    for (const entry of String(value || '').split(',')) {
+        const index = entry.indexOf(':');
+        const name = entry.slice(0, index).trim();
+        const key = entry.slice(index + 1).trim();
+        if (index > 0 && name && key) {
+            keys.set(key, name);
+        }
+    }
+    return keys;
+}
+
+class TokenBucketLimiter {
+    /**
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {number} options.limit - Requests per window (also the burst size)
+     * @param {number} [options.windowMs]
+     * @param {number} [options.maxClients] - Tracked buckets before idle ones are dropped
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({ name, limit, windowMs = WINDOW_MS, maxClients = RATE_LIMIT_MAX_CLIENTS, now = Date.now }) {
+        this.name = name;
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.maxClients = maxClients;
+        this.now = now;
+        this.buckets = new Map();
+        this.limitedClients = new Map();
+        this.allowed = 0;
+        this.limited = 0;
+    }
+
+    /**
+     * Spend one token for a client.
+     * @param {string} client - Client identity ('ip:...' or 'key:...')
+     * @param {number} [multiplier] - Bucket size factor (API keys)
+     * @returns {{ allowed: boolean, limit: number, remaining: number, resetMs: number, retryAfterMs: number }}
+     */
+    take(client, multiplier = 1) {
+        const now = this.now();
+        const capacity = this.limit * multiplier;
+        const refillPerMs = capacity / this.windowMs;
+
+        const bucket = this.buckets.get(client) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        // Re-insert so Map order stays least-recently-used first
+        this.buckets.delete(client);
+        this.buckets.set(client, bucket);
+        if (this.buckets.size > this.maxClients) {
+            this.prune(now);
+        }
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+            this.allowed++;
+        } else {
+            this.limited++;
+            this.recordLimited(client, now);
+        }
+
+        return {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(bucket.tokens),
+            resetMs: Math.ceil((capacity - bucket.tokens) / refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs)
+        };
+    }
+
+    /**
+     * Drop buckets that have refilled completely, then the least recently used ones.
+     */
+    prune(now) {
+        for (const [client, bucket] of this.buckets) {
+            if (now - bucket.updatedAt >= this.windowMs) {
+                this.buckets.delete(client);
+            }
+        }
+        for (const client of this.buckets.keys()) {
+            if (this.buckets.size <= this.maxClients) {
+                break;
+            }
+            this.buckets.delete(client);
+        }
+    }
+
+    recordLimited(client, now) {
+        const entry = this.limitedClients.get(client) || { client, count: 0, lastLimitedAt: null };
+        entry.count++;
+        entry.lastLimitedAt = new Date(now).toISOString();
+        this.limitedClients.set(client, entry);
+        if (this.limitedClients.size > this.maxClients) {
+            this.limitedClients.delete(this.limitedClients.keys().next().value);
+        }
+    }
+
+    getStats() {
+        const now = this.now();
+        const activeClients = Array.from(this.buckets.values())
+            .filter(bucket => now - bucket.updatedAt < this.windowMs)
+            .length;
+        return {
+            limitPerMinute: Math.round(this.limit * (WINDOW_MS / this.windowMs)),
+            allowed: this.allowed,
+            limited: this.limited,
+            activeClients,
+            topLimitedClients: Array.from(this.limitedClients.values())
+                .sort((a, b) => b.count - a.count)
+                .slice(0, TOP_LIMITED_CLIENTS)
+        };
+    }
+
+    reset() {
+        this.buckets.clear();
+        this.limitedClients.clear();
+        this.allowed = 0;
+        this.limited = 0;
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} [options] - Defaults come from config.js
+     * @param {boolean} [options.enabled]
+     * @param {{ read: number, upstream: number, image: number }} [options.limits] - Per minute
+     * @param {string} [options.apiKeys] - "name:key" pairs
+     * @param {number} [options.apiKeyMultiplier]
+     * @param {number} [options.maxClients]
+     * @param {Function} [options.now]
+     */
+    constructor(options = {}) {
+        const limits = options.limits || {
+            read: RATE_LIMIT_READ,
+            upstream: RATE_LIMIT_UPSTREAM,
+            image: RATE_LIMIT_IMAGE
+        };
+        this.enabled = options.enabled ?? RATE_LIMIT_ENABLED;
+        this.apiKeys = parseApiKeys(options.apiKeys ?? RATE_LIMIT_API_KEYS);
+        this.apiKeyMultiplier = options.apiKeyMultiplier ?? RATE_LIMIT_API_KEY_MULTIPLIER;
+        this.limiters = {};
+        for (const [name, limit] of Object.entries(limits)) {
+            this.limiters[name] = new TokenBucketLimiter({
+                name,
+                limit,
+                maxClients: options.maxClients,
+                now: options.now
+            });
+        }
+    }
+
+    /**
+     * Client identity: a known API key, otherwise the IP address.
+     * @param {express.Request} req
+     * @returns {{ client: string, multiplier: number }}
+     */
+    identify(req) {
+        const keyName = this.apiKeys.get(req.get('x-api-key') || '');
+        if (keyName) {
+            return { client: `key:${keyName}`, multiplier: this.apiKeyMultiplier };
+        }
+        return { client: `ip:${req.ip}`, multiplier: 1 };
+    }
+
+    /**
+     * Express middleware; mount before the /api routes.
+     * @returns {Function}
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled || req.method === 'OPTIONS') {
+                return next();
+            }
+            const bucket = classifyRequest(req.path, req.query);
+            const limiter = bucket && this.limiters[bucket];
+            if (!limiter) {
+                return next();
+            }
+
+            const { client, multiplier } = this.identify(req);
+            const result = limiter.take(client, multiplier);
+            res.set({
+                'RateLimit-Limit': String(result.limit),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+            });
+
+            if (!result.allowed) {
+                const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+                res.set('Retry-After', String(retryAfter));
+                const message = 'Too many requests, please slow down';
+                return res.status(429).json(isApiV2Path(req.path)
+                    ? errorBody('rate_limited', message, { bucket, retryAfter })
+                    : { error: message, bucket, retryAfter });
+            }
+            next();
+        };
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            apiKeys: this.apiKeys.size,
+            apiKeyMultiplier: this.apiKeyMultiplier,
+            buckets: Object.fromEntries(
+                Object.entries(this.limiters).map(([name, limiter]) => [name, limiter.getStats()])
+            )
+        };
+    }
+
+    reset() {
+        Object.values(this.limiters).forEach(limiter => limiter.reset());
+    }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+    RateLimiter,
+    TokenBucketLimiter,
+    classifyRequest,
+    rateLimiter
+};
@@ -0,0 +1,276 @@
+/**
+ * Unified multi-sport schedule for the app's home screen.
+ *
+ * GET /api/schedule merges the cached per-sport lists into one date-sorted list of
+ * normalised events:
+ *   ?from, ?to   local dates (YYYY-MM-DD, inclusive); default 7 days back to 30 ahead
+ *   ?sports      sport ids, or the families hockey / football
+ *   ?teams       team codes, ids or names; filters team sports only
+ *   ?nations     biathlon host nations (IOC codes); filters biathlon only
+ * Each event is tagged with its home-screen section (live, startingSoon, today, ...,
+ * earlierResults), with days counted in Europe/Stockholm. Sports whose provider
+ * fails are listed under `unavailable`.
+ */
+
+const express = require('express');
+const { getProvider, getAvailableSports } = require('./providers');
+const { loadSportGames } = require('./sport-routes');
+const { HOCKEY_LEAGUES, FOOTBALL_LEAGUES } = require('./teams-index');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('schedule');
+
+const SCHEDULE_TIME_ZONE = 'Europe/Stockholm';
+const DEFAULT_DAYS_BACK = 7;
+const DEFAULT_DAYS_AHEAD = 30;
+// Finished events stay in "Recent Results" for a week (as in the app).
+const RECENT_RESULTS_DAYS = 7;
+const THIS_WEEK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SPORT_FAMILIES = {
+    hockey: HOCKEY_LEAGUES,
+    football: FOOTBALL_LEAGUES
+};
+
+// Display order of the home screen.
+const SECTIONS = [
+    { key: 'live', title: 'Live Now' },
+    { key: 'startingSoon', title: 'Starting Soon' },
+    { key: 'today', title: 'Today' },
+    { key: 'tomorrow', title: 'Tomorrow' },
+    { key: 'thisWeek', title: 'This Week' },
+    { key: 'upcoming', title: 'Upcoming' },
+    { key: 'recentResults', title: 'Recent Results' },
+    { key: 'earlierResults', title: 'Earlier Results' }
+];
+
+const localDateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: SCHEDULE_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+// ============ DATES ============
+
+/**
+ * Calendar date of an instant in the schedule time zone.
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDate(date) {
+    return localDateFormat.format(date);
+}
+
+function dateToUtcMs(localDate) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+function addDays(localDate, days) {
+    return new Date(dateToUtcMs(localDate) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((dateToUtcMs(toDate) - dateToUtcMs(fromDate)) / DAY_MS);
+}
+
+// ============ NORMALISATION ============
+
+/**
+ * Common shape for a game or race of any sport (mirrors the app's normalizeEvent).
+ * Biathlon's completed/upcoming/starting-soon map to post-game/pre-game.
+ * @param {Object} event
+ * @param {string} sport
+ * @returns {Object}
+ */
+function normalizeEvent(event, sport) {
+    const startTime = event.startDateTime ? new Date(event.startDateTime).getTime() : 0;
+
+    let normalizedState = event.state || 'unknown';
+    if (sport === 'biathlon') {
+        if (normalizedState === 'completed') {
+            normalizedState = 'post-game';
+        } else if (normalizedState === 'upcoming' || normalizedState === 'starting-soon') {
+            normalizedState = 'pre-game';
+        }
+    }
+
+    return {
+        ...event,
+        sport,
+        startTime: Number.isNaN(startTime) ? 0 : startTime,
+        normalizedState,
+        isLive: event.state === 'live',
+        isStartingSoon: event.state === 'starting-soon',
+        isCompleted: normalizedState === 'post-game' || event.state === 'completed'
+    };
+}
+
+/**
+ * Home-screen section of a normalised event.
+ * @param {Object} event - normalizeEvent() output
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {string} SECTIONS key
+ */
+function getSection(event, today) {
+    if (event.isLive) {
+        return 'live';
+    }
+    if (event.isStartingSoon) {
+        return 'startingSoon';
+    }
+
+    const daysUntil = daysBetween(today, toLocalDate(new Date(event.startTime)));
+    if (daysUntil === 0 || (event.isCompleted && daysUntil > 0)) {
+        return 'today';
+    }
+    if (daysUntil < 0) {
+        return -daysUntil <= RECENT_RESULTS_DAYS ? 'recentResults' : 'earlierResults';
+    }
+    if (daysUntil === 1) {
+        return 'tomorrow';
+    }
+    return daysUntil <= THIS_WEEK_DAYS ? 'thisWeek' : 'upcoming';
+}
+
+// ============ FILTERS ============
+
+/**
+ * Expand ?sports (ids and families) to the sport ids to load.
+ * @param {string[]} [requested]
+ * @param {string[]} available - Registered sports
+ * @returns {string[]}
+ */
+function resolveSports(requested, available) {
+    if (!requested || requested.length === 0) {
+        return available;
+    }
+    const wanted = new Set(requested.flatMap(sport => SPORT_FAMILIES[sport] || [sport]));
+    return available.filter(sport => wanted.has(sport));
+}
+
+function teamIdentifiers(teamInfo) {
+    return [teamInfo?.code, teamInfo?.uuid, teamInfo?.names?.short, teamInfo?.names?.long]
+        .filter(Boolean)
+        .map(value => String(value).toLowerCase());
+}
+
+function matchesTeams(event, teams) {
+    return [event.homeTeamInfo, event.awayTeamInfo]
+        .some(teamInfo => teamIdentifiers(teamInfo).some(id => teams.has(id)));
+}
+
+// ============ SCHEDULE ============
+
+/**
+ * Merge, filter, normalise and group the game lists of several sports.
+ * @param {Object} gamesBySport - sport -> games/races array
+ * @param {Object} [options]
+ * @param {string} [options.from] - First local date (inclusive)
+ * @param {string} [options.to] - Last local date (inclusive)
+ * @param {string[]} [options.teams] - Team codes, ids or names (team sports)
+ * @param {string[]} [options.nations] - Host nation codes (biathlon)
+ * @param {Date} [options.now]
+ * @returns {{ from: string, to: string, timeZone: string, total: number, sections: Array, events: Array }}
+ */
+function buildSchedule(gamesBySport, options = {}) {
+    const now = options.now || new Date();
+    const today = toLocalDate(now);
+    const from = options.from || addDays(today, -DEFAULT_DAYS_BACK);
+    const to = options.to || addDays(today, DEFAULT_DAYS_AHEAD);
+    const teams = new Set((options.teams || []).map(team => String(team).toLowerCase()));
+    const nations = new Set((options.nations || []).map(nation => String(nation).toUpperCase()));
+
+    const events = [];
+    for (const [sport, games] of Object.entries(gamesBySport)) {
+        for (const game of Array.isArray(games) ? games : []) {
+            if (sport === 'biathlon' ? nations.size && !nations.has(game.country) : teams.size && !matchesTeams(game, teams)) {
+                continue;
+            }
+            const event = normalizeEvent(game, sport);
+            if (!event.startTime) {
+                continue;
+            }
+            const date = toLocalDate(new Date(event.startTime));
+            if (date < from || date > to) {
+                continue;
+            }
+            events.push({ ...event, section: getSection(event, today) });
+        }
+    }
+    events.sort((a, b) => a.startTime - b.startTime);
+
+    const counts = events.reduce((acc, event) => {
+        acc[event.section] = (acc[event.section] || 0) + 1;
+        return acc;
+    }, {});
+
+    return {
+        from,
+        to,
+        timeZone: SCHEDULE_TIME_ZONE,
+        total: events.length,
+        sections: SECTIONS
+            .filter(section => counts[section.key])
+            .map(section => ({ ...section, count: counts[section.key] })),
+        events
+    };
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the schedule router. Mount it at /api/schedule.
+ * @param {Object} [options]
+ * @param {Object} [options.sources] - sport -> async () => games, for sports whose list
+ *   is not the plain provider list (SHL's manually added games, biathlon races)
+ * @returns {express.Router}
+ */
+function createScheduleRouter(options = {}) {
+    const sources = options.sources || {};
+    const router = express.Router();
+
+    /**
+     * GET /api/schedule
+     */
+    router.get('/', validateRequest('getSchedule'), async (req, res) => {
+        const { from, to, sports, teams, nations } = req.input.query;
+        if (from && to && from > to) {
+            const message = 'from must not be after to';
+            return res.status(400).json({ error: message, details: [{ in: 'query', name: 'from', message }] });
+        }
+
+        const selected = resolveSports(sports, getAvailableSports());
+        const unavailable = [];
+        const lists = await Promise.all(selected.map(async (sport) => {
+            try {
+                const games = sources[sport]
+                    ? await sources[sport]()
+                    : await loadSportGames(sport, getProvider(sport), { label: `${req.baseUrl} (${sport})` });
+                return [sport, games];
+            } catch (error) {
+                log.warn(`Leaving ${sport} out of the schedule:`, error.message);
+                unavailable.push({ sport, error: error.message });
+                return [sport, []];
+            }
+        }));
+
+        res.json({
+            ...buildSchedule(Object.fromEntries(lists), { from, to, teams, nations }),
+            unavailable
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createScheduleRouter,
+    buildSchedule,
+    normalizeEvent,
+    resolveSports,
+    SCHEDULE_TIME_ZONE
+};
@@ -8,9 +8,13 @@
 
 const { BIATHLON_CHECK_INTERVAL } = require('./config');
 const { getProvider } = require('./providers');
-const { setCachedBiathlon, getBiathlonLastUpdate } = require('./cache');
+const { setCachedGames, getCacheNamespace } = require('./cache');
 const { formatSwedishTimestamp } = require('./utils');
 const { addEntry } = require('./activity-log');
+const { timeWatcherRun } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scheduler');
 
 // ============ SCHEDULER STATE ============
 let stats = {
@@ -20,19 +24,27 @@ let stats = {
     errors: []
 };
 
+/**
+ * ISO timestamp of the last biathlon cache write (null when never cached)
+ */
+function getBiathlonLastUpdate() {
+    const entry = getCacheNamespace('biathlon', 'games').peek();
+    return entry ? new Date(entry.timestamp).toISOString() : null;
+}
+
 /**
  * Refresh biathlon schedule data
  * This fetches the latest schedule and caches it
  */
 async function refreshBiathlonSchedule() {
-    console.log(`[Scheduler] Refreshing biathlon schedule at ${formatSwedishTimestamp()}...`);
+    log.info(`Refreshing biathlon schedule at ${formatSwedishTimestamp()}...`);
 
     try {
         const provider = getProvider('biathlon');
         const races = await provider.fetchAllGames();
 
         if (races && races.length > 0) {
-            setCachedBiathlon(races);
+            setCachedGames('biathlon', races);
             stats.biathlonLastCheck = formatSwedishTimestamp();
             stats.biathlonCheckCount++;
 
@@ -41,13 +53,13 @@ async function refreshBiathlonSchedule() {
             const upcoming = races.filter(r => new Date(r.startDateTime) >= now);
             const completed = races.filter(r => r.state === 'completed');
 
-            console.log(`[Scheduler] Biathlon schedule refreshed: ${races.length} total races (${upcoming.length} upcoming, ${completed.length} completed)`);
+            log.info(`Biathlon schedule refreshed: ${races.length} total races (${upcoming.length} upcoming, ${completed.length} completed)`);
             addEntry('scheduler', 'refresh', `Biathlon schedule refreshed: ${races.length} races (${upcoming.length} upcoming, ${completed.length} completed)`);
         }
 
         return races;
     } catch (error) {
-        console.error('[Scheduler] Error refreshing biathlon schedule:', error.message);
+        log.error('Error refreshing biathlon schedule:', error.message);
         addEntry('scheduler', 'error', `Biathlon refresh failed: ${error.message}`);
         stats.errors.push({
             type: 'biathlon',
@@ -106,15 +118,15 @@ function validateBiathlonSchedule(races) {
  */
 function startLoop() {
     stats.isRunning = true;
-    console.log('[Scheduler] Starting background scheduler...');
-    console.log(`[Scheduler] Biathlon check interval: ${BIATHLON_CHECK_INTERVAL / 1000 / 60} minutes`);
+    log.info('Starting background scheduler...');
+    log.info(`Biathlon check interval: ${BIATHLON_CHECK_INTERVAL / 1000 / 60} minutes`);
 
     // Initial refresh on startup
-    refreshBiathlonSchedule();
+    timeWatcherRun('scheduler', refreshBiathlonSchedule);
 
     // Set up periodic refresh
     const biathlonLoop = async () => {
-        await refreshBiathlonSchedule();
+        await timeWatcherRun('scheduler', refreshBiathlonSchedule);
         setTimeout(biathlonLoop, BIATHLON_CHECK_INTERVAL);
     };
 
@@ -142,7 +154,7 @@ function getStats() {
  * Force an immediate biathlon schedule refresh
  */
 async function forceRefreshBiathlon() {
-    console.log('[Scheduler] Manual biathlon refresh triggered');
+    log.info('Manual biathlon refresh triggered');
     addEntry('scheduler', 'refresh', 'Manual biathlon refresh triggered');
     return await refreshBiathlonSchedule();
 }
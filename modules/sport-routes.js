@@ -0,0 +1,438 @@
+/**
+ * Generic per-sport REST routes.
+ *
+ * One router serves `/api/:sport/...` for every sport in the provider registry,
+ * backed by the per-sport cache namespaces. Legacy prefixes (e.g. /api/football ->
+ * allsvenskan) are kept as aliases. Sports with bespoke handlers (SHL, biathlon) are
+ * registered in server.js before this router, so their paths win.
+ *
+ *   GET /api/:sport/games               ?team ?state ?upcoming ?limit ?season
+ *   GET /api/:sport/game/:id/videos
+ *   GET /api/:sport/game/:id/details
+ *   GET /api/:sport/standings           ?season ?team ?top ?group
+ *   GET /api/:sport/bracket
+ *
+ * Errors are JSON { error }: 400 for invalid parameters, 404 for unknown sports,
+ * games and resources, 500 for upstream failures.
+ */
+
+const express = require('express');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const liveEvents = require('./live-events');
+const {
+    getCacheNamespace,
+    getCachedGames,
+    setCachedGames,
+    setGamesLiveFlag,
+    getCachedDetails,
+    setCachedDetails,
+    getCachedVideos,
+    setCachedVideos,
+    getCachedStandings,
+    setCachedStandings,
+    getCachedSeasonGames,
+    setCachedSeasonGames,
+    getCachedBracket,
+    setCachedBracket
+} = require('./cache');
+const { shouldUseFastGamesCache } = require('./games-cache');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('api');
+const cacheLog = createLogger('cache');
+
+// ============ HELPERS ============
+
+function hasCache(sport, resource) {
+    try {
+        getCacheNamespace(sport, resource);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getTimeValue(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function matchesQuery(candidates, query) {
+    return candidates.some(value => value && String(value).toLowerCase() === query);
+}
+
+/**
+ * Apply the shared ?team/?state/?upcoming/?limit filters to a games list.
+ * @param {Array} games - Games sorted newest first
+ * @param {Object} query - Validated query (req.input.query)
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+function filterGames(games, query, now = new Date()) {
+    let result = games;
+
+    if (query.team) {
+        const teamQuery = String(query.team).trim().toLowerCase();
+        const matchesTeam = (teamInfo) => Boolean(teamInfo) && matchesQuery(
+            [teamInfo.code, teamInfo.uuid, teamInfo.names?.short, teamInfo.names?.long],
+            teamQuery
+        );
+        result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
+    }
+
+    if (query.state) {
+        const stateQuery = String(query.state).trim().toLowerCase();
+        result = result.filter(game => game.state === stateQuery);
+    }
+
+    if (String(query.upcoming) === 'true') {
+        result = result.filter(game => {
+            const startTime = new Date(game.startDateTime);
+            return !Number.isNaN(startTime.getTime()) && startTime >= now;
+        });
+    }
+
+    if (query.limit) {
+        const limit = parseInt(query.limit);
+        if (limit > 0) {
+            result = result.slice(0, limit);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Apply the shared ?team/?top/?group filters to a standings payload.
+ * @param {Object} standings - { standings: [], groups?: [] }
+ * @param {Object} query - Validated query (req.input.query)
+ * @returns {Object} filtered shallow copy
+ */
+function filterStandings(standings, query) {
+    const result = { ...standings };
+
+    if (query.team && Array.isArray(standings.standings)) {
+        const teamQuery = String(query.team).trim().toLowerCase();
+        result.standings = standings.standings.filter(team => matchesQuery(
+            [team.teamCode, team.teamUuid, team.teamName, team.teamShortName],
+            teamQuery
+        ));
+    }
+
+    if (query.top && Array.isArray(result.standings)) {
+        const topN = parseInt(query.top);
+        if (topN > 0) {
+            result.standings = result.standings.slice(0, topN);
+        }
+    }
+
+    if (query.group && Array.isArray(standings.groups)) {
+        const groupQuery = String(query.group).trim().toLowerCase();
+        result.groups = standings.groups.filter(group => matchesQuery([group.id, group.name], groupQuery));
+    }
+
+    return result;
+}
+
+function sendError(res, status, message) {
+    res.status(status).json({ error: message });
+}
+
+// ============ LOADERS ============
+// Cache-aware reads shared by the v1 routes below and the /api/v2 router
+// (modules/api-v2.js). `label` is the request path used in cache log lines.
+
+/**
+ * Games of a sport, newest first. The current season comes from the games cache
+ * (refreshed and fed to live-events on a miss); a past season is always fetched.
+ * @param {string} sport
+ * @param {Object} provider
+ * @param {Object} [options]
+ * @param {string} [options.season]
+ * @param {string} [options.label]
+ * @returns {Promise<Array>}
+ */
+async function loadSportGames(sport, provider, options = {}) {
+    const seasonQuery = options.season || null;
+    const canUseCache = !seasonQuery && hasCache(sport, 'games');
+    let games = canUseCache ? getCachedGames(sport) : null;
+    const usedCache = Boolean(games);
+
+    if (usedCache) {
+        cacheLog.debug(`HIT ${options.label}`);
+    } else {
+        cacheLog.debug(`MISS ${options.label} - fetching fresh data...`);
+        games = seasonQuery
+            ? await provider.fetchAllGames({ season: seasonQuery })
+            : await provider.fetchAllGames();
+    }
+
+    if (!Array.isArray(games)) {
+        games = [];
+    }
+    games = games.sort((a, b) => getTimeValue(b.startDateTime) - getTimeValue(a.startDateTime));
+
+    if (canUseCache) {
+        const shouldUseFastCache = shouldUseFastGamesCache(games, new Date());
+        if (usedCache) {
+            setGamesLiveFlag(sport, shouldUseFastCache);
+        } else {
+            setCachedGames(sport, games, shouldUseFastCache);
+            liveEvents.observeGames(sport, games);
+        }
+    }
+    return games;
+}
+
+/**
+ * Games of a finished season, cached for a day. Unlike ?season on the games routes
+ * (always fetched), this is meant for features that read several past seasons per
+ * request, such as head-to-head history. Callers check the seasons capability.
+ * @param {string} sport
+ * @param {Object} provider
+ * @param {string} season
+ * @param {Object} [options]
+ * @param {string} [options.label]
+ * @returns {Promise<Array>}
+ */
+async function loadPastSeasonGames(sport, provider, season, options = {}) {
+    const cacheable = hasCache(sport, 'seasonGames');
+    const cached = cacheable ? getCachedSeasonGames(sport, season) : null;
+    if (cached) {
+        cacheLog.debug(`HIT ${options.label}`);
+        return cached;
+    }
+
+    cacheLog.debug(`MISS ${options.label} - fetching season ${season}...`);
+    const games = await provider.fetchAllGames({ season });
+    const result = Array.isArray(games) ? games : [];
+    if (cacheable) {
+        setCachedSeasonGames(sport, season, result);
+    }
+    return result;
+}
+
+/**
+ * Clips of a game. Sports without a clip source return [].
+ * @returns {Promise<Array>}
+ */
+async function loadSportGameVideos(sport, provider, id, options = {}) {
+    if (!getSportCapabilities(sport).videos) {
+        return [];
+    }
+    const cacheable = hasCache(sport, 'videos');
+    const cached = cacheable ? getCachedVideos(sport, id) : null;
+    if (cached) {
+        cacheLog.debug(`HIT ${options.label}`);
+        return cached;
+    }
+
+    if (cacheable) {
+        cacheLog.debug(`MISS ${options.label} - fetching...`);
+    }
+    const videos = await provider.fetchGameVideos(id);
+    const result = Array.isArray(videos) ? videos : [];
+    if (cacheable) {
+        setCachedVideos(sport, id, result);
+    }
+    return result;
+}
+
+/**
+ * Details of a game.
+ * @returns {Promise<Object|null>} null when the provider does not know the game
+ */
+async function loadSportGameDetails(sport, provider, id, options = {}) {
+    const cacheable = hasCache(sport, 'details');
+    const cached = cacheable ? getCachedDetails(sport, id) : null;
+    if (cached) {
+        cacheLog.debug(`HIT ${options.label}`);
+        return cached;
+    }
+
+    cacheLog.debug(`MISS ${options.label} - fetching...`);
+    const details = await provider.fetchGameDetails(id);
+    if (details && cacheable) {
+        setCachedDetails(sport, id, details);
+    }
+    return details || null;
+}
+
+/**
+ * Standings, cached per season (empty = current). The table is also stored under
+ * the season it resolved to, so ?season=2025 hits after a current-season fetch.
+ * Callers check that the provider has fetchStandings.
+ * @returns {Promise<Object>} { standings: [], groups?: [] }
+ */
+async function loadSportStandings(sport, provider, options = {}) {
+    const seasonQuery = options.season || null;
+    const cacheable = hasCache(sport, 'standings');
+    let standings = cacheable ? getCachedStandings(sport, seasonQuery) : null;
+
+    if (standings) {
+        cacheLog.debug(`HIT ${options.label}`);
+    } else {
+        cacheLog.debug(`MISS ${options.label} - fetching fresh data...`);
+        standings = await provider.fetchStandings({ season: seasonQuery });
+        if (cacheable && standings) {
+            const resolvedSeason = standings.season ? String(standings.season) : null;
+            setCachedStandings(sport, seasonQuery, standings);
+            if (resolvedSeason && resolvedSeason !== seasonQuery) {
+                setCachedStandings(sport, resolvedSeason, standings);
+            }
+        }
+    }
+    return standings || { standings: [] };
+}
+
+/**
+ * Knockout bracket. Callers check the bracket capability.
+ * @returns {Promise<Object>}
+ */
+async function loadSportBracket(sport, provider, options = {}) {
+    const cacheable = hasCache(sport, 'bracket');
+    let bracket = cacheable ? getCachedBracket(sport) : null;
+    if (bracket) {
+        cacheLog.debug(`HIT ${options.label}`);
+    } else {
+        cacheLog.debug(`MISS ${options.label} - building...`);
+        bracket = await provider.fetchBracket();
+        if (cacheable) {
+            setCachedBracket(sport, bracket);
+        }
+    }
+    return bracket;
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the generic sport router. Mount it under /api.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy path prefix -> sport id (e.g. { football: 'allsvenskan' })
+ * @returns {express.Router}
+ */
+function createSportRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const router = express.Router();
+
+    // Resolve :sport (or a legacy alias) to a registered provider.
+    router.param('sport', (req, res, next, value) => {
+        const sport = aliases[value] || value;
+        if (!getAvailableSports().includes(sport)) {
+            return sendError(res, 404, `Unknown sport: ${value}`);
+        }
+        req.sport = sport;
+        req.provider = getProvider(sport);
+        req.capabilities = getSportCapabilities(sport);
+        next();
+    });
+
+    /**
+     * GET /api/:sport/games
+     * Full fixture list, newest first. ?season bypasses the cache (historical lists
+     * are not cached). Supports ?team, ?state, ?upcoming, ?limit.
+     */
+    router.get('/:sport/games', validateRequest('listSportGames'), async (req, res) => {
+        const { sport, provider } = req;
+        try {
+            const games = await loadSportGames(sport, provider, {
+                season: req.input.query.season,
+                label: req.baseUrl + req.path
+            });
+            res.json(filterGames(games, req.input.query));
+        } catch (error) {
+            log.error(`Error fetching ${provider.getName()} schedule:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    /**
+     * GET /api/:sport/game/:id/videos
+     * Clips for a game. Sports without a clip source return [].
+     */
+    router.get('/:sport/game/:id/videos', validateRequest('listSportGameVideos'), async (req, res) => {
+        const { sport, provider } = req;
+        const { id } = req.params;
+        try {
+            res.json(await loadSportGameVideos(sport, provider, id, { label: req.baseUrl + req.path }));
+        } catch (error) {
+            log.error(`Error fetching ${provider.getName()} videos for ${id}:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    /**
+     * GET /api/:sport/game/:id/details
+     */
+    router.get('/:sport/game/:id/details', validateRequest('getSportGameDetails'), async (req, res) => {
+        const { sport, provider } = req;
+        const { id } = req.params;
+        try {
+            const details = await loadSportGameDetails(sport, provider, id, { label: req.baseUrl + req.path });
+            if (!details) {
+                return sendError(res, 404, 'Game not found');
+            }
+            res.json(details);
+        } catch (error) {
+            log.error(`Error fetching ${provider.getName()} details for ${id}:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    /**
+     * GET /api/:sport/standings
+     * Cached per season (empty = current). Supports ?team, ?top and ?group (cups).
+     */
+    router.get('/:sport/standings', validateRequest('getSportStandings'), async (req, res) => {
+        const { sport, provider } = req;
+        if (typeof provider.fetchStandings !== 'function') {
+            return sendError(res, 404, `Standings not available for ${sport}`);
+        }
+
+        try {
+            const standings = await loadSportStandings(sport, provider, {
+                season: req.input.query.season,
+                label: req.baseUrl + req.path
+            });
+            res.json(filterStandings(standings, req.input.query));
+        } catch (error) {
+            log.error(`Error fetching ${provider.getName()} standings:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    /**
+     * GET /api/:sport/bracket
+     * Knockout bracket for competitions whose provider reports the bracket capability.
+     */
+    router.get('/:sport/bracket', validateRequest('getSportBracket'), async (req, res) => {
+        const { sport, provider, capabilities } = req;
+        if (!capabilities.bracket || typeof provider.fetchBracket !== 'function') {
+            return sendError(res, 404, `Bracket not available for ${sport}`);
+        }
+
+        try {
+            res.json(await loadSportBracket(sport, provider, { label: req.baseUrl + req.path }));
+        } catch (error) {
+            log.error(`Error building ${provider.getName()} bracket:`, error);
+            sendError(res, 500, error.message);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createSportRouter,
+    filterGames,
+    filterStandings,
+    hasCache,
+    loadSportGames,
+    loadPastSeasonGames,
+    loadSportGameVideos,
+    loadSportGameDetails,
+    loadSportStandings,
+    loadSportBracket
+};
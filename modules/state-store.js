@@ -0,0 +1,348 @@
+/**
+ * Persistent store for the small JSON state files (seen games/videos, sent
+ * pre-game reminders, admin-created games).
+ *
+ * Documents are wrapped as { schemaVersion, updatedAt, data } and upgraded through a
+ * per-store migrate() hook on load. SeenIdStore keeps id -> first-seen timestamp and
+ * prunes ids older than its TTL. checkStateStorage() reports for the health endpoints
+ * whether each registered document can still be written.
+ *
+ * Writes go through a backend; the default FileBackend writes atomically (temp file,
+ * fsync, rename). Backend interface:
+ *   read(name)           -> string | null   (null when nothing is stored yet)
+ *   write(name, string)  -> void            (must be atomic)
+ *   describe(name)       -> string          (human readable location, for logs/status)
+ *   checkWritable(name)  -> void            (optional; throws when a write would fail)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATE_DIR } = require('./config');
+const { createLogger } = require('./logger');
+
+// ============ BACKENDS ============
+class FileBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory holding `<name>.json` files
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || STATE_DIR;
+    }
+
+    resolvePath(name) {
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    read(name) {
+        const filePath = this.resolvePath(name);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return fs.readFileSync(filePath, 'utf8');
+    }
+
+    write(name, contents) {
+        const filePath = this.resolvePath(name);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, contents);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    describe(name) {
+        return this.resolvePath(name);
+    }
+
+    // The directory must be writable for the temp file + rename, the file itself too
+    // once it exists.
+    checkWritable(name) {
+        const filePath = this.resolvePath(name);
+        fs.accessSync(this.dir, fs.constants.W_OK);
+        if (fs.existsSync(filePath)) {
+            fs.accessSync(filePath, fs.constants.W_OK);
+        }
+    }
+}
+
+class MemoryBackend {
+    constructor() {
+        this.documents = new Map();
+    }
+
+    read(name) {
+        return this.documents.has(name) ? this.documents.get(name) : null;
+    }
+
+    write(name, contents) {
+        this.documents.set(name, contents);
+    }
+
+    describe(name) {
+        return `memory:${name}`;
+    }
+
+    checkWritable() {}
+}
+
+let defaultBackend = new FileBackend();
+
+function getDefaultBackend() {
+    return defaultBackend;
+}
+
+/**
+ * Swap the backend used by stores created afterwards (and by stores that did not
+ * get an explicit backend). Intended for tests and alternative storage engines.
+ * @param {Object} backend - Object implementing read/write/describe
+ */
+function setDefaultBackend(backend) {
+    defaultBackend = backend;
+}
+
+// ============ VERSIONED DOCUMENTS ============
+// name -> most recently created document with that name
+const documents = new Map();
+
+class StateDocument {
+    /**
+     * @param {string} name - Logical document name (e.g. 'admin_games')
+     * @param {Object} options
+     * @param {number} options.schemaVersion - Current schema version
+     * @param {Function} options.defaultValue - () => initial data
+     * @param {Function} [options.migrate] - (data, fromVersion) => data at schemaVersion
+     * @param {Object} [options.backend] - Storage backend (defaults to the shared one)
+     * @param {Logger} [options.logger] - The owning module's logger (createLogger)
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.schemaVersion = options.schemaVersion;
+        this.defaultValue = options.defaultValue;
+        this.migrate = options.migrate || (data => data);
+        this.backend = options.backend || null;
+        this.log = options.logger || createLogger('state-store');
+        this.lastSaveError = null;
+        documents.set(name, this);
+    }
+
+    getBackend() {
+        return this.backend || defaultBackend;
+    }
+
+    /**
+     * Read and (if needed) migrate the stored data. Missing or unreadable documents
+     * yield the default value; a corrupt file is logged, never thrown.
+     * @returns {*} data at the current schema version
+     */
+    load() {
+        let raw;
+        try {
+            raw = this.getBackend().read(this.name);
+        } catch (error) {
+            this.log.error(`Failed to read ${this.name}:`, error.message);
+            return this.defaultValue();
+        }
+        if (raw === null || raw === undefined || raw === '') {
+            return this.defaultValue();
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            this.log.error(`Ignoring corrupt ${this.getBackend().describe(this.name)}:`, error.message);
+            return this.defaultValue();
+        }
+
+        const isEnvelope = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+            && Number.isInteger(parsed.schemaVersion) && 'data' in parsed;
+        const version = isEnvelope ? parsed.schemaVersion : 0;
+        const data = isEnvelope ? parsed.data : parsed;
+
+        if (version > this.schemaVersion) {
+            this.log.error(`${this.name} has schema v${version}, newer than supported v${this.schemaVersion}`);
+            return this.defaultValue();
+        }
+        if (version === this.schemaVersion) {
+            return data;
+        }
+        return this.migrate(data, version);
+    }
+
+    /**
+     * Atomically persist data at the current schema version.
+     * @param {*} data
+     */
+    save(data) {
+        const document = {
+            schemaVersion: this.schemaVersion,
+            updatedAt: new Date().toISOString(),
+            data
+        };
+        try {
+            this.getBackend().write(this.name, JSON.stringify(document, null, 2));
+            this.lastSaveError = null;
+        } catch (error) {
+            this.lastSaveError = { message: error.message, at: new Date().toISOString() };
+            throw error;
+        }
+    }
+
+    describe() {
+        return this.getBackend().describe(this.name);
+    }
+
+    /**
+     * Whether the document can be written: the backend's check plus the outcome of
+     * the last save.
+     * @returns {{ name: string, location: string, writable: boolean, error: string|null, lastSaveError: Object|null }}
+     */
+    checkWritable() {
+        let error = null;
+        try {
+            this.getBackend().checkWritable?.(this.name);
+        } catch (checkError) {
+            error = checkError.message;
+        }
+        return {
+            name: this.name,
+            location: this.describe(),
+            writable: !error && !this.lastSaveError,
+            error: error || this.lastSaveError?.message || null,
+            lastSaveError: this.lastSaveError
+        };
+    }
+}
+
+// ============ SEEN-ID SETS ============
+const SEEN_IDS_SCHEMA_VERSION = 1;
+
+class SeenIdStore {
+    /**
+     * @param {string} name - Logical document name (e.g. 'seen_games')
+     * @param {Object} options
+     * @param {number} options.ttlMs - Ids older than this are pruned
+     * @param {number} [options.maxEntries] - Hard cap; the oldest ids are dropped past it
+     * @param {Object} [options.backend]
+     * @param {Logger} [options.logger] - The owning module's logger (createLogger)
+     */
+    constructor(name, options) {
+        this.ttlMs = options.ttlMs;
+        this.maxEntries = options.maxEntries || Infinity;
+        this.log = options.logger || createLogger('state-store');
+        this.ids = new Map();
+        this.document = new StateDocument(name, {
+            schemaVersion: SEEN_IDS_SCHEMA_VERSION,
+            defaultValue: () => ({ ids: {} }),
+            // v0 was a bare array of ids with no timestamps: treat them as seen now so
+            // they survive one full TTL window.
+            migrate: (data) => {
+                const seenAt = Date.now();
+                const ids = {};
+                for (const id of Array.isArray(data) ? data : []) {
+                    ids[String(id)] = seenAt;
+                }
+                return { ids };
+            },
+            backend: options.backend,
+            logger: this.log
+        });
+    }
+
+    /**
+     * Load ids from storage (replacing in-memory state) and prune expired ones.
+     * @returns {number} number of ids kept
+     */
+    load() {
+        const data = this.document.load();
+        const ids = data && typeof data.ids === 'object' && data.ids ? data.ids : {};
+        this.ids = new Map(
+            Object.entries(ids)
+                .map(([id, seenAt]) => [id, Number(seenAt) || 0])
+                .sort((a, b) => a[1] - b[1])
+        );
+        this.prune();
+        return this.ids.size;
+    }
+
+    has(id) {
+        return this.ids.has(String(id));
+    }
+
+    /**
+     * Mark an id as seen and persist. Returns false when it was already seen.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    add(id) {
+        const key = String(id);
+        if (this.ids.has(key)) {
+            return false;
+        }
+        this.ids.set(key, Date.now());
+        this.prune();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Drop ids older than the TTL and enforce maxEntries (oldest first).
+     * @param {number} [now]
+     * @returns {number} number of ids removed
+     */
+    prune(now = Date.now()) {
+        let removed = 0;
+        for (const [id, seenAt] of this.ids) {
+            if (now - seenAt > this.ttlMs) {
+                this.ids.delete(id);
+                removed++;
+            }
+        }
+        while (this.ids.size > this.maxEntries) {
+            this.ids.delete(this.ids.keys().next().value);
+            removed++;
+        }
+        return removed;
+    }
+
+    save() {
+        try {
+            this.document.save({ ids: Object.fromEntries(this.ids) });
+        } catch (error) {
+            this.log.error(`Failed to save ${this.document.name}:`, error.message);
+        }
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+
+    describe() {
+        return this.document.describe();
+    }
+}
+
+/**
+ * Writability of every state document created so far (see checkWritable()).
+ * @returns {Object[]}
+ */
+function checkStateStorage() {
+    return Array.from(documents.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(document => document.checkWritable());
+}
+
+module.exports = {
+    FileBackend,
+    MemoryBackend,
+    StateDocument,
+    SeenIdStore,
+    getDefaultBackend,
+    setDefaultBackend,
+    checkStateStorage
+};
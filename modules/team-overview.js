@@ -0,0 +1,278 @@
+/**
+ * Cross-league team hub: everything the team page shows, for one club.
+ *
+ * GET /api/teams/:key/overview looks the team up in the teams index (teams-index.js)
+ * and answers, across its leagues: fixtures, form (last 5), nextGame, standings rows
+ * and latestHighlight. `:key` is the index key or the `uid` (`football:AIK`); codes in
+ * both sports need ?sport or the uid. Games or tables that cannot be fetched are
+ * listed under `unavailable`.
+ */
+
+const express = require('express');
+const { getProvider } = require('./providers');
+const { loadSportGames, loadSportStandings } = require('./sport-routes');
+const { getTeamKey } = require('./teams-index');
+const { getEntries } = require('./highlight-feed');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('teams');
+
+const FORM_LENGTH = 5;
+
+function lower(value) {
+    return value === undefined || value === null ? '' : String(value).toLowerCase();
+}
+
+function startTime(game) {
+    const time = new Date(game.startDateTime).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+// ============ LOOKUP ============
+
+/**
+ * Teams of the index a path key refers to.
+ * @param {Array} index - buildTeamsIndex() output
+ * @param {string} key - uid, key, id or code (case-insensitive)
+ * @param {string} [sport] - hockey | football
+ * @returns {Array} Every match; more than one means the key is ambiguous
+ */
+function findTeams(index, key, sport) {
+    const target = lower(key);
+    const byUid = index.filter(team => lower(team.uid) === target);
+    if (byUid.length) {
+        return byUid;
+    }
+    return index.filter(team => (!sport || team.sport === sport)
+        && [team.key, team.id, team.code].some(value => value && lower(value) === target));
+}
+
+// ============ OVERVIEW ============
+
+function isTeamSide(teamInfo, team) {
+    return Boolean(teamInfo) && lower(getTeamKey(teamInfo)) === lower(team.id);
+}
+
+function toScore(result, teamInfo) {
+    for (const candidate of [result?.score, result?.goals, teamInfo?.score, teamInfo?.goals]) {
+        const parsed = Number(candidate);
+        if (candidate !== undefined && candidate !== null && Number.isFinite(parsed)) {
+            return parsed;
+        }
+    }
+    return null;
+}
+
+/**
+ * Result of a finished game from the team's side (as the app's team page scores it).
+ * OT is an overtime or shootout loss.
+ * @returns {'W'|'L'|'D'|'OT'|null} null when not finished or without a score
+ */
+function getTeamResult(game, team) {
+    if (game.state !== 'post-game') {
+        return null;
+    }
+    const isHome = isTeamSide(game.homeTeamInfo, team);
+    const own = isHome ? 'home' : 'away';
+    const other = isHome ? 'away' : 'home';
+    const teamScore = toScore(game[`${own}TeamResult`], game[`${own}TeamInfo`]);
+    const opponentScore = toScore(game[`${other}TeamResult`], game[`${other}TeamInfo`]);
+    if (teamScore === null || opponentScore === null) {
+        return null;
+    }
+    if (teamScore > opponentScore) {
+        return 'W';
+    }
+    if (teamScore < opponentScore) {
+        return game.overtime || game.shootout || game.afterOvertime || game.afterShootout ? 'OT' : 'L';
+    }
+    return 'D';
+}
+
+function teamIdentifiers(team) {
+    return new Set([team.id, team.key, team.code, team.names?.short, team.names?.long]
+        .filter(Boolean)
+        .map(lower));
+}
+
+/**
+ * The team's row in a standings payload, flat table or cup groups.
+ * @param {Object} standings - { standings: [], groups?: [{ id, name, standings }] }
+ * @param {Object} team - Index entry
+ * @returns {{ row: Object, group: string|null }|null}
+ */
+function findStandingsRow(standings, team) {
+    const ids = teamIdentifiers(team);
+    const matches = row => [row.teamCode, row.teamUuid, row.teamShortName, row.teamName]
+        .some(value => value && ids.has(lower(value)));
+    const tables = [
+        { group: null, rows: standings?.standings },
+        ...(standings?.groups || []).map(group => ({ group: group.name || group.id || null, rows: group.standings }))
+    ];
+    for (const { group, rows } of tables) {
+        const row = (Array.isArray(rows) ? rows : []).find(matches);
+        if (row) {
+            return { row, group };
+        }
+    }
+    return null;
+}
+
+/**
+ * Assemble the overview from already loaded data.
+ * @param {Object} team - Index entry
+ * @param {Object} data
+ * @param {Object} data.gamesByLeague - league -> games
+ * @param {Object} [data.standingsByLeague] - league -> standings payload
+ * @param {Object|null} [data.latestHighlight]
+ * @returns {Object}
+ */
+function buildTeamOverview(team, { gamesByLeague, standingsByLeague = {}, latestHighlight = null }) {
+    const seen = new Set();
+    const fixtures = [];
+    for (const [league, games] of Object.entries(gamesByLeague)) {
+        for (const game of Array.isArray(games) ? games : []) {
+            if (!isTeamSide(game.homeTeamInfo, team) && !isTeamSide(game.awayTeamInfo, team)) {
+                continue;
+            }
+            const id = `${league}:${game.uuid || game.id || game.startDateTime}`;
+            if (seen.has(id)) {
+                continue;
+            }
+            seen.add(id);
+            fixtures.push({ ...game, sport: league });
+        }
+    }
+    fixtures.sort((a, b) => startTime(a) - startTime(b));
+
+    const form = fixtures
+        .filter(game => game.state === 'post-game')
+        .reverse()
+        .map(game => getTeamResult(game, team))
+        .filter(Boolean)
+        .slice(0, FORM_LENGTH);
+
+    const standings = [];
+    for (const [league, payload] of Object.entries(standingsByLeague)) {
+        const match = findStandingsRow(payload, team);
+        if (match) {
+            const { row, group } = match;
+            standings.push({
+                league,
+                season: payload.season || null,
+                group,
+                position: row.position ?? null,
+                points: row.points ?? null,
+                gamesPlayed: row.gamesPlayed ?? null
+            });
+        }
+    }
+
+    return {
+        team,
+        form,
+        nextGame: fixtures.find(game => game.state !== 'post-game') || null,
+        standings,
+        latestHighlight,
+        fixtures
+    };
+}
+
+// ============ ROUTER ============
+
+/**
+ * Build the team overview router. Mount it at /api/teams.
+ * @param {Object} options
+ * @param {Function} options.loadTeamsIndex - async () => buildTeamsIndex() output
+ * @param {Object} [options.sources] - league -> async () => games, for leagues whose list
+ *   is not the plain provider list (SHL's manually added games)
+ * @returns {express.Router}
+ */
+function createTeamOverviewRouter(options) {
+    const sources = options.sources || {};
+    const router = express.Router();
+
+    // Games and table of one league. A failure is recorded in `unavailable` and
+    // only drops that part: fixtures still show when the table cannot be fetched.
+    async function loadLeague(league, label, unavailable) {
+        const provider = getProvider(league);
+        const attempt = async (resource, load) => {
+            try {
+                return await load();
+            } catch (error) {
+                log.warn(`Team overview: ${league} ${resource} unavailable:`, error.message);
+                unavailable.push({ league, resource, error: error.message });
+                return null;
+            }
+        };
+        const games = await attempt('games', () => (sources[league]
+            ? sources[league]()
+            : loadSportGames(league, provider, { label })));
+        const standings = typeof provider.fetchStandings === 'function'
+            ? await attempt('standings', () => loadSportStandings(league, provider, { label }))
+            : null;
+        return [league, games, standings];
+    }
+
+    /**
+     * GET /api/teams/:key/overview
+     */
+    router.get('/:key/overview', validateRequest('getTeamOverview'), async (req, res) => {
+        const { key } = req.input.params;
+        let index;
+        try {
+            index = await options.loadTeamsIndex();
+        } catch (error) {
+            log.error('Error building teams index:', error);
+            return res.status(500).json({ error: error.message });
+        }
+
+        const matches = findTeams(index, key, req.input.query.sport);
+        if (matches.length === 0) {
+            return res.status(404).json({ error: `Team not found: ${key}` });
+        }
+        if (matches.length > 1) {
+            return res.status(400).json({
+                error: `Team key ${key} is used in several sports; add ?sport=${matches.map(team => team.sport).join(' or ?sport=')}`
+            });
+        }
+
+        const team = matches[0];
+        const unavailable = [];
+        const loaded = await Promise.all(team.leagues.map(league => (
+            loadLeague(league, `${req.originalUrl} (${league})`, unavailable)
+        )));
+        const gamesByLeague = {};
+        const standingsByLeague = {};
+        for (const [league, games, standings] of loaded) {
+            if (games) {
+                gamesByLeague[league] = games;
+            }
+            if (standings) {
+                standingsByLeague[league] = standings;
+            }
+        }
+
+        const [latestHighlight = null] = getEntries({
+            sports: team.leagues,
+            teams: [team.code || team.key],
+            limit: 1
+        });
+
+        res.json({
+            ...buildTeamOverview(team, { gamesByLeague, standingsByLeague, latestHighlight }),
+            unavailable
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTeamOverviewRouter,
+    buildTeamOverview,
+    findTeams,
+    findStandingsRow,
+    getTeamResult
+};
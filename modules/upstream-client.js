@@ -0,0 +1,403 @@
+/**
+ * Shared HTTP client for upstream data sources (shl.se, ESPN, IBU, FotMob, ...).
+ *
+ * request() (used through BaseProvider.fetchUpstream) adds, per host: a per-attempt
+ * timeout (UPSTREAM_TIMEOUT, overridable in UPSTREAM_HOST_TIMEOUTS), bounded
+ * concurrency, retries with backoff for 5xx, 429, timeouts and network errors, a
+ * circuit breaker, and logging that reports a repeated 4xx status once. 4xx responses
+ * are returned to the caller untouched.
+ *
+ * getStatus() reports breaker state per host, getProviderStatus() the last OK answer
+ * and failure streak per provider (health.js). Requests are counted and timed for
+ * /metrics. The transport is upstreamFetch(), so DATA_PROVIDER=record|fixtures works.
+ */
+
+const {
+    UPSTREAM_TIMEOUT,
+    UPSTREAM_HOST_TIMEOUTS,
+    UPSTREAM_MAX_CONCURRENCY,
+    UPSTREAM_MAX_RETRIES,
+    UPSTREAM_RETRY_BASE_DELAY,
+    UPSTREAM_RETRY_MAX_DELAY,
+    UPSTREAM_BREAKER_THRESHOLD,
+    UPSTREAM_BREAKER_COOLDOWN
+} = require('./config');
+const { upstreamFetch } = require('./upstream-fixtures');
+const { upstreamRequests, upstreamDuration, upstreamLastSuccess } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('upstream');
+
+const BREAKER_CLOSED = 'closed';
+const BREAKER_OPEN = 'open';
+const BREAKER_HALF_OPEN = 'half-open';
+
+/**
+ * Thrown when a host's circuit breaker is open. Providers treat it like any other
+ * network failure.
+ */
+class UpstreamUnavailableError extends Error {
+    constructor(host, retryAt) {
+        super(`Upstream ${host} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+        this.name = 'UpstreamUnavailableError';
+        this.host = host;
+        this.retryAt = retryAt;
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Status label for gamepulse_upstream_requests_total: '2xx'..'5xx' for responses.
+function statusClass(status) {
+    return `${Math.floor(status / 100)}xx`;
+}
+
+function defaultSleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class UpstreamClient {
+    /**
+     * @param {Object} [options] - Defaults come from config.js
+     * @param {Function} [options.transport] - fetch()-compatible function
+     * @param {number} [options.timeoutMs]
+     * @param {Object} [options.hostTimeouts] - host -> timeout ms
+     * @param {number} [options.maxConcurrency] - per host
+     * @param {number} [options.maxRetries]
+     * @param {number} [options.retryBaseDelay]
+     * @param {number} [options.retryMaxDelay]
+     * @param {number} [options.breakerThreshold]
+     * @param {number} [options.breakerCooldown]
+     * @param {Function} [options.sleep] - (ms) => Promise, injectable for tests
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || upstreamFetch;
+        this.timeoutMs = options.timeoutMs ?? UPSTREAM_TIMEOUT;
+        this.hostTimeouts = options.hostTimeouts || UPSTREAM_HOST_TIMEOUTS;
+        this.maxConcurrency = options.maxConcurrency ?? UPSTREAM_MAX_CONCURRENCY;
+        this.maxRetries = options.maxRetries ?? UPSTREAM_MAX_RETRIES;
+        this.retryBaseDelay = options.retryBaseDelay ?? UPSTREAM_RETRY_BASE_DELAY;
+        this.retryMaxDelay = options.retryMaxDelay ?? UPSTREAM_RETRY_MAX_DELAY;
+        this.breakerThreshold = options.breakerThreshold ?? UPSTREAM_BREAKER_THRESHOLD;
+        this.breakerCooldown = options.breakerCooldown ?? UPSTREAM_BREAKER_COOLDOWN;
+        this.sleep = options.sleep || defaultSleep;
+        this.hosts = new Map();
+        this.providers = new Map();
+    }
+
+    getHostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                host,
+                active: 0,
+                queue: [],
+                breaker: BREAKER_CLOSED,
+                consecutiveFailures: 0,
+                openedAt: null,
+                retryAt: null,
+                probeInFlight: false,
+                reportedStatus: null,
+                stats: {
+                    requests: 0,
+                    failures: 0,
+                    retries: 0,
+                    timeouts: 0,
+                    rejected: 0,
+                    lastStatus: null,
+                    lastError: null,
+                    lastSuccessAt: null
+                }
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    // ============ CONCURRENCY ============
+
+    acquire(state) {
+        if (state.active < this.maxConcurrency) {
+            state.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => state.queue.push(resolve));
+    }
+
+    release(state) {
+        const next = state.queue.shift();
+        if (next) {
+            next();
+        } else {
+            state.active--;
+        }
+    }
+
+    // ============ CIRCUIT BREAKER ============
+
+    /**
+     * Throw if the breaker is open; move to half-open (one probe) once the cooldown
+     * has passed.
+     * @returns {boolean} true when this request is the half-open probe
+     */
+    admit(state) {
+        if (state.breaker === BREAKER_CLOSED) {
+            return false;
+        }
+        const now = Date.now();
+        if (state.breaker === BREAKER_OPEN && now >= state.retryAt) {
+            state.breaker = BREAKER_HALF_OPEN;
+        }
+        if (state.breaker === BREAKER_HALF_OPEN && !state.probeInFlight) {
+            state.probeInFlight = true;
+            return true;
+        }
+        state.stats.rejected++;
+        throw new UpstreamUnavailableError(state.host, state.retryAt);
+    }
+
+    recordSuccess(state) {
+        if (state.breaker !== BREAKER_CLOSED) {
+            log.info(`${state.host} recovered - circuit closed`);
+        }
+        state.breaker = BREAKER_CLOSED;
+        state.consecutiveFailures = 0;
+        state.openedAt = null;
+        state.retryAt = null;
+        state.stats.lastSuccessAt = new Date().toISOString();
+    }
+
+    recordFailure(state, reason) {
+        state.consecutiveFailures++;
+        state.stats.failures++;
+        state.stats.lastError = reason;
+
+        const shouldOpen = state.breaker === BREAKER_HALF_OPEN
+            || state.consecutiveFailures >= this.breakerThreshold;
+        if (shouldOpen) {
+            const now = Date.now();
+            if (state.breaker !== BREAKER_OPEN) {
+                log.warn(`${state.host} failing (${reason}) - circuit open for ${Math.round(this.breakerCooldown / 1000)}s`);
+            }
+            state.breaker = BREAKER_OPEN;
+            state.openedAt = now;
+            state.retryAt = now + this.breakerCooldown;
+        }
+    }
+
+    /**
+     * Track the outcome of a finished request for its provider. OK means a 2xx/3xx
+     * answer; a 5xx, timeout, network error or open circuit extends the failure streak.
+     * A 4xx answer is counted but neither: it usually means the caller asked for an id
+     * the upstream does not have. Requests the caller cancelled are ignored.
+     */
+    recordProviderResult(provider, result, status) {
+        if (result === 'cancelled') {
+            return;
+        }
+        if (!this.providers.has(provider)) {
+            this.providers.set(provider, {
+                requests: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null
+            });
+        }
+        const stats = this.providers.get(provider);
+        stats.requests++;
+        if (result === '2xx' || result === '3xx') {
+            stats.consecutiveFailures = 0;
+            stats.lastSuccessAt = new Date().toISOString();
+            return;
+        }
+        if (result === '4xx') {
+            return;
+        }
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastFailureAt = new Date().toISOString();
+        stats.lastError = status ? `HTTP ${status}` : (result === 'rejected' ? 'circuit open' : result);
+    }
+
+    // Log a non-OK status once per streak instead of on every poll.
+    noteStatus(state, status) {
+        state.stats.lastStatus = status;
+        if (status < 400) {
+            state.reportedStatus = null;
+            return;
+        }
+        if (state.reportedStatus !== status) {
+            state.reportedStatus = status;
+            log.warn(`${state.host} responded ${status} (repeats suppressed until it recovers)`);
+        }
+    }
+
+    // ============ REQUESTS ============
+
+    getTimeout(host) {
+        return this.hostTimeouts[host] ?? this.timeoutMs;
+    }
+
+    getRetryDelay(attempt, response) {
+        const retryAfter = Number(response?.headers?.get('retry-after'));
+        if (Number.isFinite(retryAfter) && retryAfter > 0) {
+            return Math.min(retryAfter * 1000, this.retryMaxDelay);
+        }
+        return Math.min(this.retryBaseDelay * (2 ** attempt), this.retryMaxDelay);
+    }
+
+    async attempt(state, url, init) {
+        // The timeout starts once a slot is free: time spent queued behind other
+        // requests to the same host is not the host being slow.
+        await this.acquire(state);
+        try {
+            const timeoutSignal = AbortSignal.timeout(this.getTimeout(state.host));
+            const signal = init.signal ? AbortSignal.any([init.signal, timeoutSignal]) : timeoutSignal;
+            return await this.transport(url, { ...init, signal });
+        } finally {
+            this.release(state);
+        }
+    }
+
+    /**
+     * fetch() replacement for upstream requests.
+     * @param {string} url
+     * @param {Object} [init] - fetch() options
+     * @param {Object} [options]
+     * @param {string} [options.provider] - Metrics label (e.g. 'shl'); defaults to 'other'
+     * @returns {Promise<Response>} The final response (may be non-OK)
+     * @throws {UpstreamUnavailableError} when the host's breaker is open
+     */
+    async request(url, init = {}, options = {}) {
+        const target = String(url);
+        const state = this.getHostState(new URL(target).hostname);
+        const labels = { provider: options.provider || 'other', host: state.host };
+        let isProbe;
+        try {
+            isProbe = this.admit(state);
+        } catch (error) {
+            upstreamRequests.inc({ ...labels, status: 'rejected' });
+            this.recordProviderResult(labels.provider, 'rejected', null);
+            throw error;
+        }
+        state.stats.requests++;
+
+        const endTimer = upstreamDuration.startTimer(labels);
+        let result = 'error';
+        let status = null;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                const canRetry = attempt < this.maxRetries && !isProbe;
+                let response;
+                try {
+                    response = await this.attempt(state, target, init);
+                } catch (error) {
+                    // The caller cancelled: not the host's fault, do not retry.
+                    if (init.signal?.aborted) {
+                        result = 'cancelled';
+                        throw error;
+                    }
+                    const isTimeout = error.name === 'TimeoutError';
+                    if (isTimeout) {
+                        state.stats.timeouts++;
+                    }
+                    if (canRetry) {
+                        state.stats.retries++;
+                        await this.sleep(this.getRetryDelay(attempt));
+                        continue;
+                    }
+                    this.recordFailure(state, isTimeout ? 'timeout' : error.message);
+                    result = isTimeout ? 'timeout' : 'error';
+                    throw error;
+                }
+
+                this.noteStatus(state, response.status);
+                if (!isRetryableStatus(response.status)) {
+                    this.recordSuccess(state);
+                    if (response.ok) {
+                        upstreamLastSuccess.setToCurrentTime({ provider: labels.provider });
+                    }
+                    result = statusClass(response.status);
+                    status = response.status;
+                    return response;
+                }
+                if (canRetry) {
+                    state.stats.retries++;
+                    await response.body?.cancel().catch(() => {});
+                    await this.sleep(this.getRetryDelay(attempt, response));
+                    continue;
+                }
+                this.recordFailure(state, `HTTP ${response.status}`);
+                result = statusClass(response.status);
+                status = response.status;
+                return response;
+            }
+        } finally {
+            const seconds = endTimer();
+            upstreamRequests.inc({ ...labels, status: result });
+            this.recordProviderResult(labels.provider, result, status);
+            // Carries the request ID of the API call that caused the fetch, if any.
+            log.debug(`${init.method || 'GET'} ${target} ${status ?? result} ${Math.round(seconds * 1000)}ms`, { provider: labels.provider });
+            if (isProbe) {
+                state.probeInFlight = false;
+            }
+        }
+    }
+
+    /**
+     * Per-host breaker state and counters for /api/status.
+     * @returns {Object}
+     */
+    getStatus() {
+        const hosts = Array.from(this.hosts.values())
+            .sort((a, b) => a.host.localeCompare(b.host))
+            .map(state => ({
+                host: state.host,
+                breaker: state.breaker,
+                consecutiveFailures: state.consecutiveFailures,
+                active: state.active,
+                queued: state.queue.length,
+                timeoutMs: this.getTimeout(state.host),
+                openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+                retryAt: state.retryAt ? new Date(state.retryAt).toISOString() : null,
+                ...state.stats
+            }));
+
+        return {
+            settings: {
+                timeoutMs: this.timeoutMs,
+                maxConcurrency: this.maxConcurrency,
+                maxRetries: this.maxRetries,
+                breakerThreshold: this.breakerThreshold,
+                breakerCooldownMs: this.breakerCooldown
+            },
+            openCircuits: hosts.filter(host => host.breaker !== BREAKER_CLOSED).length,
+            hosts,
+            providers: this.getProviderStatus()
+        };
+    }
+
+    /**
+     * Per-provider request outcomes (see recordProviderResult()).
+     * @returns {Object} provider -> { requests, failures, consecutiveFailures, lastSuccessAt, lastFailureAt, lastError }
+     */
+    getProviderStatus() {
+        return Object.fromEntries(Array.from(this.providers.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([provider, stats]) => [provider, { ...stats }]));
+    }
+}
+
+// ============ SHARED INSTANCE ============
+const upstreamClient = new UpstreamClient();
+
+module.exports = {
+    UpstreamClient,
+    UpstreamUnavailableError,
+    upstreamClient,
+    request: (url, init, options) => upstreamClient.request(url, init, options),
+    getStatus: () => upstreamClient.getStatus(),
+    getProviderStatus: () => upstreamClient.getProviderStatus()
+};
@@ -0,0 +1,200 @@
+/**
+ * Recorded upstream responses (fixtures) for offline development and demos.
+ *
+ * Every upstream request a provider makes goes through upstreamFetch(), which
+ * behaves according to DATA_PROVIDER:
+ *   live     - plain fetch()
+ *   record   - fetch(), then save the response to FIXTURES_DIR/<host>/<slug>-<hash>.json
+ *   fixtures - answer from the saved response; URLs that were never recorded get a 404
+ * Fixture files are plain JSON ({ url, status, contentType, recordedAt, json|text })
+ * and can be edited by hand to stage a scenario.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_PROVIDER, FIXTURES_DIR } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('fixtures');
+
+const MODES = ['live', 'record', 'fixtures'];
+
+// ============ FIXTURE FILES ============
+
+/**
+ * Resolve the fixture file for an upstream URL.
+ * @param {string} dir - Fixtures root directory
+ * @param {string} url - Absolute upstream URL
+ * @returns {string}
+ */
+function getFixturePath(dir, url) {
+    const parsed = new URL(url);
+    const hash = crypto.createHash('sha1').update(parsed.toString()).digest('hex').slice(0, 12);
+    const slug = parsed.pathname
+        .split('/')
+        .filter(Boolean)
+        .slice(-3)
+        .join('-')
+        .replace(/[^a-zA-Z0-9_-]+/g, '_')
+        .slice(0, 60) || 'root';
+    return path.join(dir, parsed.hostname, `${slug}-${hash}.json`);
+}
+
+function isJsonContentType(contentType) {
+    return /[/+]json\b/i.test(contentType || '');
+}
+
+function writeFixture(dir, url, status, contentType, body) {
+    const filePath = getFixturePath(dir, url);
+    const fixture = {
+        url,
+        status,
+        contentType,
+        recordedAt: new Date().toISOString()
+    };
+
+    let parsedJson;
+    if (isJsonContentType(contentType)) {
+        try {
+            parsedJson = JSON.parse(body);
+        } catch (error) {
+            parsedJson = undefined;
+        }
+    }
+    if (parsedJson !== undefined) {
+        fixture.json = parsedJson;
+    } else {
+        fixture.text = body;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(fixture, null, 2));
+    fs.renameSync(tmpPath, filePath);
+    return filePath;
+}
+
+function readFixture(dir, url) {
+    const filePath = getFixturePath(dir, url);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// 1xx/204/304 responses must not carry a body.
+function buildResponse(status, contentType, body) {
+    const bodyless = status < 200 || status === 204 || status === 304;
+    const headers = contentType ? { 'content-type': contentType } : {};
+    return new Response(bodyless ? null : body, { status, headers });
+}
+
+// ============ FETCH WRAPPER ============
+
+/**
+ * Build a fetch()-compatible function for the given mode.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'live' | 'record' | 'fixtures'
+ * @param {string} [options.dir] - Fixtures root directory
+ * @param {Function} [options.fetchImpl] - Underlying fetch (defaults to global fetch)
+ * @returns {Function} (url, init) => Promise<Response>, with a `stats` property
+ */
+function createUpstreamFetch(options = {}) {
+    const mode = options.mode || 'live';
+    const dir = options.dir || FIXTURES_DIR;
+    const fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown DATA_PROVIDER mode: ${mode}. Available: ${MODES.join(', ')}`);
+    }
+
+    const stats = { mode, dir, recorded: 0, replayed: 0, misses: 0, errors: 0 };
+    const reportedMisses = new Set();
+
+    async function upstream(url, init = {}) {
+        const target = String(url);
+
+        if (mode === 'fixtures') {
+            let fixture = null;
+            try {
+                fixture = readFixture(dir, target);
+            } catch (error) {
+                stats.errors++;
+                log.error(`Unreadable fixture for ${target}:`, error.message);
+            }
+            if (!fixture) {
+                stats.misses++;
+                if (!reportedMisses.has(target)) {
+                    reportedMisses.add(target);
+                    log.warn(`No recorded response for ${target}`);
+                }
+                return buildResponse(404, 'application/json', JSON.stringify({ error: 'No recorded fixture' }));
+            }
+            stats.replayed++;
+            const body = fixture.json !== undefined ? JSON.stringify(fixture.json) : (fixture.text || '');
+            return buildResponse(fixture.status || 200, fixture.contentType, body);
+        }
+
+        const response = await fetchImpl(target, init);
+        if (mode !== 'record') {
+            return response;
+        }
+
+        // Buffer the body so it can be both saved and handed back to the provider.
+        const body = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+        try {
+            writeFixture(dir, target, response.status, contentType, body);
+            stats.recorded++;
+        } catch (error) {
+            stats.errors++;
+            log.error(`Failed to record ${target}:`, error.message);
+        }
+        return buildResponse(response.status, contentType, body);
+    }
+
+    upstream.stats = stats;
+    return upstream;
+}
+
+// ============ SHARED INSTANCE ============
+
+// Older deployments set DATA_PROVIDER=shl; anything unknown means live.
+if (!MODES.includes(DATA_PROVIDER)) {
+    log.warn(`Unknown DATA_PROVIDER "${DATA_PROVIDER}", using live upstream data`);
+}
+let activeFetch = createUpstreamFetch({ mode: MODES.includes(DATA_PROVIDER) ? DATA_PROVIDER : 'live' });
+if (DATA_PROVIDER === 'record' || DATA_PROVIDER === 'fixtures') {
+    log.info(`DATA_PROVIDER=${DATA_PROVIDER} (${FIXTURES_DIR})`);
+}
+
+/**
+ * fetch() for upstream data sources. Providers call this via BaseProvider.fetchUpstream().
+ * @param {string} url
+ * @param {Object} [init]
+ * @returns {Promise<Response>}
+ */
+function upstreamFetch(url, init) {
+    return activeFetch(url, init);
+}
+
+/**
+ * Switch the shared upstream mode at runtime (scripts and tests).
+ * @param {Object} options - See createUpstreamFetch()
+ */
+function configureUpstream(options) {
+    activeFetch = createUpstreamFetch(options);
+}
+
+function getUpstreamStats() {
+    return { ...activeFetch.stats };
+}
+
+module.exports = {
+    getFixturePath,
+    createUpstreamFetch,
+    upstreamFetch,
+    configureUpstream,
+    getUpstreamStats
+};
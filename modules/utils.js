@@ -19,6 +19,27 @@ function formatSwedishTimestamp(date = new Date()) {
     });
 }
 
+/**
+ * Run `task` over `items` with at most `limit` in flight, keeping result order.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 module.exports = {
-    formatSwedishTimestamp
+    formatSwedishTimestamp,
+    mapWithConcurrency
 };
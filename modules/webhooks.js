@@ -0,0 +1,539 @@
+/**
+ * Outbound webhooks for goals, final results, highlights and pre-game reminders.
+ *
+ * Admins register subscriptions (persisted in the state store) that pick event types,
+ * and optionally sports and team codes. Matching events from the live event bus
+ * (live-events.js) are POSTed as JSON, signed with X-GamePulse-Signature:
+ * `sha256=<hex HMAC-SHA256(secret, "<X-GamePulse-Timestamp>.<raw body>")>`.
+ * Network errors, timeouts and 408/429/5xx answers are retried with backoff up to
+ * WEBHOOK_MAX_ATTEMPTS. Recent deliveries are kept in memory for the admin console.
+ */
+
+const crypto = require('crypto');
+const {
+    WEBHOOK_TIMEOUT,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_DELAY,
+    WEBHOOK_RETRY_MAX_DELAY,
+    WEBHOOK_DELIVERY_LOG_SIZE
+} = require('./config');
+const { StateDocument } = require('./state-store');
+const { getAvailableSports } = require('./providers');
+const liveEvents = require('./live-events');
+const { addEntry } = require('./activity-log');
+const { createLogger } = require('./logger');
+
+const log = createLogger('webhooks');
+
+const WEBHOOK_EVENTS = ['goal', 'final', 'highlight', 'pre-game'];
+const SIGNATURE_HEADER = 'X-GamePulse-Signature';
+const TIMESTAMP_HEADER = 'X-GamePulse-Timestamp';
+const EVENT_HEADER = 'X-GamePulse-Event';
+const DELIVERY_HEADER = 'X-GamePulse-Delivery';
+
+const WEBHOOKS_SCHEMA_VERSION = 1;
+
+/**
+ * Thrown for invalid subscription payloads (the admin routes answer 400).
+ */
+class WebhookValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookValidationError';
+    }
+}
+
+// ============ SIGNING ============
+
+/**
+ * Compute the signature header value for a payload.
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-GamePulse-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Verify a signature header (for receivers written in Node, and for tests).
+ * @returns {boolean}
+ */
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// ============ VALIDATION ============
+
+function normalizeUrl(value) {
+    let parsed;
+    try {
+        parsed = new URL(String(value || '').trim());
+    } catch (error) {
+        throw new WebhookValidationError('url must be a valid http(s) URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new WebhookValidationError('url must be a valid http(s) URL');
+    }
+    return parsed.toString();
+}
+
+function normalizeList(value, fieldName) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    if (items.some(item => typeof item !== 'string')) {
+        throw new WebhookValidationError(`${fieldName} must be a list of strings`);
+    }
+    return Array.from(new Set(items.map(item => item.trim()).filter(Boolean)));
+}
+
+function normalizeEvents(value) {
+    const events = normalizeList(value, 'events').map(event => event.toLowerCase());
+    if (events.length === 0) {
+        return [...WEBHOOK_EVENTS];
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new WebhookValidationError(`Unknown event type: ${unknown.join(', ')}. Available: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return events;
+}
+
+function normalizeSports(value, availableSports) {
+    const sports = normalizeList(value, 'sports').map(sport => sport.toLowerCase());
+    const unknown = availableSports ? sports.filter(sport => !availableSports.includes(sport)) : [];
+    if (unknown.length > 0) {
+        throw new WebhookValidationError(`Unknown sport: ${unknown.join(', ')}`);
+    }
+    return sports;
+}
+
+function normalizeTeams(value) {
+    return normalizeList(value, 'teams').map(team => team.toUpperCase());
+}
+
+function normalizeName(value, url) {
+    const trimmed = value === undefined || value === null ? '' : String(value).trim();
+    return trimmed || new URL(url).hostname;
+}
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// ============ EVENT MAPPING ============
+
+/**
+ * Map a live-events bus event to a webhook event type.
+ * @param {Object} event - live-events event
+ * @returns {string|null}
+ */
+function toWebhookEvent(event) {
+    switch (event?.type) {
+        case 'goal':
+            return 'goal';
+        case 'state':
+            return event.data?.to === 'post-game' ? 'final' : null;
+        case 'clip':
+            return event.data?.isHighlight || event.data?.isGoalClip ? 'highlight' : null;
+        case 'pre-game':
+            return 'pre-game';
+        default:
+            return null;
+    }
+}
+
+function subscriptionMatches(subscription, eventType, event) {
+    if (!subscription.enabled || !subscription.events.includes(eventType)) {
+        return false;
+    }
+    if (subscription.sports.length > 0 && !subscription.sports.includes(event.sport)) {
+        return false;
+    }
+    if (subscription.teams.length > 0 && !(event.teams || []).some(team => subscription.teams.includes(team))) {
+        return false;
+    }
+    return true;
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function defaultSchedule(callback, delay) {
+    const timer = setTimeout(callback, delay);
+    timer.unref?.();
+    return timer;
+}
+
+// ============ SERVICE ============
+
+class WebhookService {
+    /**
+     * @param {Object} [options] - Defaults come from config.js
+     * @param {Object} [options.document] - StateDocument holding subscriptions
+     * @param {Function} [options.transport] - fetch()-compatible function
+     * @param {Function} [options.schedule] - (callback, delayMs) => timer, for retries
+     * @param {Function} [options.getAvailableSports] - () => sport ids, for validation
+     * @param {number} [options.timeoutMs]
+     * @param {number} [options.maxAttempts]
+     * @param {number} [options.retryBaseDelay]
+     * @param {number} [options.retryMaxDelay]
+     * @param {number} [options.logSize]
+     */
+    constructor(options = {}) {
+        this.document = options.document || new StateDocument('webhooks', {
+            schemaVersion: WEBHOOKS_SCHEMA_VERSION,
+            defaultValue: () => [],
+            logger: log
+        });
+        this.transport = options.transport || ((...args) => fetch(...args));
+        this.schedule = options.schedule || defaultSchedule;
+        this.getAvailableSports = options.getAvailableSports || null;
+        this.timeoutMs = options.timeoutMs ?? WEBHOOK_TIMEOUT;
+        this.maxAttempts = options.maxAttempts ?? WEBHOOK_MAX_ATTEMPTS;
+        this.retryBaseDelay = options.retryBaseDelay ?? WEBHOOK_RETRY_BASE_DELAY;
+        this.retryMaxDelay = options.retryMaxDelay ?? WEBHOOK_RETRY_MAX_DELAY;
+        this.logSize = options.logSize ?? WEBHOOK_DELIVERY_LOG_SIZE;
+        this.subscriptions = null;
+        this.deliveries = [];
+        this.unsubscribe = null;
+        this.stats = { delivered: 0, failed: 0, retries: 0 };
+    }
+
+    // ============ SUBSCRIPTIONS ============
+
+    // Loaded once and replaced on every write, so dispatching an event does not read
+    // the state file.
+    readSubscriptions() {
+        if (!this.subscriptions) {
+            const stored = this.document.load();
+            this.subscriptions = Array.isArray(stored) ? stored : [];
+        }
+        return this.subscriptions;
+    }
+
+    writeSubscriptions(records) {
+        this.document.save(records);
+        this.subscriptions = records;
+    }
+
+    getAvailableSportIds() {
+        return this.getAvailableSports ? this.getAvailableSports() : null;
+    }
+
+    /**
+     * Subscription without its secret (for listings).
+     */
+    formatSubscription(record) {
+        const { secret, ...rest } = record;
+        return {
+            ...rest,
+            secretPreview: secret ? `…${secret.slice(-4)}` : null,
+            lastDelivery: this.deliveries.find(delivery => delivery.webhookId === record.id) || null
+        };
+    }
+
+    list() {
+        return this.readSubscriptions().map(record => this.formatSubscription(record));
+    }
+
+    find(id) {
+        return this.readSubscriptions().find(record => record.id === id) || null;
+    }
+
+    /**
+     * Create a subscription. The returned record includes the signing secret; it is
+     * not shown again in listings.
+     * @param {Object} payload - { url, name?, events?, sports?, teams?, secret?, enabled? }
+     * @returns {Object}
+     */
+    create(payload = {}) {
+        const url = normalizeUrl(payload.url);
+        const now = new Date().toISOString();
+        const record = {
+            id: `wh-${crypto.randomUUID()}`,
+            name: normalizeName(payload.name, url),
+            url,
+            events: normalizeEvents(payload.events),
+            sports: normalizeSports(payload.sports, this.getAvailableSportIds()),
+            teams: normalizeTeams(payload.teams),
+            secret: payload.secret ? String(payload.secret) : generateSecret(),
+            enabled: payload.enabled === undefined ? true : Boolean(payload.enabled),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.writeSubscriptions([...this.readSubscriptions(), record]);
+        return record;
+    }
+
+    /**
+     * Update a subscription. Pass `rotateSecret: true` to issue a new secret.
+     * @returns {Object|null} Updated record (with secret), or null when not found
+     */
+    update(id, payload = {}) {
+        const records = this.readSubscriptions().slice();
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        const updated = { ...records[index] };
+        if (payload.url !== undefined) {
+            updated.url = normalizeUrl(payload.url);
+        }
+        if (payload.name !== undefined) {
+            updated.name = normalizeName(payload.name, updated.url);
+        }
+        if (payload.events !== undefined) {
+            updated.events = normalizeEvents(payload.events);
+        }
+        if (payload.sports !== undefined) {
+            updated.sports = normalizeSports(payload.sports, this.getAvailableSportIds());
+        }
+        if (payload.teams !== undefined) {
+            updated.teams = normalizeTeams(payload.teams);
+        }
+        if (payload.enabled !== undefined) {
+            updated.enabled = Boolean(payload.enabled);
+        }
+        if (payload.rotateSecret) {
+            updated.secret = generateSecret();
+        }
+        updated.updatedAt = new Date().toISOString();
+
+        records[index] = updated;
+        this.writeSubscriptions(records);
+        return updated;
+    }
+
+    remove(id) {
+        const records = this.readSubscriptions();
+        const remaining = records.filter(record => record.id !== id);
+        if (remaining.length === records.length) {
+            return false;
+        }
+        this.writeSubscriptions(remaining);
+        return true;
+    }
+
+    // ============ DISPATCH ============
+
+    /**
+     * Start forwarding live-events bus events to matching subscriptions.
+     */
+    start() {
+        if (this.unsubscribe) {
+            return;
+        }
+        this.unsubscribe = liveEvents.subscribe(event => {
+            const eventType = toWebhookEvent(event);
+            if (eventType) {
+                this.dispatch(eventType, event);
+            }
+        });
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Queue a delivery to every enabled subscription that matches the event.
+     * @param {string} eventType - One of WEBHOOK_EVENTS
+     * @param {Object} event - { sport, gameId, teams, data, timestamp? }
+     * @returns {Array} Queued deliveries
+     */
+    dispatch(eventType, event) {
+        const matching = this.readSubscriptions().filter(subscription => subscriptionMatches(subscription, eventType, event));
+        return matching.map(subscription => {
+            const delivery = this.createDelivery(subscription, eventType, event);
+            this.attempt(delivery, subscription).catch(error => {
+                log.error(`Delivery ${delivery.id} crashed:`, error.message);
+            });
+            return delivery;
+        });
+    }
+
+    /**
+     * Send a sample event to one subscription, ignoring its filters. Resolves after the
+     * first attempt (retries continue in the background).
+     * @returns {Promise<Object|null>} The delivery, or null when the webhook is unknown
+     */
+    async sendTest(id) {
+        const subscription = this.find(id);
+        if (!subscription) {
+            return null;
+        }
+        const eventType = subscription.events[0] || WEBHOOK_EVENTS[0];
+        const delivery = this.createDelivery(subscription, eventType, {
+            sport: subscription.sports[0] || 'shl',
+            gameId: 'test-game',
+            teams: subscription.teams.slice(0, 2),
+            data: { test: true, message: 'Test event from the GamePulse admin console' }
+        }, { test: true });
+        await this.attempt(delivery, subscription);
+        return delivery;
+    }
+
+    createDelivery(subscription, eventType, event, { test = false } = {}) {
+        const id = crypto.randomUUID();
+        const payload = {
+            id,
+            event: eventType,
+            test,
+            timestamp: event.timestamp || new Date().toISOString(),
+            sport: event.sport || null,
+            gameId: event.gameId || null,
+            teams: event.teams || [],
+            data: event.data || {}
+        };
+        const delivery = {
+            id,
+            webhookId: subscription.id,
+            webhookName: subscription.name,
+            url: subscription.url,
+            event: eventType,
+            test,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            durationMs: null,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: null,
+            body: JSON.stringify(payload)
+        };
+
+        this.deliveries.unshift(delivery);
+        if (this.deliveries.length > this.logSize) {
+            this.deliveries.pop();
+        }
+        return delivery;
+    }
+
+    getRetryDelay(attempt) {
+        return Math.min(this.retryBaseDelay * (2 ** (attempt - 1)), this.retryMaxDelay);
+    }
+
+    async attempt(delivery, subscription) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        delivery.attempts++;
+        delivery.lastAttemptAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+
+        const startedAt = Date.now();
+        let retryable = false;
+        try {
+            const response = await this.transport(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'GamePulse-Webhooks/1.0',
+                    [EVENT_HEADER]: delivery.event,
+                    [DELIVERY_HEADER]: delivery.id,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            await response.body?.cancel().catch(() => {});
+            delivery.responseStatus = response.status;
+            delivery.error = response.ok ? null : `HTTP ${response.status}`;
+            if (response.ok) {
+                delivery.status = 'delivered';
+                delivery.durationMs = Date.now() - startedAt;
+                this.stats.delivered++;
+                return delivery;
+            }
+            retryable = isRetryableStatus(response.status);
+        } catch (error) {
+            delivery.error = error.name === 'TimeoutError' ? 'timeout' : error.message;
+            retryable = true;
+        }
+        delivery.durationMs = Date.now() - startedAt;
+
+        if (retryable && delivery.attempts < this.maxAttempts) {
+            const delay = this.getRetryDelay(delivery.attempts);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.stats.retries++;
+            this.schedule(() => {
+                // The subscription may have been edited or removed in the meantime.
+                const current = this.find(subscription.id);
+                if (!current || !current.enabled) {
+                    delivery.status = 'failed';
+                    delivery.error = 'Webhook removed or disabled';
+                    delivery.nextAttemptAt = null;
+                    this.stats.failed++;
+                    return;
+                }
+                this.attempt(delivery, current).catch(error => {
+                    log.error(`Delivery ${delivery.id} crashed:`, error.message);
+                });
+            }, delay);
+            return delivery;
+        }
+
+        delivery.status = 'failed';
+        this.stats.failed++;
+        log.warn(`${delivery.event} delivery to ${subscription.name} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+        addEntry('webhooks', 'error', `Webhook delivery failed: ${subscription.name} (${delivery.event}) - ${delivery.error}`, {
+            webhookId: subscription.id,
+            deliveryId: delivery.id
+        });
+        return delivery;
+    }
+
+    /**
+     * Recent deliveries, newest first (without request bodies).
+     * @param {Object} [options]
+     * @param {string} [options.webhookId]
+     * @param {number} [options.limit]
+     * @returns {Array}
+     */
+    getDeliveries({ webhookId = null, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+            .slice(0, limit)
+            .map(({ body, ...delivery }) => delivery);
+    }
+
+    getStats() {
+        const subscriptions = this.readSubscriptions();
+        return {
+            running: Boolean(this.unsubscribe),
+            subscriptions: subscriptions.length,
+            enabled: subscriptions.filter(subscription => subscription.enabled).length,
+            pending: this.deliveries.filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying').length,
+            ...this.stats
+        };
+    }
+}
+
+// ============ SHARED INSTANCE ============
+const webhooks = new WebhookService({ getAvailableSports });
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    WebhookService,
+    WebhookValidationError,
+    signPayload,
+    verifySignature,
+    toWebhookEvent,
+    webhooks
+};
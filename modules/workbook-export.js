@@ -0,0 +1,571 @@
+/**
+ * Excel workbook export of schedules, results and standings.
+ *
+ * GET /api/export/:sport.xlsx builds a workbook from the same caches and providers
+ * the REST routes use:
+ *   team sports  - "Games" and "Standings"; hockey also gets "Goals" from each
+ *                  finished game's play-by-play
+ *   biathlon     - "Races", "Results" and "World Cup" standings
+ * ?season picks a past season and ?team limits games/goals to one team; for biathlon
+ * ?gender and ?discipline filter races and ?team filters results by nation.
+ * Built workbooks are cached for a few minutes; hockey goal rows are cached per sport
+ * and season.
+ */
+
+const express = require('express');
+const ExcelJS = require('exceljs');
+const {
+    EXPORT_CACHE_DURATION,
+    EXPORT_CACHE_MAX_ENTRIES,
+    EXPORT_DETAILS_CONCURRENCY,
+    EXPORT_GOALS_CACHE_DURATION
+} = require('./config');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./providers');
+const { getCachedGames, setCachedGames, getCachedStandings, setCachedStandings } = require('./cache');
+const { CacheNamespace } = require('./cache-registry');
+const { getAllGamesCached } = require('./games-cache');
+const { filterGames, loadSportGameDetails } = require('./sport-routes');
+const teamIdentity = require('./team-identity');
+const { formatSwedishTimestamp, mapWithConcurrency } = require('./utils');
+const { createLogger } = require('./logger');
+const { validateRequest } = require('./openapi');
+
+const log = createLogger('export');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const HOCKEY_SPORTS = ['shl', 'hockeyallsvenskan'];
+const HIGHLIGHT_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+
+const workbookCache = new CacheNamespace('export', 'workbooks', {
+    ttl: EXPORT_CACHE_DURATION,
+    maxEntries: EXPORT_CACHE_MAX_ENTRIES,
+    label: 'Spreadsheet exports'
+});
+
+// JSON [sport, season] -> { [gameId]: goal rows } for every finished game of that season
+const goalsCache = new CacheNamespace('export', 'goals', {
+    ttl: EXPORT_GOALS_CACHE_DURATION,
+    maxEntries: EXPORT_CACHE_MAX_ENTRIES,
+    label: 'Spreadsheet export goals'
+});
+
+// Standings columns, in order. Only columns with data for at least one row are kept.
+const STANDINGS_COLUMNS = [
+    { header: 'Group', key: 'group', width: 14 },
+    { header: 'Pos', key: 'position', width: 6 },
+    { header: 'Team', key: 'teamName', width: 26 },
+    { header: 'Code', key: 'teamCode', width: 8 },
+    { header: 'GP', key: 'gamesPlayed', width: 6 },
+    { header: 'W', key: 'wins', width: 6 },
+    { header: 'D', key: 'draws', width: 6 },
+    { header: 'L', key: 'losses', width: 6 },
+    { header: 'OTW', key: 'overtimeWins', width: 6 },
+    { header: 'OTL', key: 'overtimeLosses', width: 6 },
+    { header: 'GF', key: 'goalsFor', width: 6 },
+    { header: 'GA', key: 'goalsAgainst', width: 6 },
+    { header: 'GD', key: 'goalDiff', width: 6 },
+    { header: 'Pts', key: 'points', width: 6 }
+];
+
+// ============ HELPERS ============
+
+/**
+ * Error with an HTTP status, for invalid export parameters.
+ */
+class ExportRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ExportRequestError';
+        this.status = status;
+    }
+}
+
+function formatStart(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        return '';
+    }
+    // "2026-01-17 19:00" in Swedish time; sorts correctly as text.
+    return formatSwedishTimestamp(date).slice(0, 16);
+}
+
+function getTimeValue(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function joinName(firstName, lastName) {
+    const parts = [firstName, lastName]
+        .map(part => (typeof part === 'string' ? part : part?.value || ''))
+        .map(part => part.trim())
+        .filter(Boolean);
+    return parts.join(' ');
+}
+
+/**
+ * Add a sheet with a bold, frozen, filterable header row.
+ */
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    return sheet;
+}
+
+// ============ DATA ============
+
+async function loadGames(sport, provider, season, source) {
+    if (season) {
+        const games = await provider.fetchAllGames({ season });
+        return Array.isArray(games) ? games : [];
+    }
+    return source ? source() : getAllGamesCached(sport);
+}
+
+/**
+ * Goal rows of every finished game in a season, oldest game first. Rows built by an
+ * earlier export are reused, so only games finished since then (or whose play-by-play
+ * was not published yet) are fetched. Adding games keeps the entry's age, so a season
+ * is rebuilt from scratch once it expires.
+ * @param {string} sport
+ * @param {Object} provider
+ * @param {string|null} season
+ * @param {Array} games - The season's games, unfiltered
+ * @returns {Promise<Object>} { [gameId]: Array<Object> }
+ */
+async function loadSeasonGoals(sport, provider, season, games) {
+    const cacheKey = JSON.stringify([sport, season]);
+    const cachedAt = goalsCache.peek(cacheKey)?.timestamp;
+    const known = goalsCache.get(cacheKey) || {};
+    const finished = games
+        .filter(game => game.state === 'post-game')
+        .sort((a, b) => getTimeValue(a.startDateTime) - getTimeValue(b.startDateTime));
+
+    const missing = finished.filter(game => !known[game.uuid]);
+    const fetched = await mapWithConcurrency(missing, EXPORT_DETAILS_CONCURRENCY, async (game) => {
+        try {
+            const details = await loadSportGameDetails(sport, provider, game.uuid, { label: `export ${sport} goals` });
+            // Without any events the play-by-play is not published yet; try again next export.
+            if (!details?.events?.all?.length) {
+                return null;
+            }
+            return buildGoalRows(game, details.events.goals || []);
+        } catch (error) {
+            log.warn(`${sport} goals unavailable for ${game.uuid}:`, error.message);
+            return null;
+        }
+    });
+
+    const goals = {};
+    const fetchedById = new Map(missing.map((game, index) => [game.uuid, fetched[index]]));
+    for (const game of finished) {
+        const rows = known[game.uuid] || fetchedById.get(game.uuid);
+        if (rows) {
+            goals[game.uuid] = rows;
+        }
+    }
+    goalsCache.set(cacheKey, goals);
+    if (Object.keys(known).length > 0) {
+        goalsCache.setMeta(cacheKey, { timestamp: cachedAt });
+    }
+    return goals;
+}
+
+async function loadStandings(sport, provider, season) {
+    let standings = getCachedStandings(sport, season);
+    if (!standings) {
+        standings = await provider.fetchStandings({ season });
+        if (standings) {
+            setCachedStandings(sport, season, standings);
+        }
+    }
+    return standings || { standings: [] };
+}
+
+async function loadRaces(provider) {
+    const cached = getCachedGames('biathlon');
+    if (cached) {
+        return cached;
+    }
+    const races = await provider.fetchAllGames();
+    setCachedGames('biathlon', races);
+    return races;
+}
+
+// ============ ROWS ============
+
+/**
+ * Games sheet rows, oldest first.
+ * @param {Array} games
+ * @returns {Array<Object>}
+ */
+function buildGameRows(games) {
+    return games
+        .slice()
+        .sort((a, b) => getTimeValue(a.startDateTime) - getTimeValue(b.startDateTime))
+        .map(game => {
+            const hasResult = game.state === 'live' || game.state === 'post-game';
+            return {
+                start: formatStart(game.startDateTime),
+                home: teamIdentity.getTeamName(game.homeTeamInfo, { prefer: 'long', fallback: game.homeTeamInfo?.code || '' }),
+                away: teamIdentity.getTeamName(game.awayTeamInfo, { prefer: 'long', fallback: game.awayTeamInfo?.code || '' }),
+                homeScore: hasResult ? toNumber(game.homeTeamInfo?.score) : null,
+                awayScore: hasResult ? toNumber(game.awayTeamInfo?.score) : null,
+                state: game.state || '',
+                venue: game.venueInfo?.name || '',
+                gameId: game.uuid
+            };
+        });
+}
+
+/**
+ * Standings rows, flattening cup groups into a Group column.
+ * @param {Object} standings - { standings: [] } or { groups: [{ name, standings }] }
+ * @returns {Array<Object>}
+ */
+function buildStandingsRows(standings) {
+    if (Array.isArray(standings?.groups) && standings.groups.length > 0) {
+        return standings.groups.flatMap(group => (group.standings || [])
+            .map(row => ({ ...row, group: group.name || group.id || '' })));
+    }
+    return Array.isArray(standings?.standings) ? standings.standings : [];
+}
+
+function getGoalType(goal) {
+    const types = [];
+    if (goal.isPowerPlay) types.push('PP');
+    if (goal.isShorthanded) types.push('SH');
+    if (goal.isEmptyNet) types.push('EN');
+    if (goal.isPenaltyShot) types.push('PS');
+    if (goal.isGameWinningGoal) types.push('GWG');
+    return types.join(', ');
+}
+
+/**
+ * Goals sheet rows for one hockey game's play-by-play.
+ * @param {Object} game - Schedule entry
+ * @param {Array} goals - details.events.goals
+ * @returns {Array<Object>}
+ */
+function buildGoalRows(game, goals) {
+    const homeCode = teamIdentity.getTeamCode(game.homeTeamInfo);
+    const awayCode = teamIdentity.getTeamCode(game.awayTeamInfo);
+    return goals.map(goal => {
+        const assists = [goal.assist1, goal.assist2]
+            .filter(Boolean)
+            .map(assist => joinName(assist.firstName || assist.givenName, assist.familyName || assist.lastName))
+            .filter(Boolean);
+        const homeGoals = goal.homeGoals ?? goal.homeTeam?.score;
+        const awayGoals = goal.awayGoals ?? goal.awayTeam?.score;
+        return {
+            start: formatStart(game.startDateTime),
+            game: `${homeCode} – ${awayCode}`,
+            period: toNumber(goal.period),
+            time: goal.time || '',
+            team: goal.eventTeam?.teamCode || '',
+            scorer: joinName(goal.player?.firstName || goal.player?.givenName, goal.player?.familyName || goal.player?.lastName),
+            assists: assists.join(', '),
+            score: homeGoals !== undefined && awayGoals !== undefined ? `${homeGoals}–${awayGoals}` : '',
+            type: getGoalType(goal),
+            gameId: game.uuid
+        };
+    });
+}
+
+/**
+ * Results sheet rows for one biathlon race.
+ * @param {Object} race
+ * @param {Array} results - IBU result rows (details.results)
+ * @returns {Array<Object>}
+ */
+function buildResultRows(race, results) {
+    return results.map(row => ({
+        start: formatStart(race.startDateTime),
+        event: race.eventName || '',
+        discipline: race.discipline || '',
+        gender: race.genderDisplay || race.gender || '',
+        rank: toNumber(row.Rank),
+        name: row.Name || joinName(row.GivenName, row.FamilyName),
+        nation: row.Nat || '',
+        bib: toNumber(row.Bib),
+        time: row.TotalTime || row.Result || '',
+        behind: row.Behind || '',
+        shooting: row.ShootingTotal || '',
+        raceId: race.uuid
+    }));
+}
+
+// ============ WORKBOOKS ============
+
+function createWorkbook() {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'GamePulse';
+    workbook.created = new Date();
+    return workbook;
+}
+
+/**
+ * Workbook for a team sport.
+ * @param {string} sport
+ * @param {Object} [options]
+ * @param {string} [options.season]
+ * @param {string} [options.team]
+ * @param {Function} [options.source] - async () => current games, instead of the games cache
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+async function buildTeamSportWorkbook(sport, { season = null, team = null, source = null } = {}) {
+    const provider = getProvider(sport);
+    const capabilities = getSportCapabilities(sport);
+    const workbook = createWorkbook();
+
+    const seasonGames = await loadGames(sport, provider, season, source);
+    const games = team ? filterGames(seasonGames, { team }) : seasonGames;
+    addSheet(workbook, 'Games', [
+        { header: 'Start', key: 'start', width: 18 },
+        { header: 'Home', key: 'home', width: 26 },
+        { header: 'Away', key: 'away', width: 26 },
+        { header: 'Home score', key: 'homeScore', width: 11 },
+        { header: 'Away score', key: 'awayScore', width: 11 },
+        { header: 'State', key: 'state', width: 11 },
+        { header: 'Venue', key: 'venue', width: 24 },
+        { header: 'Game ID', key: 'gameId', width: 16 }
+    ], buildGameRows(games));
+
+    if (capabilities.standings && typeof provider.fetchStandings === 'function') {
+        const rows = buildStandingsRows(await loadStandings(sport, provider, season));
+        const columns = STANDINGS_COLUMNS.filter(column => rows.some(row => row[column.key] !== undefined && row[column.key] !== null));
+        const sheet = addSheet(workbook, 'Standings', columns, rows);
+        if (team) {
+            const teamQuery = team.toLowerCase();
+            rows.forEach((row, index) => {
+                const names = [row.teamCode, row.teamUuid, row.teamName, row.teamShortName];
+                if (names.some(name => name && String(name).toLowerCase() === teamQuery)) {
+                    sheet.getRow(index + 2).fill = HIGHLIGHT_FILL;
+                }
+            });
+        }
+    }
+
+    if (HOCKEY_SPORTS.includes(sport) && capabilities.details) {
+        const seasonGoals = await loadSeasonGoals(sport, provider, season, seasonGames);
+        const gameIds = new Set(games.map(game => game.uuid));
+        const goalRows = Object.entries(seasonGoals)
+            .filter(([gameId]) => gameIds.has(gameId))
+            .flatMap(([, rows]) => rows);
+        addSheet(workbook, 'Goals', [
+            { header: 'Start', key: 'start', width: 18 },
+            { header: 'Game', key: 'game', width: 14 },
+            { header: 'Period', key: 'period', width: 8 },
+            { header: 'Time', key: 'time', width: 8 },
+            { header: 'Team', key: 'team', width: 8 },
+            { header: 'Scorer', key: 'scorer', width: 24 },
+            { header: 'Assists', key: 'assists', width: 36 },
+            { header: 'Score', key: 'score', width: 8 },
+            { header: 'Type', key: 'type', width: 10 },
+            { header: 'Game ID', key: 'gameId', width: 16 }
+        ], goalRows);
+    }
+
+    return workbook;
+}
+
+/**
+ * Workbook of biathlon races, results and World Cup standings.
+ * @param {Object} [options]
+ * @param {string} [options.gender]
+ * @param {string} [options.discipline]
+ * @param {string} [options.team] - Nation code for the results sheet
+ * @returns {Promise<ExcelJS.Workbook>}
+ */
+async function buildBiathlonWorkbook({ gender = null, discipline = null, team = null } = {}) {
+    const provider = getProvider('biathlon');
+    const workbook = createWorkbook();
+
+    let races = (await loadRaces(provider))
+        .slice()
+        .sort((a, b) => getTimeValue(a.startDateTime) - getTimeValue(b.startDateTime));
+    if (gender) {
+        races = races.filter(race => race.gender === gender.toLowerCase());
+    }
+    if (discipline) {
+        races = races.filter(race => String(race.discipline || '').toLowerCase().includes(discipline.toLowerCase()));
+    }
+
+    addSheet(workbook, 'Races', [
+        { header: 'Start', key: 'start', width: 18 },
+        { header: 'Event', key: 'event', width: 22 },
+        { header: 'Discipline', key: 'discipline', width: 18 },
+        { header: 'Gender', key: 'gender', width: 9 },
+        { header: 'Location', key: 'location', width: 20 },
+        { header: 'Country', key: 'country', width: 14 },
+        { header: 'State', key: 'state', width: 12 },
+        { header: 'Race ID', key: 'raceId', width: 22 }
+    ], races.map(race => ({
+        start: formatStart(race.startDateTime),
+        event: race.eventName || '',
+        discipline: race.discipline || '',
+        gender: race.genderDisplay || race.gender || '',
+        location: race.location || '',
+        country: race.countryName || race.country || '',
+        state: race.state || '',
+        raceId: race.uuid
+    })));
+
+    const nation = team ? team.toUpperCase() : null;
+    const finished = races.filter(race => race.state === 'completed');
+    const resultsPerRace = await mapWithConcurrency(finished, EXPORT_DETAILS_CONCURRENCY, async (race) => {
+        try {
+            const details = await provider.fetchGameDetails(race.uuid, { races });
+            const rows = buildResultRows(race, Array.isArray(details?.results) ? details.results : []);
+            return nation ? rows.filter(row => row.nation === nation) : rows;
+        } catch (error) {
+            log.warn(`Biathlon results unavailable for ${race.uuid}:`, error.message);
+            return [];
+        }
+    });
+    addSheet(workbook, 'Results', [
+        { header: 'Start', key: 'start', width: 18 },
+        { header: 'Event', key: 'event', width: 22 },
+        { header: 'Discipline', key: 'discipline', width: 18 },
+        { header: 'Gender', key: 'gender', width: 9 },
+        { header: 'Rank', key: 'rank', width: 6 },
+        { header: 'Name', key: 'name', width: 26 },
+        { header: 'Nation', key: 'nation', width: 8 },
+        { header: 'Bib', key: 'bib', width: 6 },
+        { header: 'Time', key: 'time', width: 12 },
+        { header: 'Behind', key: 'behind', width: 10 },
+        { header: 'Shooting', key: 'shooting', width: 10 },
+        { header: 'Race ID', key: 'raceId', width: 22 }
+    ], resultsPerRace.flat());
+
+    const standings = await provider.fetchStandings({ gender: gender === 'men' || gender === 'women' ? gender : 'all' });
+    const standingRows = (standings?.categories || []).flatMap(category => category.standings
+        .filter(row => !nation || row.nation === nation)
+        .map(row => ({ ...row, gender: category.genderDisplay })));
+    addSheet(workbook, 'World Cup', [
+        { header: 'Gender', key: 'gender', width: 9 },
+        { header: 'Rank', key: 'rank', width: 6 },
+        { header: 'Name', key: 'name', width: 26 },
+        { header: 'Nation', key: 'nation', width: 8 },
+        { header: 'Points', key: 'points', width: 8 },
+        { header: 'Races', key: 'raceCount', width: 7 }
+    ], standingRows);
+
+    return workbook;
+}
+
+// ============ ROUTER ============
+
+function getQueryValue(query, name) {
+    return query[name] ? String(query[name]).trim() || null : null;
+}
+
+function buildFilename(parts) {
+    return `${parts.filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9_.-]+/g, '_')}.xlsx`;
+}
+
+/**
+ * Build (or reuse) the export for a request.
+ * @param {string} sport - Resolved sport id
+ * @param {Object} query - Validated query (req.input.query)
+ * @param {Function} [source] - async () => current games, for sports with a source
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+async function getExport(sport, query, source) {
+    const season = getQueryValue(query, 'season');
+    const team = getQueryValue(query, 'team');
+    const gender = getQueryValue(query, 'gender');
+    const discipline = getQueryValue(query, 'discipline');
+
+    if (season && !getSportCapabilities(sport).seasons) {
+        throw new ExportRequestError(`Season selection not available for ${sport}`);
+    }
+
+    const cacheKey = JSON.stringify([sport, season, team, gender, discipline]);
+    const cached = workbookCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const workbook = sport === 'biathlon'
+        ? await buildBiathlonWorkbook({ gender, discipline, team })
+        : await buildTeamSportWorkbook(sport, { season, team, source });
+    const result = {
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+        filename: buildFilename([sport, season, team, gender, discipline])
+    };
+    workbookCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Build the export router. Mount it under /api/export.
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Legacy sport id -> sport id (e.g. { football: 'allsvenskan' })
+ * @param {Object} [options.sources] - sport -> async () => games, for sports whose list
+ *   is not the plain provider list (SHL's manually added games)
+ * @returns {express.Router}
+ */
+function createExportRouter(options = {}) {
+    const aliases = options.aliases || {};
+    const sources = options.sources || {};
+    const router = express.Router();
+
+    /**
+     * GET /api/export/:sport.xlsx
+     * ?season ?team (team sports); ?gender ?discipline ?team (nation) for biathlon.
+     */
+    router.get('/:sport.xlsx', validateRequest('getWorkbookExport'), async (req, res) => {
+        const value = String(req.params.sport).toLowerCase();
+        const sport = aliases[value] || value;
+        if (!getAvailableSports().includes(sport)) {
+            return res.status(404).json({ error: `Unknown sport: ${req.params.sport}` });
+        }
+
+        try {
+            const { buffer, filename } = await getExport(sport, req.input.query, sources[sport]);
+            res.set({
+                'Content-Type': XLSX_CONTENT_TYPE,
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'private, max-age=300'
+            });
+            res.send(buffer);
+        } catch (error) {
+            if (error instanceof ExportRequestError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            log.error(`Error building ${sport} workbook:`, error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Drop cached workbooks (tests).
+ */
+function clearExportCache() {
+    workbookCache.clear();
+    goalsCache.clear();
+}
+
+module.exports = {
+    createExportRouter,
+    buildTeamSportWorkbook,
+    buildBiathlonWorkbook,
+    buildGameRows,
+    buildGoalRows,
+    buildStandingsRows,
+    clearExportCache
+};
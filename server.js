@@ -2,69 +2,67 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { version: packageVersion } = require('./package.json');
 
 // Import modules
-const { PORT, PRE_GAME_REMINDER_MINUTES } = require('./modules/config');
+const {
+    PORT,
+    PRE_GAME_REMINDER_MINUTES,
+    FIXTURES_DIR,
+    ADMIN_USERNAME,
+    ADMIN_PASSWORD,
+    ADMIN_SESSION_TTL,
+    ADMIN_SESSION_COOKIE,
+    TRUST_PROXY,
+    BIATHLON_CHECK_INTERVAL,
+    NOTIFIER_INTERVAL_NORMAL,
+    LEADERS_REFRESH_INTERVAL
+} = require('./modules/config');
 const {
     getCachedGames,
     setCachedGames,
+    setGamesLiveFlag,
     getCachedDetails,
     setCachedDetails,
     getCachedVideos,
     setCachedVideos,
     getCachedStandings,
     setCachedStandings,
-    getCachedBiathlon,
-    setCachedBiathlon,
-    getCachedAllsvenskanGames,
-    setCachedAllsvenskanGames,
-    getCachedAllsvenskanDetails,
-    setCachedAllsvenskanDetails,
-    getCachedAllsvenskanStandings,
-    setCachedAllsvenskanStandings,
-    getCachedSvenskaCupenGames,
-    setCachedSvenskaCupenGames,
-    getCachedSvenskaCupenDetails,
-    setCachedSvenskaCupenDetails,
-    getCachedSvenskaCupenStandings,
-    setCachedSvenskaCupenStandings,
-    getCachedHockeyAllsvenskanGames,
-    setCachedHockeyAllsvenskanGames,
-    getCachedHockeyAllsvenskanDetails,
-    setCachedHockeyAllsvenskanDetails,
-    getCachedHockeyAllsvenskanStandings,
-    setCachedHockeyAllsvenskanStandings,
-    getCachedEuropaLeagueQualGames,
-    setCachedEuropaLeagueQualGames,
-    getCachedEuropaLeagueQualDetails,
-    setCachedEuropaLeagueQualDetails,
-    getCachedEuropaLeagueQualStandings,
-    setCachedEuropaLeagueQualStandings,
-    getCachedConferenceLeagueQualGames,
-    setCachedConferenceLeagueQualGames,
-    getCachedConferenceLeagueQualDetails,
-    setCachedConferenceLeagueQualDetails,
-    getCachedConferenceLeagueQualStandings,
-    setCachedConferenceLeagueQualStandings,
-    getCachedBracket,
-    setCachedBracket,
     clearAllCaches,
     getCacheStatus,
-    setGamesLiveFlag,
-    setAllsvenskanLiveFlag,
-    setSvenskaCupenLiveFlag,
-    setHockeyAllsvenskanLiveFlag,
-    setEuropaLeagueQualLiveFlag,
-    setConferenceLeagueQualLiveFlag
+    listCacheNamespaces,
+    isCacheStale
 } = require('./modules/cache');
-const { getProvider, getAvailableSports } = require('./modules/providers');
+const cacheSnapshot = require('./modules/cache-snapshot');
+const { getUpstreamStats } = require('./modules/upstream-fixtures');
+const upstreamClient = require('./modules/upstream-client');
+const { getProvider, getAvailableSports, getSportCapabilities } = require('./modules/providers');
 const { getAllGamesCached } = require('./modules/games-cache');
+const { createSportRouter } = require('./modules/sport-routes');
+const { createApiV2Router } = require('./modules/api-v2');
+const { createScheduleRouter } = require('./modules/schedule');
+const { createTeamOverviewRouter } = require('./modules/team-overview');
+const { createHeadToHeadRouter } = require('./modules/head-to-head');
+const { createCalendarRouter } = require('./modules/calendar');
+const { createFeedsRouter } = require('./modules/highlight-feed');
+const { createExportRouter } = require('./modules/workbook-export');
+const liveEvents = require('./modules/live-events');
+const { webhooks, WEBHOOK_EVENTS, WebhookValidationError } = require('./modules/webhooks');
+const { adminAuth, requireAdmin, getRequestToken, AdminAuthError } = require('./modules/admin-auth');
+const { auditLog } = require('./modules/audit-log');
+const { rateLimiter } = require('./modules/rate-limiter');
+const { metrics, PROMETHEUS_CONTENT_TYPE, getWatcherLastRun } = require('./modules/metrics');
+const { HealthMonitor } = require('./modules/health');
+const { checkStateStorage } = require('./modules/state-store');
+const { createLogger, logManager, requestLogging } = require('./modules/logger');
+const { buildOpenApiDocument, validateRequest } = require('./modules/openapi');
 const { buildTeamsIndex, queryTeams, usesEnvelopeApi, FOOTBALL_LEAGUES } = require('./modules/teams-index');
 const { formatSwedishTimestamp } = require('./modules/utils');
 const notifier = require('./modules/notifier');
 const scheduler = require('./modules/scheduler');
 const goalWatcher = require('./modules/goal-watcher');
 const preGameWatcher = require('./modules/pre-game-watcher');
+const leaders = require('./modules/leaders');
 const pushNotifications = require('./modules/fcm-notifications');
 const activityLog = require('./modules/activity-log');
 const {
@@ -77,17 +75,43 @@ const {
     formatAdminRecord
 } = require('./modules/admin-games');
 
+const log = createLogger('server');
+const apiLog = createLogger('api');
+const cacheLog = createLogger('cache');
+const teamsLog = createLogger('teams');
+const authLog = createLogger('admin-auth');
+const adminGamesLog = createLogger('admin-games');
+const webhooksLog = createLogger('webhooks');
+const metricsLog = createLogger('metrics');
+
+// Restore warm caches from the last snapshot before serving any request, so the
+// first requests after a restart are answered from (stale) cache.
+cacheSnapshot.loadSnapshot();
+
 const app = express();
-app.use(cors());
+if (TRUST_PROXY) {
+    // "1" -> 1 hop, "true" -> trust all, otherwise a subnet list such as "loopback"
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : (TRUST_PROXY === 'true' || TRUST_PROXY));
+}
+// Tag every request (and the log lines it causes) with an X-Request-Id; see modules/logger.js.
+app.use(requestLogging());
+app.use(cors({ exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id'] }));
 app.use(express.json({ limit: '1mb' }));
 
+// Per-client rate limits on /api (429 + Retry-After); see modules/rate-limiter.js.
+app.use(rateLimiter.middleware());
+
 // Serve static files (logos, etc.)
 app.use('/static', express.static(path.join(__dirname, 'static')));
 
 // Image proxy: routes third-party team logos / video thumbnails through the
 // Kokarn API so the client never fetches external CDNs directly.
 const { handleImageProxy } = require('./modules/image-proxy');
-app.get('/api/img', handleImageProxy);
+const { imageCache } = require('./modules/image-cache');
+app.get('/api/img', validateRequest('getImage'), handleImageProxy);
+
+// Live scores and match events as Server-Sent Events (?sport ?team ?game).
+app.get('/api/live/stream', validateRequest('streamLiveEvents'), liveEvents.handleLiveStream);
 
 // Load teams data for SHL
 const teamsDataPath = path.join(__dirname, 'static', 'teams.json');
@@ -217,10 +241,34 @@ function buildNotificationTarget(payload) {
     return Object.keys(target).length ? target : null;
 }
 
+// ============ HEALTH ============
+// Per-provider, watcher, FCM and state-storage checks; see modules/health.js.
+const health = new HealthMonitor({
+    providers: () => getAvailableSports().map(sport => {
+        const provider = getProvider(sport);
+        return { sport, name: provider.getName(), slug: provider.getSlug() };
+    }),
+    getUpstreamStatus: () => upstreamClient.getProviderStatus(),
+    getGamesCache: sport => listCacheNamespaces({ sport, resource: 'games' })[0]?.getStatus() || null,
+    // Biathlon races are refreshed by the scheduler, the other sports by the goal watcher.
+    gamesRefreshIntervals: { biathlon: BIATHLON_CHECK_INTERVAL },
+    // interval: the longest gap between two runs (idle cadence)
+    watchers: {
+        'goal-watcher': { getStats: () => goalWatcher.getStats(), interval: 60 * 1000 },
+        notifier: { getStats: () => notifier.getStats(), interval: NOTIFIER_INTERVAL_NORMAL },
+        'pre-game-watcher': { getStats: () => preGameWatcher.getStats(), interval: 24 * 60 * 60 * 1000 },
+        scheduler: { getStats: () => scheduler.getStats(), interval: BIATHLON_CHECK_INTERVAL },
+        leaders: { getStats: () => leaders.getStats(), interval: LEADERS_REFRESH_INTERVAL }
+    },
+    getWatcherLastRun,
+    isFcmConfigured: () => pushNotifications.isConfigured(),
+    checkStateStorage
+});
+
 // ============ API ENDPOINTS ============
 
 // Health check endpoint for load balancers / uptime monitors
-app.get('/healthz', (req, res) => {
+app.get('/healthz', validateRequest('getLiveness'), (req, res) => {
     const fcmStats = pushNotifications.getStats();
 
     res.json({
@@ -231,6 +279,43 @@ app.get('/healthz', (req, res) => {
     });
 });
 
+/**
+ * GET /healthz/ready
+ * 200 once the server has started and can write its state files, 503 otherwise.
+ * Degraded providers or watchers do not make the instance unready (see /api/health).
+ */
+app.get('/healthz/ready', validateRequest('getReadiness'), (req, res) => {
+    const readiness = health.getReadiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
+/**
+ * GET /api/health
+ * Detailed health report: per provider upstream failures and data age, FCM, watcher
+ * loops and state files. 503 when a check is down.
+ */
+app.get('/api/health', requireAdmin, validateRequest('getHealthReport'), (req, res) => {
+    const report = health.getReport();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'down' ? 503 : 200).json(report);
+});
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3.1 document of every route, built from the catalogue in modules/openapi.js
+ */
+const openApiDocument = buildOpenApiDocument({ version: packageVersion });
+app.get('/api/openapi.json', validateRequest('getOpenApiDocument'), (req, res) => {
+    res.json({ ...openApiDocument, servers: [{ url: `${req.protocol}://${req.get('host')}` }] });
+});
+
+// Interactive API reference for /api/openapi.json, next to the admin console.
+// Registered before /admin/:section so the console does not swallow it.
+app.get('/admin/api-docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'static', 'api-docs.html'));
+});
+
 // Admin routes - serve the same HTML for all paths (client-side routing)
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'static', 'admin.html'));
@@ -242,28 +327,34 @@ app.get('/admin/:section', (req, res) => {
 
 /**
  * GET /api/sports
- * Get all available sports
+ * Get all available sports, each with its provider capability flags (videos,
+ * details, standings, seasons, bracket, liveEvents, teams, goalClips, leaders) so
+ * clients can decide which tabs and screens to show.
  */
-app.get('/api/sports', (req, res) => {
-    const sportIcons = {
-        shl: 'hockey-puck',
-        'hockeyallsvenskan': 'hockey-puck',
-        allsvenskan: 'soccer-ball',
-        'svenska-cupen': 'trophy',
-        'europa-league-qual': 'soccer-ball',
-        'conference-league-qual': 'soccer-ball',
-        biathlon: 'target'
-    };
-
-    const sports = getAvailableSports().map(sport => {
+const SPORT_ICONS = {
+    shl: 'hockey-puck',
+    'hockeyallsvenskan': 'hockey-puck',
+    allsvenskan: 'soccer-ball',
+    'svenska-cupen': 'trophy',
+    'europa-league-qual': 'soccer-ball',
+    'conference-league-qual': 'soccer-ball',
+    biathlon: 'target'
+};
+
+function describeSports() {
+    return getAvailableSports().map(sport => {
         const provider = getProvider(sport);
         return {
             id: sport,
             name: provider.getName(),
-            icon: sportIcons[sport] || 'target'
+            icon: SPORT_ICONS[sport] || 'target',
+            capabilities: getSportCapabilities(sport)
         };
     });
-    res.json(sports);
+}
+
+app.get('/api/sports', validateRequest('listSports'), (req, res) => {
+    res.json(describeSports());
 });
 
 /**
@@ -295,34 +386,37 @@ app.get('/api/sports', (req, res) => {
  * Set / dedupe key: 3 teams (AIK, DIF, VIK) share a code across hockey and
  * football, so their `id` collides while `uid` stays distinct.
  */
-app.get('/api/teams', async (req, res) => {
+// The non-SHL leagues are aggregated from the shared game caches (network-free when
+// warm; getAllGamesCached fetches at most once per TTL and coalesces misses).
+const TEAMS_INDEX_LEAGUES = ['hockeyallsvenskan', ...FOOTBALL_LEAGUES];
+
+async function loadTeamsIndex() {
+    const gameLists = await Promise.all(
+        TEAMS_INDEX_LEAGUES.map(async (league) => {
+            try {
+                const games = await getAllGamesCached(league);
+                return [league, Array.isArray(games) ? games : []];
+            } catch (error) {
+                teamsLog.error(`Failed to load ${league} games:`, error.message);
+                return [league, []];
+            }
+        })
+    );
+    return buildTeamsIndex({ shlTeams: teamsData.teams, gamesByLeague: Object.fromEntries(gameLists) });
+}
+
+app.get('/api/teams', validateRequest('listTeams'), async (req, res) => {
     // Back-compat: no query params -> original bare SHL array.
     if (!usesEnvelopeApi(req.query)) {
         return res.json(teamsData.teams);
     }
 
     try {
-        // Aggregate the non-SHL leagues from the shared game caches (network-free when
-        // warm; getAllGamesCached fetches at most once per TTL and coalesces misses).
-        const leaguesToLoad = ['hockeyallsvenskan', ...FOOTBALL_LEAGUES];
-        const gameLists = await Promise.all(
-            leaguesToLoad.map(async (league) => {
-                try {
-                    const games = await getAllGamesCached(league);
-                    return [league, Array.isArray(games) ? games : []];
-                } catch (error) {
-                    console.error(`[teams] failed to load ${league} games:`, error.message);
-                    return [league, []];
-                }
-            })
-        );
-
-        const gamesByLeague = Object.fromEntries(gameLists);
-        const index = buildTeamsIndex({ shlTeams: teamsData.teams, gamesByLeague });
-        const result = queryTeams(index, req.query);
+        const index = await loadTeamsIndex();
+        const result = queryTeams(index, req.input.query);
         res.json(result);
     } catch (error) {
-        console.error('Error building teams index:', error);
+        teamsLog.error('Error building teams index:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -331,7 +425,7 @@ app.get('/api/teams', async (req, res) => {
  * GET /api/teams/:code
  * Get a specific team by code (e.g., LIF, FHC, BIF)
  */
-app.get('/api/teams/:code', (req, res) => {
+app.get('/api/teams/:code', validateRequest('getTeam'), (req, res) => {
     const code = req.params.code.toUpperCase();
     const team = teamsData.teams.find(t => t.code === code);
 
@@ -343,46 +437,44 @@ app.get('/api/teams/:code', (req, res) => {
 });
 
 /**
- * GET /api/standings
+ * GET /api/standings (alias: /api/shl/standings)
  * Get current SHL league standings
  * Query params:
  *   - team: filter by team code (optional)
  *   - top: limit to top N teams (optional)
  */
-app.get('/api/standings', async (req, res) => {
+app.get(['/api/standings', '/api/shl/standings'], validateRequest('getShlStandings'), async (req, res) => {
     try {
         // Check cache first
-        let standings = getCachedStandings();
+        let standings = getCachedStandings('shl');
 
         if (standings) {
-            console.log('[Cache HIT] /api/standings');
+            cacheLog.debug('HIT /api/standings');
         } else {
-            console.log('[Cache MISS] /api/standings - fetching fresh data...');
+            cacheLog.debug('MISS /api/standings - fetching fresh data...');
             const provider = getProvider('shl');
             standings = await provider.fetchStandings();
-            setCachedStandings(standings);
+            setCachedStandings('shl', null, standings);
         }
 
         // Apply filters
+        const { team, top } = req.input.query;
         let result = { ...standings };
 
-        if (req.query.team) {
-            const teamCode = req.query.team.toUpperCase();
+        if (team) {
+            const teamCode = team.toUpperCase();
             result.standings = standings.standings.filter(t =>
                 t.teamCode?.toUpperCase() === teamCode
             );
         }
 
-        if (req.query.top) {
-            const topN = parseInt(req.query.top);
-            if (topN > 0) {
-                result.standings = result.standings.slice(0, topN);
-            }
+        if (top) {
+            result.standings = result.standings.slice(0, top);
         }
 
         res.json(result);
     } catch (error) {
-        console.error('Error fetching standings:', error);
+        apiLog.error('Error fetching standings:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -393,7 +485,7 @@ app.get('/api/standings', async (req, res) => {
  * GET /api/biathlon/nations
  * Get all biathlon nations/teams
  */
-app.get('/api/biathlon/nations', (req, res) => {
+app.get('/api/biathlon/nations', validateRequest('listBiathlonNations'), (req, res) => {
     res.json(biathlonData.nations);
 });
 
@@ -401,7 +493,7 @@ app.get('/api/biathlon/nations', (req, res) => {
  * GET /api/biathlon/disciplines
  * Get all biathlon race disciplines
  */
-app.get('/api/biathlon/disciplines', (req, res) => {
+app.get('/api/biathlon/disciplines', validateRequest('listBiathlonDisciplines'), (req, res) => {
     res.json(biathlonData.disciplines);
 });
 
@@ -409,19 +501,35 @@ app.get('/api/biathlon/disciplines', (req, res) => {
  * GET /api/biathlon/events
  * Get all biathlon events (World Cup stops, Olympics, etc.)
  */
-app.get('/api/biathlon/events', async (req, res) => {
+app.get('/api/biathlon/events', validateRequest('listBiathlonEvents'), async (req, res) => {
     try {
         const provider = getProvider('biathlon');
         const events = await provider.fetchEvents();
         res.json(events);
     } catch (error) {
-        console.error('Error fetching biathlon events:', error);
+        apiLog.error('Error fetching biathlon events:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/biathlon/races
+ * All biathlon races of the season, from the games cache when warm.
+ * @returns {Promise<Array>}
+ */
+async function loadBiathlonRaces() {
+    let races = getCachedGames('biathlon');
+    if (races) {
+        cacheLog.debug('HIT /api/biathlon/races');
+        return races;
+    }
+    cacheLog.debug('MISS /api/biathlon/races - fetching...');
+    races = await getProvider('biathlon').fetchAllGames();
+    setCachedGames('biathlon', races);
+    return races;
+}
+
+/**
+ * GET /api/biathlon/races (alias: /api/biathlon/games)
  * Get all biathlon races (individual race sessions)
  * Query params:
  *   - upcoming: only show upcoming races if 'true'
@@ -430,1029 +538,259 @@ app.get('/api/biathlon/events', async (req, res) => {
  *   - discipline: filter by discipline (sprint, pursuit, etc.)
  *   - gender: filter by gender (men, women, mixed)
  */
-app.get('/api/biathlon/races', async (req, res) => {
+app.get(['/api/biathlon/races', '/api/biathlon/games'], validateRequest('listBiathlonRaces'), async (req, res) => {
+    const { upcoming, limit, country, discipline, gender } = req.input.query;
     try {
         let races;
 
-        // Try cache first for all races
-        if (req.query.upcoming !== 'true') {
-            races = getCachedBiathlon();
-            if (races) {
-                console.log('[Cache HIT] /api/biathlon/races');
-            }
-        }
-
-        if (!races) {
-            console.log('[Cache MISS] /api/biathlon/races - fetching...');
-            const provider = getProvider('biathlon');
-
-            if (req.query.upcoming === 'true') {
-                const limit = parseInt(req.query.limit) || 20;
-                races = await provider.fetchUpcomingRaces(limit);
-            } else {
-                races = await provider.fetchAllGames();
-                setCachedBiathlon(races);
-            }
-        }
-
-        // Apply filters
-        if (req.query.country) {
-            const country = req.query.country.toUpperCase();
-            races = races.filter(r => r.country === country);
-        }
-
-        if (req.query.discipline) {
-            const discipline = req.query.discipline.toLowerCase();
-            races = races.filter(r => r.discipline.toLowerCase().includes(discipline));
-        }
-
-        if (req.query.gender) {
-            const gender = req.query.gender.toLowerCase();
-            races = races.filter(r => r.gender === gender);
-        }
-
-        res.json(races);
-    } catch (error) {
-        console.error('Error fetching biathlon races:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/biathlon/schedule
- * Get upcoming biathlon schedule (convenience endpoint)
- */
-app.get('/api/biathlon/schedule', async (req, res) => {
-    try {
-        const provider = getProvider('biathlon');
-        const limit = parseInt(req.query.limit) || 30;
-        const races = await provider.fetchUpcomingRaces(limit);
-        res.json(races);
-    } catch (error) {
-        console.error('Error fetching biathlon schedule:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/biathlon/standings
- * Get World Cup standings
- * Query params:
- *   - gender: 'men', 'women', or 'all' (default: 'all')
- *   - type: 'overall', 'sprint', 'pursuit', 'individual', 'mass-start' (default: 'overall')
- */
-app.get('/api/biathlon/standings', async (req, res) => {
-    try {
-        const gender = req.query.gender || 'all';
-        const type = req.query.type || 'overall';
-
-        console.log(`[API] Fetching biathlon standings - gender: ${gender}, type: ${type}`);
-
-        const provider = getProvider('biathlon');
-        const standings = await provider.fetchStandings({ gender, type });
-
-        res.json(standings);
-    } catch (error) {
-        console.error('Error fetching biathlon standings:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/biathlon/race/:id
- * Get details for a specific race
- */
-app.get('/api/biathlon/race/:id', async (req, res) => {
-    try {
-        const provider = getProvider('biathlon');
-        const cachedRaces = getCachedBiathlon();
-        const details = await provider.fetchGameDetails(req.params.id, { races: cachedRaces });
-
-        if (!details) {
-            return res.status(404).json({ error: 'Race not found' });
-        }
-
-        res.json(details);
-    } catch (error) {
-        console.error(`Error fetching race details for ${req.params.id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============ ALLSVENSKAN/FOOTBALL ENDPOINTS ============
-
-/**
- * GET /api/football/games
- * Get Allsvenskan fixtures
- * Query params:
- *   - team: filter by team code, id, or name (optional)
- *   - state: filter by game state (pre-game, live, post-game)
- *   - upcoming: only show upcoming games if 'true'
- *   - limit: max number of games to return
- */
-app.get('/api/football/games', async (req, res) => {
-    try {
-        let games = getCachedAllsvenskanGames();
-        let usedCache = true;
-
-        if (games) {
-            console.log('[Cache HIT] /api/football/games');
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/football/games - fetching fresh data...');
-            const provider = getProvider('allsvenskan');
-            games = await provider.fetchAllGames();
-        }
-
-        if (!Array.isArray(games)) {
-            games = [];
-        }
-
-        const getTimeValue = (value) => {
-            const time = new Date(value).getTime();
-            return Number.isNaN(time) ? 0 : time;
-        };
-        games = games.sort((a, b) => getTimeValue(b.startDateTime) - getTimeValue(a.startDateTime));
-
-        const now = new Date();
-        const shouldUseFastCache = shouldUseFastGamesCache(games, now);
-
-        if (!usedCache) {
-            setCachedAllsvenskanGames(games, shouldUseFastCache);
-        } else {
-            setAllsvenskanLiveFlag(shouldUseFastCache);
-        }
-
-        let result = games;
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            const matchesTeam = (teamInfo) => {
-                if (!teamInfo) return false;
-                const candidates = [
-                    teamInfo.code,
-                    teamInfo.uuid,
-                    teamInfo.names?.short,
-                    teamInfo.names?.long
-                ];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            };
-            result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
-        }
-
-        if (req.query.state) {
-            const stateQuery = String(req.query.state).trim().toLowerCase();
-            result = result.filter(game => game.state === stateQuery);
-        }
-
-        if (req.query.upcoming === 'true') {
-            result = result.filter(game => {
-                const startTime = new Date(game.startDateTime);
-                return !Number.isNaN(startTime.getTime()) && startTime >= now;
-            });
-        }
-
-        if (req.query.limit) {
-            const limit = parseInt(req.query.limit);
-            if (limit > 0) {
-                result = result.slice(0, limit);
-            }
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching Allsvenskan schedule:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/football/game/:id/videos
- * Get clips for a specific Allsvenskan match
- */
-app.get('/api/football/game/:id/videos', async (req, res) => {
-    const { id } = req.params;
-    const cacheKey = `football:${id}`;
-
-    const cached = getCachedVideos(cacheKey);
-    if (cached) {
-        console.log(`[Cache HIT] /api/football/game/${id}/videos`);
-        return res.json(cached);
-    }
-
-    console.log(`[Cache MISS] /api/football/game/${id}/videos - fetching...`);
-
-    try {
-        const provider = getProvider('allsvenskan');
-        const videos = await provider.fetchGameVideos(id);
-        setCachedVideos(cacheKey, videos);
-        res.json(videos);
-    } catch (error) {
-        console.error(`Error fetching Allsvenskan videos for ${id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/football/game/:id/details
- * Get details for a specific Allsvenskan match
- */
-app.get('/api/football/game/:id/details', async (req, res) => {
-    const { id } = req.params;
-
-    const cached = getCachedAllsvenskanDetails(id);
-    if (cached) {
-        console.log(`[Cache HIT] /api/football/game/${id}/details`);
-        return res.json(cached);
-    }
-
-    console.log(`[Cache MISS] /api/football/game/${id}/details - fetching...`);
-
-    try {
-        const provider = getProvider('allsvenskan');
-        const details = await provider.fetchGameDetails(id);
-
-        if (!details) {
-            return res.status(404).json({ error: 'Game not found' });
-        }
-
-        setCachedAllsvenskanDetails(id, details);
-        res.json(details);
-    } catch (error) {
-        console.error(`Error fetching Allsvenskan details for ${id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/football/standings
- * Get Allsvenskan standings
- * Query params:
- *   - team: filter by team code or name (optional)
- *   - top: limit to top N teams (optional)
- */
-app.get('/api/football/standings', async (req, res) => {
-    try {
-        const seasonQuery = req.query.season ? String(req.query.season).trim() : null;
-        let standings = getCachedAllsvenskanStandings(seasonQuery);
-
-        if (standings) {
-            console.log('[Cache HIT] /api/football/standings');
-        } else {
-            console.log('[Cache MISS] /api/football/standings - fetching fresh data...');
-            const provider = getProvider('allsvenskan');
-            standings = await provider.fetchStandings({ season: seasonQuery });
-            const resolvedSeason = standings?.season ? String(standings.season) : null;
-
-            if (seasonQuery) {
-                if (resolvedSeason && resolvedSeason !== seasonQuery) {
-                    setCachedAllsvenskanStandings(resolvedSeason, standings);
-                } else {
-                    setCachedAllsvenskanStandings(seasonQuery, standings);
-                }
-            } else {
-                setCachedAllsvenskanStandings(null, standings);
-                if (resolvedSeason) {
-                    setCachedAllsvenskanStandings(resolvedSeason, standings);
-                }
-            }
-        }
-
-        let result = { ...standings };
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            result.standings = standings.standings.filter(team => {
-                const candidates = [
-                    team.teamCode,
-                    team.teamUuid,
-                    team.teamName,
-                    team.teamShortName
-                ];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            });
-        }
-
-        if (req.query.top) {
-            const topN = parseInt(req.query.top);
-            if (topN > 0) {
-                result.standings = result.standings.slice(0, topN);
-            }
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching Allsvenskan standings:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============ SVENSKA CUPEN ENDPOINTS ============
-
-/**
- * GET /api/svenska-cupen/games
- * Get Svenska Cupen fixtures
- * Query params:
- *   - season: optional season label (example: 2025/2026)
- *   - team: filter by team code, id, or name (optional)
- *   - state: filter by game state (pre-game, live, post-game)
- *   - upcoming: only show upcoming games if 'true'
- *   - limit: max number of games to return
- */
-app.get('/api/svenska-cupen/games', async (req, res) => {
-    try {
-        const seasonQuery = req.query.season ? String(req.query.season).trim() : null;
-        const canUseCache = !seasonQuery;
-        let games = canUseCache ? getCachedSvenskaCupenGames() : null;
-        let usedCache = canUseCache;
-
-        if (games && canUseCache) {
-            console.log('[Cache HIT] /api/svenska-cupen/games');
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/svenska-cupen/games - fetching fresh data...');
-            const provider = getProvider('svenska-cupen');
-            games = await provider.fetchAllGames({ season: seasonQuery });
-        }
-
-        if (!Array.isArray(games)) {
-            games = [];
-        }
-
-        const getTimeValue = (value) => {
-            const time = new Date(value).getTime();
-            return Number.isNaN(time) ? 0 : time;
-        };
-        games = games.sort((a, b) => getTimeValue(b.startDateTime) - getTimeValue(a.startDateTime));
-
-        const now = new Date();
-        const shouldUseFastCache = shouldUseFastGamesCache(games, now);
-
-        if (canUseCache) {
-            if (!usedCache) {
-                setCachedSvenskaCupenGames(games, shouldUseFastCache);
-            } else {
-                setSvenskaCupenLiveFlag(shouldUseFastCache);
-            }
-        }
-
-        let result = games;
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            const matchesTeam = (teamInfo) => {
-                if (!teamInfo) {
-                    return false;
-                }
-                const candidates = [
-                    teamInfo.code,
-                    teamInfo.uuid,
-                    teamInfo.names?.short,
-                    teamInfo.names?.long
-                ];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            };
-            result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
-        }
-
-        if (req.query.state) {
-            const stateQuery = String(req.query.state).trim().toLowerCase();
-            result = result.filter(game => game.state === stateQuery);
-        }
-
-        if (req.query.upcoming === 'true') {
-            result = result.filter(game => {
-                const startTime = new Date(game.startDateTime);
-                return !Number.isNaN(startTime.getTime()) && startTime >= now;
-            });
-        }
-
-        if (req.query.limit) {
-            const limit = parseInt(req.query.limit);
-            if (limit > 0) {
-                result = result.slice(0, limit);
-            }
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching Svenska Cupen schedule:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/svenska-cupen/game/:id/details
- * Get details for a specific Svenska Cupen match
- */
-app.get('/api/svenska-cupen/game/:id/details', async (req, res) => {
-    const { id } = req.params;
-
-    const cached = getCachedSvenskaCupenDetails(id);
-    if (cached) {
-        console.log(`[Cache HIT] /api/svenska-cupen/game/${id}/details`);
-        return res.json(cached);
-    }
-
-    console.log(`[Cache MISS] /api/svenska-cupen/game/${id}/details - fetching...`);
-
-    try {
-        const provider = getProvider('svenska-cupen');
-        const details = await provider.fetchGameDetails(id);
-
-        if (!details) {
-            return res.status(404).json({ error: 'Game not found' });
-        }
-
-        setCachedSvenskaCupenDetails(id, details);
-        res.json(details);
-    } catch (error) {
-        console.error(`Error fetching Svenska Cupen details for ${id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/svenska-cupen/standings
- * Get Svenska Cupen group standings
- * Query params:
- *   - season: optional season label
- *   - group: optional group id or name filter
- */
-app.get('/api/svenska-cupen/standings', async (req, res) => {
-    try {
-        const seasonQuery = req.query.season ? String(req.query.season).trim() : null;
-        let standings = getCachedSvenskaCupenStandings(seasonQuery);
-
-        if (standings) {
-            console.log('[Cache HIT] /api/svenska-cupen/standings');
-        } else {
-            console.log('[Cache MISS] /api/svenska-cupen/standings - fetching fresh data...');
-            const provider = getProvider('svenska-cupen');
-            standings = await provider.fetchStandings({ season: seasonQuery });
-            const resolvedSeason = standings?.season ? String(standings.season) : null;
-
-            if (seasonQuery) {
-                if (resolvedSeason && resolvedSeason !== seasonQuery) {
-                    setCachedSvenskaCupenStandings(resolvedSeason, standings);
-                } else {
-                    setCachedSvenskaCupenStandings(seasonQuery, standings);
-                }
-            } else {
-                setCachedSvenskaCupenStandings(null, standings);
-                if (resolvedSeason) {
-                    setCachedSvenskaCupenStandings(resolvedSeason, standings);
-                }
-            }
-        }
-
-        let result = { ...standings };
-
-        if (req.query.group) {
-            const groupQuery = String(req.query.group).trim().toLowerCase();
-            const groups = Array.isArray(standings.groups) ? standings.groups : [];
-            result.groups = groups.filter(group => {
-                const candidates = [group.id, group.name];
-                return candidates.some(value => value && String(value).toLowerCase() === groupQuery);
-            });
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching Svenska Cupen standings:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============ EUROPA LEAGUE QUALIFYING ENDPOINTS ============
-// UEFA Europa League Qualifying runs on the SAME ESPN API contract as Allsvenskan
-// (league slug uefa.europa_qual), so these mirror the /api/football/* endpoints,
-// pointed at the 'europa-league-qual' provider with its own cache slots. NOTE: there
-// is no clip source for this competition (FotbollPlay is Allsvenskan-only), so the
-// videos route always returns [], and standings return an empty table (knockout).
-
-/**
- * GET /api/europa-league-qual/games
- * Get Europa League Qualifying fixtures. Supports ?team, ?state, ?upcoming, ?limit.
- */
-app.get('/api/europa-league-qual/games', async (req, res) => {
-    try {
-        let games = getCachedEuropaLeagueQualGames();
-        let usedCache = true;
-
-        if (games) {
-            console.log('[Cache HIT] /api/europa-league-qual/games');
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/europa-league-qual/games - fetching fresh data...');
-            const provider = getProvider('europa-league-qual');
-            games = await provider.fetchAllGames();
-        }
-
-        if (!Array.isArray(games)) {
-            games = [];
-        }
-
-        const getTimeValue = (value) => {
-            const time = new Date(value).getTime();
-            return Number.isNaN(time) ? 0 : time;
-        };
-        games = games.sort((a, b) => getTimeValue(b.startDateTime) - getTimeValue(a.startDateTime));
-
-        const now = new Date();
-        const shouldUseFastCache = shouldUseFastGamesCache(games, now);
-
-        if (!usedCache) {
-            setCachedEuropaLeagueQualGames(games, shouldUseFastCache);
-        } else {
-            setEuropaLeagueQualLiveFlag(shouldUseFastCache);
-        }
-
-        let result = games;
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            const matchesTeam = (teamInfo) => {
-                if (!teamInfo) return false;
-                const candidates = [teamInfo.code, teamInfo.uuid, teamInfo.names?.short, teamInfo.names?.long];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            };
-            result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
-        }
-
-        if (req.query.state) {
-            const stateQuery = String(req.query.state).trim().toLowerCase();
-            result = result.filter(game => game.state === stateQuery);
-        }
-
-        if (req.query.upcoming === 'true') {
-            result = result.filter(game => {
-                const startTime = new Date(game.startDateTime);
-                return !Number.isNaN(startTime.getTime()) && startTime >= now;
-            });
-        }
-
-        if (req.query.limit) {
-            const limit = parseInt(req.query.limit);
-            if (limit > 0) {
-                result = result.slice(0, limit);
-            }
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching Europa League Qualifying schedule:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/europa-league-qual/game/:id/videos
- * No clip source exists for this competition — always returns [].
- */
-app.get('/api/europa-league-qual/game/:id/videos', async (req, res) => {
-    const { id } = req.params;
-    try {
-        const provider = getProvider('europa-league-qual');
-        const videos = await provider.fetchGameVideos(id);
-        res.json(Array.isArray(videos) ? videos : []);
-    } catch (error) {
-        console.error(`Error fetching Europa League Qualifying videos for ${id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/europa-league-qual/game/:id/details
- * Get details for a specific Europa League Qualifying match
- */
-app.get('/api/europa-league-qual/game/:id/details', async (req, res) => {
-    const { id } = req.params;
-
-    const cached = getCachedEuropaLeagueQualDetails(id);
-    if (cached) {
-        console.log(`[Cache HIT] /api/europa-league-qual/game/${id}/details`);
-        return res.json(cached);
-    }
-
-    console.log(`[Cache MISS] /api/europa-league-qual/game/${id}/details - fetching...`);
-
-    try {
-        const provider = getProvider('europa-league-qual');
-        const details = await provider.fetchGameDetails(id);
-
-        if (!details) {
-            return res.status(404).json({ error: 'Game not found' });
-        }
-
-        setCachedEuropaLeagueQualDetails(id, details);
-        res.json(details);
-    } catch (error) {
-        console.error(`Error fetching Europa League Qualifying details for ${id}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-/**
- * GET /api/europa-league-qual/standings
- * Europa League Qualifying is knockout format — returns an empty-but-valid table.
- */
-app.get('/api/europa-league-qual/standings', async (req, res) => {
-    try {
-        const seasonQuery = req.query.season ? String(req.query.season).trim() : null;
-        let standings = getCachedEuropaLeagueQualStandings(seasonQuery);
-
-        if (standings) {
-            console.log('[Cache HIT] /api/europa-league-qual/standings');
-        } else {
-            console.log('[Cache MISS] /api/europa-league-qual/standings - fetching fresh data...');
-            const provider = getProvider('europa-league-qual');
-            standings = await provider.fetchStandings({ season: seasonQuery });
-            const resolvedSeason = standings?.season ? String(standings.season) : null;
-            setCachedEuropaLeagueQualStandings(seasonQuery, standings);
-            if (resolvedSeason && resolvedSeason !== seasonQuery) {
-                setCachedEuropaLeagueQualStandings(resolvedSeason, standings);
-            }
-        }
-
-        res.json(standings);
-    } catch (error) {
-        console.error('Error fetching Europa League Qualifying standings:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ============ CONFERENCE LEAGUE QUALIFYING ENDPOINTS ============
-// UEFA Conference League Qualifying runs on the SAME ESPN API contract as Allsvenskan
-// (league slug uefa.europa.conf_qual — this is where GAIS plays, NOT the Europa
-// League qualifiers), so these mirror the Europa League Qual endpoints with their own
-// cache slots. No clip source (FotbollPlay is Allsvenskan-only) → videos always [];
-// standings return an empty table (knockout).
-
-/**
- * GET /api/conference-league-qual/games
- * Get Conference League Qualifying fixtures. Supports ?team, ?state, ?upcoming, ?limit.
- */
-app.get('/api/conference-league-qual/games', async (req, res) => {
-    try {
-        let games = getCachedConferenceLeagueQualGames();
-        let usedCache = true;
-
-        if (games) {
-            console.log('[Cache HIT] /api/conference-league-qual/games');
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/conference-league-qual/games - fetching fresh data...');
-            const provider = getProvider('conference-league-qual');
-            games = await provider.fetchAllGames();
-        }
-
-        if (!Array.isArray(games)) {
-            games = [];
-        }
-
-        const getTimeValue = (value) => {
-            const time = new Date(value).getTime();
-            return Number.isNaN(time) ? 0 : time;
-        };
-        games = games.sort((a, b) => getTimeValue(b.startDateTime) - getTimeValue(a.startDateTime));
-
-        const now = new Date();
-        const shouldUseFastCache = shouldUseFastGamesCache(games, now);
-
-        if (!usedCache) {
-            setCachedConferenceLeagueQualGames(games, shouldUseFastCache);
+        if (upcoming) {
+            cacheLog.debug('MISS /api/biathlon/races - fetching...');
+            races = await getProvider('biathlon').fetchUpcomingRaces(limit);
         } else {
-            setConferenceLeagueQualLiveFlag(shouldUseFastCache);
+            races = await loadBiathlonRaces();
         }
 
-        let result = games;
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            const matchesTeam = (teamInfo) => {
-                if (!teamInfo) return false;
-                const candidates = [teamInfo.code, teamInfo.uuid, teamInfo.names?.short, teamInfo.names?.long];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            };
-            result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
-        }
-
-        if (req.query.state) {
-            const stateQuery = String(req.query.state).trim().toLowerCase();
-            result = result.filter(game => game.state === stateQuery);
+        // Apply filters
+        if (country) {
+            races = races.filter(r => r.country === country.toUpperCase());
         }
 
-        if (req.query.upcoming === 'true') {
-            result = result.filter(game => {
-                const startTime = new Date(game.startDateTime);
-                return !Number.isNaN(startTime.getTime()) && startTime >= now;
-            });
+        if (discipline) {
+            races = races.filter(r => r.discipline.toLowerCase().includes(discipline.toLowerCase()));
         }
 
-        if (req.query.limit) {
-            const limit = parseInt(req.query.limit);
-            if (limit > 0) {
-                result = result.slice(0, limit);
-            }
+        if (gender) {
+            races = races.filter(r => r.gender === gender);
         }
 
-        res.json(result);
+        res.json(races);
     } catch (error) {
-        console.error('Error fetching Conference League Qualifying schedule:', error);
+        apiLog.error('Error fetching biathlon races:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/conference-league-qual/game/:id/videos
- * No clip source exists for this competition — always returns [].
+ * GET /api/biathlon/schedule
+ * Get upcoming biathlon schedule (convenience endpoint)
  */
-app.get('/api/conference-league-qual/game/:id/videos', async (req, res) => {
-    const { id } = req.params;
+app.get('/api/biathlon/schedule', validateRequest('getBiathlonSchedule'), async (req, res) => {
     try {
-        const provider = getProvider('conference-league-qual');
-        const videos = await provider.fetchGameVideos(id);
-        res.json(Array.isArray(videos) ? videos : []);
+        const provider = getProvider('biathlon');
+        const races = await provider.fetchUpcomingRaces(req.input.query.limit);
+        res.json(races);
     } catch (error) {
-        console.error(`Error fetching Conference League Qualifying videos for ${id}:`, error);
+        apiLog.error('Error fetching biathlon schedule:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/conference-league-qual/game/:id/details
- * Get details for a specific Conference League Qualifying match
+ * GET /api/biathlon/standings
+ * Get World Cup standings
+ * Query params:
+ *   - gender: 'men', 'women', or 'all' (default: 'all')
+ *   - type: 'overall', 'sprint', 'pursuit', 'individual', 'mass-start' (default: 'overall')
  */
-app.get('/api/conference-league-qual/game/:id/details', async (req, res) => {
-    const { id } = req.params;
-
-    const cached = getCachedConferenceLeagueQualDetails(id);
-    if (cached) {
-        console.log(`[Cache HIT] /api/conference-league-qual/game/${id}/details`);
-        return res.json(cached);
-    }
-
-    console.log(`[Cache MISS] /api/conference-league-qual/game/${id}/details - fetching...`);
-
+app.get('/api/biathlon/standings', validateRequest('getBiathlonStandings'), async (req, res) => {
     try {
-        const provider = getProvider('conference-league-qual');
-        const details = await provider.fetchGameDetails(id);
+        const { gender, type } = req.input.query;
 
-        if (!details) {
-            return res.status(404).json({ error: 'Game not found' });
-        }
+        apiLog.debug(`Fetching biathlon standings - gender: ${gender}, type: ${type}`);
 
-        setCachedConferenceLeagueQualDetails(id, details);
-        res.json(details);
+        const provider = getProvider('biathlon');
+        const standings = await provider.fetchStandings({ gender, type });
+
+        res.json(standings);
     } catch (error) {
-        console.error(`Error fetching Conference League Qualifying details for ${id}:`, error);
+        apiLog.error('Error fetching biathlon standings:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * GET /api/conference-league-qual/standings
- * Conference League Qualifying is knockout format — returns an empty-but-valid table.
+ * GET /api/biathlon/race/:id (alias: /api/biathlon/game/:id/details)
+ * Get details for a specific race
  */
-app.get('/api/conference-league-qual/standings', async (req, res) => {
+// Race details are built from the cached race list when it is warm.
+function loadBiathlonRace(id) {
+    return getProvider('biathlon').fetchGameDetails(id, { races: getCachedGames('biathlon') });
+}
+
+app.get(['/api/biathlon/race/:id', '/api/biathlon/game/:id/details'], validateRequest('getBiathlonRace'), async (req, res) => {
     try {
-        const seasonQuery = req.query.season ? String(req.query.season).trim() : null;
-        let standings = getCachedConferenceLeagueQualStandings(seasonQuery);
+        const details = await loadBiathlonRace(req.params.id);
 
-        if (standings) {
-            console.log('[Cache HIT] /api/conference-league-qual/standings');
-        } else {
-            console.log('[Cache MISS] /api/conference-league-qual/standings - fetching fresh data...');
-            const provider = getProvider('conference-league-qual');
-            standings = await provider.fetchStandings({ season: seasonQuery });
-            const resolvedSeason = standings?.season ? String(standings.season) : null;
-            setCachedConferenceLeagueQualStandings(seasonQuery, standings);
-            if (resolvedSeason && resolvedSeason !== seasonQuery) {
-                setCachedConferenceLeagueQualStandings(resolvedSeason, standings);
-            }
+        if (!details) {
+            return res.status(404).json({ error: 'Race not found' });
         }
 
-        res.json(standings);
+        res.json(details);
     } catch (error) {
-        console.error('Error fetching Conference League Qualifying standings:', error);
+        apiLog.error(`Error fetching race details for ${req.params.id}:`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// ============ ADMIN AUTHENTICATION ============
+// Sensitive routes take requireAdmin (session cookie or `Authorization: Bearer` API
+// token); their mutating calls are written to the audit trail. See modules/admin-auth.js.
+
+function sendAuthError(res, error) {
+    if (error instanceof AdminAuthError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    authLog.error('Request failed:', error);
+    res.status(500).json({ error: error.message });
+}
+
 /**
- * GET /api/conference-league-qual/bracket
- * Knockout bracket: two-legged ties grouped by round, with feeder origins
- * ('advanced' -> fromTieKey, or 'seeded') for the app's bracket view.
+ * POST /api/auth/login
+ * { username, password } -> session cookie
  */
-app.get('/api/conference-league-qual/bracket', async (req, res) => {
+app.post('/api/auth/login', validateRequest('login'), (req, res) => {
+    const { username, password } = req.body || {};
+    const attempted = String(username || '').trim().toLowerCase() || null;
+    let session;
     try {
-        let bracket = getCachedBracket('conference-league-qual');
-        if (bracket) {
-            console.log('[Cache HIT] /api/conference-league-qual/bracket');
-        } else {
-            console.log('[Cache MISS] /api/conference-league-qual/bracket - building...');
-            const provider = getProvider('conference-league-qual');
-            bracket = await provider.fetchBracket();
-            setCachedBracket('conference-league-qual', bracket);
-        }
-        res.json(bracket);
+        session = adminAuth.login(username, password);
     } catch (error) {
-        console.error('Error building Conference League Qualifying bracket:', error);
-        res.status(500).json({ error: error.message });
+        return sendAuthError(res, error);
+    }
+
+    if (!session) {
+        auditLog.record({ actor: null, action: 'login failed', status: 401, ip: req.ip, details: { username: attempted } });
+        return res.status(401).json({ error: 'Invalid username or password' });
     }
+
+    auditLog.record({ actor: session.account.username, via: 'session', action: 'login', status: 200, ip: req.ip });
+    res.cookie(ADMIN_SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: ADMIN_SESSION_TTL,
+        path: '/'
+    });
+    res.json({ user: session.account, expiresAt: session.expiresAt });
 });
 
 /**
- * GET /api/europa-league-qual/bracket
- * Knockout bracket for Europa League Qualifying (see conference-league-qual/bracket).
+ * POST /api/auth/logout
  */
-app.get('/api/europa-league-qual/bracket', async (req, res) => {
-    try {
-        let bracket = getCachedBracket('europa-league-qual');
-        if (bracket) {
-            console.log('[Cache HIT] /api/europa-league-qual/bracket');
-        } else {
-            console.log('[Cache MISS] /api/europa-league-qual/bracket - building...');
-            const provider = getProvider('europa-league-qual');
-            bracket = await provider.fetchBracket();
-            setCachedBracket('europa-league-qual', bracket);
-        }
-        res.json(bracket);
-    } catch (error) {
-        console.error('Error building Europa League Qualifying bracket:', error);
-        res.status(500).json({ error: error.message });
+app.post('/api/auth/logout', validateRequest('logout'), (req, res) => {
+    const token = getRequestToken(req);
+    const principal = adminAuth.authenticate(token);
+    if (principal?.via === 'session') {
+        adminAuth.logout(token);
+        auditLog.record({ actor: principal.username, via: 'session', action: 'logout', status: 200, ip: req.ip });
     }
+    res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/' });
+    res.json({ message: 'Logged out' });
 });
 
-// ============ HOCKEYALLSVENSKAN ENDPOINTS ============
-// HockeyAllsvenskan runs on the same platform as the SHL (identical API shapes), so
-// these mirror the SHL /api/games, /videos, /details, /standings endpoints, pointed
-// at the 'hockeyallsvenskan' provider with its own cache slots.
-
 /**
- * GET /api/hockeyallsvenskan/games
- * Get HockeyAllsvenskan schedule/games. Supports ?team, ?state, ?upcoming, ?limit.
+ * GET /api/auth/me
+ * The signed-in account (401 when not signed in)
  */
-app.get('/api/hockeyallsvenskan/games', async (req, res) => {
-    try {
-        let games = getCachedHockeyAllsvenskanGames();
-        let usedCache = true;
-        const provider = getProvider('hockeyallsvenskan');
-
-        if (games) {
-            console.log('[Cache HIT] /api/hockeyallsvenskan/games');
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/hockeyallsvenskan/games - fetching fresh data...');
-            games = await provider.fetchAllGames();
-        }
-
-        if (!Array.isArray(games)) {
-            games = [];
-        }
-
-        const now = new Date();
-        const shouldUseFastCache = shouldUseFastGamesCache(games, now);
-        if (!usedCache) {
-            setCachedHockeyAllsvenskanGames(games, shouldUseFastCache);
-        } else {
-            setHockeyAllsvenskanLiveFlag(shouldUseFastCache);
-        }
-
-        let result = games;
-
-        if (req.query.team) {
-            const teamQuery = String(req.query.team).trim().toLowerCase();
-            const matchesTeam = (teamInfo) => {
-                if (!teamInfo) return false;
-                const candidates = [teamInfo.code, teamInfo.uuid, teamInfo.names?.short, teamInfo.names?.long];
-                return candidates.some(value => value && String(value).toLowerCase() === teamQuery);
-            };
-            result = result.filter(game => matchesTeam(game.homeTeamInfo) || matchesTeam(game.awayTeamInfo));
-        }
-
-        if (req.query.state) {
-            const stateQuery = String(req.query.state).trim().toLowerCase();
-            result = result.filter(game => game.state === stateQuery);
-        }
-
-        if (req.query.upcoming === 'true') {
-            result = result.filter(game => {
-                const startTime = new Date(game.startDateTime);
-                return !Number.isNaN(startTime.getTime()) && startTime >= now;
-            });
-        }
-
-        if (req.query.limit) {
-            const limit = parseInt(req.query.limit);
-            if (limit > 0) {
-                result = result.slice(0, limit);
-            }
-        }
-
-        res.json(result);
-    } catch (error) {
-        console.error('Error fetching HockeyAllsvenskan schedule:', error);
-        res.status(500).json({ error: error.message });
-    }
+app.get('/api/auth/me', requireAdmin, validateRequest('getCurrentUser'), (req, res) => {
+    const account = adminAuth.findAccount(req.admin.username);
+    res.json({ user: adminAuth.formatAccount(account), via: req.admin.via });
 });
 
 /**
- * GET /api/hockeyallsvenskan/game/:id/videos
- * Get videos/highlights for a specific HockeyAllsvenskan game
+ * Admin: accounts and API tokens
  */
-app.get('/api/hockeyallsvenskan/game/:id/videos', async (req, res) => {
-    const { id } = req.params;
-    const cacheKey = `ha-${id}`;
+app.get('/api/admin/users', requireAdmin, validateRequest('listAdminUsers'), (req, res) => {
+    res.json({ users: adminAuth.listAccounts() });
+});
 
-    const cached = getCachedVideos(cacheKey);
-    if (cached) {
-        console.log(`[Cache HIT] /api/hockeyallsvenskan/game/${id}/videos`);
-        return res.json(cached);
+app.post('/api/admin/users', requireAdmin, validateRequest('createAdminUser'), (req, res) => {
+    try {
+        res.status(201).json(adminAuth.createAccount(req.body || {}));
+    } catch (error) {
+        sendAuthError(res, error);
     }
+});
 
-    console.log(`[Cache MISS] /api/hockeyallsvenskan/game/${id}/videos - fetching...`);
-
+app.patch('/api/admin/users/:username', requireAdmin, validateRequest('updateAdminUser'), (req, res) => {
     try {
-        const provider = getProvider('hockeyallsvenskan');
-        const videos = await provider.fetchGameVideos(id);
-        setCachedVideos(cacheKey, videos);
-        res.json(videos);
+        const patch = req.body || {};
+        if (patch.disabled && req.params.username.toLowerCase() === req.admin.username) {
+            throw new AdminAuthError('You cannot disable your own account');
+        }
+        res.json(adminAuth.updateAccount(req.params.username, patch));
     } catch (error) {
-        console.error(`Error fetching HockeyAllsvenskan videos for ${id}:`, error);
-        res.status(500).json({ error: error.message });
+        sendAuthError(res, error);
     }
 });
 
-/**
- * GET /api/hockeyallsvenskan/game/:id/details
- * Get details for a specific HockeyAllsvenskan game
- */
-app.get('/api/hockeyallsvenskan/game/:id/details', async (req, res) => {
-    const { id } = req.params;
-
-    const cached = getCachedHockeyAllsvenskanDetails(id);
-    if (cached) {
-        console.log(`[Cache HIT] /api/hockeyallsvenskan/game/${id}/details`);
-        return res.json(cached);
+app.post('/api/admin/users/:username/tokens', requireAdmin, validateRequest('createAdminToken'), (req, res) => {
+    try {
+        res.status(201).json(adminAuth.createToken(req.params.username, req.body?.name));
+    } catch (error) {
+        sendAuthError(res, error);
     }
+});
 
-    console.log(`[Cache MISS] /api/hockeyallsvenskan/game/${id}/details - fetching...`);
-
+app.delete('/api/admin/users/:username/tokens/:tokenId', requireAdmin, validateRequest('revokeAdminToken'), (req, res) => {
     try {
-        const provider = getProvider('hockeyallsvenskan');
-        const details = await provider.fetchGameDetails(id);
-
-        if (!details) {
-            return res.status(404).json({ error: 'Game not found' });
-        }
-
-        setCachedHockeyAllsvenskanDetails(id, details);
-        res.json(details);
+        adminAuth.revokeToken(req.params.username, req.params.tokenId);
+        res.json({ message: 'API token revoked' });
     } catch (error) {
-        console.error(`Error fetching HockeyAllsvenskan details for ${id}:`, error);
-        res.status(500).json({ error: error.message });
+        sendAuthError(res, error);
     }
 });
 
 /**
- * GET /api/hockeyallsvenskan/standings
- * Get HockeyAllsvenskan league standings (computed from completed games).
- * Query params: ?team, ?top
+ * GET /api/admin/audit
+ * Audit trail, newest first (?limit ?actor ?action)
  */
-app.get('/api/hockeyallsvenskan/standings', async (req, res) => {
-    try {
-        let standings = getCachedHockeyAllsvenskanStandings();
+app.get('/api/admin/audit', requireAdmin, validateRequest('listAuditEntries'), (req, res) => {
+    const { limit, actor, action } = req.input.query;
+    res.json({
+        entries: auditLog.list({
+            limit,
+            actor: actor ? actor.toLowerCase() : null,
+            action: action || null
+        })
+    });
+});
 
-        if (standings) {
-            console.log('[Cache HIT] /api/hockeyallsvenskan/standings');
-        } else {
-            console.log('[Cache MISS] /api/hockeyallsvenskan/standings - fetching fresh data...');
-            const provider = getProvider('hockeyallsvenskan');
-            standings = await provider.fetchStandings();
-            setCachedHockeyAllsvenskanStandings(standings);
-        }
+// ============ LOGGING ============
+// Log levels per module namespace (modules/logger.js). Changes apply immediately and
+// last until restart; LOG_LEVEL / LOG_LEVELS set the levels on boot.
 
-        let result = { ...standings };
+/**
+ * GET /api/admin/logging
+ * Default level, output format and the effective level of every namespace
+ */
+app.get('/api/admin/logging', requireAdmin, validateRequest('getLoggingConfig'), (req, res) => {
+    res.json(logManager.getConfig());
+});
 
-        if (req.query.team) {
-            const teamCode = req.query.team.toUpperCase();
-            result.standings = standings.standings.filter(t => t.teamCode?.toUpperCase() === teamCode);
+/**
+ * PUT /api/admin/logging
+ * { namespace, level } sets a namespace override (level null clears it),
+ * { defaultLevel } changes the level of namespaces without one
+ */
+app.put('/api/admin/logging', requireAdmin, validateRequest('updateLoggingConfig'), (req, res) => {
+    const { namespace, level, defaultLevel } = req.body || {};
+    if (namespace === undefined && defaultLevel === undefined) {
+        return res.status(400).json({ error: 'namespace or defaultLevel is required' });
+    }
+    try {
+        if (defaultLevel !== undefined) {
+            logManager.setDefaultLevel(defaultLevel);
+            log.info(`Default log level set to ${defaultLevel} by ${req.admin.username}`);
         }
-
-        if (req.query.top) {
-            const topN = parseInt(req.query.top);
-            if (topN > 0) {
-                result.standings = result.standings.slice(0, topN);
-            }
+        if (namespace !== undefined) {
+            logManager.setLevel(namespace, level ?? null);
+            log.info(`Log level for ${namespace} ${level ? `set to ${level}` : 'reset to default'} by ${req.admin.username}`);
         }
-
-        res.json(result);
     } catch (error) {
-        console.error('Error fetching HockeyAllsvenskan standings:', error);
-        res.status(500).json({ error: error.message });
+        return res.status(400).json({ error: error.message });
     }
+    res.json(logManager.getConfig());
 });
 
 // ============ SHL/HOCKEY ENDPOINTS ============
@@ -1460,11 +798,11 @@ app.get('/api/hockeyallsvenskan/standings', async (req, res) => {
 /**
  * Admin: list, create, update, delete manual games
  */
-app.get('/api/admin/games', (req, res) => {
+app.get('/api/admin/games', requireAdmin, validateRequest('listAdminGames'), (req, res) => {
     res.json({ games: listAdminGames(teamsByCode) });
 });
 
-app.post('/api/admin/games', (req, res) => {
+app.post('/api/admin/games', requireAdmin, validateRequest('createAdminGame'), (req, res) => {
     try {
         const record = createAdminGame(req.body || {}, teamsByCode);
         res.status(201).json(formatAdminRecord(record, teamsByCode));
@@ -1473,7 +811,7 @@ app.post('/api/admin/games', (req, res) => {
     }
 });
 
-app.patch('/api/admin/games/:id', async (req, res) => {
+app.patch('/api/admin/games/:id', requireAdmin, validateRequest('updateAdminGame'), async (req, res) => {
     try {
         const { sendNotification: shouldSendNotification, ...updatePayload } = req.body || {};
 
@@ -1535,7 +873,7 @@ app.patch('/api/admin/games/:id', async (req, res) => {
                 };
 
                 notificationResult = await pushNotifications.sendGoalNotification(goalData);
-                console.log(`[Admin Games] Goal notification sent for game ${record.id}: ${record.homeScore}-${record.awayScore}`);
+                adminGamesLog.info(`Goal notification sent for game ${record.id}: ${record.homeScore}-${record.awayScore}`);
             }
         }
 
@@ -1548,7 +886,7 @@ app.patch('/api/admin/games/:id', async (req, res) => {
     }
 });
 
-app.delete('/api/admin/games/:id', (req, res) => {
+app.delete('/api/admin/games/:id', requireAdmin, validateRequest('deleteAdminGame'), (req, res) => {
     const deleted = deleteAdminGame(req.params.id);
     if (!deleted) {
         return res.status(404).json({ error: 'Admin game not found' });
@@ -1556,112 +894,195 @@ app.delete('/api/admin/games/:id', (req, res) => {
     res.json({ message: 'Admin game deleted' });
 });
 
-app.get('/api/games', async (req, res) => {
+/**
+ * Admin: outbound webhook subscriptions (see modules/webhooks.js)
+ */
+function sendWebhookError(res, error) {
+    if (error instanceof WebhookValidationError) {
+        return sendAdminError(res, error);
+    }
+    webhooksLog.error('Admin request failed:', error);
+    res.status(500).json({ error: error.message });
+}
+
+app.get('/api/admin/webhooks', requireAdmin, validateRequest('listWebhooks'), (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.list() });
+});
+
+app.get('/api/admin/webhooks/deliveries', requireAdmin, validateRequest('listWebhookDeliveries'), (req, res) => {
+    const { webhook, limit } = req.input.query;
+    res.json({ deliveries: webhooks.getDeliveries({ webhookId: webhook || null, limit }) });
+});
+
+app.post('/api/admin/webhooks', requireAdmin, validateRequest('createWebhook'), (req, res) => {
     try {
-        let baseGames = getCachedGames();
-        let usedCache = true;
-        const provider = getProvider('shl');
+        res.status(201).json(webhooks.create(req.body || {}));
+    } catch (error) {
+        sendWebhookError(res, error);
+    }
+});
 
-        if (baseGames) {
-            console.log('[Cache HIT] /api/games');
-
-            // Check for games that might have transitioned to live since caching
-            // This handles the case where a game was cached as pre-game but has now started
-            const gamesInLiveWindow = baseGames.filter(g => provider.isGameInLiveWindow(g));
-            if (gamesInLiveWindow.length > 0) {
-                console.log(`[Cache] Checking ${gamesInLiveWindow.length} games that may have started...`);
-                const liveCheckResults = await Promise.all(
-                    gamesInLiveWindow.map(async (game) => {
-                        const hasStarted = await provider.checkGameHasStarted(game.uuid);
-                        return { gameId: game.uuid, hasStarted };
-                    })
-                );
-
-                const liveGameIds = new Set(
-                    liveCheckResults.filter(r => r.hasStarted).map(r => r.gameId)
-                );
-
-                if (liveGameIds.size > 0) {
-                    console.log(`[Cache] Found ${liveGameIds.size} games that have transitioned to live`);
-                    baseGames = baseGames.map(game => {
-                        if (liveGameIds.has(game.uuid)) {
-                            return { ...game, state: 'live' };
-                        }
-                        return game;
-                    });
-                }
-            }
+app.patch('/api/admin/webhooks/:id', requireAdmin, validateRequest('updateWebhook'), (req, res) => {
+    try {
+        const updated = webhooks.update(req.params.id, req.body || {});
+        if (!updated) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        sendWebhookError(res, error);
+    }
+});
 
-            // For live games, always fetch fresh scores even on cache hit
-            const hasLiveGames = baseGames.some(g => g.state === 'live');
-            if (hasLiveGames) {
-                console.log('[Cache] Enriching live games with fresh scores...');
-                baseGames = await provider.enrichGames(baseGames);
-            }
-        } else {
-            usedCache = false;
-            console.log('[Cache MISS] /api/games - fetching fresh data...');
-            const games = await provider.fetchAllGames();
+app.delete('/api/admin/webhooks/:id', requireAdmin, validateRequest('deleteWebhook'), (req, res) => {
+    if (!webhooks.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted' });
+});
+
+app.post('/api/admin/webhooks/:id/test', requireAdmin, validateRequest('testWebhook'), async (req, res) => {
+    try {
+        const delivery = await webhooks.sendTest(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        const { body, ...summary } = delivery;
+        res.json(summary);
+    } catch (error) {
+        sendWebhookError(res, error);
+    }
+});
+
+/**
+ * SHL games, newest first: the games cache with live states and scores refreshed,
+ * merged with the manually added games. Shared by /api/games and /api/v2/shl/games.
+ * @returns {Promise<Array>}
+ */
+async function loadShlGames() {
+    let baseGames = getCachedGames('shl');
+    let usedCache = true;
+    const servedStale = Boolean(baseGames) && isCacheStale('shl', 'games');
+    const provider = getProvider('shl');
+
+    if (baseGames) {
+        cacheLog.debug('HIT /api/games');
+
+        // Check for games that might have transitioned to live since caching
+        // This handles the case where a game was cached as pre-game but has now started
+        const gamesInLiveWindow = baseGames.filter(g => provider.isGameInLiveWindow(g));
+        if (gamesInLiveWindow.length > 0) {
+            cacheLog.debug(`Checking ${gamesInLiveWindow.length} games that may have started...`);
+            const liveCheckResults = await Promise.all(
+                gamesInLiveWindow.map(async (game) => {
+                    const hasStarted = await provider.checkGameHasStarted(game.uuid);
+                    return { gameId: game.uuid, hasStarted };
+                })
+            );
 
-            baseGames = games.length
-                ? games.sort((a, b) => new Date(b.startDateTime) - new Date(a.startDateTime))
-                : [];
+            const liveGameIds = new Set(
+                liveCheckResults.filter(r => r.hasStarted).map(r => r.gameId)
+            );
 
-            if (baseGames.length) {
-                baseGames = await provider.enrichGames(baseGames);
+            if (liveGameIds.size > 0) {
+                cacheLog.info(`Found ${liveGameIds.size} games that have transitioned to live`);
+                baseGames = baseGames.map(game => {
+                    if (liveGameIds.has(game.uuid)) {
+                        return { ...game, state: 'live' };
+                    }
+                    return game;
+                });
             }
         }
 
-        const adminGames = getAdminGameSchedule();
-        const combinedGames = mergeGames(baseGames, adminGames);
-        const now = new Date();
-        const hasLiveGame = combinedGames.some(game => game.state === 'live');
-        const hasStartingSoonGame = combinedGames.some(game =>
-            game.state !== 'post-game'
-            && game.state !== 'live'
-            && isGameNearStart(game, now)
-        );
-        const shouldUseFastCache = shouldUseFastGamesCache(combinedGames, now);
-
-        // Always update cache with latest data (including detected live states)
-        setCachedGames(baseGames, shouldUseFastCache);
-        if (!usedCache && shouldUseFastCache) {
-            const reason = hasLiveGame ? 'Live game' : 'Game starting soon';
-            console.log(`[Cache] ${reason} detected - using 15s cache duration`);
+        // For live games, always fetch fresh scores even on cache hit
+        const hasLiveGames = baseGames.some(g => g.state === 'live');
+        if (hasLiveGames) {
+            cacheLog.debug('Enriching live games with fresh scores...');
+            baseGames = await provider.enrichGames(baseGames);
+        }
+    } else {
+        usedCache = false;
+        cacheLog.debug('MISS /api/games - fetching fresh data...');
+        const games = await provider.fetchAllGames();
+
+        baseGames = games.length
+            ? games.sort((a, b) => new Date(b.startDateTime) - new Date(a.startDateTime))
+            : [];
+
+        if (baseGames.length) {
+            baseGames = await provider.enrichGames(baseGames);
         }
+    }
+
+    const adminGames = getAdminGameSchedule();
+    const combinedGames = mergeGames(baseGames, adminGames);
+    const now = new Date();
+    const hasLiveGame = combinedGames.some(game => game.state === 'live');
+    const hasStartingSoonGame = combinedGames.some(game =>
+        game.state !== 'post-game'
+        && game.state !== 'live'
+        && isGameNearStart(game, now)
+    );
+    const shouldUseFastCache = shouldUseFastGamesCache(combinedGames, now);
+
+    // Always update cache with latest data (including detected live states),
+    // except for a restored snapshot entry: re-stamping it would hide that it is
+    // stale from the background refresh.
+    if (servedStale) {
+        setGamesLiveFlag('shl', shouldUseFastCache);
+    } else {
+        setCachedGames('shl', baseGames, shouldUseFastCache);
+        // SHL's only source for the live event stream (games-cache.js skips it): enriched
+        // live scores and started games are fresher than the watchers' schedule fetch.
+        liveEvents.observeGames('shl', baseGames);
+    }
+    if (!usedCache && shouldUseFastCache) {
+        const reason = hasLiveGame ? 'Live game' : 'Game starting soon';
+        cacheLog.debug(`${reason} detected - using 15s cache duration`);
+    }
 
-        res.json(combinedGames);
+    return combinedGames;
+}
 
+app.get(['/api/games', '/api/shl/games'], validateRequest('listShlGames'), async (req, res) => {
+    try {
+        res.json(await loadShlGames());
     } catch (error) {
-        console.error('Error fetching schedule:', error);
+        apiLog.error('Error fetching schedule:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/game/:uuid/videos', async (req, res) => {
-    const { uuid } = req.params;
-
-    const adminGame = getAdminGameById(uuid);
-    if (adminGame) {
-        return res.json([]);
+/**
+ * Clips of an SHL game; manually added games have none.
+ * @param {string} uuid
+ * @returns {Promise<Array>}
+ */
+async function loadShlGameVideos(uuid) {
+    if (getAdminGameById(uuid)) {
+        return [];
     }
 
     // Check cache first
-    const cached = getCachedVideos(uuid);
+    const cached = getCachedVideos('shl', uuid);
     if (cached) {
-        console.log(`[Cache HIT] /api/game/${uuid}/videos`);
-        return res.json(cached);
+        cacheLog.debug(`HIT /api/game/${uuid}/videos`);
+        return cached;
     }
 
-    console.log(`[Cache MISS] /api/game/${uuid}/videos - fetching...`);
+    cacheLog.debug(`MISS /api/game/${uuid}/videos - fetching...`);
+    const videos = await getProvider('shl').fetchGameVideos(uuid);
+    setCachedVideos('shl', uuid, videos);
+    return videos;
+}
 
+app.get(['/api/game/:uuid/videos', '/api/shl/game/:uuid/videos'], validateRequest('listShlGameVideos'), async (req, res) => {
+    const { uuid } = req.params;
     try {
-        const provider = getProvider('shl');
-        const videos = await provider.fetchGameVideos(uuid);
-        setCachedVideos(uuid, videos);
-        res.json(videos);
+        res.json(await loadShlGameVideos(uuid));
     } catch (error) {
-        console.error(`Error processing videos for ${uuid}:`, error);
+        apiLog.error(`Error processing videos for ${uuid}:`, error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -1676,10 +1097,10 @@ app.get('/api/game/:uuid/videos', async (req, res) => {
  * - images.thumbnail: Thumbnail image
  * - images.gif: Animated preview GIF
  */
-app.get('/api/video/:id', async (req, res) => {
+app.get('/api/video/:id', validateRequest('getVideo'), async (req, res) => {
     const { id } = req.params;
 
-    console.log(`[API] Fetching video details for ${id}...`);
+    apiLog.debug(`Fetching video details for ${id}...`);
 
     try {
         const provider = getProvider('shl');
@@ -1691,17 +1112,21 @@ app.get('/api/video/:id', async (req, res) => {
 
         res.json(details);
     } catch (error) {
-        console.error(`Error fetching video details for ${id}:`, error);
+        apiLog.error(`Error fetching video details for ${id}:`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/game/:uuid/details', async (req, res) => {
-    const { uuid } = req.params;
-
+/**
+ * Details of an SHL game. Manually added games get a details skeleton built from
+ * the admin record (no events or stats).
+ * @param {string} uuid
+ * @returns {Promise<Object|null>}
+ */
+async function loadShlGameDetails(uuid) {
     const adminGame = getAdminGameById(uuid);
     if (adminGame) {
-        return res.json({
+        return {
             info: {
                 gameInfo: {
                     gameUuid: adminGame.uuid,
@@ -1730,30 +1155,33 @@ app.get('/api/game/:uuid/details', async (req, res) => {
                 periods: [],
                 all: []
             }
-        });
+        };
     }
 
     // Check cache first
-    const cached = getCachedDetails(uuid);
+    const cached = getCachedDetails('shl', uuid);
     if (cached) {
-        console.log(`[Cache HIT] /api/game/${uuid}/details`);
-        return res.json(cached);
+        cacheLog.debug(`HIT /api/game/${uuid}/details`);
+        return cached;
     }
 
-    console.log(`[Cache MISS] /api/game/${uuid}/details - fetching...`);
+    cacheLog.debug(`MISS /api/game/${uuid}/details - fetching...`);
+    const details = await getProvider('shl').fetchGameDetails(uuid);
+    setCachedDetails('shl', uuid, details);
+    return details;
+}
 
+app.get(['/api/game/:uuid/details', '/api/shl/game/:uuid/details'], validateRequest('getShlGameDetails'), async (req, res) => {
+    const { uuid } = req.params;
     try {
-        const provider = getProvider('shl');
-        const details = await provider.fetchGameDetails(uuid);
-        setCachedDetails(uuid, details);
-        res.json(details);
+        res.json(await loadShlGameDetails(uuid));
     } catch (error) {
-        console.error(`Error fetching game details for ${uuid}:`, error);
+        apiLog.error(`Error fetching game details for ${uuid}:`, error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/status', (req, res) => {
+app.get('/api/status', requireAdmin, validateRequest('getStatus'), (req, res) => {
     const providers = getAvailableSports().reduce((acc, sport) => {
         acc[sport] = getProvider(sport).getName();
         return acc;
@@ -1766,12 +1194,21 @@ app.get('/api/status', (req, res) => {
         },
         providers,
         availableSports: getAvailableSports(),
+        dataProvider: getUpstreamStats(),
+        upstream: upstreamClient.getStatus(),
         notifier: notifier.getStats(),
         scheduler: scheduler.getStats(),
         goalWatcher: goalWatcher.getStats(),
         preGameWatcher: preGameWatcher.getStats(),
+        leaders: leaders.getStats(),
         pushNotifications: pushNotifications.getStats(),
+        liveStream: liveEvents.getStats(),
+        webhooks: webhooks.getStats(),
+        rateLimits: rateLimiter.getStats(),
+        imageCache: imageCache.getStats(),
         cache: getCacheStatus(),
+        cacheSnapshot: cacheSnapshot.getStats(),
+        health: health.getReport(),
         refreshRates: {
             gamesNormal: '60 seconds',
             gamesLive: '15 seconds (live/starting soon)',
@@ -1794,24 +1231,23 @@ app.get('/api/status', (req, res) => {
     });
 });
 
-app.get('/api/activity', (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    res.json(activityLog.getEntries(limit));
+app.get('/api/activity', requireAdmin, validateRequest('listActivity'), (req, res) => {
+    res.json(activityLog.getEntries(req.input.query.limit));
 });
 
-app.post('/api/activity/clear', (req, res) => {
+app.post('/api/activity/clear', requireAdmin, validateRequest('clearActivity'), (req, res) => {
     activityLog.clear();
     res.json({ message: 'Activity log cleared' });
 });
 
-app.post('/api/cache/clear', (req, res) => {
+app.post('/api/cache/clear', requireAdmin, validateRequest('clearCaches'), (req, res) => {
     clearAllCaches();
-    console.log('[Cache] All caches cleared manually');
+    cacheLog.info('All caches cleared manually');
     res.json({ message: 'All caches cleared', timestamp: formatSwedishTimestamp() });
 });
 
-app.post('/api/notifier/check', async (req, res) => {
-    console.log('[API] Manual notifier check triggered');
+app.post('/api/notifier/check', requireAdmin, validateRequest('runNotifierCheck'), async (req, res) => {
+    apiLog.info('Manual notifier check triggered');
     try {
         const games = await notifier.runCheck();
         res.json({
@@ -1828,8 +1264,8 @@ app.post('/api/notifier/check', async (req, res) => {
  * POST /api/biathlon/refresh
  * Force refresh the biathlon schedule
  */
-app.post('/api/biathlon/refresh', async (req, res) => {
-    console.log('[API] Manual biathlon refresh triggered');
+app.post('/api/biathlon/refresh', requireAdmin, validateRequest('refreshBiathlon'), async (req, res) => {
+    apiLog.info('Manual biathlon refresh triggered');
     try {
         const races = await scheduler.forceRefreshBiathlon();
 
@@ -1853,20 +1289,140 @@ app.post('/api/biathlon/refresh', async (req, res) => {
  * GET /api/scheduler/status
  * Get scheduler status and statistics
  */
-app.get('/api/scheduler/status', (req, res) => {
+app.get('/api/scheduler/status', requireAdmin, validateRequest('getSchedulerStatus'), (req, res) => {
     res.json({
         timestamp: formatSwedishTimestamp(),
         scheduler: scheduler.getStats()
     });
 });
 
+// ============ PROMETHEUS METRICS ============
+// Counters recorded where things happen live in modules/metrics.js. The metrics
+// below read state that is already kept elsewhere, at scrape time.
+
+metrics.counter({
+    name: 'gamepulse_cache_requests_total',
+    help: 'Cache lookups per namespace (e.g. shl:games) by result (hit, miss).',
+    labelNames: ['namespace', 'result'],
+    collect: metric => {
+        for (const status of getCacheStatus().namespaces) {
+            metric.set({ namespace: status.id, result: 'hit' }, status.hits);
+            metric.set({ namespace: status.id, result: 'miss' }, status.misses);
+        }
+    }
+});
+
+metrics.counter({
+    name: 'gamepulse_cache_evictions_total',
+    help: 'Entries evicted from a cache namespace by its size bound.',
+    labelNames: ['namespace'],
+    collect: metric => getCacheStatus().namespaces.forEach(status => metric.set({ namespace: status.id }, status.evictions))
+});
+
+metrics.gauge({
+    name: 'gamepulse_cache_age_seconds',
+    help: 'Age of the newest entry in a cache namespace (absent when empty).',
+    labelNames: ['namespace'],
+    collect: metric => getCacheStatus().namespaces
+        .filter(status => status.ageSeconds !== null)
+        .forEach(status => metric.set({ namespace: status.id }, status.ageSeconds))
+});
+
+metrics.gauge({
+    name: 'gamepulse_cache_ttl_seconds',
+    help: 'Current TTL of a cache namespace (games lists shorten while live).',
+    labelNames: ['namespace'],
+    collect: metric => getCacheStatus().namespaces.forEach(status => metric.set({ namespace: status.id }, status.ttlSeconds))
+});
+
+metrics.gauge({
+    name: 'gamepulse_live_games',
+    help: 'Games currently live in the cached games list of each sport.',
+    labelNames: ['sport'],
+    collect: metric => {
+        for (const namespace of listCacheNamespaces({ resource: 'games' })) {
+            const games = namespace.peek()?.data;
+            const live = Array.isArray(games) ? games.filter(game => game.state === 'live').length : 0;
+            metric.set({ sport: namespace.sport }, live);
+        }
+    }
+});
+
+metrics.gauge({
+    name: 'gamepulse_upstream_circuit_open',
+    help: 'Whether the circuit breaker for an upstream host is open or half-open (1) or closed (0).',
+    labelNames: ['host'],
+    collect: metric => upstreamClient.getStatus().hosts
+        .forEach(host => metric.set({ host: host.host }, host.breaker === 'closed' ? 0 : 1))
+});
+
+metrics.counter({
+    name: 'gamepulse_upstream_retries_total',
+    help: 'Retried upstream attempts per host.',
+    labelNames: ['host'],
+    collect: metric => upstreamClient.getStatus().hosts.forEach(host => metric.set({ host: host.host }, host.retries))
+});
+
+metrics.gauge({
+    name: 'gamepulse_fcm_configured',
+    help: 'Whether Firebase Cloud Messaging credentials are configured (1) or not (0).',
+    collect: metric => metric.set({}, pushNotifications.isConfigured() ? 1 : 0)
+});
+
+metrics.gauge({
+    name: 'gamepulse_live_stream_clients',
+    help: 'Connected /api/live/stream clients.',
+    collect: metric => metric.set({}, liveEvents.getStats().clients)
+});
+
+metrics.counter({
+    name: 'gamepulse_rate_limited_requests_total',
+    help: 'Requests answered 429 per rate limit bucket (read, upstream, image).',
+    labelNames: ['bucket'],
+    collect: metric => Object.entries(rateLimiter.getStats().buckets)
+        .forEach(([bucket, stats]) => metric.set({ bucket }, stats.limited))
+});
+
+metrics.counter({
+    name: 'gamepulse_image_cache_requests_total',
+    help: 'Image proxy disk cache lookups by result (hit, miss).',
+    labelNames: ['result'],
+    collect: metric => {
+        const stats = imageCache.getStats();
+        metric.set({ result: 'hit' }, stats.hits);
+        metric.set({ result: 'miss' }, stats.misses);
+    }
+});
+
+metrics.gauge({
+    name: 'gamepulse_image_cache_bytes',
+    help: 'Bytes stored in the image proxy disk cache.',
+    collect: metric => metric.set({}, imageCache.getStats().bytes)
+});
+
+/**
+ * GET /metrics
+ * Prometheus text format. Scrape with an admin API token (Authorization: Bearer).
+ */
+app.get('/metrics', requireAdmin, validateRequest('getMetrics'), async (req, res) => {
+    try {
+        const body = await metrics.render();
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.set('Cache-Control', 'no-store');
+        res.send(body);
+    } catch (error) {
+        metricsLog.error('Failed to render metrics:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ============ PUSH NOTIFICATION ENDPOINTS ============
 
 /**
  * GET /api/notifications/status
  * Get push notification service status
  */
-app.get('/api/notifications/status', (req, res) => {
+app.get('/api/notifications/status', requireAdmin, validateRequest('getNotificationStatus'), (req, res) => {
     res.json({
         timestamp: formatSwedishTimestamp(),
         pushNotifications: pushNotifications.getStats(),
@@ -1879,8 +1435,8 @@ app.get('/api/notifications/status', (req, res) => {
  * POST /api/notifications/test
  * Send a test notification (for debugging)
  */
-app.post('/api/notifications/test', async (req, res) => {
-    console.log('[API] Test notification triggered');
+app.post('/api/notifications/test', requireAdmin, validateRequest('sendTestNotification'), async (req, res) => {
+    apiLog.info('Test notification triggered');
 
     if (!pushNotifications.isConfigured()) {
         return res.status(503).json({
@@ -1907,8 +1463,8 @@ app.post('/api/notifications/test', async (req, res) => {
  * POST /api/notifications/goal-test
  * Send a simulated goal notification
  */
-app.post('/api/notifications/goal-test', async (req, res) => {
-    console.log('[API] Goal notification test triggered');
+app.post('/api/notifications/goal-test', requireAdmin, validateRequest('sendGoalTestNotification'), async (req, res) => {
+    apiLog.info('Goal notification test triggered');
 
     if (!pushNotifications.isConfigured()) {
         return res.status(503).json({
@@ -2001,8 +1557,8 @@ app.post('/api/notifications/goal-test', async (req, res) => {
  * POST /api/goal-watcher/check
  * Manually trigger a goal check
  */
-app.post('/api/goal-watcher/check', async (req, res) => {
-    console.log('[API] Manual goal watcher check triggered');
+app.post('/api/goal-watcher/check', requireAdmin, validateRequest('runGoalWatcherCheck'), async (req, res) => {
+    apiLog.info('Manual goal watcher check triggered');
 
     try {
         const results = await goalWatcher.runCheck();
@@ -2020,8 +1576,8 @@ app.post('/api/goal-watcher/check', async (req, res) => {
  * POST /api/pre-game-watcher/check
  * Manually trigger a pre-game notification check
  */
-app.post('/api/pre-game-watcher/check', async (req, res) => {
-    console.log('[API] Manual pre-game watcher check triggered');
+app.post('/api/pre-game-watcher/check', requireAdmin, validateRequest('runPreGameWatcherCheck'), async (req, res) => {
+    apiLog.info('Manual pre-game watcher check triggered');
 
     try {
         const results = await preGameWatcher.runCheck();
@@ -2039,8 +1595,8 @@ app.post('/api/pre-game-watcher/check', async (req, res) => {
  * POST /api/notifications/pre-game-test
  * Send a test pre-game/event start notification
  */
-app.post('/api/notifications/pre-game-test', async (req, res) => {
-    console.log('[API] Pre-game notification test triggered');
+app.post('/api/notifications/pre-game-test', requireAdmin, validateRequest('sendPreGameTestNotification'), async (req, res) => {
+    apiLog.info('Pre-game notification test triggered');
 
     if (!pushNotifications.isConfigured()) {
         return res.status(503).json({
@@ -2142,16 +1698,8 @@ app.post('/api/notifications/pre-game-test', async (req, res) => {
  * Register a device and subscribe to topics
  * Body: { token, topics: [], platform: 'ios'|'android' }
  */
-app.post('/api/fcm/register', async (req, res) => {
-    const { token, topics = [], platform = 'unknown' } = req.body || {};
-
-    if (!token) {
-        return res.status(400).json({ error: 'token is required' });
-    }
-
-    if (!Array.isArray(topics)) {
-        return res.status(400).json({ error: 'topics must be an array' });
-    }
+app.post('/api/fcm/register', validateRequest('registerDevice'), async (req, res) => {
+    const { token, topics = [], platform = 'unknown' } = req.input.body;
 
     try {
         const result = await pushNotifications.registerDevice(token, topics, { platform });
@@ -2170,12 +1718,8 @@ app.post('/api/fcm/register', async (req, res) => {
  * Unregister a device
  * Body: { token }
  */
-app.post('/api/fcm/unregister', async (req, res) => {
-    const { token } = req.body || {};
-
-    if (!token) {
-        return res.status(400).json({ error: 'token is required' });
-    }
+app.post('/api/fcm/unregister', validateRequest('unregisterDevice'), async (req, res) => {
+    const { token } = req.input.body;
 
     try {
         const result = await pushNotifications.unregisterDevice(token);
@@ -2193,7 +1737,7 @@ app.post('/api/fcm/unregister', async (req, res) => {
  * GET /api/fcm/subscribers
  * Get subscriber stats for admin dashboard
  */
-app.get('/api/fcm/subscribers', (req, res) => {
+app.get('/api/fcm/subscribers', requireAdmin, validateRequest('getSubscriberStats'), (req, res) => {
     const stats = pushNotifications.getSubscriberStats();
     res.json({
         timestamp: formatSwedishTimestamp(),
@@ -2205,7 +1749,7 @@ app.get('/api/fcm/subscribers', (req, res) => {
  * GET /api/fcm/topics
  * Get topic list with subscriber counts
  */
-app.get('/api/fcm/topics', (req, res) => {
+app.get('/api/fcm/topics', requireAdmin, validateRequest('listTopics'), (req, res) => {
     const stats = pushNotifications.getSubscriberStats();
     res.json({
         timestamp: formatSwedishTimestamp(),
@@ -2217,7 +1761,7 @@ app.get('/api/fcm/topics', (req, res) => {
  * GET /api/fcm/topics/:topic
  * Get details for a specific topic
  */
-app.get('/api/fcm/topics/:topic', (req, res) => {
+app.get('/api/fcm/topics/:topic', requireAdmin, validateRequest('getTopic'), (req, res) => {
     const topicName = req.params.topic;
     const details = pushNotifications.getTopicDetails(topicName);
     res.json({
@@ -2230,9 +1774,8 @@ app.get('/api/fcm/topics/:topic', (req, res) => {
  * GET /api/fcm/errors
  * Get FCM error log for admin dashboard
  */
-app.get('/api/fcm/errors', (req, res) => {
-    const limit = parseInt(req.query.limit) || 50;
-    const errorLog = pushNotifications.getErrorLog(limit);
+app.get('/api/fcm/errors', requireAdmin, validateRequest('listFcmErrors'), (req, res) => {
+    const errorLog = pushNotifications.getErrorLog(req.input.query.limit);
     res.json({
         timestamp: formatSwedishTimestamp(),
         ...errorLog
@@ -2243,7 +1786,7 @@ app.get('/api/fcm/errors', (req, res) => {
  * POST /api/fcm/errors/clear
  * Clear the FCM error log
  */
-app.post('/api/fcm/errors/clear', (req, res) => {
+app.post('/api/fcm/errors/clear', requireAdmin, validateRequest('clearFcmErrors'), (req, res) => {
     const result = pushNotifications.clearErrorLog();
     res.json({
         timestamp: formatSwedishTimestamp(),
@@ -2251,35 +1794,106 @@ app.post('/api/fcm/errors/clear', (req, res) => {
     });
 });
 
+// ============ API V2 ============
+// /api/v2: the same data as the v1 routes, always wrapped in { data, meta } with
+// coded errors (see modules/api-v2.js). The v1 routes above stay frozen.
+app.use('/api/v2', createApiV2Router({
+    aliases: { football: 'allsvenskan' },
+    listSports: describeSports,
+    loadTeamsIndex,
+    teamsIndexSports: TEAMS_INDEX_LEAGUES,
+    sources: {
+        shl: { games: loadShlGames, details: loadShlGameDetails, videos: loadShlGameVideos },
+        biathlon: { games: loadBiathlonRaces, details: loadBiathlonRace }
+    }
+}));
+
+// ============ UNIFIED SCHEDULE ============
+// /api/schedule: every sport merged, normalised and grouped for the app's home screen
+// (see modules/schedule.js). SHL and biathlon read through the same loaders as above.
+app.use('/api/schedule', createScheduleRouter({
+    sources: { shl: loadShlGames, biathlon: loadBiathlonRaces }
+}));
+
+// ============ TEAM OVERVIEW ============
+// /api/teams/:key/overview: a club's fixtures across leagues, form, next game, table
+// positions and latest clip (see modules/team-overview.js).
+app.use('/api/teams', createTeamOverviewRouter({
+    loadTeamsIndex,
+    sources: { shl: loadShlGames }
+}));
+
+// ============ HEAD TO HEAD ============
+// /api/h2h?sport&teamA&teamB: finished meetings of two teams, including past seasons
+// where the provider has them (see modules/head-to-head.js).
+app.use('/api/h2h', createHeadToHeadRouter({
+    aliases: { football: 'allsvenskan' },
+    sources: { shl: loadShlGames }
+}));
+
+// ============ SCORING LEADERS ============
+// /api/:sport/leaders: season goals/assists/points leaders, built in the background
+// from finished games' play-by-play (see modules/leaders.js).
+app.use('/api', leaders.createLeadersRouter({ aliases: { football: 'allsvenskan' } }));
+
+// ============ CALENDAR FEEDS ============
+// Subscribable iCalendar feeds built from the cached game lists
+// (see modules/calendar.js): /api/calendar/team/:code.ics, /api/calendar/:sport.ics.
+app.use('/api/calendar', createCalendarRouter({
+    aliases: { football: 'allsvenskan' },
+    sources: { shl: loadShlGames }
+}));
+
+// ============ HIGHLIGHT FEEDS ============
+// Atom feeds of new highlight and goal clips recorded by the notifier
+// (see modules/highlight-feed.js): /api/feeds/highlights.xml and per-sport/team variants.
+app.use('/api/feeds', createFeedsRouter({ aliases: { football: 'allsvenskan' } }));
+
+// ============ SPREADSHEET EXPORTS ============
+// Excel workbooks of games, standings, hockey goals and biathlon results
+// (see modules/workbook-export.js): /api/export/:sport.xlsx.
+app.use('/api/export', createExportRouter({
+    aliases: { football: 'allsvenskan' },
+    sources: { shl: loadShlGames }
+}));
+
+// ============ GENERIC SPORT ENDPOINTS ============
+// /api/:sport/games, /game/:id/videos, /game/:id/details, /standings, /bracket for
+// every registered provider (see modules/sport-routes.js). Mounted last so the
+// bespoke SHL and biathlon handlers above take precedence. /api/football/* is the
+// legacy prefix for Allsvenskan.
+app.use('/api', createSportRouter({ aliases: { football: 'allsvenskan' } }));
+
 // ============ START SERVER ============
 app.listen(PORT, () => {
     const providerNames = getAvailableSports().map(sport => getProvider(sport).getName());
 
-    console.log(`\n========================================`);
-    console.log(`  GamePulse API Server`);
-    console.log(`========================================`);
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Available sports: ${getAvailableSports().join(', ')}`);
-    console.log(`Providers: ${providerNames.join(', ')}`);
-    console.log(`Started at: ${formatSwedishTimestamp()}`);
-    console.log(`\nCache durations:`);
-    console.log(`  - Games: 60s (15s during live/starting soon games)`);
-    console.log(`  - Details: 30s`);
-    console.log(`  - Videos: 60s`);
-    console.log(`  - Standings: 5 minutes`);
-    console.log(`  - Biathlon: 30 minutes`);
-    console.log(`\nNotifier check intervals:`);
-    console.log(`  - Normal: 5 minutes`);
-    console.log(`  - Live games: 30 seconds`);
-    console.log(`\nScheduler intervals:`);
-    console.log(`  - Biathlon refresh: 1 hour`);
-    console.log(`\nGoal Watcher:`);
-    console.log(`  - Check interval: 15 seconds (live games)`);
-    console.log(`  - Push notifications (FCM): ${pushNotifications.isConfigured() ? 'Configured' : 'Not configured (set GOOGLE_APPLICATION_CREDENTIALS or FIREBASE_* env vars)'}`);
-    console.log(`\nPre-Game Watcher:`);
-    console.log(`  - Schedule: Daily at 6:00 AM (Stockholm time)`);
-    console.log(`  - Reminder: ${PRE_GAME_REMINDER_MINUTES} minutes before start`);
-    console.log(`========================================\n`);
+    log.info(`GamePulse API Server running at http://localhost:${PORT}`);
+    log.info(`Available sports: ${getAvailableSports().join(', ')}`);
+    log.info(`Providers: ${providerNames.join(', ')}`);
+    const upstreamMode = getUpstreamStats().mode;
+    log.info(`Upstream data: ${upstreamMode}${upstreamMode === 'live' ? '' : ` (${FIXTURES_DIR})`}`);
+    log.info('Cache durations: games 60s (15s during live/starting soon games), details 30s, videos 60s, standings 5 minutes, biathlon 30 minutes');
+    const rateLimits = rateLimiter.getStats();
+    if (rateLimits.enabled) {
+        const limits = Object.entries(rateLimits.buckets).map(([bucket, stats]) => `${bucket} ${stats.limitPerMinute}`);
+        log.info(`Rate limits (requests per minute per client): ${limits.join(', ')}, API keys: ${rateLimits.apiKeys} (x${rateLimits.apiKeyMultiplier})`);
+    } else {
+        log.info('Rate limits: disabled (RATE_LIMIT_ENABLED=false)');
+    }
+    log.info(`Push notifications (FCM): ${pushNotifications.isConfigured() ? 'configured' : 'not configured (set GOOGLE_APPLICATION_CREDENTIALS or FIREBASE_* env vars)'}`);
+    log.info(`Pre-game reminders: ${PRE_GAME_REMINDER_MINUTES} minutes before start, scheduled daily at 6:00 (Stockholm time)`);
+
+    try {
+        if (adminAuth.ensureBootstrapAccount(ADMIN_USERNAME, ADMIN_PASSWORD)) {
+            authLog.info(`Created admin account "${ADMIN_USERNAME.toLowerCase()}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+        }
+    } catch (error) {
+        authLog.error(`Could not create bootstrap account: ${error.message}`);
+    }
+    if (!adminAuth.hasAccounts()) {
+        authLog.warn('No admin accounts exist - set ADMIN_USERNAME and ADMIN_PASSWORD to sign in to /admin');
+    }
 
     // Start the notifier loop after server is ready
     notifier.startLoop();
@@ -2292,7 +1906,27 @@ app.listen(PORT, () => {
 
     // Start the pre-game watcher for upcoming game reminders
     preGameWatcher.startLoop();
+
+    // Build scoring leaders from newly finished games' play-by-play
+    leaders.startLoop();
+
+    // Forward goals, finals, highlights and reminders to webhook subscribers
+    webhooks.start();
+
+    // Snapshot warm caches periodically and refresh anything restored on boot
+    cacheSnapshot.startLoop();
+
+    health.markStarted();
 });
 
+// Write a final cache snapshot so the next boot starts warm
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        log.info(`${signal} received - saving cache snapshot...`);
+        cacheSnapshot.saveSnapshot();
+        process.exit(0);
+    });
+}
+
 // Export for testing
 module.exports = { app };
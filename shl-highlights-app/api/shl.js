@@ -25,11 +25,14 @@ const API_BASE_URL = getApiBaseUrl();
  *   through unchanged.
  * - data:/file: URIs pass through unchanged (nothing to proxy).
  * - Everything else is rewritten to `${API_BASE_URL}/api/img?url=<encoded>`.
+ *   Pass `width` / `height` (physical pixels) to get a PNG scaled to fit that box
+ *   instead of the full-size original.
  *
  * @param {string|null|undefined} url
+ * @param {{ width?: number, height?: number }} [size]
  * @returns {string|null}
  */
-export function resolveMediaUrl(url) {
+export function resolveMediaUrl(url, size = {}) {
     if (typeof url !== 'string') {
         return null;
     }
@@ -49,7 +52,15 @@ export function resolveMediaUrl(url) {
     if (trimmed.startsWith(API_BASE_URL)) {
         return trimmed;
     }
-    return `${API_BASE_URL}/api/img?url=${encodeURIComponent(trimmed)}`;
+    const params = [`url=${encodeURIComponent(trimmed)}`];
+    // The proxy accepts 1-1024 px
+    if (size.width) {
+        params.push(`w=${Math.min(1024, Math.max(1, Math.round(size.width)))}`);
+    }
+    if (size.height) {
+        params.push(`h=${Math.min(1024, Math.max(1, Math.round(size.height)))}`);
+    }
+    return `${API_BASE_URL}/api/img?${params.join('&')}`;
 }
 
 // Team data cache
@@ -624,6 +635,53 @@ export async function fetchBracket(sport) {
     }
 }
 
+/**
+ * Fetch the season scoring leaders of a hockey league ('shl' or 'hockeyallsvenskan'),
+ * built by the API from finished games' play-by-play.
+ * @param {string} sport
+ * @param {Object} options - Optional filters
+ * @param {string} options.team - Only players of this team code
+ * @param {number} options.limit - Players per list (default 20)
+ * @returns {Promise<Object>} { points, goals, assists, gamesCounted, updatedAt }
+ */
+export async function fetchLeaders(sport, options = {}) {
+    try {
+        const params = new URLSearchParams();
+        if (options.team) params.append('team', options.team);
+        if (options.limit) params.append('limit', options.limit);
+
+        const url = `${API_BASE_URL}/api/${sport}/leaders${params.toString() ? '?' + params.toString() : ''}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching leaders for ${sport}:`, error.message);
+        return { points: [], goals: [], assists: [], gamesCounted: 0, updatedAt: null };
+    }
+}
+
+/**
+ * Fetch the head-to-head history of two teams (past meetings plus wins, draws,
+ * losses and goals, overall and home/away). `sport` is 'shl', 'hockeyallsvenskan',
+ * 'allsvenskan' or 'svenska-cupen'; teams are codes or names.
+ * @returns {Promise<Object|null>} { teamA, teamB, played, draws, meetings } or null
+ */
+export async function fetchHeadToHead(sport, teamA, teamB) {
+    try {
+        const params = new URLSearchParams({ sport, teamA, teamB });
+        const response = await fetch(`${API_BASE_URL}/api/h2h?${params.toString()}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching head-to-head ${teamA}-${teamB}:`, error.message);
+        return null;
+    }
+}
+
 // ============ BIATHLON API ============
 
 /**
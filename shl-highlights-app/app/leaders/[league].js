@@ -0,0 +1,24 @@
+import { useLocalSearchParams } from 'expo-router';
+import { LeagueLeadersScreen } from '../../components/LeagueLeadersScreen';
+import { getLeagueBySlug, getTeamFamilyForSport } from '../../constants/teamFamilies';
+
+const normalizeParam = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Scoring leaders route: /leaders/<league-slug>?team=<code>
+ *
+ * `league` is a hockey league slug ('shl' | 'hockeyallsvenskan'). The optional
+ * `team` query param highlights that team's players.
+ */
+export default function LeadersRoute() {
+    const { league: leagueParam, team } = useLocalSearchParams();
+    const slug = normalizeParam(leagueParam);
+
+    return (
+        <LeagueLeadersScreen
+            league={getLeagueBySlug(slug)}
+            family={getTeamFamilyForSport(slug)}
+            highlightTeamCode={normalizeParam(team)}
+        />
+    );
+}
@@ -0,0 +1,136 @@
+import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { formatSwedishDate } from '../utils';
+import { StatBar } from './StatBar';
+
+const MAX_MEETINGS = 10;
+
+const formatRecord = (record) => (record ? `${record.wins}W ${record.draws}D ${record.losses}L` : '-');
+
+const getTeamLabel = (teamInfo) => teamInfo?.code || teamInfo?.names?.short || teamInfo?.names?.long || '-';
+// SHL meetings carry the score on the team result, football ones on the team info.
+const getScore = (result, teamInfo) => result?.score ?? teamInfo?.score ?? '-';
+
+/**
+ * Pre-game head-to-head: the record of the game's home team (teamA) against the
+ * away team (teamB) from /api/h2h, split by venue, and their latest meetings.
+ */
+export const HeadToHeadPanel = ({ data, loading, homeName, awayName, homeColor, awayColor }) => {
+    const { colors } = useTheme();
+    const themedStyles = createStyles(colors);
+
+    if (loading) {
+        return <ActivityIndicator size="large" color={colors.accent} style={{ marginTop: 24 }} />;
+    }
+    if (!data) {
+        return <Text style={themedStyles.emptyText}>Head-to-head history unavailable</Text>;
+    }
+    if (data.played === 0) {
+        return <Text style={themedStyles.emptyText}>No previous meetings found</Text>;
+    }
+
+    const { teamA, teamB } = data;
+    const meetings = data.meetings.slice(0, MAX_MEETINGS);
+
+    return (
+        <>
+            <View style={themedStyles.sectionCard}>
+                <View style={themedStyles.titleRow}>
+                    <Ionicons name="git-compare-outline" size={20} color={colors.accent} />
+                    <Text style={themedStyles.sectionTitle}>Head to Head</Text>
+                </View>
+                <Text style={themedStyles.subtitle}>
+                    {data.played} {data.played === 1 ? 'meeting' : 'meetings'}, {data.draws} {data.draws === 1 ? 'draw' : 'draws'}
+                </Text>
+                <StatBar label="Wins" homeValue={teamA.wins} awayValue={teamB.wins} homeColor={homeColor} awayColor={awayColor} />
+                <StatBar label="Goals" homeValue={teamA.goalsFor} awayValue={teamB.goalsFor} homeColor={homeColor} awayColor={awayColor} />
+                <View style={themedStyles.detailRow}>
+                    <Text style={themedStyles.detailLabel}>{homeName} at home</Text>
+                    <Text style={themedStyles.detailValue}>{formatRecord(teamA.home)}</Text>
+                </View>
+                <View style={[themedStyles.detailRow, { borderBottomWidth: 0 }]}>
+                    <Text style={themedStyles.detailLabel}>{awayName} at home</Text>
+                    <Text style={themedStyles.detailValue}>{formatRecord(teamB.home)}</Text>
+                </View>
+            </View>
+
+            <View style={themedStyles.sectionCard}>
+                <Text style={[themedStyles.sectionTitle, { marginBottom: 8 }]}>Previous Meetings</Text>
+                {meetings.map((meeting, index) => (
+                    <View
+                        key={meeting.uuid || meeting.id || index}
+                        style={[themedStyles.detailRow, index === meetings.length - 1 && { borderBottomWidth: 0 }]}
+                    >
+                        <Text style={themedStyles.meetingDate}>{formatSwedishDate(meeting.startDateTime, 'd MMM yyyy')}</Text>
+                        <Text style={themedStyles.meetingResult} numberOfLines={1}>
+                            {getTeamLabel(meeting.homeTeamInfo)} {getScore(meeting.homeTeamResult, meeting.homeTeamInfo)}–{getScore(meeting.awayTeamResult, meeting.awayTeamInfo)} {getTeamLabel(meeting.awayTeamInfo)}
+                        </Text>
+                    </View>
+                ))}
+            </View>
+        </>
+    );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+    sectionCard: {
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 16
+    },
+    titleRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        marginBottom: 4
+    },
+    sectionTitle: {
+        color: colors.text,
+        fontSize: 18,
+        fontWeight: '700'
+    },
+    subtitle: {
+        color: colors.textSecondary,
+        fontSize: 14,
+        marginBottom: 16
+    },
+    emptyText: {
+        color: colors.textMuted,
+        fontSize: 16,
+        textAlign: 'center',
+        padding: 20
+    },
+    detailRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: colors.separator
+    },
+    detailLabel: {
+        color: colors.textSecondary,
+        fontSize: 14,
+        flex: 1
+    },
+    detailValue: {
+        color: colors.text,
+        fontSize: 14,
+        fontWeight: '600',
+        textAlign: 'right'
+    },
+    meetingDate: {
+        color: colors.textSecondary,
+        fontSize: 13,
+        width: 96
+    },
+    meetingResult: {
+        color: colors.text,
+        fontSize: 14,
+        fontWeight: '600',
+        flex: 1,
+        textAlign: 'right'
+    }
+});
@@ -0,0 +1,194 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ActivityIndicator, Image, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter } from 'expo-router';
+
+import { useTheme } from '../contexts';
+import { TabButton } from './TabButton';
+import { fetchLeaders, getTeamLogoUrl } from '../api/shl';
+import { formatSwedishDate } from '../utils';
+
+const LEADER_CATEGORIES = [
+    { key: 'points', title: 'Points', icon: 'star-outline' },
+    { key: 'goals', title: 'Goals', icon: 'flame-outline' },
+    { key: 'assists', title: 'Assists', icon: 'people-outline' }
+];
+const LEADERS_LIMIT = 50;
+
+/**
+ * Season scoring leaders of a hockey league, reachable from the standings page.
+ * The API builds the lists in the background from finished games' play-by-play;
+ * a player's team is the one of their latest game. Tapping a row opens that
+ * team's page.
+ */
+export function LeagueLeadersScreen({ league, family, highlightTeamCode }) {
+    const router = useRouter();
+    const { colors, isDark } = useTheme();
+    const [category, setCategory] = useState('points');
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        if (!league || !league.hasLeaders) {
+            setError('No scoring leaders available for this league.');
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        setError(null);
+        try {
+            setData(await fetchLeaders(league.slug, { limit: LEADERS_LIMIT }));
+        } catch (loadError) {
+            setError(loadError.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [league]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const navigateToTeam = useCallback((teamCode) => {
+        if (!teamCode || !family) {
+            return;
+        }
+        router.push(`/team/${family.family}/${encodeURIComponent(String(teamCode).toUpperCase())}`);
+    }, [router, family]);
+
+    const highlight = highlightTeamCode ? String(highlightTeamCode).toUpperCase() : null;
+    const rows = Array.isArray(data?.[category]) ? data[category] : [];
+    const lastUpdated = data?.updatedAt ? formatSwedishDate(data.updatedAt, 'd MMM HH:mm') : null;
+
+    const renderValue = (player, key) => (
+        <Text
+            style={[
+                styles.cell,
+                styles.colStat,
+                { color: key === category ? colors.text : colors.textSecondary },
+                key === category && styles.cellActive
+            ]}
+        >
+            {player[key]}
+        </Text>
+    );
+
+    return (
+        <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]} edges={['top', 'left', 'right']}>
+            <LinearGradient colors={[colors.gradientStart, colors.gradientEnd]} style={StyleSheet.absoluteFill} />
+            <View style={styles.topBar}>
+                <TouchableOpacity
+                    style={[styles.backButton, { backgroundColor: colors.card, borderColor: colors.cardBorder }]}
+                    onPress={() => router.back()}
+                >
+                    <Ionicons name="chevron-back" size={18} color={colors.textSecondary} />
+                </TouchableOpacity>
+                <View style={[styles.titleBox, { backgroundColor: colors.card, borderColor: colors.cardBorder }]}>
+                    <Text style={[styles.topTitle, { color: colors.text }]} numberOfLines={1}>
+                        {league ? `${league.label} Leaders` : 'Leaders'}
+                    </Text>
+                </View>
+            </View>
+
+            <View style={[styles.categoryBar, { backgroundColor: colors.card, borderColor: colors.cardBorder }]}>
+                {LEADER_CATEGORIES.map((entry) => (
+                    <TabButton
+                        key={entry.key}
+                        title={entry.title}
+                        icon={entry.icon}
+                        isActive={category === entry.key}
+                        onPress={() => setCategory(entry.key)}
+                    />
+                ))}
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.accent} style={styles.loader} />
+            ) : error ? (
+                <View style={styles.message}><Text style={{ color: colors.textMuted }}>{error}</Text></View>
+            ) : (
+                <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+                    {lastUpdated && (
+                        <Text style={[styles.updated, { color: colors.textSecondary }]}>
+                            Updated {lastUpdated} · {data.gamesCounted} games
+                        </Text>
+                    )}
+                    {rows.length === 0 ? (
+                        <View style={styles.message}><Text style={{ color: colors.textMuted }}>No scoring leaders yet.</Text></View>
+                    ) : (
+                        <View style={[styles.tableCard, { backgroundColor: colors.card, borderColor: colors.cardBorder }]}>
+                            <View style={[styles.row, styles.headerRow, { backgroundColor: isDark ? '#2c2c2e' : colors.cardHeader, borderBottomColor: colors.cardBorder }]}>
+                                <Text style={[styles.headerText, styles.colRank, { color: colors.textSecondary }]}>#</Text>
+                                <Text style={[styles.headerText, styles.colPlayer, styles.textLeft, { color: colors.textSecondary }]}>Player</Text>
+                                <Text style={[styles.headerText, styles.colStat, { color: colors.textSecondary }]}>G</Text>
+                                <Text style={[styles.headerText, styles.colStat, { color: colors.textSecondary }]}>A</Text>
+                                <Text style={[styles.headerText, styles.colStat, { color: colors.textSecondary }]}>P</Text>
+                            </View>
+                            {rows.map((player) => {
+                                const teamCode = player.teamCode ? String(player.teamCode).toUpperCase() : null;
+                                const isHighlighted = Boolean(highlight) && teamCode === highlight;
+                                return (
+                                    <TouchableOpacity
+                                        key={player.id}
+                                        activeOpacity={0.6}
+                                        onPress={() => navigateToTeam(teamCode)}
+                                        style={[styles.row, { borderBottomColor: colors.separator }, isHighlighted && { backgroundColor: colors.chipActive }]}
+                                    >
+                                        <Text style={[styles.cell, styles.colRank, { color: colors.text }]}>{player.rank}</Text>
+                                        <View style={[styles.colPlayer, styles.playerCell]}>
+                                            {teamCode ? (
+                                                <Image source={{ uri: getTeamLogoUrl(teamCode) }} style={styles.teamLogo} resizeMode="contain" />
+                                            ) : (
+                                                <View style={[styles.teamLogo, { backgroundColor: colors.separator, borderRadius: 10 }]} />
+                                            )}
+                                            <View style={styles.playerText}>
+                                                <Text style={[styles.playerName, { color: colors.text }]} numberOfLines={1}>{player.name || '-'}</Text>
+                                                {teamCode && (
+                                                    <Text style={[styles.teamCode, { color: colors.textMuted }]}>{teamCode}</Text>
+                                                )}
+                                            </View>
+                                        </View>
+                                        {renderValue(player, 'goals')}
+                                        {renderValue(player, 'assists')}
+                                        {renderValue(player, 'points')}
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    )}
+                </ScrollView>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    topBar: { flexDirection: 'row', alignItems: 'center', gap: 8, paddingHorizontal: 12, paddingVertical: 6 },
+    backButton: { width: 40, height: 40, alignItems: 'center', justifyContent: 'center', borderRadius: 10, borderWidth: 1 },
+    titleBox: { flex: 1, minHeight: 40, justifyContent: 'center', paddingHorizontal: 14, borderRadius: 10, borderWidth: 1 },
+    topTitle: { fontSize: 15, fontWeight: '600' },
+    categoryBar: { flexDirection: 'row', marginHorizontal: 12, marginTop: 6, borderRadius: 10, borderWidth: 1, overflow: 'hidden' },
+    content: { paddingHorizontal: 12, paddingTop: 12, paddingBottom: 32 },
+    updated: { fontSize: 12, fontWeight: '600', marginBottom: 12, paddingHorizontal: 4 },
+    tableCard: { borderRadius: 12, borderWidth: 1, overflow: 'hidden', width: '100%' },
+    row: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, paddingHorizontal: 8, borderBottomWidth: 1 },
+    headerRow: { paddingVertical: 8 },
+    headerText: { fontSize: 10, fontWeight: '700', textTransform: 'uppercase', textAlign: 'center' },
+    textLeft: { textAlign: 'left' },
+    cell: { fontSize: 13, fontWeight: '600', textAlign: 'center' },
+    cellActive: { fontWeight: '800' },
+    colRank: { width: 26 },
+    colPlayer: { flex: 1, minWidth: 0 },
+    colStat: { width: 32 },
+    playerCell: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+    teamLogo: { width: 20, height: 20 },
+    playerText: { flex: 1, minWidth: 0 },
+    playerName: { fontSize: 13, fontWeight: '600' },
+    teamCode: { fontSize: 11, fontWeight: '600', marginTop: 1 },
+    loader: { marginTop: 70 },
+    message: { alignItems: 'center', paddingVertical: 36 }
+});
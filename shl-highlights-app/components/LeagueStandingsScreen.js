@@ -27,7 +27,8 @@ const teamKeyFor = (team) => team?.teamCode || team?.code || team?.key || team?.
  * "View standings" buttons. Reuses the same StandingsTable component the game
  * modals use, and the same per-league config in TEAM_FAMILIES — supporting both
  * flat tables (SHL, HockeyAllsvenskan, Allsvenskan) and grouped tables
- * (Svenska Cupen). Tapping a row navigates to that team's page.
+ * (Svenska Cupen). Tapping a row navigates to that team's page; hockey
+ * leagues also get a top-bar button to their scoring leaders.
  */
 export function LeagueStandingsScreen({ league, family, highlightTeamCode }) {
     const router = useRouter();
@@ -65,6 +66,11 @@ export function LeagueStandingsScreen({ league, family, highlightTeamCode }) {
         router.push(`/team/${family.family}/${encodeURIComponent(String(code).toUpperCase())}`);
     }, [router, family]);
 
+    const openLeaders = useCallback(() => {
+        const query = highlightTeamCode ? `?team=${encodeURIComponent(String(highlightTeamCode).toUpperCase())}` : '';
+        router.push(`/leaders/${league.slug}${query}`);
+    }, [router, league, highlightTeamCode]);
+
     const highlight = highlightTeamCode ? [String(highlightTeamCode).toUpperCase()] : [];
     const lastUpdated = data?.lastUpdated ? formatSwedishDate(data.lastUpdated, 'd MMM HH:mm') : null;
     const isGroups = league?.standingsFormat === 'groups';
@@ -86,6 +92,15 @@ export function LeagueStandingsScreen({ league, family, highlightTeamCode }) {
                         {league ? `${league.label} Standings` : 'Standings'}
                     </Text>
                 </View>
+                {league?.hasLeaders && (
+                    <TouchableOpacity
+                        style={[styles.backButton, { backgroundColor: colors.card, borderColor: colors.cardBorder }]}
+                        onPress={openLeaders}
+                        accessibilityLabel="Scoring leaders"
+                    >
+                        <Ionicons name="trophy-outline" size={18} color={colors.textSecondary} />
+                    </TouchableOpacity>
+                )}
             </View>
 
             {loading ? (
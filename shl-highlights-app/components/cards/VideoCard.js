@@ -1,4 +1,4 @@
-import { View, Text, Image, TouchableOpacity, StyleSheet, Dimensions } from 'react-native';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Dimensions, PixelRatio } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { getVideoDisplayTitle } from '../../utils';
@@ -6,6 +6,8 @@ import { useTheme } from '../../contexts/ThemeContext';
 import { resolveMediaUrl } from '../../api/shl';
 
 const { width } = Dimensions.get('window');
+// Thumbnails are requested at the card's pixel width rather than full size
+const THUMBNAIL_SIZE = { width: PixelRatio.getPixelSizeForLayoutSize((width - 76) / 2) };
 
 export const VideoCard = ({ video, isPlaying, onPress }) => {
     const { colors } = useTheme();
@@ -21,7 +23,7 @@ export const VideoCard = ({ video, isPlaying, onPress }) => {
         >
             <View style={themedStyles.videoGridThumbnailContainer}>
                 <Image
-                    source={{ uri: resolveMediaUrl(video.renderedMedia?.url || video.thumbnail) }}
+                    source={{ uri: resolveMediaUrl(video.renderedMedia?.url || video.thumbnail, THUMBNAIL_SIZE) }}
                     style={themedStyles.thumbnail}
                     resizeMode="cover"
                 />
@@ -6,8 +6,10 @@ import { Ionicons } from '@expo/vector-icons';
 import { PanGestureHandler, State } from 'react-native-gesture-handler';
 import { extractScore, formatSwedishDate } from '../../utils';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useHeadToHead } from '../../hooks/useHeadToHead';
 import { StatBar } from '../StatBar';
 import { StandingsTable } from '../StandingsTable';
+import { HeadToHeadPanel } from '../HeadToHeadPanel';
 import { VideoCard } from '../cards';
 import { VideoPlayer } from '../VideoPlayer';
 import { FootballGoalItem, CardItem, SubstitutionItem, HalfMarker } from '../events';
@@ -98,6 +100,7 @@ const AWAY_COLOR = '#2196F3';
 
 const FOOTBALL_BASE_TABS = [
     { key: 'summary', title: 'Summary', icon: 'stats-chart' },
+    { key: 'h2h', title: 'Head to Head', compactTitle: 'H2H', icon: 'git-compare-outline' },
     { key: 'events', title: 'Events', icon: 'list' },
     { key: 'highlights', title: 'Highlights', icon: 'videocam' }
 ];
@@ -117,13 +120,16 @@ export const FootballMatchModal = ({ match, details, videos = [], visible, onClo
     const [playingVideo, setPlayingVideo] = useState(null);
     const translateX = useRef(new Animated.Value(0)).current;
     const themedStyles = createStyles(colors);
+    // Head to head is a pre-game tab; it is hidden once the match has kicked off.
+    const showHeadToHead = (details?.info || match)?.state === 'pre-game';
     const tabs = useMemo(() => {
+        const baseTabs = FOOTBALL_BASE_TABS.map((tab) => (tab.key === 'h2h' ? { ...tab, visible: showHeadToHead } : tab));
         if (!showStandingsTab) {
-            return FOOTBALL_BASE_TABS;
+            return baseTabs;
         }
-        return [...FOOTBALL_BASE_TABS, FOOTBALL_STANDINGS_TAB];
-    }, [showStandingsTab]);
-    const tabKeys = useMemo(() => tabs.map((tab) => tab.key), [tabs]);
+        return [...baseTabs, FOOTBALL_STANDINGS_TAB];
+    }, [showStandingsTab, showHeadToHead]);
+    const tabKeys = useMemo(() => tabs.filter((tab) => tab.visible !== false).map((tab) => tab.key), [tabs]);
 
     const loadStandings = useCallback(async (silent = false) => {
         if (!silent) {
@@ -281,6 +287,19 @@ export const FootballMatchModal = ({ match, details, videos = [], visible, onClo
     const homeCode = homeTeam?.code || 'HOME';
     const awayCode = awayTeam?.code || 'AWAY';
 
+    const { headToHead, loadingHeadToHead } = useHeadToHead(
+        sport,
+        homeTeam?.code || homeTeam?.names?.short || null,
+        awayTeam?.code || awayTeam?.names?.short || null,
+        visible && showHeadToHead && activeTab === 'h2h'
+    );
+
+    useEffect(() => {
+        if (match && !showHeadToHead && activeTab === 'h2h') {
+            handleTabChange('summary');
+        }
+    }, [match, showHeadToHead, activeTab, handleTabChange]);
+
     // Extract team stats from details
     const teamStats = details?.teamStats || null;
     const homeStats = teamStats?.homeTeam?.statistics || {};
@@ -566,6 +585,24 @@ export const FootballMatchModal = ({ match, details, videos = [], visible, onClo
         );
     };
 
+    // Head to Head Tab Content
+    const renderHeadToHeadTab = () => (
+        <ScrollView
+            style={{ flex: 1 }}
+            contentContainerStyle={themedStyles.tabContent}
+            showsVerticalScrollIndicator={false}
+        >
+            <HeadToHeadPanel
+                data={headToHead}
+                loading={loadingHeadToHead}
+                homeName={getTeamName(homeTeam, 'Home')}
+                awayName={getTeamName(awayTeam, 'Away')}
+                homeColor={HOME_COLOR}
+                awayColor={AWAY_COLOR}
+            />
+        </ScrollView>
+    );
+
     const renderHighlightsTab = () => (
         <ScrollView
             style={{ flex: 1 }}
@@ -765,6 +802,7 @@ export const FootballMatchModal = ({ match, details, videos = [], visible, onClo
                             ]}
                         >
                             {activeTab === 'summary' && renderSummaryTab()}
+                            {showHeadToHead && activeTab === 'h2h' && renderHeadToHeadTab()}
                             {activeTab === 'events' && renderEventsTab()}
                             {activeTab === 'highlights' && renderHighlightsTab()}
                             {showStandingsTab && activeTab === 'standings' && renderStandingsTab()}
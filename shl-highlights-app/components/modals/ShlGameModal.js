@@ -9,9 +9,11 @@ import { getTeamColor } from '../../constants';
 import { getVideoDisplayTitle, formatSwedishDate } from '../../utils';
 import { useGameDetails } from '../../hooks/useGameDetails';
 import { useVideoPlayer } from '../../hooks/useVideoPlayer';
+import { useHeadToHead } from '../../hooks/useHeadToHead';
 import { useTheme } from '../../contexts/ThemeContext';
 import { StatBar } from '../StatBar';
 import { StandingsTable } from '../StandingsTable';
+import { HeadToHeadPanel } from '../HeadToHeadPanel';
 import { VideoCard } from '../cards';
 import { GoalItem, PenaltyItem, GoalkeeperItem, TimeoutItem, PeriodMarker } from '../events';
 import { VideoPlayer } from '../VideoPlayer';
@@ -21,15 +23,15 @@ import { MatchTabBar } from './MatchTabBar';
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 /**
- * SHL Game Modal with Summary, Events, Highlights, and Standings tabs
+ * SHL Game Modal with Summary, Head to Head (before the game), Events, Highlights, and Standings tabs
  */
 const SHL_MODAL_TABS = [
     { key: 'summary', title: 'Summary', compactTitle: 'Stats', icon: 'stats-chart' },
+    { key: 'h2h', title: 'Head to Head', compactTitle: 'H2H', icon: 'git-compare-outline' },
     { key: 'events', title: 'Events', compactTitle: 'Events', icon: 'list' },
     { key: 'highlights', title: 'Highlights', compactTitle: 'Clips', icon: 'videocam' },
     { key: 'standings', title: 'Standings', compactTitle: 'Table', icon: 'podium-outline' }
 ];
-const SHL_TAB_KEYS = SHL_MODAL_TABS.map((tab) => tab.key);
 const SWIPE_THRESHOLD = 50;
 const SWIPE_VELOCITY_THRESHOLD = 500;
 
@@ -158,7 +160,7 @@ export const ShlGameModal = ({
     const handleGestureStateChange = ({ nativeEvent }) => {
         if (nativeEvent.state === State.END) {
             const { translationX: tx, velocityX } = nativeEvent;
-            const currentIndex = SHL_TAB_KEYS.indexOf(activeTab);
+            const currentIndex = tabKeys.indexOf(activeTab);
 
             let shouldSwipe = false;
             let direction = 0;
@@ -167,7 +169,7 @@ export const ShlGameModal = ({
             if (Math.abs(tx) > SWIPE_THRESHOLD || Math.abs(velocityX) > SWIPE_VELOCITY_THRESHOLD) {
                 direction = tx > 0 ? -1 : 1; // Swipe right = go left (previous), swipe left = go right (next)
                 const nextIndex = currentIndex + direction;
-                if (nextIndex >= 0 && nextIndex < SHL_TAB_KEYS.length) {
+                if (nextIndex >= 0 && nextIndex < tabKeys.length) {
                     shouldSwipe = true;
                 }
             }
@@ -179,7 +181,7 @@ export const ShlGameModal = ({
                     duration: 150,
                     useNativeDriver: Platform.OS !== 'web'
                 }).start(() => {
-                    handleTabChange(SHL_TAB_KEYS[currentIndex + direction]);
+                    handleTabChange(tabKeys[currentIndex + direction]);
                     translateX.setValue(direction * SCREEN_WIDTH);
                     Animated.spring(translateX, {
                         toValue: 0,
@@ -258,6 +260,23 @@ export const ShlGameModal = ({
     const gameState = normalizeGameState(game?.state || gameDetails?.info?.gameInfo?.state);
     const startDateTime = game?.startDateTime || gameDetails?.info?.gameInfo?.startDateTime || null;
 
+    // Head to head is a pre-game tab; it is hidden once the game has started.
+    const showHeadToHead = gameState === 'pre-game';
+    const modalTabs = SHL_MODAL_TABS.map((tab) => (tab.key === 'h2h' ? { ...tab, visible: showHeadToHead } : tab));
+    const tabKeys = modalTabs.filter((tab) => tab.visible !== false).map((tab) => tab.key);
+    const { headToHead, loadingHeadToHead } = useHeadToHead(
+        standingsSport,
+        homeCode,
+        awayCode,
+        visible && showHeadToHead && activeTab === 'h2h'
+    );
+
+    useEffect(() => {
+        if (game && !showHeadToHead && activeTab === 'h2h') {
+            onTabChange('summary');
+        }
+    }, [game, showHeadToHead, activeTab, onTabChange]);
+
     const homeColor = getTeamColor(homeCode, '#1E88E5');
     const awayColor = getTeamColor(awayCode, '#E53935');
 
@@ -466,6 +485,24 @@ export const ShlGameModal = ({
         </ScrollView>
     );
 
+    // Head to Head Tab Content
+    const renderHeadToHeadTab = () => (
+        <ScrollView
+            style={{ flex: 1 }}
+            contentContainerStyle={themedStyles.tabContent}
+            showsVerticalScrollIndicator={false}
+        >
+            <HeadToHeadPanel
+                data={headToHead}
+                loading={loadingHeadToHead}
+                homeName={homeName}
+                awayName={awayName}
+                homeColor={homeColor}
+                awayColor={awayColor}
+            />
+        </ScrollView>
+    );
+
     // Standings Tab Content
     const renderStandingsTab = () => {
         const lastUpdatedLabel = standingsData?.lastUpdated
@@ -532,7 +569,7 @@ export const ShlGameModal = ({
 
                         {/* Tab Bar */}
                         <MatchTabBar
-                            tabs={SHL_MODAL_TABS}
+                            tabs={modalTabs}
                             activeTab={activeTab}
                             onTabChange={handleTabChange}
                             compact={useCompactTabs}
@@ -555,6 +592,7 @@ export const ShlGameModal = ({
                                     ]}
                                 >
                                     {activeTab === 'summary' && renderSummaryTab()}
+                                    {showHeadToHead && activeTab === 'h2h' && renderHeadToHeadTab()}
                                     {activeTab === 'events' && renderEventsTab()}
                                     {activeTab === 'highlights' && renderHighlightsTab()}
                                     {activeTab === 'standings' && renderStandingsTab()}
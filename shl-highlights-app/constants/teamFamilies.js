@@ -46,10 +46,11 @@ export const TEAM_FAMILIES = {
         // `standingsSport` is the `sport` prop StandingsTable expects (column set).
         // `standingsFormat`: 'table' = flat league table, 'groups' = grouped (cup).
         // Leagues without a table (knockout) set hasStandings: false.
+        // `hasLeaders`: the standings page links to the scoring leaders (/leaders/<slug>).
         // Order matters only for stable de-duplication; games are re-sorted by date.
         leagues: [
-            { slug: 'shl', label: 'SHL', fetchGames: () => fetchGames(), hasStandings: true, standingsFormat: 'table', standingsSport: 'shl', fetchStandings: (opts) => fetchStandings(opts) },
-            { slug: 'hockeyallsvenskan', label: 'HockeyAllsvenskan', fetchGames: () => fetchHockeyAllsvenskanGames(), hasStandings: true, standingsFormat: 'table', standingsSport: 'shl', fetchStandings: (opts) => fetchHockeyAllsvenskanStandings(opts) }
+            { slug: 'shl', label: 'SHL', fetchGames: () => fetchGames(), hasStandings: true, standingsFormat: 'table', standingsSport: 'shl', fetchStandings: (opts) => fetchStandings(opts), hasLeaders: true },
+            { slug: 'hockeyallsvenskan', label: 'HockeyAllsvenskan', fetchGames: () => fetchHockeyAllsvenskanGames(), hasStandings: true, standingsFormat: 'table', standingsSport: 'shl', fetchStandings: (opts) => fetchHockeyAllsvenskanStandings(opts), hasLeaders: true }
         ],
         getTeamCode: hockeyTeamCode,
         getTeamName: (team) => getTeamName(team, { fallback: hockeyTeamCode(team) || 'Team' }),
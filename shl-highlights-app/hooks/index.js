@@ -10,6 +10,7 @@ export { useBiathlonData } from './useBiathlonData';
 export { useUnifiedData } from './useUnifiedData';
 export { useGameDetails } from './useGameDetails';
 export { useVideoPlayer } from './useVideoPlayer';
+export { useHeadToHead } from './useHeadToHead';
 export { usePushNotifications } from './usePushNotifications';
 export { useAppUpdate } from './useAppUpdate';
 
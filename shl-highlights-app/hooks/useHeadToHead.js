@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { fetchHeadToHead } from '../api/shl';
+
+/**
+ * Hook for the head-to-head history of a game's two teams.
+ * Nothing is fetched until `enabled` (the tab is open); the result is kept per
+ * pairing, so switching tabs does not refetch but opening another game does.
+ * @param {string} sport - 'shl', 'hockeyallsvenskan', 'allsvenskan' or 'svenska-cupen'
+ * @param {string|null} homeCode
+ * @param {string|null} awayCode
+ * @param {boolean} enabled
+ */
+export function useHeadToHead(sport, homeCode, awayCode, enabled) {
+    const [result, setResult] = useState({ key: null, data: null });
+    const [loading, setLoading] = useState(false);
+    const pairKey = homeCode && awayCode ? `${sport}:${homeCode}:${awayCode}` : null;
+
+    useEffect(() => {
+        if (!enabled || !pairKey || result.key === pairKey) {
+            return undefined;
+        }
+        let cancelled = false;
+        setLoading(true);
+        fetchHeadToHead(sport, homeCode, awayCode)
+            .then((data) => {
+                if (!cancelled) {
+                    setResult({ key: pairKey, data });
+                }
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, pairKey, result.key, sport, homeCode, awayCode]);
+
+    return {
+        headToHead: result.key === pairKey ? result.data : null,
+        loadingHeadToHead: loading
+    };
+}
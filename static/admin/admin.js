@@ -8,15 +8,25 @@ const elements = {
     statusGrid: document.getElementById('status-grid'),
     cacheStatusGrid: document.getElementById('cache-status-grid'),
     sportsGrid: document.getElementById('sports-grid'),
+    upstreamGrid: document.getElementById('upstream-grid'),
     pushStatusGrid: document.getElementById('push-status-grid'),
     gamesList: document.getElementById('games-list'),
+    webhooksList: document.getElementById('webhooks-list'),
+    webhookEvents: document.getElementById('webhook-events'),
+    webhookDeliveries: document.getElementById('webhook-deliveries'),
     activityList: document.getElementById('activity-list'),
     notificationsChart: document.getElementById('notifications-chart'),
     cacheChart: document.getElementById('cache-chart'),
     mobileMenuButton: document.getElementById('mobile-menu-btn'),
     sidebarOverlay: document.getElementById('sidebar-overlay'),
     fcmErrorLog: document.getElementById('fcm-error-log'),
-    fcmErrorCount: document.getElementById('fcm-error-count')
+    fcmErrorCount: document.getElementById('fcm-error-count'),
+    loginScreen: document.getElementById('login-screen'),
+    currentUser: document.getElementById('current-user'),
+    accountsList: document.getElementById('accounts-list'),
+    auditLogBody: document.getElementById('audit-log-body'),
+    loggingNamespacesBody: document.getElementById('logging-namespaces-body'),
+    loggingDefaultLevel: document.getElementById('logging-default-level')
 };
 
 // ============ State ============
@@ -27,6 +37,8 @@ let sports = [];
 let venueTouched = false;
 let activityLog = [];
 let charts = {};
+let currentUser = null;
+let consoleStarted = false;
 
 // ============ Utilities ============
 function escapeHtml(value) {
@@ -96,6 +108,16 @@ function formatDurationLong(seconds) {
     return parts.join(', ') || '0 seconds';
 }
 
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return '-';
+    }
+    if (bytes < 1024 * 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function formatAgeSeconds(seconds) {
     if (seconds === null || seconds === undefined) {
         return '-';
@@ -164,6 +186,9 @@ const SECTION_TITLES = {
     push: 'Push Notifications',
     'goal-test': 'Goal Testing',
     'pregame-test': 'Event Start Testing',
+    webhooks: 'Webhooks',
+    access: 'Access',
+    logging: 'Logging',
     'create-game': 'Create Game',
     games: 'Manual Games'
 };
@@ -252,18 +277,82 @@ function closeSidebarOnMobile() {
 async function apiRequest(path, options = {}) {
     const response = await fetch(path, options);
     const payload = await response.json().catch(() => ({}));
+    if (response.status === 401 && path !== '/api/auth/login') {
+        // Session expired or was ended (password change, account disabled)
+        showLoginScreen();
+    }
     if (!response.ok) {
         throw new Error(payload.error || 'Request failed');
     }
     return payload;
 }
 
+// ============ Authentication ============
+function showLoginScreen() {
+    currentUser = null;
+    elements.loginScreen.classList.remove('hidden');
+    document.getElementById('login-username').focus();
+}
+
+function setCurrentUser(user) {
+    currentUser = user;
+    elements.currentUser.textContent = user ? `Signed in as ${user.name}` : '';
+}
+
+async function loadCurrentUser() {
+    try {
+        const data = await apiRequest('/api/auth/me');
+        setCurrentUser(data.user);
+        return data.user;
+    } catch (_error) {
+        return null;
+    }
+}
+
+async function login(event) {
+    event.preventDefault();
+    const btn = event.target.querySelector('button[type="submit"]');
+    const feedback = document.getElementById('login-feedback');
+    btn.disabled = true;
+    feedback.textContent = '';
+
+    try {
+        const data = await apiRequest('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        event.target.reset();
+        setCurrentUser(data.user);
+        elements.loginScreen.classList.add('hidden');
+        await startConsole();
+    } catch (error) {
+        feedback.textContent = error.message;
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function logout() {
+    try {
+        await apiRequest('/api/auth/logout', { method: 'POST' });
+    } finally {
+        showLoginScreen();
+        setCurrentUser(null);
+    }
+}
+
 // ============ Activity Log ============
 const SOURCE_ICONS = {
     'scheduler': '📋',
     'goal-watcher': '⚽',
     'pre-game-watcher': '🔔',
-    'notifier': '📹'
+    'notifier': '📹',
+    'cache-snapshot': '💾',
+    'webhooks': '🪝'
 };
 
 const TYPE_ICONS = {
@@ -362,7 +451,7 @@ function initCharts() {
         data: {
             labels: ['Hits', 'Misses'],
             datasets: [{
-                data: [85, 15],
+                data: [0, 0],
                 backgroundColor: ['#22c55e', '#ef4444'],
                 borderWidth: 0
             }]
@@ -394,6 +483,19 @@ function buildStatusCard(title, rows, badge = null) {
 }
 
 // ============ Load Status ============
+const RATE_LIMIT_BUCKET_LABELS = {
+    read: 'Cached reads',
+    upstream: 'Upstream',
+    image: 'Image proxy'
+};
+
+const HEALTH_BADGES = {
+    ok: { type: 'online', text: 'Healthy' },
+    degraded: { type: 'warning', text: 'Degraded' },
+    down: { type: 'offline', text: 'Down' },
+    unknown: { type: 'offline', text: 'Unknown' }
+};
+
 async function loadStatus(options = {}) {
     try {
         const status = await apiRequest('/api/status');
@@ -405,25 +507,7 @@ async function loadStatus(options = {}) {
         document.getElementById('metric-notifications').textContent = status.goalWatcher?.totalNotificationsSent ?? 0;
         document.getElementById('metric-live-games').textContent = status.goalWatcher?.trackedGames ?? 0;
 
-        const cacheItems = [
-            { name: 'Hockey Games', active: status.cache?.games?.cached },
-            { name: 'Football Games', active: status.cache?.allsvenskan?.games?.cached },
-            { name: 'Svenska Cupen Games', active: status.cache?.svenskaCupen?.games?.cached },
-            { name: 'Biathlon Races', active: status.cache?.biathlon?.cached },
-            { name: 'Hockey Standings', active: status.cache?.standings?.cached },
-            { name: 'Football Standings', active: status.cache?.allsvenskan?.standings?.cached },
-            { name: 'Svenska Cupen Standings', active: status.cache?.svenskaCupen?.standings?.cached }
-        ];
-        const activeCaches = cacheItems.filter(c => c.active).length;
-        document.getElementById('metric-cache').textContent = `${activeCaches}/${cacheItems.length}`;
-
-        const cacheStatusList = document.getElementById('cache-status-list');
-        cacheStatusList.innerHTML = cacheItems.map(cache => `
-            <div class="cache-status-item">
-                <span class="cache-status-dot ${cache.active ? 'active' : 'inactive'}"></span>
-                <span>${cache.name}</span>
-            </div>
-        `).join('');
+        renderCacheOverview(status.cache);
 
         // Server status indicator
         const dot = document.getElementById('server-status-dot');
@@ -460,56 +544,46 @@ async function loadStatus(options = {}) {
             { label: 'Notifications', value: status.preGameWatcher?.totalNotificationsSent ?? 0 }
         ];
 
+        const rateLimits = status.rateLimits;
+        const rateLimitRows = Object.entries(rateLimits?.buckets || {}).map(([bucket, stats]) => ({
+            label: `${RATE_LIMIT_BUCKET_LABELS[bucket] || bucket} (${stats.limitPerMinute}/min)`,
+            value: `${stats.limited} limited · ${stats.activeClients} active clients`
+        }));
+        const topLimited = Object.values(rateLimits?.buckets || {})
+            .flatMap(stats => stats.topLimitedClients)
+            .sort((a, b) => b.count - a.count)[0];
+        rateLimitRows.push({ label: 'Most limited', value: topLimited ? `${topLimited.client} (${topLimited.count})` : '-' });
+
+        const imageCacheStats = status.imageCache;
+        const imageCacheRows = [
+            { label: 'Entries', value: imageCacheStats?.entries ?? '-' },
+            { label: 'Size', value: imageCacheStats ? `${formatBytes(imageCacheStats.bytes)} / ${formatBytes(imageCacheStats.maxBytes)}` : '-' },
+            { label: 'Hit rate', value: formatHitRate(imageCacheStats?.hitRate) },
+            { label: 'Evictions', value: imageCacheStats?.evictions ?? 0 }
+        ];
+
+        const health = status.health;
+        const describeCheck = check => (check.reasons?.length ? check.reasons.join('; ') : check.status);
+        const healthRows = health ? [
+            ...Object.values(health.providers).map(check => ({ label: check.name, value: describeCheck(check) })),
+            ...Object.entries(health.watchers).map(([name, check]) => ({ label: name, value: describeCheck(check) })),
+            { label: 'FCM', value: describeCheck(health.fcm) },
+            { label: 'State files', value: describeCheck(health.stateStorage) }
+        ] : [];
+        const healthBadge = HEALTH_BADGES[health?.status] || HEALTH_BADGES.unknown;
+
         elements.statusGrid.innerHTML = [
+            buildStatusCard('Health', healthRows, healthBadge),
             buildStatusCard('Server', serverRows, { type: 'online', text: 'Running' }),
             buildStatusCard('Notifier', notifierRows, { type: status.notifier?.running ? 'online' : 'offline', text: status.notifier?.running ? 'Active' : 'Stopped' }),
             buildStatusCard('Scheduler', schedulerRows, { type: status.scheduler?.running ? 'online' : 'offline', text: status.scheduler?.running ? 'Active' : 'Stopped' }),
             buildStatusCard('Goal Watcher', goalWatcherRows, { type: status.goalWatcher?.running ? 'online' : 'offline', text: status.goalWatcher?.running ? 'Active' : 'Stopped' }),
-            buildStatusCard('Pre-Game Watcher', preGameWatcherRows, { type: status.preGameWatcher?.running ? 'online' : 'offline', text: status.preGameWatcher?.running ? 'Active' : 'Stopped' })
+            buildStatusCard('Pre-Game Watcher', preGameWatcherRows, { type: status.preGameWatcher?.running ? 'online' : 'offline', text: status.preGameWatcher?.running ? 'Active' : 'Stopped' }),
+            buildStatusCard('Image Cache', imageCacheRows, { type: imageCacheStats?.errors ? 'warning' : 'online', text: imageCacheStats?.errors ? `${imageCacheStats.errors} errors` : 'OK' }),
+            buildStatusCard('Rate Limiting', rateLimitRows, { type: rateLimits?.enabled ? 'online' : 'offline', text: rateLimits?.enabled ? 'Active' : 'Disabled' })
         ].join('');
 
-        // Cache status - Games
-        const hockeyGamesRows = [
-            { label: 'Cached', value: status.cache?.games?.cached ? 'Yes' : 'No' },
-            { label: 'Age', value: formatAgeSeconds(status.cache?.games?.ageSeconds) },
-            { label: 'Live mode', value: status.cache?.games?.hasLiveGame ? 'Yes (15s)' : 'No (60s)' }
-        ];
-        const footballGamesRows = [
-            { label: 'Cached', value: status.cache?.allsvenskan?.games?.cached ? 'Yes' : 'No' },
-            { label: 'Age', value: formatAgeSeconds(status.cache?.allsvenskan?.games?.ageSeconds) },
-            { label: 'Live mode', value: status.cache?.allsvenskan?.games?.hasLiveGame ? 'Yes (15s)' : 'No (60s)' }
-        ];
-        const svenskaCupenGamesRows = [
-            { label: 'Cached', value: status.cache?.svenskaCupen?.games?.cached ? 'Yes' : 'No' },
-            { label: 'Age', value: formatAgeSeconds(status.cache?.svenskaCupen?.games?.ageSeconds) },
-            { label: 'Live mode', value: status.cache?.svenskaCupen?.games?.hasLiveGame ? 'Yes (15s)' : 'No (60s)' }
-        ];
-        const biathlonRacesRows = [
-            { label: 'Cached', value: status.cache?.biathlon?.cached ? 'Yes' : 'No' },
-            { label: 'Age', value: formatAgeSeconds(status.cache?.biathlon?.ageSeconds) },
-            { label: 'TTL', value: status.cache?.biathlon?.cacheDuration ?? '30m' }
-        ];
-        const standingsRows = [
-            { label: 'Hockey', value: status.cache?.standings?.cached ? 'Yes' : 'No' },
-            { label: 'Football', value: status.cache?.allsvenskan?.standings?.cached ? 'Yes' : 'No' },
-            { label: 'Svenska Cupen', value: status.cache?.svenskaCupen?.standings?.cached ? 'Yes' : 'No' },
-            { label: 'TTL', value: '5 minutes' }
-        ];
-        const mediaCacheRows = [
-            { label: 'Game details', value: status.cache?.details?.entriesCount ?? 0 },
-            { label: 'Videos', value: status.cache?.videos?.entriesCount ?? 0 },
-            { label: 'Football details', value: status.cache?.allsvenskan?.details?.entriesCount ?? 0 },
-            { label: 'Cup details', value: status.cache?.svenskaCupen?.details?.entriesCount ?? 0 }
-        ];
-
-        elements.cacheStatusGrid.innerHTML = [
-            buildStatusCard('Hockey Games', hockeyGamesRows, { type: status.cache?.games?.cached ? 'online' : 'offline', text: status.cache?.games?.cached ? 'Cached' : 'Empty' }),
-            buildStatusCard('Football Games', footballGamesRows, { type: status.cache?.allsvenskan?.games?.cached ? 'online' : 'offline', text: status.cache?.allsvenskan?.games?.cached ? 'Cached' : 'Empty' }),
-            buildStatusCard('Svenska Cupen Games', svenskaCupenGamesRows, { type: status.cache?.svenskaCupen?.games?.cached ? 'online' : 'offline', text: status.cache?.svenskaCupen?.games?.cached ? 'Cached' : 'Empty' }),
-            buildStatusCard('Biathlon Races', biathlonRacesRows, { type: status.cache?.biathlon?.cached ? 'online' : 'offline', text: status.cache?.biathlon?.cached ? 'Cached' : 'Empty' }),
-            buildStatusCard('Standings', standingsRows),
-            buildStatusCard('Media & Details', mediaCacheRows)
-        ].join('');
+        renderCacheStatusGrid(status.cache);
 
         refreshIcons();
 
@@ -522,6 +596,94 @@ async function loadStatus(options = {}) {
     }
 }
 
+// ============ Cache Status ============
+const CACHE_RESOURCE_LABELS = {
+    games: 'Games',
+    details: 'Details',
+    videos: 'Videos',
+    standings: 'Standings',
+    bracket: 'Bracket'
+};
+
+function getCacheNamespaces(cacheStatus) {
+    return Array.isArray(cacheStatus?.namespaces) ? cacheStatus.namespaces : [];
+}
+
+function formatHitRate(hitRate) {
+    return hitRate === null || hitRate === undefined ? '-' : `${Math.round(hitRate * 100)}%`;
+}
+
+function renderCacheOverview(cacheStatus) {
+    const gamesCaches = getCacheNamespaces(cacheStatus).filter(ns => ns.resource === 'games');
+    const activeCaches = gamesCaches.filter(ns => ns.cached).length;
+    document.getElementById('metric-cache').textContent = `${activeCaches}/${gamesCaches.length}`;
+
+    document.getElementById('cache-status-list').innerHTML = gamesCaches.map(ns => `
+        <div class="cache-status-item">
+            <span class="cache-status-dot ${ns.cached ? 'active' : 'inactive'}"></span>
+            <span>${escapeHtml(ns.label)}</span>
+        </div>
+    `).join('');
+
+    const totals = cacheStatus?.totals;
+    if (charts.cache && totals) {
+        charts.cache.data.datasets[0].data = [totals.hits, totals.misses];
+        charts.cache.update();
+    }
+}
+
+function buildCacheNamespaceValue(ns) {
+    const parts = [`${ns.entriesCount}/${ns.maxEntries}`];
+    if (ns.cached) {
+        parts.push(formatAgeSeconds(ns.ageSeconds));
+    }
+    parts.push(`TTL ${ns.ttlSeconds}s${ns.hasLiveGame ? ' (live)' : ''}`);
+    parts.push(`${ns.hits} hits / ${ns.misses} misses`);
+    if (ns.staleEntries > 0) {
+        parts.push(`${ns.staleEntries} stale (from snapshot)`);
+    }
+    return parts.join(' · ');
+}
+
+function renderCacheStatusGrid(cacheStatus) {
+    const namespaces = getCacheNamespaces(cacheStatus);
+    const sportLabels = cacheStatus?.sports || {};
+    const bySport = new Map();
+    namespaces.forEach(ns => {
+        if (!bySport.has(ns.sport)) {
+            bySport.set(ns.sport, []);
+        }
+        bySport.get(ns.sport).push(ns);
+    });
+
+    const totals = cacheStatus?.totals || {};
+    const totalsRows = [
+        { label: 'Entries', value: totals.entries ?? 0 },
+        { label: 'Hits', value: totals.hits ?? 0 },
+        { label: 'Misses', value: totals.misses ?? 0 },
+        { label: 'Hit rate', value: formatHitRate(totals.hitRate) },
+        { label: 'Evictions', value: totals.evictions ?? 0 },
+        { label: 'Stale (restored)', value: totals.staleEntries ?? 0 }
+    ];
+
+    const sportCards = Array.from(bySport.entries()).map(([sport, sportNamespaces]) => {
+        const rows = sportNamespaces.map(ns => ({
+            label: CACHE_RESOURCE_LABELS[ns.resource] || ns.resource,
+            value: buildCacheNamespaceValue(ns)
+        }));
+        const games = sportNamespaces.find(ns => ns.resource === 'games');
+        const badge = games
+            ? { type: games.cached ? 'online' : 'offline', text: games.cached ? 'Cached' : 'Empty' }
+            : null;
+        return buildStatusCard(sportLabels[sport] || sport, rows, badge);
+    });
+
+    elements.cacheStatusGrid.innerHTML = [
+        buildStatusCard('All Caches', totalsRows),
+        ...sportCards
+    ].join('');
+}
+
 // ============ Load Push Status ============
 async function loadPushStatus(options = {}) {
     try {
@@ -608,9 +770,45 @@ async function clearFcmErrorLog() {
 
 
 // ============ Load Sports ============
+const UPSTREAM_BREAKER_BADGES = {
+    closed: { type: 'online', text: 'Healthy' },
+    'half-open': { type: 'warning', text: 'Probing' },
+    open: { type: 'offline', text: 'Circuit open' }
+};
+
+function renderUpstreamHosts(upstream) {
+    const hosts = Array.isArray(upstream?.hosts) ? upstream.hosts : [];
+    if (hosts.length === 0) {
+        elements.upstreamGrid.innerHTML = '<p class="text-muted">No upstream requests made yet.</p>';
+        return;
+    }
+
+    elements.upstreamGrid.innerHTML = hosts.map(host => {
+        const rows = [
+            { label: 'Requests', value: host.requests ?? 0 },
+            { label: 'Failures', value: `${host.failures ?? 0} (${host.consecutiveFailures ?? 0} in a row)` },
+            { label: 'Retries / timeouts', value: `${host.retries ?? 0} / ${host.timeouts ?? 0}` },
+            { label: 'In flight / queued', value: `${host.active ?? 0} / ${host.queued ?? 0}` },
+            { label: 'Last status', value: host.lastStatus ?? '-' },
+            { label: 'Last success', value: formatTimestamp(host.lastSuccessAt) }
+        ];
+        if (host.breaker !== 'closed') {
+            rows.push({ label: 'Rejected', value: host.rejected ?? 0 });
+            rows.push({ label: 'Retry at', value: formatTimestamp(host.retryAt) });
+        }
+        if (host.lastError) {
+            rows.push({ label: 'Last error', value: host.lastError });
+        }
+        return buildStatusCard(host.host, rows, UPSTREAM_BREAKER_BADGES[host.breaker] || null);
+    }).join('');
+}
+
 async function loadSports(options = {}) {
     try {
-        const data = await apiRequest('/api/sports');
+        const [data, status] = await Promise.all([
+            apiRequest('/api/sports'),
+            apiRequest('/api/status')
+        ]);
         sports = Array.isArray(data) ? data : [];
 
         elements.sportsGrid.innerHTML = sports.map(sport => {
@@ -620,6 +818,7 @@ async function loadSports(options = {}) {
             ];
             return buildStatusCard(sport?.name || 'Unknown', rows, { type: 'online', text: sport?.id?.toUpperCase() || 'SPORT' });
         }).join('');
+        renderUpstreamHosts(status?.upstream);
 
         refreshIcons();
 
@@ -864,6 +1063,483 @@ function renderGames(records) {
     });
 }
 
+// ============ Webhooks ============
+const WEBHOOK_EVENT_LABELS = {
+    goal: 'Goals',
+    final: 'Final results',
+    highlight: 'Highlights',
+    'pre-game': 'Pre-game reminders'
+};
+
+const WEBHOOK_DELIVERY_BADGES = {
+    delivered: { type: 'online', text: 'Delivered' },
+    pending: { type: 'warning', text: 'Pending' },
+    retrying: { type: 'warning', text: 'Retrying' },
+    failed: { type: 'offline', text: 'Failed' }
+};
+
+function parseListInput(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function renderWebhookEventOptions(events) {
+    elements.webhookEvents.innerHTML = events.map(event => `
+        <div class="form-check">
+            <input id="webhook-event-${event}" type="checkbox" value="${escapeHtml(event)}" checked />
+            <label for="webhook-event-${event}">${escapeHtml(WEBHOOK_EVENT_LABELS[event] || event)}</label>
+        </div>
+    `).join('');
+}
+
+async function loadWebhooks() {
+    try {
+        const data = await apiRequest('/api/admin/webhooks');
+        if (!elements.webhookEvents.children.length) {
+            renderWebhookEventOptions(data.events || []);
+        }
+        renderWebhooks(data.webhooks || []);
+        await loadWebhookDeliveries();
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    }
+}
+
+function describeWebhookFilter(values, allLabel) {
+    return values && values.length ? values.join(', ') : allLabel;
+}
+
+function renderWebhooks(webhooks) {
+    document.getElementById('webhooks-badge').textContent = `${webhooks.length} webhooks`;
+
+    if (!webhooks.length) {
+        elements.webhooksList.innerHTML = '<p class="text-muted">No webhooks yet. Add one to start receiving events.</p>';
+        return;
+    }
+
+    elements.webhooksList.innerHTML = webhooks.map(webhook => {
+        const last = webhook.lastDelivery;
+        const lastText = last
+            ? `Last delivery: ${WEBHOOK_DELIVERY_BADGES[last.status]?.text || last.status} (${last.event}) ${formatTimestamp(last.lastAttemptAt || last.createdAt)}`
+            : 'No deliveries yet';
+        return `
+            <div class="game-card" data-id="${escapeHtml(webhook.id)}">
+                <div class="game-header">
+                    <div>
+                        <div class="game-title">${escapeHtml(webhook.name)}</div>
+                        <div class="game-meta">${escapeHtml(webhook.url)}</div>
+                    </div>
+                    <span class="status-card-badge ${webhook.enabled ? 'online' : 'offline'}">${webhook.enabled ? 'Enabled' : 'Disabled'}</span>
+                </div>
+                <p class="text-sm">
+                    Events: ${escapeHtml(webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', '))}<br />
+                    Sports: ${escapeHtml(describeWebhookFilter(webhook.sports, 'All'))} ·
+                    Teams: ${escapeHtml(describeWebhookFilter(webhook.teams, 'All'))} ·
+                    Secret: ${escapeHtml(webhook.secretPreview || '-')}
+                </p>
+                <div class="game-actions mt-1">
+                    <button class="btn btn-primary btn-sm" data-action="test"><i data-lucide="send" class="icon-btn"></i> Send Test Event</button>
+                    <button class="btn btn-secondary btn-sm" data-action="toggle"><i data-lucide="power" class="icon-btn"></i> ${webhook.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="rotate"><i data-lucide="key-round" class="icon-btn"></i> Rotate Secret</button>
+                    <button class="btn btn-danger btn-sm" data-action="delete"><i data-lucide="trash-2" class="icon-btn"></i> Delete</button>
+                </div>
+                <p class="text-muted text-sm mt-1">${escapeHtml(lastText)}</p>
+            </div>
+        `;
+    }).join('');
+
+    refreshIcons();
+
+    elements.webhooksList.querySelectorAll('.game-card').forEach(card => {
+        const id = card.dataset.id;
+        const webhook = webhooks.find(entry => entry.id === id);
+
+        card.querySelector('[data-action="test"]').addEventListener('click', async (event) => {
+            const btn = event.currentTarget;
+            btn.disabled = true;
+            try {
+                const delivery = await apiRequest(`/api/admin/webhooks/${id}/test`, { method: 'POST' });
+                if (delivery.status === 'delivered') {
+                    showToast('success', 'Test Delivered', `${webhook.name} answered HTTP ${delivery.responseStatus}`);
+                } else {
+                    showToast('warning', 'Test Not Delivered', delivery.error || delivery.status);
+                }
+                addActivity('notification', `Webhook test sent: ${webhook.name}`);
+                await loadWebhooks();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            } finally {
+                btn.disabled = false;
+            }
+        });
+
+        card.querySelector('[data-action="toggle"]').addEventListener('click', async () => {
+            try {
+                await apiRequest(`/api/admin/webhooks/${id}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ enabled: !webhook.enabled })
+                });
+                await loadWebhooks();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+
+        card.querySelector('[data-action="rotate"]').addEventListener('click', async () => {
+            if (!confirm('Issue a new signing secret? The receiver must be updated with it.')) {
+                return;
+            }
+            try {
+                const updated = await apiRequest(`/api/admin/webhooks/${id}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ rotateSecret: true })
+                });
+                showWebhookSecret(updated);
+                await loadWebhooks();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+
+        card.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            if (!confirm('Delete this webhook?')) {
+                return;
+            }
+            try {
+                await apiRequest(`/api/admin/webhooks/${id}`, { method: 'DELETE' });
+                showToast('success', 'Webhook Deleted', webhook.name);
+                await loadWebhooks();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+    });
+}
+
+// The secret is only returned on create/rotate, so show it where it can be copied.
+function showWebhookSecret(webhook) {
+    document.getElementById('webhook-feedback').innerHTML = `
+        <p>Signing secret for <strong>${escapeHtml(webhook.name)}</strong> (shown once):</p>
+        <code>${escapeHtml(webhook.secret)}</code>
+    `;
+}
+
+async function loadWebhookDeliveries(options = {}) {
+    try {
+        const data = await apiRequest('/api/admin/webhooks/deliveries?limit=50');
+        renderWebhookDeliveries(data.deliveries || []);
+        if (options.showMessage) {
+            showToast('success', 'Deliveries Updated', `Loaded ${data.deliveries.length} deliveries`);
+        }
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    }
+}
+
+function renderWebhookDeliveries(deliveries) {
+    if (!deliveries.length) {
+        elements.webhookDeliveries.innerHTML = '<p class="text-muted">No deliveries yet.</p>';
+        return;
+    }
+
+    elements.webhookDeliveries.innerHTML = deliveries.map(delivery => {
+        const badge = WEBHOOK_DELIVERY_BADGES[delivery.status] || { type: 'warning', text: delivery.status };
+        const details = [
+            `Attempts: ${delivery.attempts}`,
+            delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : null,
+            delivery.durationMs !== null ? `${delivery.durationMs} ms` : null,
+            delivery.nextAttemptAt ? `Next attempt: ${formatTimestamp(delivery.nextAttemptAt)}` : null
+        ].filter(Boolean).join(' · ');
+        return `
+            <div class="error-log-item">
+                <div class="error-log-header">
+                    <span class="error-log-operation">${escapeHtml(delivery.webhookName)} · ${escapeHtml(delivery.event)}${delivery.test ? ' (test)' : ''}</span>
+                    <span class="status-card-badge ${badge.type}">${escapeHtml(badge.text)}</span>
+                </div>
+                <div class="error-log-message">${escapeHtml(details)}${delivery.error ? ` · ${escapeHtml(delivery.error)}` : ''}</div>
+                <div class="error-log-context">
+                    <span class="error-context-item"><strong>Created:</strong> ${escapeHtml(formatTimestamp(delivery.createdAt))}</span>
+                    <span class="error-context-item"><strong>Delivery:</strong> ${escapeHtml(delivery.id)}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function createWebhook(event) {
+    event.preventDefault();
+    const btn = event.target.querySelector('button[type="submit"]');
+    btn.disabled = true;
+
+    const payload = {
+        name: document.getElementById('webhook-name').value,
+        url: document.getElementById('webhook-url').value,
+        sports: parseListInput(document.getElementById('webhook-sports').value),
+        teams: parseListInput(document.getElementById('webhook-teams').value),
+        events: Array.from(elements.webhookEvents.querySelectorAll('input:checked')).map(input => input.value)
+    };
+
+    if (!payload.events.length) {
+        showToast('error', 'Error', 'Select at least one event type');
+        btn.disabled = false;
+        return;
+    }
+
+    try {
+        const webhook = await apiRequest('/api/admin/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        showToast('success', 'Webhook Added', webhook.name);
+        addActivity('notification', `Webhook added: ${webhook.name}`);
+        showWebhookSecret(webhook);
+        event.target.reset();
+        await loadWebhooks();
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ============ Access ============
+async function loadAccounts() {
+    try {
+        const data = await apiRequest('/api/admin/users');
+        renderAccounts(data.users || []);
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    }
+}
+
+function renderAccounts(accounts) {
+    document.getElementById('accounts-badge').textContent = `${accounts.length} accounts`;
+
+    elements.accountsList.innerHTML = accounts.map(account => {
+        const isSelf = currentUser && account.username === currentUser.username;
+        const tokens = account.tokens.length
+            ? account.tokens.map(token => `
+                <div class="error-log-context mt-1">
+                    <span class="error-context-item"><strong>${escapeHtml(token.name)}</strong> ${escapeHtml(token.preview)}</span>
+                    <span class="error-context-item"><strong>Last used:</strong> ${token.lastUsedAt ? escapeHtml(formatTimestamp(token.lastUsedAt)) : 'never'}</span>
+                    <button class="btn btn-danger btn-sm" data-revoke="${escapeHtml(token.id)}"><i data-lucide="x" class="icon-btn"></i> Revoke</button>
+                </div>
+            `).join('')
+            : '<p class="text-muted text-sm mt-1">No API tokens</p>';
+        return `
+            <div class="game-card" data-username="${escapeHtml(account.username)}">
+                <div class="game-header">
+                    <div>
+                        <div class="game-title">${escapeHtml(account.name)}${isSelf ? ' (you)' : ''}</div>
+                        <div class="game-meta">${escapeHtml(account.username)} · Last sign-in: ${account.lastLoginAt ? escapeHtml(formatTimestamp(account.lastLoginAt)) : 'never'}</div>
+                    </div>
+                    <span class="status-card-badge ${account.disabled ? 'offline' : 'online'}">${account.disabled ? 'Disabled' : 'Active'}</span>
+                </div>
+                ${tokens}
+                <div class="game-actions mt-1">
+                    <button class="btn btn-primary btn-sm" data-action="token"><i data-lucide="key-round" class="icon-btn"></i> New API Token</button>
+                    <button class="btn btn-secondary btn-sm" data-action="password"><i data-lucide="lock" class="icon-btn"></i> Set Password</button>
+                    ${isSelf ? '' : `<button class="btn btn-secondary btn-sm" data-action="toggle"><i data-lucide="power" class="icon-btn"></i> ${account.disabled ? 'Enable' : 'Disable'}</button>`}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    refreshIcons();
+
+    elements.accountsList.querySelectorAll('.game-card').forEach(card => {
+        const username = card.dataset.username;
+        const account = accounts.find(entry => entry.username === username);
+        const accountPath = `/api/admin/users/${encodeURIComponent(username)}`;
+
+        card.querySelector('[data-action="token"]').addEventListener('click', async () => {
+            const name = prompt('What is the token for? (e.g. deploy script)');
+            if (name === null) {
+                return;
+            }
+            try {
+                const token = await apiRequest(`${accountPath}/tokens`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ name })
+                });
+                // The token is only returned on create, so show it where it can be copied.
+                document.getElementById('access-feedback').innerHTML = `
+                    <p>API token <strong>${escapeHtml(token.name)}</strong> for ${escapeHtml(username)} (shown once):</p>
+                    <code>${escapeHtml(token.token)}</code>
+                `;
+                await loadAccounts();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+
+        card.querySelector('[data-action="password"]').addEventListener('click', async () => {
+            const password = prompt(`New password for ${username} (at least 10 characters). Their sessions will end.`);
+            if (!password) {
+                return;
+            }
+            try {
+                await apiRequest(accountPath, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password })
+                });
+                showToast('success', 'Password Changed', username);
+                if (account.username === currentUser?.username) {
+                    showLoginScreen();
+                }
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+
+        card.querySelector('[data-action="toggle"]')?.addEventListener('click', async () => {
+            try {
+                await apiRequest(accountPath, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ disabled: !account.disabled })
+                });
+                await loadAccounts();
+            } catch (error) {
+                showToast('error', 'Error', error.message);
+            }
+        });
+
+        card.querySelectorAll('[data-revoke]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Revoke this API token? Scripts using it will stop working.')) {
+                    return;
+                }
+                try {
+                    await apiRequest(`${accountPath}/tokens/${encodeURIComponent(button.dataset.revoke)}`, { method: 'DELETE' });
+                    await loadAccounts();
+                } catch (error) {
+                    showToast('error', 'Error', error.message);
+                }
+            });
+        });
+    });
+}
+
+async function createAccount(event) {
+    event.preventDefault();
+    const btn = event.target.querySelector('button[type="submit"]');
+    btn.disabled = true;
+
+    try {
+        const account = await apiRequest('/api/admin/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('account-username').value,
+                name: document.getElementById('account-name').value,
+                password: document.getElementById('account-password').value
+            })
+        });
+        showToast('success', 'Account Added', account.username);
+        event.target.reset();
+        await loadAccounts();
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function loadAuditLog(options = {}) {
+    const action = document.getElementById('audit-filter').value.trim();
+    try {
+        const data = await apiRequest(`/api/admin/audit?limit=200${action ? `&action=${encodeURIComponent(action)}` : ''}`);
+        renderAuditLog(data.entries || []);
+        if (options.showMessage) {
+            showToast('success', 'Audit Trail', `Loaded ${data.entries.length} entries`);
+        }
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    }
+}
+
+function renderAuditLog(entries) {
+    if (!entries.length) {
+        elements.auditLogBody.innerHTML = '<tr><td colspan="5" class="text-muted">No audit entries yet.</td></tr>';
+        return;
+    }
+
+    elements.auditLogBody.innerHTML = entries.map(entry => {
+        const details = entry.details ? JSON.stringify(entry.details.body ?? entry.details) : '';
+        return `
+            <tr>
+                <td>${escapeHtml(formatTimestamp(entry.timestamp))}</td>
+                <td>${escapeHtml(entry.actor || '-')}${entry.via === 'token' ? ' (API token)' : ''}</td>
+                <td>${escapeHtml(entry.action)}</td>
+                <td>${escapeHtml(entry.status ?? '-')}</td>
+                <td class="token-cell">${escapeHtml(details === '{}' ? '' : details)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ============ Logging ============
+async function loadLogging() {
+    try {
+        renderLogging(await apiRequest('/api/admin/logging'));
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+    }
+}
+
+async function updateLogging(change) {
+    try {
+        renderLogging(await apiRequest('/api/admin/logging', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(change)
+        }));
+    } catch (error) {
+        showToast('error', 'Error', error.message);
+        await loadLogging();
+    }
+}
+
+function renderLogging(config) {
+    const levelOptions = selected => config.levels
+        .map(level => `<option value="${level}"${level === selected ? ' selected' : ''}>${level}</option>`)
+        .join('');
+
+    document.getElementById('logging-format-badge').textContent = `${config.format} output`;
+    elements.loggingDefaultLevel.innerHTML = levelOptions(config.defaultLevel);
+
+    if (!config.namespaces.length) {
+        elements.loggingNamespacesBody.innerHTML = '<tr><td colspan="3" class="text-muted">No loggers yet.</td></tr>';
+        return;
+    }
+
+    elements.loggingNamespacesBody.innerHTML = config.namespaces.map(entry => `
+        <tr data-namespace="${escapeHtml(entry.namespace)}">
+            <td><code>${escapeHtml(entry.namespace)}</code></td>
+            <td><select class="form-control">${levelOptions(entry.level)}</select></td>
+            <td>${entry.override
+                ? '<button class="btn btn-secondary btn-sm" data-action="reset"><i data-lucide="rotate-ccw" class="icon-btn"></i> Default</button>'
+                : '<span class="text-muted text-sm">inherited</span>'}</td>
+        </tr>
+    `).join('');
+
+    refreshIcons();
+
+    elements.loggingNamespacesBody.querySelectorAll('tr[data-namespace]').forEach(row => {
+        const namespace = row.dataset.namespace;
+        row.querySelector('select').addEventListener('change', event => updateLogging({ namespace, level: event.target.value }));
+        row.querySelector('[data-action="reset"]')?.addEventListener('click', () => updateLogging({ namespace, level: null }));
+    });
+}
+
 // ============ Target Input Helpers ============
 const TARGET_PLACEHOLDERS = {
     topic: 'No token needed (uses topic)',
@@ -907,7 +1583,8 @@ function parseNumericInput(value) {
 // ============ Event Handlers ============
 function setupEventListeners() {
     // Navigation
-    document.querySelectorAll('.nav-item').forEach(item => {
+    // Items without a section (API Reference) are plain links.
+    document.querySelectorAll('.nav-item[data-section]').forEach(item => {
         item.addEventListener('click', () => {
             navigateToSection(item.dataset.section);
             closeSidebarOnMobile();
@@ -995,6 +1672,20 @@ function setupEventListeners() {
     document.getElementById('venue').addEventListener('input', () => { venueTouched = true; });
     document.getElementById('home-team').addEventListener('change', updateVenueFromHomeTeam);
     document.getElementById('create-game-form').addEventListener('submit', createGame);
+
+    // Webhooks
+    document.getElementById('create-webhook-form').addEventListener('submit', createWebhook);
+    document.getElementById('refresh-webhook-deliveries').addEventListener('click', () => loadWebhookDeliveries({ showMessage: true }));
+
+    // Authentication and access
+    document.getElementById('login-form').addEventListener('submit', login);
+    document.getElementById('logout-btn').addEventListener('click', logout);
+    document.getElementById('create-account-form').addEventListener('submit', createAccount);
+    document.getElementById('refresh-audit-log').addEventListener('click', () => loadAuditLog({ showMessage: true }));
+    document.getElementById('audit-filter').addEventListener('change', () => loadAuditLog());
+
+    // Logging
+    elements.loggingDefaultLevel.addEventListener('change', event => updateLogging({ defaultLevel: event.target.value }));
 }
 
 async function clearCache() {
@@ -1286,6 +1977,15 @@ async function init() {
     setupEventListeners();
     initCharts();
 
+    if (!await loadCurrentUser()) {
+        showLoginScreen();
+        return;
+    }
+    await startConsole();
+}
+
+// Load everything once signed in; later sign-ins (after expiry) just reload the data.
+async function startConsole() {
     await Promise.all([
         loadTeams(),
         loadFootballTeams(),
@@ -1300,21 +2000,30 @@ async function init() {
         loadPushStatus(),
         loadSports(),
         loadGames(),
+        loadWebhooks(),
         loadFcmErrorLog(),
-        loadActivityLog()
+        loadActivityLog(),
+        loadAccounts(),
+        loadAuditLog(),
+        loadLogging()
     ]);
 
     // Refresh icons after dynamic content is loaded
     refreshIcons();
 
+    if (consoleStarted) {
+        return;
+    }
+    consoleStarted = true;
+
     // Navigate to section from URL path
     const initialSection = getSectionFromPath();
     navigateToSection(initialSection, false);
 
-    // Auto-refresh
-    setInterval(() => loadStatus(), 15000);
-    setInterval(() => loadPushStatus(), 15000);
-    setInterval(() => loadActivityLog(), 15000);
+    // Auto-refresh (paused while signed out)
+    setInterval(() => currentUser && loadStatus(), 15000);
+    setInterval(() => currentUser && loadPushStatus(), 15000);
+    setInterval(() => currentUser && loadActivityLog(), 15000);
 }
 
 // Start the application
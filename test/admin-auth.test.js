@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { AdminAuthService, AdminAuthError, createRequireAdmin, hashPassword, verifyPassword } = require('../modules/admin-auth');
+const { AuditLog } = require('../modules/audit-log');
+const { startServer, useMemoryBackend } = require('./helpers/harness');
+
+test('accounts validate input and store only password hashes', (t) => {
+    useMemoryBackend(t);
+    const service = new AdminAuthService();
+
+    const stored = hashPassword('correct horse');
+    assert.ok(verifyPassword('correct horse', stored));
+    assert.ok(!verifyPassword('wrong horse!', stored));
+
+    const account = service.createAccount({ username: 'Anna', password: 'long enough pw', name: 'Anna A' });
+    assert.equal(account.username, 'anna');
+    assert.equal(account.passwordHash, undefined);
+    assert.match(service.findAccount('anna').passwordHash, /^scrypt\$/);
+
+    assert.throws(() => service.createAccount({ username: 'anna', password: 'long enough pw' }), { status: 409 });
+    assert.throws(() => service.createAccount({ username: 'x', password: 'long enough pw' }), AdminAuthError);
+    assert.throws(() => service.createAccount({ username: 'bob', password: 'short' }), /at least 10 characters/);
+
+    assert.equal(service.ensureBootstrapAccount('anna', 'another password'), false, 'existing account is kept');
+    assert.equal(service.ensureBootstrapAccount(undefined, undefined), false);
+});
+
+test('sessions and API tokens authenticate until ended', (t) => {
+    useMemoryBackend(t);
+    const service = new AdminAuthService();
+    service.createAccount({ username: 'anna', password: 'long enough pw' });
+
+    assert.equal(service.login('anna', 'wrong password'), null);
+    assert.equal(service.login('nobody', 'long enough pw'), null);
+
+    const session = service.login('anna', 'long enough pw');
+    assert.deepEqual(service.authenticate(session.token), { username: 'anna', name: 'anna', via: 'session' });
+
+    const apiToken = service.createToken('anna', 'deploy script');
+    assert.equal(service.authenticate(apiToken.token).via, 'token');
+    assert.equal(service.listAccounts()[0].tokens[0].hash, undefined);
+
+    // A fresh service reads the same documents back
+    const reloaded = new AdminAuthService();
+    assert.equal(reloaded.authenticate(session.token).username, 'anna');
+
+    service.updateAccount('anna', { password: 'a new long password' });
+    assert.equal(service.authenticate(session.token), null, 'password change ends sessions');
+    assert.equal(service.authenticate(apiToken.token).username, 'anna', 'API tokens survive a password change');
+
+    service.revokeToken('anna', apiToken.id);
+    assert.equal(service.authenticate(apiToken.token), null);
+    assert.throws(() => service.revokeToken('anna', apiToken.id), { status: 404 });
+
+    const second = service.login('anna', 'a new long password');
+    assert.ok(service.logout(second.token));
+    assert.equal(service.authenticate(second.token), null);
+
+    const third = service.login('anna', 'a new long password');
+    service.updateAccount('anna', { disabled: true });
+    assert.equal(service.authenticate(third.token), null, 'disabling ends sessions');
+    assert.equal(service.login('anna', 'a new long password'), null);
+});
+
+test('requireAdmin rejects anonymous requests and audits mutations', async (t) => {
+    useMemoryBackend(t);
+    const service = new AdminAuthService();
+    const audit = new AuditLog();
+    service.createAccount({ username: 'anna', password: 'long enough pw' });
+    const { token } = service.createToken('anna', 'tests');
+
+    const requireAdmin = createRequireAdmin(service, audit);
+    const app = express();
+    app.use(express.json());
+    app.get('/api/status', requireAdmin, (req, res) => res.json({ user: req.admin.username }));
+    app.post('/api/admin/things/:id', requireAdmin, (req, res) => res.json({ ok: true }));
+
+    const base = await startServer(t, app);
+
+    const anonymous = await fetch(`${base}/api/status`);
+    assert.equal(anonymous.status, 401);
+
+    const invalid = await fetch(`${base}/api/status`, { headers: { Authorization: 'Bearer gpa_nope' } });
+    assert.equal(invalid.status, 401);
+
+    const authorized = await fetch(`${base}/api/status`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.deepEqual(await authorized.json(), { user: 'anna' });
+    assert.equal(audit.list().length, 0, 'reads are not audited');
+
+    const mutation = await fetch(`${base}/api/admin/things/42?dry=1`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'x', password: 'hunter2hunter2' })
+    });
+    assert.deepEqual(await mutation.json(), { ok: true });
+
+    const [entry] = audit.list();
+    assert.equal(entry.actor, 'anna');
+    assert.equal(entry.via, 'token');
+    assert.equal(entry.action, 'POST /api/admin/things/:id');
+    assert.equal(entry.status, 200);
+    assert.deepEqual(entry.details, {
+        params: { id: '42' },
+        query: { dry: '1' },
+        body: { name: 'x', password: '[redacted]' }
+    });
+});
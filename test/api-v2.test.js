@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createApiV2Router } = require('../modules/api-v2');
+const { describeCacheSources } = require('../modules/api-envelope');
+const { setProvider } = require('../modules/providers');
+const cache = require('../modules/cache');
+const { createGetter, createStubProvider, startServer } = require('./helpers/harness');
+
+const GAMES = [
+    { uuid: 'g1', startDateTime: '2026-04-05T18:00:00Z', state: 'post-game', homeTeamInfo: { code: 'MFF' }, awayTeamInfo: { code: 'AIK' } },
+    { uuid: 'g2', startDateTime: '2026-05-10T15:00:00Z', state: 'pre-game', homeTeamInfo: { code: 'AIK' }, awayTeamInfo: { code: 'HBK' } },
+    { uuid: 'g3', startDateTime: '2026-05-17T15:00:00Z', state: 'pre-game', homeTeamInfo: { code: 'DIF' }, awayTeamInfo: { code: 'AIK' } }
+];
+
+function createGamesProvider(overrides = {}) {
+    return createStubProvider({
+        fetchAllGames: async () => GAMES.slice(),
+        fetchGameVideos: async () => [],
+        fetchGameDetails: async id => (id === 'g1' ? { info: { uuid: 'g1' } } : null),
+        fetchStandings: async () => ({ season: '2026', standings: [{ teamCode: 'AIK' }, { teamCode: 'MFF' }] }),
+        ...overrides
+    });
+}
+
+async function startApi(t, options = {}) {
+    const app = express();
+    app.use('/api/v2', createApiV2Router({
+        aliases: { football: 'allsvenskan' },
+        listSports: () => [{ id: 'allsvenskan' }],
+        loadTeamsIndex: async () => [],
+        ...options
+    }));
+    return createGetter(`${await startServer(t, app)}/api/v2`);
+}
+
+test('lists are wrapped in { data, meta } with the total before pagination', async (t) => {
+    setProvider('allsvenskan', createGamesProvider());
+    const get = await startApi(t);
+
+    const page = await get('/football/games?team=aik&limit=1&offset=1');
+    assert.equal(page.status, 200);
+    assert.deepEqual(page.body.data.map(game => game.uuid), ['g2'], 'newest first, then paginated');
+    assert.equal(page.body.meta.total, 3);
+    assert.equal(page.body.meta.cacheAge, 0, 'just fetched and cached');
+    assert.equal(page.body.meta.stale, false);
+    assert.ok(!Number.isNaN(Date.parse(page.body.meta.generatedAt)));
+
+    const past = await get('/allsvenskan/games?season=2025');
+    assert.equal(past.body.meta.cacheAge, null, 'past seasons are not cached');
+
+    const sports = await get('/sports');
+    assert.deepEqual(sports.body.data, [{ id: 'allsvenskan' }]);
+    assert.equal(sports.body.meta.total, 1);
+
+    const standings = await get('/allsvenskan/standings?top=1');
+    assert.deepEqual(standings.body.data.standings, [{ teamCode: 'AIK' }]);
+    assert.deepEqual(Object.keys(standings.body.meta).sort(), ['cacheAge', 'generatedAt', 'stale']);
+});
+
+test('entries restored from a snapshot are reported as stale with their age', async (t) => {
+    setProvider('allsvenskan', createGamesProvider({
+        fetchAllGames: async () => assert.fail('a restored entry is served without fetching')
+    }));
+    cache.getCacheNamespace('allsvenskan', 'games').restore(
+        [{ key: 'current', data: GAMES, timestamp: Date.now() - 90 * 1000 }],
+        { maxStaleMs: 60 * 60 * 1000 }
+    );
+    const get = await startApi(t);
+
+    const { body } = await get('/allsvenskan/games');
+    assert.equal(body.meta.total, 3);
+    assert.equal(body.meta.stale, true);
+    assert.ok(body.meta.cacheAge >= 90 && body.meta.cacheAge < 100);
+});
+
+test('errors carry a code that decides the status', async (t) => {
+    setProvider('allsvenskan', createGamesProvider({
+        fetchGameDetails: async id => {
+            if (id === 'g2') {
+                throw new Error('HTTP 503');
+            }
+            return id === 'g1' ? { info: { uuid: 'g1' } } : null;
+        }
+    }));
+    setProvider('svenska-cupen', createGamesProvider({ fetchStandings: undefined }));
+    const get = await startApi(t);
+
+    assert.deepEqual(await get('/cricket/games'), {
+        status: 404,
+        body: { error: { code: 'unknown_sport', message: 'Unknown sport: cricket' } }
+    });
+    assert.deepEqual(await get('/allsvenskan/games?limit=0'), {
+        status: 400,
+        body: {
+            error: {
+                code: 'invalid_parameters',
+                message: 'limit must be at least 1',
+                details: [{ in: 'query', name: 'limit', message: 'limit must be at least 1' }]
+            }
+        }
+    });
+    assert.deepEqual(await get('/allsvenskan/games/g9'), {
+        status: 404,
+        body: { error: { code: 'not_found', message: 'Game not found: g9' } }
+    });
+    assert.equal((await get('/svenska-cupen/standings')).body.error.code, 'not_supported');
+    assert.equal((await get('/allsvenskan/bracket')).body.error.code, 'not_supported');
+    assert.deepEqual(await get('/allsvenskan/games/g2'), {
+        status: 502,
+        body: { error: { code: 'upstream_error', message: 'HTTP 503' } }
+    });
+    assert.deepEqual(await get('/allsvenskan/teams'), {
+        status: 404,
+        body: { error: { code: 'not_found', message: 'No route for GET /api/v2/allsvenskan/teams' } }
+    });
+
+    const details = await get('/allsvenskan/games/g1');
+    assert.deepEqual(details.body.data, { info: { uuid: 'g1' } });
+    assert.equal(details.body.meta.cacheAge, 0);
+});
+
+test('sport sources and the teams index feed the same envelope', async (t) => {
+    setProvider('shl', createGamesProvider({ fetchAllGames: async () => assert.fail('the SHL source is used') }));
+    cache.setCachedGames('hockeyallsvenskan', GAMES);
+    const get = await startApi(t, {
+        loadTeamsIndex: async () => [
+            { uid: 'hockey:AIK', id: 'AIK', sport: 'hockey', code: 'AIK', names: { short: 'AIK' } },
+            { uid: 'football:aik', id: 'aik', sport: 'football', key: 'aik', names: { short: 'AIK' } }
+        ],
+        teamsIndexSports: ['hockeyallsvenskan', 'allsvenskan'],
+        sources: {
+            shl: {
+                games: async () => [{ uuid: 'manual', startDateTime: '2026-09-01T17:00:00Z', state: 'pre-game' }, ...GAMES],
+                details: async id => ({ info: { id, manual: true } })
+            }
+        }
+    });
+
+    const games = await get('/shl/games?state=pre-game');
+    assert.deepEqual(games.body.data.map(game => game.uuid), ['manual', 'g3', 'g2']);
+    assert.equal(games.body.meta.total, 3);
+    assert.equal(games.body.meta.cacheAge, null, 'the source did not fill the SHL games cache');
+
+    assert.deepEqual((await get('/shl/games/manual')).body.data, { info: { id: 'manual', manual: true } });
+
+    const teams = await get('/teams?sport=hockey');
+    assert.deepEqual(teams.body.data.map(team => team.uid), ['hockey:AIK']);
+    assert.equal(teams.body.meta.total, 1);
+    assert.equal(teams.body.meta.cacheAge, 0, 'age of the cached league schedules');
+});
+
+test('describeCacheSources reports the oldest entry and any stale one', () => {
+    const now = Date.now();
+    cache.setCachedGames('allsvenskan', GAMES);
+    cache.getCacheNamespace('shl', 'games').restore([{ key: 'current', data: GAMES, timestamp: now - 300 * 1000 }], { maxStaleMs: Infinity });
+    try {
+        assert.deepEqual(describeCacheSources([], now), { cacheAge: null, stale: false });
+        assert.deepEqual(describeCacheSources([{ sport: 'allsvenskan', resource: 'games' }], now), { cacheAge: 0, stale: false });
+        assert.deepEqual(describeCacheSources([
+            { sport: 'allsvenskan', resource: 'games' },
+            { sport: 'shl', resource: 'games' },
+            { sport: 'allsvenskan', resource: 'details', key: 'missing' },
+            { sport: 'cricket', resource: 'games' }
+        ], now), { cacheAge: 300, stale: true });
+    } finally {
+        cache.clearAllCaches();
+    }
+});
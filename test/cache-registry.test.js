@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CacheNamespace, CacheRegistry } = require('../modules/cache-registry');
+const cache = require('../modules/cache');
+
+test('CacheNamespace counts hits and misses and expires by TTL', (t) => {
+    const ns = new CacheNamespace('shl', 'details', { ttl: 1000, maxEntries: 10 });
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+
+    assert.equal(ns.get('a'), null);
+    ns.set('a', { id: 'a' });
+    assert.deepEqual(ns.get('a'), { id: 'a' });
+
+    t.mock.timers.tick(1000);
+    assert.equal(ns.get('a'), null);
+    assert.deepEqual(ns.peek('a').data, { id: 'a' }, 'expired entries stay peekable');
+
+    const status = ns.getStatus();
+    assert.equal(status.hits, 1);
+    assert.equal(status.misses, 2);
+    assert.equal(status.hitRate, 0.333);
+});
+
+test('CacheNamespace evicts the least recently used entry past maxEntries', () => {
+    const ns = new CacheNamespace('shl', 'videos', { ttl: 60000, maxEntries: 2 });
+    ns.set('a', [1]);
+    ns.set('b', [2]);
+    // Touch 'a' so 'b' becomes the eviction candidate.
+    ns.get('a');
+    ns.set('c', [3]);
+
+    assert.deepEqual(ns.get('a'), [1]);
+    assert.equal(ns.get('b'), null);
+    assert.deepEqual(ns.get('c'), [3]);
+    assert.equal(ns.getStatus().evictions, 1);
+    assert.equal(ns.getStatus().entriesCount, 2);
+});
+
+test('CacheNamespace maps empty keys to the default slot', () => {
+    const ns = new CacheNamespace('allsvenskan', 'standings', { ttl: 60000, maxEntries: 5 });
+    ns.set(null, { season: 2026 });
+    assert.deepEqual(ns.get(''), { season: 2026 });
+    assert.deepEqual(ns.get('  '), { season: 2026 });
+    assert.deepEqual(ns.get(undefined), { season: 2026 });
+    assert.equal(ns.get('2025'), null);
+});
+
+test('CacheNamespace supports live-aware TTL functions', (t) => {
+    const ns = new CacheNamespace('shl', 'games', {
+        ttl: entry => (entry.hasLive ? 15000 : 60000),
+        liveAware: true
+    });
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+
+    ns.set(null, [{ id: 1 }], { hasLive: false });
+    t.mock.timers.tick(20000);
+    assert.ok(ns.get(), 'normal TTL still valid after 20s');
+
+    ns.setMeta(null, { hasLive: true });
+    assert.equal(ns.get(), null, 'live TTL expired after 20s');
+    assert.equal(ns.getStatus().hasLiveGame, true);
+    assert.equal(ns.getStatus().ttlSeconds, 15);
+});
+
+test('CacheRegistry rejects duplicate and unknown namespaces', () => {
+    const registry = new CacheRegistry();
+    registry.register('shl', 'games', { ttl: 1000 });
+    assert.throws(() => registry.register('shl', 'games', { ttl: 1000 }), /already registered/);
+    assert.throws(() => registry.get('shl', 'bracket'), /Unknown cache namespace/);
+    assert.equal(registry.has('shl', 'games'), true);
+});
+
+test('cache.js registers one namespace per sport and resource', () => {
+    const status = cache.getCacheStatus();
+    const ids = status.namespaces.map(ns => ns.id);
+
+    for (const [sport, config] of Object.entries(cache.SPORT_CACHES)) {
+        for (const resource of config.resources) {
+            assert.ok(ids.includes(`${sport}:${resource}`), `${sport}:${resource} registered`);
+        }
+    }
+    assert.equal(status.sports.shl, 'SHL');
+});
+
+test('cache.js helpers are isolated per sport and cleared together', () => {
+    cache.setCachedDetails('shl', 'game-1', { sport: 'shl' });
+    cache.setCachedDetails('allsvenskan', 'game-1', { sport: 'allsvenskan' });
+    cache.setCachedGames('hockeyallsvenskan', [{ uuid: 'x' }], true);
+
+    assert.deepEqual(cache.getCachedDetails('shl', 'game-1'), { sport: 'shl' });
+    assert.deepEqual(cache.getCachedDetails('allsvenskan', 'game-1'), { sport: 'allsvenskan' });
+    assert.equal(cache.getGamesCacheDuration('hockeyallsvenskan'), 15000);
+
+    cache.clearAllCaches();
+    assert.equal(cache.getCachedDetails('shl', 'game-1'), null);
+    assert.equal(cache.getCachedGames('hockeyallsvenskan'), null);
+});
+
+test('CacheNamespace restores snapshot records as stale but servable entries', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 100000 });
+    const source = new CacheNamespace('shl', 'games', { ttl: 1000, liveAware: true, persist: true });
+    source.set(null, [{ uuid: 'g1' }], { hasLive: true });
+    const records = source.snapshot();
+
+    t.mock.timers.tick(60000);
+    const target = new CacheNamespace('shl', 'games', { ttl: 1000, liveAware: true, persist: true });
+    assert.equal(target.restore(records, { maxStaleMs: 120000 }), 1);
+
+    // Well past the TTL, but still served because it was restored from a snapshot.
+    assert.deepEqual(target.get(), [{ uuid: 'g1' }]);
+    assert.equal(target.isStale(), true);
+    assert.deepEqual(target.getStaleKeys(), ['current']);
+    assert.equal(target.peek().hasLive, true);
+    assert.equal(target.getStatus().staleHits, 1);
+
+    // Past the stale window it is a miss.
+    t.mock.timers.tick(60000);
+    assert.equal(target.get(), null);
+
+    // A fresh set clears the stale marker.
+    target.set(null, [{ uuid: 'g2' }]);
+    assert.equal(target.isStale(), false);
+});
+
+test('CacheNamespace.restore skips records that are too old or already cached', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 100000 });
+    const ns = new CacheNamespace('allsvenskan', 'standings', { ttl: 1000, maxEntries: 5, persist: true });
+    ns.set('2026', { fresh: true });
+
+    const restored = ns.restore([
+        { key: '2026', data: { fresh: false }, timestamp: 90000 },
+        { key: '2025', data: { season: 2025 }, timestamp: 1000 },
+        { key: '2024', data: { season: 2024 }, timestamp: 95000 }
+    ], { maxStaleMs: 50000 });
+
+    assert.equal(restored, 1);
+    assert.deepEqual(ns.get('2026'), { fresh: true });
+    assert.equal(ns.get('2025'), null);
+    assert.deepEqual(ns.get('2024'), { season: 2024 });
+});
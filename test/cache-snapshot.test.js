@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const cache = require('../modules/cache');
+const cacheSnapshot = require('../modules/cache-snapshot');
+const { setProvider, resetProvider } = require('../modules/providers');
+
+function tempSnapshotPath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-snapshot-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'cache_snapshot.json');
+}
+
+test('snapshot only includes persistable namespaces', (t) => {
+    t.after(() => cache.clearAllCaches());
+    cache.setCachedGames('allsvenskan', [{ uuid: 'a1' }], false);
+    cache.setCachedStandings('shl', null, { standings: [] });
+    cache.setCachedDetails('shl', 'g1', { info: {} });
+
+    const snapshot = cacheSnapshot.buildSnapshot();
+    assert.equal(snapshot.version, 1);
+    assert.ok(snapshot.namespaces['allsvenskan:games']);
+    assert.ok(snapshot.namespaces['shl:standings']);
+    assert.equal(snapshot.namespaces['shl:details'], undefined);
+});
+
+test('saved snapshot restores as stale entries after caches are cleared', (t) => {
+    t.after(() => cache.clearAllCaches());
+    const filePath = tempSnapshotPath(t);
+
+    cache.setCachedGames('hockeyallsvenskan', [{ uuid: 'h1' }], true);
+    cache.setCachedStandings('allsvenskan', '2025', { season: '2025' });
+    assert.equal(cacheSnapshot.saveSnapshot(filePath), 2);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+    cache.clearAllCaches();
+    assert.equal(cache.getCachedGames('hockeyallsvenskan'), null);
+
+    assert.equal(cacheSnapshot.loadSnapshot(filePath), 2);
+    assert.deepEqual(cache.getCachedGames('hockeyallsvenskan'), [{ uuid: 'h1' }]);
+    assert.equal(cache.isCacheStale('hockeyallsvenskan', 'games'), true);
+    assert.deepEqual(cache.getCachedStandings('allsvenskan', '2025'), { season: '2025' });
+});
+
+test('loadSnapshot ignores missing and malformed files', (t) => {
+    const filePath = tempSnapshotPath(t);
+    assert.equal(cacheSnapshot.loadSnapshot(filePath), 0);
+
+    fs.writeFileSync(filePath, '{not json');
+    assert.equal(cacheSnapshot.loadSnapshot(filePath), 0);
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: 99, namespaces: {} }));
+    assert.equal(cacheSnapshot.loadSnapshot(filePath), 0);
+});
+
+test('a failed refresh of restored entries is retried until it succeeds', async (t) => {
+    const filePath = tempSnapshotPath(t);
+    t.after(() => {
+        cacheSnapshot.stopLoop();
+        resetProvider();
+        cache.clearAllCaches();
+    });
+
+    cache.setCachedGames('allsvenskan', [{ uuid: 'old' }], false);
+    cacheSnapshot.saveSnapshot(filePath);
+    cache.clearAllCaches();
+    cacheSnapshot.loadSnapshot(filePath);
+
+    let calls = 0;
+    setProvider('allsvenskan', {
+        getName: () => 'Stub',
+        fetchAllGames: async () => {
+            calls++;
+            if (calls === 1) {
+                throw new Error('upstream down');
+            }
+            return [{ uuid: 'fresh' }];
+        }
+    });
+
+    cacheSnapshot.startLoop({ retryInterval: 10 });
+    for (let waited = 0; cache.isCacheStale('allsvenskan', 'games') && waited < 1000; waited += 10) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.equal(calls, 2, 'the first refresh failed, the retry succeeded');
+    assert.equal(cache.isCacheStale('allsvenskan', 'games'), false);
+    assert.deepEqual(cache.getCachedGames('allsvenskan'), [{ uuid: 'fresh' }]);
+    assert.equal(cacheSnapshot.getStats().staleEntries, 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const {
+    createCalendarRouter,
+    buildCalendar,
+    buildGameEvent,
+    buildRaceEvent,
+    escapeText,
+    foldLine
+} = require('../modules/calendar');
+const { setProvider } = require('../modules/providers');
+const { createGetter, createStubProvider, game, startServer } = require('./helpers/harness');
+
+const GAMES = [
+    {
+        uuid: 'g2',
+        startDateTime: '2026-05-10T15:00:00Z',
+        state: 'pre-game',
+        homeTeamInfo: { code: 'AIK', names: { short: 'AIK', long: 'AIK' } },
+        awayTeamInfo: { code: 'HBK', names: { short: 'Halmstad', long: 'Halmstads BK' } },
+        venueInfo: { name: 'Strawberry Arena' }
+    },
+    {
+        uuid: 'g1',
+        startDateTime: '2026-04-05T18:00:00Z',
+        state: 'post-game',
+        homeTeamInfo: { code: 'MFF', names: { short: 'Malmö', long: 'Malmö FF' }, score: 2 },
+        awayTeamInfo: { code: 'AIK', names: { short: 'AIK', long: 'AIK' }, score: 1 },
+        venueInfo: { name: 'Eleda Stadion' }
+    },
+    {
+        uuid: 'g3',
+        startDateTime: '2026-05-17T15:00:00Z',
+        state: 'pre-game',
+        homeTeamInfo: { code: 'MFF', names: { short: 'Malmö', long: 'Malmö FF' } },
+        awayTeamInfo: { code: 'HBK', names: { short: 'Halmstad', long: 'Halmstads BK' } }
+    }
+];
+
+const RACES = [
+    { uuid: 'BT2526SWRLCP01SMSP', eventName: 'Östersund', discipline: 'Sprint', gender: 'men', genderDisplay: 'Men', startDateTime: '2026-11-29T12:15:00Z', location: 'Östersund', country: 'SWE', countryName: 'Sweden', state: 'upcoming' },
+    { uuid: 'BT2526SWRLCP01SWSP', eventName: 'Östersund', discipline: 'Sprint', gender: 'women', genderDisplay: 'Women', startDateTime: '2026-11-29T15:00:00Z', location: 'Östersund', country: 'SWE', countryName: 'Sweden', state: 'upcoming' },
+    { uuid: 'BT2526SWRLCP02SWPU', eventName: 'Hochfilzen', discipline: 'Pursuit', gender: 'women', genderDisplay: 'Women', startDateTime: '2026-12-07T12:00:00Z', location: 'Hochfilzen', country: 'AUT', countryName: 'Austria', state: 'upcoming' }
+];
+
+const unfold = text => text.replace(/\r\n /g, '');
+
+async function startCalendar(t, options = {}) {
+    setProvider('allsvenskan', createStubProvider({
+        getName: () => 'Allsvenskan',
+        getCapabilities: () => ({ teams: true }),
+        fetchAllGames: async () => GAMES
+    }));
+    setProvider('biathlon', createStubProvider({ getName: () => 'Biathlon', fetchAllGames: async () => RACES }));
+
+    const app = express();
+    app.use('/api/calendar', createCalendarRouter({ aliases: { football: 'allsvenskan' }, ...options }));
+    return createGetter(`${await startServer(t, app)}/api/calendar`, 'text');
+}
+
+test('escapes TEXT values and folds long lines at 75 octets without splitting characters', () => {
+    assert.equal(escapeText('A, B; C\\D\nE'), 'A\\, B\\; C\\\\D\\nE');
+
+    const line = `SUMMARY:${'Ö'.repeat(60)}`;
+    const folded = foldLine(line);
+    for (const physical of folded.split('\r\n')) {
+        assert.ok(Buffer.byteLength(physical) <= 75);
+    }
+    assert.equal(unfold(folded), line);
+    assert.equal(foldLine('SHORT'), 'SHORT');
+});
+
+test('game events use stable UIDs, the venue as location and the final score once played', () => {
+    const upcoming = buildGameEvent('allsvenskan', 'Allsvenskan', GAMES[0]);
+    assert.equal(upcoming.uid, 'allsvenskan-g2@gamepulse');
+    assert.equal(upcoming.summary, 'AIK – Halmstads BK');
+    assert.equal(upcoming.location, 'Strawberry Arena');
+    assert.equal(upcoming.end - upcoming.start, 120 * 60 * 1000);
+
+    const rescheduled = buildGameEvent('allsvenskan', 'Allsvenskan', { ...GAMES[0], startDateTime: '2026-05-11T17:00:00Z' });
+    assert.equal(rescheduled.uid, upcoming.uid, 'UID survives a reschedule');
+
+    const played = buildGameEvent('allsvenskan', 'Allsvenskan', GAMES[1]);
+    assert.equal(played.summary, 'Malmö FF 2–1 AIK');
+    assert.match(played.description, /Final score: 2–1/);
+
+    assert.equal(buildGameEvent('shl', 'SHL', { ...GAMES[0], startDateTime: 'TBD' }), null);
+
+    const race = buildRaceEvent(RACES[0]);
+    assert.equal(race.summary, 'Men Sprint – Östersund');
+    assert.equal(race.location, 'Östersund, Sweden');
+
+    const ics = buildCalendar({ name: 'Test', events: [upcoming] }, new Date('2026-04-01T00:00:00Z'));
+    assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+    assert.match(ics, /\r\nDTSTAMP:20260401T000000Z\r\nDTSTART:20260510T150000Z\r\nDTEND:20260510T170000Z\r\n/);
+    assert.match(ics, /END:VCALENDAR\r\n$/);
+});
+
+test('GET /api/calendar/:sport.ics serves a league feed and filters biathlon races', async (t) => {
+    const get = await startCalendar(t);
+
+    const league = await get('/football.ics');
+    assert.equal(league.status, 200);
+    assert.match(league.headers.get('content-type'), /^text\/calendar/);
+    assert.equal((league.body.match(/BEGIN:VEVENT/g) || []).length, 3);
+    assert.ok(league.body.indexOf('UID:allsvenskan-g1@') < league.body.indexOf('UID:allsvenskan-g2@'), 'sorted by start');
+
+    const biathlon = unfold((await get('/biathlon.ics?gender=women&discipline=sprint')).body);
+    assert.deepEqual(biathlon.match(/UID:[^\r]+/g), ['UID:biathlon-BT2526SWRLCP01SWSP@gamepulse']);
+    assert.match(biathlon, /LOCATION:Östersund\\, Sweden/);
+
+    const unknown = await get('/curling.ics');
+    assert.equal(unknown.status, 404);
+    assert.equal(JSON.parse(unknown.body).error, 'Unknown sport: curling');
+});
+
+test('GET /api/calendar/team/:code.ics includes only that team’s games', async (t) => {
+    const get = await startCalendar(t);
+
+    const team = await get('/team/aik.ics?sport=allsvenskan');
+    assert.equal(team.status, 200);
+    assert.match(team.headers.get('content-disposition'), /filename="aik\.ics"/);
+    assert.deepEqual(team.body.match(/UID:[^\r]+/g), ['UID:allsvenskan-g1@gamepulse', 'UID:allsvenskan-g2@gamepulse']);
+    assert.match(team.body, /X-WR-CALNAME:AIK/);
+
+    assert.equal((await get('/team/aik.ics?sport=biathlon')).status, 404, 'biathlon has no teams');
+});
+
+test('sports with a source read their games from it', async (t) => {
+    setProvider('shl', createStubProvider({
+        getName: () => 'SHL',
+        getCapabilities: () => ({ teams: true }),
+        fetchAllGames: async () => assert.fail('the SHL source is used')
+    }));
+    const manual = game('manual', '2026-10-24T15:00:00Z', 'pre-game', 'LHF', 'FBK');
+    const get = await startCalendar(t, { sources: { shl: async () => [manual] } });
+
+    assert.deepEqual((await get('/shl.ics')).body.match(/UID:[^\r]+/g), ['UID:shl-manual@gamepulse']);
+    assert.deepEqual((await get('/team/fbk.ics?sport=shl')).body.match(/UID:[^\r]+/g), ['UID:shl-manual@gamepulse']);
+});
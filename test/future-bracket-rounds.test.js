@@ -3,8 +3,13 @@ const assert = require('node:assert/strict');
 
 const {
     mergeFutureRounds,
-    __test: { describeSlot, splitSeriesRow, parseSportsSeriesRound }
+    __test: { WIKIMEDIA_API, describeSlot, splitSeriesRow, parseSportsSeriesRound }
 } = require('../modules/future-bracket-rounds');
+const { upstreamClient } = require('../modules/upstream-client');
+
+test('Wikimedia requests keep their 8 second timeout', () => {
+    assert.equal(upstreamClient.getTimeout(new URL(WIKIMEDIA_API).hostname), 8000);
+});
 
 test('describeSlot keeps a drawn feeder pairing readable before its winner is known', () => {
     const slot = 'Winner of [[Some page#GAIS v Nordsjælland|match 10]]<!--[[GAIS]]/[[FC Nordsjælland|Nordsjælland]]-->';
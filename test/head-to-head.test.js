@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { buildHeadToHead, createHeadToHeadRouter } = require('../modules/head-to-head');
+const { setProvider } = require('../modules/providers');
+const { createGetter, createStubProvider, game, startServer } = require('./helpers/harness');
+
+const CURRENT = [
+    game('c3', '2026-11-01T15:00:00Z', 'pre-game', 'MFF', 'AIK'),
+    game('c2', '2026-08-10T15:00:00Z', 'post-game', 'MFF', 'AIK', [1, 1]),
+    game('c1', '2026-04-05T15:00:00Z', 'post-game', 'AIK', 'MFF', [2, 0]),
+    game('c0', '2026-04-12T15:00:00Z', 'post-game', 'AIK', 'HBK', [5, 0])
+];
+const SEASON_2025 = [
+    game('p2', '2025-09-01T15:00:00Z', 'post-game', 'MFF', 'AIK', [3, 1]),
+    game('p1', '2025-05-01T15:00:00Z', 'post-game', 'AIK', 'MFF', [0, 1]),
+    // Also in the current list: counted once.
+    CURRENT[2]
+];
+
+test('meetings are aggregated from both sides, overall and home/away', () => {
+    const result = buildHeadToHead([CURRENT, SEASON_2025], 'aik', 'malmö ff');
+
+    assert.deepEqual(result.meetings.map(meeting => [meeting.uuid, meeting.winner]), [
+        ['c2', 'draw'], ['c1', 'teamA'], ['p2', 'teamB'], ['p1', 'teamB']
+    ]);
+    assert.equal(result.played, 4);
+    assert.equal(result.draws, 1);
+    assert.equal(result.teamA.info.code, 'AIK');
+    assert.equal(result.teamB.info.code, 'MFF', 'matched by long name');
+
+    const { query, info, home, away, ...aggregate } = result.teamA;
+    assert.equal(query, 'aik');
+    assert.ok(info);
+    assert.deepEqual(aggregate, { played: 4, wins: 1, draws: 1, losses: 2, goalsFor: 4, goalsAgainst: 5 });
+    assert.deepEqual(home, { played: 2, wins: 1, draws: 0, losses: 1, goalsFor: 2, goalsAgainst: 1 });
+    assert.deepEqual(away, { played: 2, wins: 0, draws: 1, losses: 1, goalsFor: 2, goalsAgainst: 4 });
+    assert.deepEqual(result.teamB.home, { played: 2, wins: 1, draws: 1, losses: 0, goalsFor: 4, goalsAgainst: 2 });
+
+    // SHL games carry the final score on the team results instead.
+    const shl = buildHeadToHead([[{
+        uuid: 's1',
+        startDateTime: '2026-10-01T17:00:00Z',
+        state: 'post-game',
+        homeTeamInfo: { code: 'LIF', names: { short: 'Leksand' } },
+        awayTeamInfo: { code: 'FBK', names: { short: 'Färjestad' } },
+        homeTeamResult: { score: 3 },
+        awayTeamResult: { score: 2 }
+    }]], 'LIF', 'FBK');
+    assert.equal(shl.teamA.wins, 1);
+
+    const none = buildHeadToHead([CURRENT], 'HBK', 'MFF');
+    assert.equal(none.played, 0);
+    assert.equal(none.teamA.info.code, 'HBK', 'a team is found even without meetings');
+});
+
+test('GET /api/h2h reads past seasons once and reports missing ones', async (t) => {
+    const seasonCalls = [];
+    setProvider('allsvenskan', createStubProvider({
+        getCapabilities: () => ({ seasons: true }),
+        fetchAllGames: async (options = {}) => {
+            if (!options.season) {
+                return CURRENT.slice();
+            }
+            seasonCalls.push(options.season);
+            if (options.season === '2024') {
+                throw new Error('HTTP 503');
+            }
+            return SEASON_2025;
+        },
+        fetchStandings: async () => ({ season: '2026', standings: [], availableSeasons: ['2026', '2025', '2024', '2023'] })
+    }));
+
+    const app = express();
+    app.use('/api/h2h', createHeadToHeadRouter({ aliases: { football: 'allsvenskan' } }));
+    const get = createGetter(`${await startServer(t, app)}/api/h2h`);
+
+    const { status, body } = await get('?sport=football&teamA=AIK&teamB=MFF&seasons=2');
+    assert.equal(status, 200);
+    assert.equal(body.sport, 'allsvenskan');
+    assert.deepEqual(body.seasons, ['2025', '2024']);
+    assert.equal(body.played, 4);
+    assert.deepEqual(body.unavailable, [{ season: '2024', error: 'HTTP 503' }]);
+
+    await get('?sport=allsvenskan&teamA=MFF&teamB=AIK&seasons=2');
+    assert.deepEqual(seasonCalls, ['2025', '2024', '2024'], '2025 came from the cache the second time');
+
+    assert.equal((await get('?sport=allsvenskan&teamA=AIK&teamB=MFF&seasons=0')).body.played, 2);
+    assert.deepEqual(await get('?sport=allsvenskan&teamA=AIK&teamB=XYZ&seasons=0'), {
+        status: 404,
+        body: { error: 'Team not found in allsvenskan: XYZ' }
+    });
+    assert.equal((await get('?sport=allsvenskan&teamA=AIK&teamB=aik')).status, 400);
+    assert.equal((await get('?sport=allsvenskan&teamA=AIK')).body.error, 'teamB is required');
+    assert.equal((await get('?sport=biathlon&teamA=SWE&teamB=NOR')).status, 404);
+    assert.deepEqual(await get('?sport=cricket&teamA=A&teamB=B'), { status: 404, body: { error: 'Unknown sport: cricket' } });
+});
+
+test('Allsvenskan fetches only the requested year for a past season', async () => {
+    const AllsvenskanProvider = require('../modules/providers/allsvenskan');
+    const provider = new AllsvenskanProvider();
+    const years = [];
+    provider.fetchSeasonEvents = async (year) => {
+        years.push(year);
+        return [{ id: 'e1' }, { id: 'e2' }];
+    };
+    provider.normalizeEvent = event => ({ uuid: event.id, startDateTime: event.id === 'e1' ? '2024-04-01T15:00:00Z' : '2024-05-01T15:00:00Z' });
+
+    const games = await provider.fetchAllGames({ season: '2024' });
+    assert.deepEqual(years, [2024]);
+    assert.deepEqual(games.map(entry => entry.uuid), ['e2', 'e1'], 'newest first');
+    await assert.rejects(provider.fetchAllGames({ season: 'last' }), /Invalid season: last/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HealthMonitor } = require('../modules/health');
+
+const MINUTE = 60 * 1000;
+
+function createMonitor(overrides = {}) {
+    let now = Date.parse('2026-02-01T18:00:00Z');
+    const state = {
+        upstream: {
+            shl: { requests: 40, failures: 0, consecutiveFailures: 0, lastSuccessAt: '2026-02-01T17:59:50.000Z', lastFailureAt: null, lastError: null },
+            'svenska-cupen': { requests: 12, failures: 12, consecutiveFailures: 12, lastSuccessAt: null, lastFailureAt: '2026-02-01T17:59:30.000Z', lastError: 'HTTP 503' }
+        },
+        caches: {
+            shl: { cached: true, ageSeconds: 20, ttlSeconds: 15, staleEntries: 0 },
+            'svenska-cupen': { cached: true, ageSeconds: 30, ttlSeconds: 60, staleEntries: 0 },
+            biathlon: { cached: true, ageSeconds: 50 * 60, ttlSeconds: 30 * 60, staleEntries: 0 }
+        },
+        lastRuns: { 'goal-watcher': now - 20 * 1000 },
+        running: true,
+        fcmConfigured: true,
+        documents: [{ name: 'seen_games', location: '/state/seen_games.json', writable: true, error: null }]
+    };
+    const monitor = new HealthMonitor({
+        providers: () => [
+            { sport: 'shl', name: 'SHL', slug: 'shl' },
+            { sport: 'svenska-cupen', name: 'Svenska Cupen', slug: 'svenska-cupen' },
+            { sport: 'biathlon', name: 'Biathlon', slug: 'biathlon' }
+        ],
+        getUpstreamStatus: () => state.upstream,
+        getGamesCache: sport => state.caches[sport] || null,
+        gamesRefreshIntervals: { biathlon: 60 * MINUTE },
+        watchers: {
+            'goal-watcher': { getStats: () => ({ running: state.running }), interval: MINUTE }
+        },
+        getWatcherLastRun: name => state.lastRuns[name] || null,
+        isFcmConfigured: () => state.fcmConfigured,
+        checkStateStorage: () => state.documents,
+        now: () => now,
+        ...overrides
+    });
+    return { monitor, state, advance: ms => { now += ms; } };
+}
+
+test('a provider stuck on upstream errors is degraded, healthy ones are ok', () => {
+    const { monitor } = createMonitor();
+    monitor.markStarted();
+    const report = monitor.getReport();
+
+    assert.equal(report.status, 'degraded');
+    assert.equal(report.ready, true);
+    assert.equal(report.providers.shl.status, 'ok');
+    assert.equal(report.providers.shl.data.maxAgeSeconds, 15 + 120);
+
+    const cup = report.providers['svenska-cupen'];
+    assert.equal(cup.status, 'degraded');
+    assert.deepEqual(cup.reasons, ['12 consecutive upstream failures (last: HTTP 503)']);
+    assert.equal(cup.data.stale, false, 'the empty list itself is fresh');
+
+    assert.equal(report.providers.biathlon.status, 'ok', 'hourly scheduler refresh is within policy');
+    assert.equal(report.providers.biathlon.upstream, null);
+    assert.equal(report.watchers['goal-watcher'].status, 'ok');
+});
+
+test('stale games data and silent watchers degrade the report', () => {
+    const { monitor, state, advance } = createMonitor();
+    monitor.markStarted();
+    state.upstream['svenska-cupen'].consecutiveFailures = 0;
+    state.caches.shl.ageSeconds = 600;
+    advance(3 * MINUTE);
+
+    const report = monitor.getReport();
+    assert.deepEqual(report.providers.shl.reasons, ['games data is 600s old (policy allows 135s)']);
+    assert.equal(report.watchers['goal-watcher'].status, 'degraded');
+    assert.match(report.watchers['goal-watcher'].reasons[0], /last run finished 200s ago \(expected at least every 60s\)/);
+
+    state.running = false;
+    assert.deepEqual(monitor.getReport().watchers['goal-watcher'].reasons, ['not running']);
+
+    state.fcmConfigured = false;
+    assert.equal(monitor.getReport().fcm.status, 'degraded');
+});
+
+test('readiness waits for startup and fails while state cannot be written', () => {
+    const { monitor, state } = createMonitor();
+
+    assert.deepEqual(monitor.getReadiness(), { ready: false, status: 'not_ready', reasons: ['server is starting'] });
+    monitor.markStarted();
+    assert.equal(monitor.getReadiness().ready, true);
+
+    state.documents.push({ name: 'admin_users', location: '/state/admin_users.json', writable: false, error: 'EROFS: read-only file system' });
+    const readiness = monitor.getReadiness();
+    assert.equal(readiness.ready, false);
+    assert.deepEqual(readiness.reasons, ['/state/admin_users.json is not writable: EROFS: read-only file system']);
+    assert.equal(monitor.getReport().status, 'down');
+});
@@ -0,0 +1,107 @@
+/**
+ * Shared harness for the route tests: provider-shaped fixtures, stub providers and
+ * an Express app on an ephemeral port that is torn down with the test.
+ */
+
+const { resetProvider } = require('../../modules/providers');
+const cache = require('../../modules/cache');
+const { MemoryBackend, getDefaultBackend, setDefaultBackend } = require('../../modules/state-store');
+
+const LONG_NAMES = {
+    AIK: 'AIK Fotboll',
+    DIF: 'Djurgårdens IF',
+    HBK: 'Halmstads BK',
+    IFK: 'IFK Göteborg',
+    MFF: 'Malmö FF',
+    FBK: 'Färjestad BK',
+    LHF: 'Luleå HF'
+};
+
+/**
+ * A team as the providers return it. The football providers carry the score here.
+ * @param {string} code
+ * @param {number|null} [score]
+ */
+function team(code, score = null) {
+    return { code, uuid: `id-${code}`, names: { short: code, long: LONG_NAMES[code] || code }, score, icon: null };
+}
+
+/**
+ * A game in the football providers' shape (score on home/awayTeamInfo).
+ * @param {[number, number]} [score] home and away score, for finished games
+ */
+function game(uuid, startDateTime, state, home = 'LHF', away = 'FBK', score = null) {
+    return {
+        uuid,
+        startDateTime,
+        state,
+        homeTeamInfo: team(home, score ? score[0] : null),
+        awayTeamInfo: team(away, score ? score[1] : null),
+        venueInfo: { name: null }
+    };
+}
+
+/**
+ * Provider stub for setProvider(): no games unless overridden.
+ * @param {Object} [overrides] provider methods to add or replace
+ */
+function createStubProvider(overrides = {}) {
+    return {
+        getName: () => 'Stub',
+        fetchAllGames: async () => [],
+        ...overrides
+    };
+}
+
+/**
+ * Swaps the default state backend for a MemoryBackend until the test ends.
+ */
+function useMemoryBackend(t) {
+    const previous = getDefaultBackend();
+    setDefaultBackend(new MemoryBackend());
+    t.after(() => setDefaultBackend(previous));
+}
+
+/**
+ * Starts `app` on an ephemeral port. When the test ends the server is closed and the
+ * provider stubs and caches are reset.
+ * @returns {Promise<string>} base URL, e.g. http://127.0.0.1:43210
+ */
+async function startServer(t, app) {
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, () => resolve(listener));
+    });
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+        resetProvider();
+        cache.clearAllCaches();
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * GET helper for one mount point. JSON answers resolve to { status, body }, so a whole
+ * response can be compared with deepEqual; text and buffer answers also carry headers.
+ * @param {string} baseUrl
+ * @param {'json'|'text'|'buffer'} [as]
+ */
+function createGetter(baseUrl, as = 'json') {
+    return async (path) => {
+        const response = await fetch(`${baseUrl}${path}`);
+        if (as === 'json') {
+            return { status: response.status, body: await response.json() };
+        }
+        const body = as === 'buffer' ? Buffer.from(await response.arrayBuffer()) : await response.text();
+        return { status: response.status, headers: response.headers, body };
+    };
+}
+
+module.exports = {
+    team,
+    game,
+    createStubProvider,
+    useMemoryBackend,
+    startServer,
+    createGetter
+};
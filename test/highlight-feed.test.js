@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+
+const highlightFeed = require('../modules/highlight-feed');
+const { createGetter, startServer, useMemoryBackend } = require('./helpers/harness');
+
+const LIF_FBK = {
+    gameId: 'game-1',
+    homeTeam: 'Leksand',
+    awayTeam: 'Färjestad',
+    homeTeamCode: 'LIF',
+    awayTeamCode: 'FBK',
+    startTime: '2026-10-17T17:00:00Z'
+};
+const AIK_MFF = {
+    gameId: 'game-2',
+    homeTeam: 'AIK',
+    awayTeam: 'Malmö',
+    homeTeamCode: 'AIK',
+    awayTeamCode: 'MFF',
+    startTime: '2026-10-18T15:00:00Z'
+};
+
+function recordFixtures() {
+    highlightFeed.recordClip('shl', LIF_FBK, { id: 'v1', title: 'Highlights: Leksand – Färjestad', date: '2026-10-17T20:00:00Z' }, {
+        isHighlight: true,
+        videoUrl: 'https://video.example/v1.m3u8',
+        thumbnail: 'https://cdn.staylive.tv/v1.jpg',
+        league: 'SHL'
+    });
+    highlightFeed.recordClip('allsvenskan', AIK_MFF, { id: 'v2', title: 'Goal <AIK> & co', date: '2026-10-18T16:00:00Z' }, {
+        isGoalClip: true,
+        videoUrl: 'https://play.example/v2',
+        league: 'Allsvenskan'
+    });
+}
+
+test('recordClip keeps only highlights and goal clips, once each', (t) => {
+    useMemoryBackend(t);
+
+    assert.equal(highlightFeed.recordClip('shl', LIF_FBK, { id: 'v0', title: 'Interview' }, {}), null);
+    recordFixtures();
+    assert.equal(highlightFeed.recordClip('shl', LIF_FBK, { id: 'v1' }, { isHighlight: true }), null, 'duplicate');
+
+    assert.deepEqual(highlightFeed.getEntries().map(entry => entry.videoId), ['v2', 'v1'], 'newest first');
+    assert.deepEqual(highlightFeed.getEntries({ teams: ['lif'] }).map(entry => entry.videoId), ['v1']);
+    assert.deepEqual(highlightFeed.getEntries({ sports: ['allsvenskan'] }).map(entry => entry.videoId), ['v2']);
+});
+
+test('buildAtomFeed escapes text and proxies thumbnails through /api/img', (t) => {
+    useMemoryBackend(t);
+    recordFixtures();
+
+    const xml = highlightFeed.buildAtomFeed(highlightFeed.getEntries(), {
+        id: 'urn:gamepulse:feed:highlights',
+        title: 'GamePulse highlights',
+        baseUrl: 'https://api.example',
+        selfPath: '/api/feeds/highlights.xml'
+    });
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom"/);
+    assert.match(xml, /<updated>2026-10-18T16:00:00\.000Z<\/updated>/);
+    assert.match(xml, /<title>Goal &lt;AIK&gt; &amp; co<\/title>/);
+    assert.match(xml, /<id>urn:gamepulse:clip:shl:v1<\/id>/);
+    assert.match(xml, /<link rel="alternate" type="text\/html" href="https:\/\/video\.example\/v1\.m3u8"\/>/);
+    assert.match(xml, /href="https:\/\/api\.example\/api\/shl\/game\/game-1\/details"/);
+    assert.match(xml, /<media:thumbnail url="https:\/\/api\.example\/api\/img\?url=https%3A%2F%2Fcdn\.staylive\.tv%2Fv1\.jpg"\/>/);
+    assert.match(xml, /<category term="LIF"\/>/);
+});
+
+test('GET /api/feeds serves all, per-sport and per-team feeds', async (t) => {
+    useMemoryBackend(t);
+    recordFixtures();
+
+    const app = express();
+    app.use('/api/feeds', highlightFeed.createFeedsRouter({ aliases: { football: 'allsvenskan' }, baseUrl: 'https://api.example' }));
+    const base = `${await startServer(t, app)}/api/feeds`;
+    const get = createGetter(base, 'text');
+    const entryIds = body => [...body.matchAll(/<id>urn:gamepulse:clip:([^<]+)<\/id>/g)].map(match => match[1]);
+
+    const all = await get('/highlights.xml');
+    assert.equal(all.status, 200);
+    assert.match(all.headers.get('content-type'), /^application\/atom\+xml/);
+    assert.deepEqual(entryIds(all.body), ['allsvenskan:v2', 'shl:v1']);
+
+    assert.deepEqual(entryIds((await get('/football/highlights.xml')).body), ['allsvenskan:v2']);
+    assert.deepEqual(entryIds((await get('/team/fbk/highlights.xml')).body), ['shl:v1']);
+    assert.deepEqual(entryIds((await get('/highlights.xml?team=MFF,LIF')).body), ['allsvenskan:v2', 'shl:v1']);
+    assert.equal((await get('/curling/highlights.xml')).status, 404);
+
+    // fetch() does not let callers set Host, so send the forged header with http.get.
+    const forged = await new Promise((resolve, reject) => {
+        http.get(`${base}/highlights.xml`, { headers: { Host: 'evil.example' } }, response => {
+            let body = '';
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+    assert.doesNotMatch(forged, /evil\.example/, 'links never use the request Host header');
+    assert.match(all.body, /<link rel="self" type="application\/atom\+xml" href="https:\/\/api\.example\/api\/feeds\/highlights\.xml"/);
+});
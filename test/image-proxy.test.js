@@ -1,7 +1,25 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { isAllowedHost, parseAllowedUrl } = require('../modules/image-proxy');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+
+const {
+    isAllowedHost,
+    parseAllowedUrl,
+    parseVariant,
+    describeVariant,
+    renderVariant,
+    createImageProxyHandler
+} = require('../modules/image-proxy');
+const { DiskImageCache } = require('../modules/image-cache');
+const { startServer } = require('./helpers/harness');
+
+function pngSize(buffer) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
 
 test('isAllowedHost accepts allowlisted CDN hosts and subdomains', () => {
     assert.equal(isAllowedHost('a.espncdn.com'), true);
@@ -35,3 +53,127 @@ test('parseAllowedUrl only allows http/https to allowlisted hosts', () => {
     assert.equal(parseAllowedUrl(''), null);
     assert.equal(parseAllowedUrl(undefined), null);
 });
+
+test('parseVariant validates w/h/format and describeVariant names cache entries', () => {
+    assert.deepEqual(parseVariant({}), { width: null, height: null, format: null });
+    assert.deepEqual(parseVariant({ w: '64' }), { width: 64, height: null, format: null });
+    assert.equal(parseVariant({ w: '0' }), null);
+    assert.equal(parseVariant({ h: '4096' }), null);
+    assert.equal(parseVariant({ w: '1.5' }), null);
+    assert.equal(parseVariant({ format: 'gif' }), null);
+
+    assert.equal(describeVariant(parseVariant({})), 'original');
+    assert.equal(describeVariant(parseVariant({ w: '64', h: '48' })), 'w64-h48-png');
+    assert.equal(describeVariant(parseVariant({ format: 'PNG' })), 'png');
+});
+
+test('renderVariant rasterises SVG and only scales raster images down', () => {
+    const svg = { buffer: fs.readFileSync(path.join(__dirname, '..', 'static', 'logos', 'aik.svg')), contentType: 'image/svg+xml' };
+    const logo = renderVariant(svg, { width: 48, height: null, format: null });
+    assert.equal(logo.contentType, 'image/png');
+    assert.deepEqual(pngSize(logo.buffer), { width: 48, height: 48 });
+
+    const icon = { buffer: fs.readFileSync(path.join(__dirname, '..', 'static', 'app-icon.png')), contentType: 'image/png' };
+    assert.deepEqual(pngSize(renderVariant(icon, { width: 64, height: 32, format: null }).buffer), { width: 32, height: 32 }, 'fits the box');
+    assert.equal(renderVariant(icon, { width: 1000, height: null, format: null }), icon, 'no upscaling');
+    // Just below its natural 192 px the resampled PNG encodes larger than the original.
+    assert.equal(renderVariant(icon, { width: 180, height: null, format: null }), icon, 'never larger than the original');
+    assert.equal(pngSize(renderVariant(icon, { width: 180, height: null, format: 'png' }).buffer).width, 180, 'unless PNG was asked for');
+
+    const webp = { buffer: Buffer.from('RIFF'), contentType: 'image/webp' };
+    assert.equal(renderVariant(webp, { width: 10, height: null, format: null }), webp, 'undecodable formats pass through');
+});
+
+test('GET /api/img serves originals and variants from the disk cache', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const svg = fs.readFileSync(path.join(__dirname, '..', 'static', 'logos', 'aik.svg'));
+    const originRequests = [];
+    const fetchImpl = async (url) => {
+        originRequests.push(url);
+        return new Response(svg, { headers: { 'content-type': 'image/svg+xml; charset=utf-8' } });
+    };
+
+    const app = express();
+    app.get('/api/img', createImageProxyHandler({ cache: new DiskImageCache({ dir }), fetchImpl }));
+    const base = `${await startServer(t, app)}/api/img?url=${encodeURIComponent('https://a.espncdn.com/aik.svg')}`;
+
+    const resized = await fetch(`${base}&w=32`);
+    assert.equal(resized.status, 200);
+    assert.equal(resized.headers.get('content-type'), 'image/png');
+    assert.equal(resized.headers.get('x-image-cache'), 'MISS');
+    assert.deepEqual(pngSize(Buffer.from(await resized.arrayBuffer())), { width: 32, height: 32 });
+
+    const again = await fetch(`${base}&w=32`);
+    assert.equal(again.headers.get('x-image-cache'), 'HIT');
+
+    const original = await fetch(base);
+    assert.equal(original.headers.get('content-type'), 'image/svg+xml');
+    assert.equal(original.headers.get('x-image-cache'), 'HIT');
+    assert.equal(originRequests.length, 1, 'origin fetched once for all variants');
+
+    // A new cache instance (e.g. after a restart) reads the index back from disk
+    const reloaded = new DiskImageCache({ dir });
+    assert.ok(await reloaded.get('https://a.espncdn.com/aik.svg', 'w32-png'));
+    assert.equal(reloaded.getStats().entries, 2);
+
+    assert.equal((await fetch(`${base}&w=5000`)).status, 400);
+});
+
+test('GET /api/img rejects mislabelled bodies and serves sanitised SVG', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const bodies = {
+        '/page.png': ['<!doctype html><p>Not found</p>', 'image/png'],
+        '/logo.png': ['<svg xmlns="http://www.w3.org/2000/svg"/>', 'image/png'],
+        '/logo.svg': ['<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(2)</script><rect width="4" height="4"/></svg>', 'image/svg+xml']
+    };
+    const fetchImpl = async (url) => {
+        const [body, contentType] = bodies[new URL(url).pathname];
+        return new Response(body, { headers: { 'content-type': contentType } });
+    };
+
+    const app = express();
+    app.get('/api/img', createImageProxyHandler({ cache: new DiskImageCache({ dir }), fetchImpl }));
+    const origin = await startServer(t, app);
+    const proxied = (file) => `${origin}/api/img?url=${encodeURIComponent(`https://a.espncdn.com${file}`)}`;
+
+    const html = await fetch(proxied('/page.png'));
+    assert.equal(html.status, 415);
+    assert.match((await html.json()).error, /not a supported image/);
+
+    const mismatch = await fetch(proxied('/logo.png'));
+    assert.equal(mismatch.status, 415);
+    assert.match((await mismatch.json()).error, /declared image\/png, detected image\/svg\+xml/);
+
+    const svg = await fetch(proxied('/logo.svg'));
+    assert.equal(svg.status, 200);
+    assert.equal(svg.headers.get('x-content-type-options'), 'nosniff');
+    assert.match(svg.headers.get('content-security-policy'), /default-src 'none'/);
+    const body = await svg.text();
+    assert.doesNotMatch(body, /alert|onload/);
+    assert.match(body, /<rect width="4" height="4"\/>/);
+});
+
+test('DiskImageCache evicts least recently used entries over its size bound', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    let now = 0;
+    const cache = new DiskImageCache({ dir, maxBytes: 25, ttl: 1000, now: () => now });
+    const image = (fill) => ({ buffer: Buffer.alloc(10, fill), contentType: 'image/png' });
+
+    await cache.set('https://x/a.png', 'original', image('a'));
+    await cache.set('https://x/b.png', 'original', image('b'));
+    await cache.get('https://x/a.png', 'original');
+    await cache.set('https://x/c.png', 'original', image('c'));
+
+    assert.ok(await cache.get('https://x/a.png', 'original'), 'recently read entry kept');
+    assert.equal(await cache.get('https://x/b.png', 'original'), null, 'least recently used entry evicted');
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(fs.readdirSync(dir).length, 4);
+
+    now = 2000;
+    assert.equal(await cache.get('https://x/c.png', 'original'), null, 'expired');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { ImageSanitizeError, normalizeImageType, sniffImageType, sanitizeSvg } = require('../modules/image-sanitizer');
+
+test('sniffImageType detects formats from magic bytes, not names', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+    assert.equal(sniffImageType(png), 'image/png');
+    assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0])), 'image/jpeg');
+    assert.equal(sniffImageType(Buffer.from('GIF89a\x01\x00')), 'image/gif');
+    assert.equal(sniffImageType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ')), 'image/webp');
+    assert.equal(sniffImageType(Buffer.from('\x00\x00\x00\x1cftypavif')), 'image/avif');
+    assert.equal(sniffImageType(Buffer.from('<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml');
+
+    assert.equal(sniffImageType(Buffer.from('<!doctype html><html><svg></svg></html>')), null);
+    assert.equal(sniffImageType(Buffer.from('{"error":"not found"}')), null);
+    assert.equal(sniffImageType(Buffer.alloc(0)), null);
+
+    assert.equal(normalizeImageType('image/JPG; charset=binary'), 'image/jpeg');
+    assert.equal(normalizeImageType('image/svg+xml;charset=utf-8'), 'image/svg+xml');
+    assert.equal(normalizeImageType(undefined), '');
+});
+
+test('sanitizeSvg strips scripts, handlers and external references', () => {
+    const hostile = `<?xml version="1.0"?>
+<!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" onload="alert(1)" viewBox="0 0 10 10">
+  <script>alert(document.cookie)</script>
+  <style>@import url(https://evil.example/x.css); .a { fill: url(https://evil.example/p.svg#g); stroke: url(#grad) }</style>
+  <defs><linearGradient id="grad"><stop offset="0" stop-color="red"/></linearGradient></defs>
+  <a href="javascript:alert(2)"><rect class="a" width="10" height="10" onclick="steal()"/></a>
+  <a xlink:href="&#106;avascript:alert(3)"><circle r="2"/></a>
+  <use xlink:href="https://evil.example/sprite.svg#icon"/>
+  <use href="#grad"/>
+  <image href="data:image/png;base64,iVBORw0KGgo=" width="1" height="1"/>
+  <image href="https://tracker.example/pixel.gif" width="1" height="1"/>
+  <foreignObject><iframe src="https://evil.example"></iframe></foreignObject>
+  <set attributeName="href" to="javascript:alert(4)"/>
+  <rect style="background: url(https://evil.example/bg.png)" width="1" height="1"/>
+</svg>`;
+
+    const clean = sanitizeSvg(hostile).toString('utf8');
+
+    assert.doesNotMatch(clean, /script|alert|onload|onclick|DOCTYPE|ENTITY/i);
+    assert.doesNotMatch(clean, /evil\.example|tracker\.example/);
+    assert.doesNotMatch(clean, /foreignObject|iframe|<set/);
+    assert.match(clean, /stroke: url\(#grad\)/, 'in-document CSS references are kept');
+    assert.match(clean, /<use href="#grad"\/>/, 'in-document links are kept');
+    assert.match(clean, /href="data:image\/png;base64,/, 'inline raster images are kept');
+    assert.match(clean, /viewBox="0 0 10 10"/);
+});
+
+test('sanitizeSvg matches namespace-prefixed elements and attributes on their local name', () => {
+    const hostile = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:x="http://www.w3.org/2000/svg" xmlns:l="http://www.w3.org/1999/xlink">
+  <x:script>alert(document.domain)</x:script>
+  <x:foreignObject><div>hi</div></x:foreignObject>
+  <x:style>@import url(https://evil.example/x.css);</x:style>
+  <a l:href="javascript:alert(1)"><rect width="1" height="1" x:onclick="alert(2)"/></a>
+  <use l:href="https://evil.example/sprite.svg#icon"/>
+  <use l:href="#ok"/>
+  <x:set attributeName="l:href" to="javascript:alert(3)"/>
+  <rect id="ok" width="1" height="1"/>
+</svg>`;
+
+    const clean = sanitizeSvg(hostile).toString('utf8');
+
+    assert.doesNotMatch(clean, /script|alert|onclick|foreignObject|<x:set/i);
+    assert.doesNotMatch(clean, /evil\.example/);
+    assert.match(clean, /<use l:href="#ok"\/>/, 'prefixed in-document links are kept');
+    assert.match(clean, /<x:style><\/x:style>/);
+});
+
+test('sanitizeSvg drops animation elements and image-set() whatever their spelling', () => {
+    const hostile = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">
+  <a href="#x"><animate attributeName="&#104;ref" values="data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;" fill="freeze"/><rect id="x" width="1" height="1"/></a>
+  <circle r="1"><animateTransform attributeName="transform" type="rotate" from="0" to="360" dur="1s"></animateTransform></circle>
+  <style>.a { fill: red; background: image-set("https://evil.example/a.png" 1x, url(https://evil.example/b.png) 2x) } .b { cursor: "//evil.example/c.cur" }</style>
+  <rect style="background-image: -webkit-image-set('https://evil.example/d.png' 1x)" width="1" height="1"/>
+</svg>`;
+
+    const clean = sanitizeSvg(hostile).toString('utf8');
+
+    assert.doesNotMatch(clean, /animate|data:text|alert/i);
+    assert.doesNotMatch(clean, /evil\.example/);
+    assert.match(clean, /<rect id="x" width="1" height="1"\/><\/a>/, 'content after a self-closing animation is kept');
+    assert.match(clean, /<circle r="1"><\/circle>/);
+    assert.match(clean, /\.a \{ fill: red;/);
+});
+
+test('sanitizeSvg leaves ordinary logos intact and rejects malformed SVG', () => {
+    const logosDir = path.join(__dirname, '..', 'static', 'logos');
+    for (const file of fs.readdirSync(logosDir).filter(name => name.endsWith('.svg')).slice(0, 10)) {
+        const svg = fs.readFileSync(path.join(logosDir, file));
+        assert.equal(sniffImageType(svg), 'image/svg+xml', file);
+        assert.ok(sanitizeSvg(svg).length > svg.length * 0.9, `${file} kept its content`);
+    }
+
+    assert.throws(() => sanitizeSvg('<svg xmlns="http://www.w3.org/2000/svg"><rect></svg>'), ImageSanitizeError);
+});
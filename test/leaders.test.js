@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const leaders = require('../modules/leaders');
+const { setProvider } = require('../modules/providers');
+const cache = require('../modules/cache');
+const { createGetter, createStubProvider, startServer, useMemoryBackend } = require('./helpers/harness');
+
+const player = (uuid, firstName, familyName) => ({ uuid, firstName, familyName });
+const ZIB = player('p1', 'Jan', 'Zib');
+const OLSSON = player('p2', 'Erik', 'Olsson');
+const BERG = player('p3', 'Max', 'Berg');
+const goal = (teamCode, scorer, ...assists) => ({
+    type: 'goal',
+    eventTeam: { teamCode },
+    player: scorer,
+    assist1: assists[0],
+    assist2: assists[1]
+});
+
+test('play-by-play goals are credited to scorers and assisting players', () => {
+    const lines = leaders.extractGamePoints([
+        goal('LHF', ZIB, OLSSON),
+        goal('LHF', OLSSON, ZIB, BERG),
+        goal('FHC', { firstName: 'No', familyName: 'Uuid' }),
+        goal('FHC', {})
+    ]);
+    assert.deepEqual(lines, [
+        { id: 'p1', name: 'Jan Zib', teamCode: 'LHF', goals: 1, assists: 1 },
+        { id: 'p2', name: 'Erik Olsson', teamCode: 'LHF', goals: 1, assists: 1 },
+        { id: 'p3', name: 'Max Berg', teamCode: 'LHF', goals: 0, assists: 1 },
+        { id: 'no uuid', name: 'No Uuid', teamCode: 'FHC', goals: 1, assists: 0 }
+    ]);
+});
+
+test('leaders are ranked per category with shared ranks and a team filter', () => {
+    const players = leaders.sumPlayers({
+        g2: { startDateTime: '2026-10-05T17:00:00Z', players: [{ id: 'p1', name: 'Jan Zib', teamCode: 'FHC', goals: 1, assists: 0 }] },
+        g1: {
+            startDateTime: '2026-10-01T17:00:00Z',
+            players: [
+                { id: 'p1', name: 'Jan Zib', teamCode: 'LHF', goals: 2, assists: 1 },
+                { id: 'p2', name: 'Erik Olsson', teamCode: 'LHF', goals: 1, assists: 3 },
+                { id: 'p3', name: 'Max Berg', teamCode: 'LHF', goals: 0, assists: 1 }
+            ]
+        }
+    });
+    assert.equal(players.find(entry => entry.id === 'p1').teamCode, 'FHC', 'team of the latest game');
+
+    const lists = leaders.buildLeaders(players);
+    assert.deepEqual(lists.points.map(entry => [entry.rank, entry.id, entry.points]), [[1, 'p1', 4], [1, 'p2', 4], [3, 'p3', 1]]);
+    assert.deepEqual(lists.goals.map(entry => [entry.rank, entry.id]), [[1, 'p1'], [2, 'p2']], 'players without goals are left out');
+    assert.deepEqual(lists.assists.map(entry => entry.id), ['p2', 'p1', 'p3']);
+
+    const lhf = leaders.buildLeaders(players, { team: 'lhf', limit: 1 });
+    assert.deepEqual(lhf.points.map(entry => entry.id), ['p2']);
+});
+
+test('the background refresh reads each finished game once and serves /api/:sport/leaders', async (t) => {
+    useMemoryBackend(t);
+
+    let games = [
+        { uuid: 'g1', state: 'post-game', startDateTime: '2026-10-01T17:00:00Z' },
+        { uuid: 'g2', state: 'post-game', startDateTime: '2026-10-03T17:00:00Z' },
+        { uuid: 'g3', state: 'post-game', startDateTime: '2026-10-05T17:00:00Z' },
+        { uuid: 'g4', state: 'pre-game', startDateTime: '2026-11-01T17:00:00Z' }
+    ];
+    const playByPlay = {
+        g1: [goal('LHF', ZIB, OLSSON)],
+        g2: [goal('LHF', ZIB), goal('FHC', BERG)],
+        g3: []
+    };
+    const fetched = [];
+    setProvider('shl', createStubProvider({
+        getCapabilities: () => ({ details: true, leaders: true }),
+        fetchAllGames: async () => games,
+        fetchGameDetails: async (id) => {
+            fetched.push(id);
+            const goals = playByPlay[id];
+            return { events: { goals, all: goals } };
+        }
+    }));
+
+    const app = express();
+    app.use('/api', leaders.createLeadersRouter({ aliases: { football: 'allsvenskan' } }));
+    const get = createGetter(`${await startServer(t, app)}/api`);
+
+    assert.deepEqual(await leaders.refreshSport('shl', { maxGames: 1 }), { added: 1, pending: 2 });
+    assert.deepEqual(await leaders.refreshSport('shl'), { added: 1, pending: 1 }, 'g3 has no play-by-play yet');
+    assert.deepEqual(fetched, ['g1', 'g2', 'g3']);
+
+    const { status, body } = await get('/shl/leaders?limit=1');
+    assert.equal(status, 200);
+    assert.equal(body.gamesCounted, 2);
+    assert.equal(body.gamesPending, 1);
+    assert.deepEqual(body.points, [{ rank: 1, id: 'p1', name: 'Jan Zib', teamCode: 'LHF', goals: 2, assists: 0, points: 2 }]);
+    assert.deepEqual((await get('/shl/leaders?team=FHC')).body.goals.map(entry => entry.id), ['p3']);
+
+    // A new season: games of the old list are dropped.
+    games = [{ uuid: 'g5', state: 'post-game', startDateTime: '2027-09-20T17:00:00Z' }];
+    playByPlay.g5 = [goal('FHC', BERG)];
+    cache.clearAllCaches();
+    await leaders.refreshSport('shl');
+    assert.deepEqual((await get('/shl/leaders')).body.points.map(entry => [entry.id, entry.points]), [['p3', 1]]);
+
+    assert.deepEqual(await get('/football/leaders'), { status: 404, body: { error: 'Leaders not available for allsvenskan' } });
+    assert.equal((await get('/cricket/leaders')).status, 404);
+    assert.equal((await get('/shl/leaders?limit=500')).status, 400);
+});
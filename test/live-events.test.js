@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const liveEvents = require('../modules/live-events');
+
+function buildGame(overrides = {}) {
+    return {
+        uuid: 'game-1',
+        state: 'pre-game',
+        homeTeamInfo: { code: 'LIF', score: 0 },
+        awayTeamInfo: { code: 'FBK', score: 0 },
+        ...overrides
+    };
+}
+
+function withScore(game, home, away, state = game.state) {
+    return {
+        ...game,
+        state,
+        homeTeamInfo: { ...game.homeTeamInfo, score: home },
+        awayTeamInfo: { ...game.awayTeamInfo, score: away }
+    };
+}
+
+test.beforeEach(() => liveEvents.reset());
+
+test('observeGames records a baseline, then publishes state and score changes', () => {
+    const game = buildGame();
+    assert.deepEqual(liveEvents.observeGames('shl', [game]), [], 'first sighting is a baseline');
+
+    const live = liveEvents.observeGames('shl', [withScore(game, 0, 0, 'live')]);
+    assert.deepEqual(live.map(event => event.type), ['state']);
+    assert.deepEqual(live[0].data.from, 'pre-game');
+    assert.deepEqual(live[0].data.to, 'live');
+
+    const goal = liveEvents.observeGames('shl', [withScore(game, 1, 0, 'live')]);
+    assert.equal(goal.length, 1);
+    assert.equal(goal[0].type, 'score');
+    assert.deepEqual(goal[0].teams, ['LIF', 'FBK']);
+    assert.equal(goal[0].data.homeScore, 1);
+    assert.equal(goal[0].data.previousHomeScore, 0);
+
+    assert.deepEqual(liveEvents.observeGames('shl', [withScore(game, 1, 0, 'live')]), [], 'unchanged game is silent');
+    assert.deepEqual(liveEvents.observeGames('shl', [withScore(game, null, null, 'live')]), [], 'a dropped score is not a change');
+
+    assert.deepEqual(liveEvents.observeGames('shl', [withScore(game, 0, 0, 'live')]), [], 'a lagging score is ignored');
+    assert.deepEqual(liveEvents.observeGames('shl', [withScore(game, 1, 0, 'live')]), [], 'and so is its recovery');
+    const second = liveEvents.observeGames('shl', [withScore(game, 2, 0, 'live')]);
+    assert.deepEqual(second.map(event => [event.type, event.data.previousHomeScore, event.data.homeScore]), [['score', 1, 2]]);
+});
+
+test('observeGameDetails publishes only penalties and cards added since the last look', () => {
+    const game = buildGame({ state: 'live' });
+    const penalty = { type: 'penalty', period: 1, time: '04:12', eventTeam: { teamCode: 'FBK' }, offence: 'HOOK', penaltyMinutes: 2 };
+
+    assert.deepEqual(liveEvents.observeGameDetails('shl', game, { events: { penalties: [penalty] } }), []);
+
+    const second = { ...penalty, time: '15:30', eventTeam: { teamCode: 'LIF' } };
+    const published = liveEvents.observeGameDetails('shl', game, { events: { penalties: [penalty, second] } });
+    assert.equal(published.length, 1);
+    assert.equal(published[0].type, 'penalty');
+    assert.equal(published[0].data.teamCode, 'LIF');
+    assert.equal(published[0].data.offence, 'HOOK');
+
+    const footballGame = buildGame({ uuid: 'espn-1', homeTeamInfo: { code: 'AIK' }, awayTeamInfo: { code: 'HAM' } });
+    liveEvents.observeGameDetails('allsvenskan', footballGame, { events: { cards: [] } });
+    const card = liveEvents.observeGameDetails('allsvenskan', footballGame, {
+        events: { cards: [{ id: '77', type: 'card', cardType: 'yellow', clock: "34'", teamCode: 'HAM', player: { name: 'Nahir Besara' } }] }
+    });
+    assert.equal(card[0].type, 'card');
+    assert.equal(card[0].data.cardType, 'yellow');
+    assert.equal(card[0].data.player, 'Nahir Besara');
+});
+
+test('publishGoal publishes each goal once even when the push is retried', () => {
+    const goal = {
+        goalId: 'g-1',
+        sport: 'shl',
+        gameId: 'game-1',
+        scorerName: 'Jon Lizotte',
+        scoringTeamCode: 'LIF',
+        homeTeamCode: 'LIF',
+        awayTeamCode: 'FBK',
+        homeScore: 1,
+        awayScore: 0
+    };
+
+    assert.equal(liveEvents.publishGoal(goal).type, 'goal');
+    assert.equal(liveEvents.publishGoal(goal), null);
+    assert.equal(liveEvents.getStats().byType.goal, 1);
+});
+
+test('seen goals of games never in a games list are forgotten after the tracking window', (t) => {
+    let now = Date.parse('2026-10-19T18:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const goal = { goalId: 'g-1', sport: 'shl', gameId: 'untracked', homeTeamCode: 'LIF', awayTeamCode: 'FBK' };
+
+    assert.ok(liveEvents.publishGoal(goal));
+    now += 11 * 60 * 60 * 1000;
+    assert.equal(liveEvents.publishGoal(goal), null, 'still remembered inside the window');
+
+    now += 13 * 60 * 60 * 1000;
+    liveEvents.observeGames('shl', []);
+    assert.ok(liveEvents.publishGoal(goal), 'pruned without ever having a game snapshot');
+});
+
+test('filters match on sport, team code and game id', () => {
+    const received = [];
+    liveEvents.subscribe(event => received.push(event), liveEvents.parseFilter({ sport: 'shl', team: 'lif' }));
+
+    const base = { gameId: 'game-1', data: {} };
+    liveEvents.publish('score', { ...base, sport: 'shl', teams: ['LIF', 'FBK'] });
+    liveEvents.publish('score', { ...base, sport: 'shl', teams: ['MIF', 'SAIK'] });
+    liveEvents.publish('score', { ...base, sport: 'allsvenskan', teams: ['LIF', 'AIK'] });
+    assert.equal(received.length, 1);
+
+    const byGame = liveEvents.parseFilter({ game: 'game-2,game-3' });
+    assert.equal(liveEvents.matchesFilter({ sport: 'shl', gameId: 'game-3', teams: [] }, byGame), true);
+    assert.equal(liveEvents.matchesFilter({ sport: 'shl', gameId: 'game-1', teams: [] }, byGame), false);
+});
+
+test('GET /api/live/stream sends filtered events and replays after Last-Event-ID', async (t) => {
+    const app = express();
+    app.get('/api/live/stream', liveEvents.handleLiveStream);
+    const server = app.listen(0);
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const base = `http://127.0.0.1:${server.address().port}/api/live/stream`;
+
+    const missed = liveEvents.publish('goal', { sport: 'shl', gameId: 'game-1', teams: ['LIF', 'FBK'], data: {} });
+    liveEvents.publish('goal', { sport: 'shl', gameId: 'game-2', teams: ['MIF', 'SAIK'], data: {} });
+
+    const controller = new AbortController();
+    const response = await fetch(`${base}?team=LIF`, {
+        headers: { 'Last-Event-ID': String(missed.id - 1) },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let body = '';
+    const readUntil = async (pattern) => {
+        while (!pattern.test(body)) {
+            const { value, done } = await reader.read();
+            assert.equal(done, false, `stream ended before ${pattern}`);
+            body += decoder.decode(value);
+        }
+    };
+
+    await readUntil(/id: 1\n/);
+    assert.equal(liveEvents.getStats().clients, 1);
+
+    liveEvents.publish('score', { sport: 'shl', gameId: 'game-1', teams: ['LIF', 'FBK'], data: { homeScore: 1 } });
+    await readUntil(/event: score/);
+
+    assert.match(body, /^retry: 5000/);
+    assert.doesNotMatch(body, /game-2/, 'other teams are filtered out');
+    assert.match(body, /id: 3\nevent: score\ndata: \{.*"homeScore":1/);
+
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(liveEvents.getStats().clients, 0);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { LogManager, requestLogging } = require('../modules/logger');
+const { startServer } = require('./helpers/harness');
+
+function createManager(options = {}) {
+    const lines = [];
+    const manager = new LogManager({
+        level: 'info',
+        levels: '',
+        format: 'json',
+        now: () => Date.parse('2026-01-10T18:00:00Z'),
+        write: (line, level) => lines.push({ line, level }),
+        ...options
+    });
+    return { manager, lines, records: () => lines.map(entry => JSON.parse(entry.line)) };
+}
+
+test('levels resolve per namespace, most specific override first', () => {
+    const { manager, records } = createManager({ levels: 'provider=warn,provider:shl=debug,bogus=loud' });
+    const shl = manager.getLogger('provider:shl');
+    const biathlon = manager.getLogger('provider:biathlon');
+    const cache = manager.getLogger('cache');
+
+    shl.debug('shl debug');
+    biathlon.info('biathlon info');
+    biathlon.warn('biathlon warn');
+    cache.debug('cache debug');
+    cache.info('cache info');
+
+    assert.deepEqual(records().map(record => record.msg), ['shl debug', 'biathlon warn', 'cache info']);
+    assert.equal(manager.getLevel('bogus'), 'info', 'unknown levels in LOG_LEVELS are ignored');
+
+    manager.setLevel('provider', null);
+    assert.equal(manager.getLevel('provider:biathlon'), 'info');
+    manager.setDefaultLevel('error');
+    assert.equal(manager.getLevel('cache'), 'error');
+    assert.equal(shl.isLevelEnabled('debug'), true);
+
+    assert.throws(() => manager.setLevel('cache', 'verbose'), /Unknown log level "verbose"/);
+    assert.throws(() => manager.setDefaultLevel('loud'), /Unknown log level/);
+    assert.throws(() => manager.setLevel('', 'info'), /namespace is required/);
+
+    const config = manager.getConfig();
+    assert.equal(config.defaultLevel, 'error');
+    assert.deepEqual(config.namespaces.find(entry => entry.namespace === 'provider:shl'), {
+        namespace: 'provider:shl',
+        level: 'debug',
+        override: 'debug'
+    });
+});
+
+test('json and text output carry fields, errors and the stream level', () => {
+    const json = createManager();
+    json.manager.getLogger('fcm').error('Send failed for %s:', 'goals', new Error('quota'), { topic: 'team_lhf' });
+
+    const [record] = json.records();
+    assert.equal(json.lines[0].level, 'error');
+    assert.equal(record.time, '2026-01-10T18:00:00.000Z');
+    assert.equal(record.namespace, 'fcm');
+    assert.equal(record.msg, 'Send failed for goals: quota');
+    assert.equal(record.topic, 'team_lhf');
+    assert.equal(record.err.message, 'quota');
+
+    const text = createManager({ format: 'text' });
+    text.manager.getLogger('cache').info('HIT /api/games', { ttl: 15, note: 'live game' });
+    assert.equal(text.lines[0].line, '2026-01-10T18:00:00.000Z INFO  [cache] HIT /api/games ttl=15 note="live game"');
+});
+
+test('request IDs follow the request through async work and into the response header', async (t) => {
+    const { manager, records } = createManager({ level: 'debug' });
+    const upstreamLog = manager.getLogger('upstream');
+    const app = express();
+    app.use(requestLogging({ logger: manager.getLogger('http') }));
+    app.get('/api/games', async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        upstreamLog.debug('GET https://www.shl.se/api/games 200');
+        res.json({ id: req.id });
+    });
+
+    const base = await startServer(t, app);
+
+    const generated = await fetch(`${base}/api/games`);
+    const requestId = generated.headers.get('x-request-id');
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.equal((await generated.json()).id, requestId);
+
+    const forwarded = await fetch(`${base}/api/games`, { headers: { 'X-Request-Id': 'edge-1234' } });
+    assert.equal(forwarded.headers.get('x-request-id'), 'edge-1234');
+    await forwarded.json();
+
+    const unsafe = await fetch(`${base}/api/games`, { headers: { 'X-Request-Id': 'bad id with spaces' } });
+    assert.notEqual(unsafe.headers.get('x-request-id'), 'bad id with spaces');
+    await unsafe.json();
+
+    const upstreamLines = records().filter(record => record.namespace === 'upstream');
+    assert.deepEqual(upstreamLines.slice(0, 2).map(record => record.requestId), [requestId, 'edge-1234']);
+    assert.ok(records().some(record => record.namespace === 'http' && record.requestId === 'edge-1234' && / 200 /.test(record.msg)));
+
+    upstreamLog.debug('background poll');
+    assert.equal(records().find(record => record.msg === 'background poll').requestId, undefined, 'no ID outside a request');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MetricsRegistry,
+    metrics,
+    upstreamRequests,
+    upstreamDuration,
+    upstreamLastSuccess,
+    timeWatcherRun
+} = require('../modules/metrics');
+const { UpstreamClient } = require('../modules/upstream-client');
+
+test('registry renders counters, gauges and histograms in the Prometheus text format', async () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter({ name: 'demo_requests_total', help: 'Requests.', labelNames: ['route', 'status'] });
+    const latency = registry.histogram({ name: 'demo_latency_seconds', help: 'Latency.', labelNames: ['route'], buckets: [0.5, 0.1] });
+    let collected = 0;
+    registry.gauge({
+        name: 'demo_queue_length',
+        help: 'Collected at scrape time.',
+        labelNames: ['queue'],
+        collect: metric => metric.set({ queue: 'goals' }, ++collected)
+    });
+
+    requests.inc({ route: '/api/"shl"\\games', status: '2xx' });
+    requests.inc({ route: '/api/"shl"\\games', status: '2xx' }, 2);
+    latency.observe({ route: 'a' }, 0.05);
+    latency.observe({ route: 'a' }, 0.3);
+    latency.observe({ route: 'a' }, 2);
+
+    assert.throws(() => requests.inc({ sport: 'shl' }), /no label "sport"/);
+    assert.throws(() => requests.inc({}, -1), /cannot decrease/);
+    assert.throws(() => registry.counter({ name: 'demo_requests_total', help: 'Again.' }), /already registered/);
+
+    const text = await registry.render();
+    assert.match(text, /^# HELP demo_requests_total Requests\.\n# TYPE demo_requests_total counter\n/);
+    assert.match(text, /demo_requests_total\{route="\/api\/\\"shl\\"\\\\games",status="2xx"\} 3\n/);
+    assert.match(text, /# TYPE demo_latency_seconds histogram\n/);
+    assert.match(text, /demo_latency_seconds_bucket\{route="a",le="0.1"\} 1\n/);
+    assert.match(text, /demo_latency_seconds_bucket\{route="a",le="0.5"\} 2\n/);
+    assert.match(text, /demo_latency_seconds_bucket\{route="a",le="\+Inf"\} 3\n/);
+    assert.match(text, /demo_latency_seconds_sum\{route="a"\} 2.35\n/);
+    assert.match(text, /demo_latency_seconds_count\{route="a"\} 3\n/);
+    assert.match(text, /demo_queue_length\{queue="goals"\} 1\n/);
+
+    assert.match(await registry.render(), /demo_queue_length\{queue="goals"\} 2\n/, 'collect runs on every scrape');
+});
+
+test('upstream requests are counted and timed per provider, host and result', async () => {
+    const statuses = [200, 404, 503];
+    const client = new UpstreamClient({
+        transport: async () => new Response('', { status: statuses.shift() }),
+        maxRetries: 0,
+        breakerThreshold: 1,
+        breakerCooldown: 60000,
+        sleep: async () => {}
+    });
+    const labels = { provider: 'metrics-test', host: 'metrics.example' };
+
+    await client.request('https://metrics.example/a', {}, { provider: 'metrics-test' });
+    await client.request('https://metrics.example/b', {}, { provider: 'metrics-test' });
+    await client.request('https://metrics.example/c', {}, { provider: 'metrics-test' });
+    await assert.rejects(client.request('https://metrics.example/d', {}, { provider: 'metrics-test' }), { name: 'UpstreamUnavailableError' });
+
+    assert.equal(upstreamRequests.get({ ...labels, status: '2xx' }), 1);
+    assert.equal(upstreamRequests.get({ ...labels, status: '4xx' }), 1);
+    assert.equal(upstreamRequests.get({ ...labels, status: '5xx' }), 1);
+    assert.equal(upstreamRequests.get({ ...labels, status: 'rejected' }), 1, 'open circuit counted without a fetch');
+    assert.equal(upstreamDuration.get(labels).count, 3);
+    assert.ok(upstreamLastSuccess.get({ provider: 'metrics-test' }) > 0);
+
+    const text = await metrics.render();
+    assert.match(text, /gamepulse_upstream_requests_total\{provider="metrics-test",host="metrics.example",status="5xx"\} 1/);
+    assert.match(text, /gamepulse_process_start_time_seconds \d+/);
+});
+
+test('timeWatcherRun records duration and outcome and rethrows errors', async () => {
+    const runs = metrics.getMetric('gamepulse_watcher_runs_total');
+    const durations = metrics.getMetric('gamepulse_watcher_run_duration_seconds');
+
+    assert.equal(await timeWatcherRun('metrics-test', async () => 'done'), 'done');
+    await assert.rejects(timeWatcherRun('metrics-test', async () => {
+        throw new Error('provider down');
+    }), /provider down/);
+
+    assert.equal(runs.get({ watcher: 'metrics-test', outcome: 'ok' }), 1);
+    assert.equal(runs.get({ watcher: 'metrics-test', outcome: 'error' }), 1);
+    assert.equal(durations.get({ watcher: 'metrics-test' }).count, 2);
+    assert.ok(metrics.getMetric('gamepulse_watcher_last_run_timestamp_seconds').get({ watcher: 'metrics-test' }) > 0);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { OPERATIONS, buildOpenApiDocument, validateRequest, checkRequest, getOperation } = require('../modules/openapi');
+const { createSportRouter } = require('../modules/sport-routes');
+const { setProvider } = require('../modules/providers');
+const { createStubProvider, startServer } = require('./helpers/harness');
+
+const ROOT = path.join(__dirname, '..');
+const ROUTE_SOURCES = ['server.js', 'modules/sport-routes.js', 'modules/calendar.js', 'modules/highlight-feed.js', 'modules/workbook-export.js', 'modules/api-v2.js', 'modules/schedule.js', 'modules/team-overview.js', 'modules/head-to-head.js', 'modules/leaders.js'];
+const ROUTE_PATTERN = /\b(?:app|router)\.(get|post|put|patch|delete)\(\s*(\[[^\]]*\]|'[^']*')\s*,\s*(?:requireAdmin\s*,\s*)?(?:validateRequest\('(\w+)'\))?/g;
+
+function templateParams(route) {
+    return Array.from(route.matchAll(/\{(\w+)\}/g), match => match[1]).sort();
+}
+
+test('query strings are coerced to their declared types and defaults are filled in', () => {
+    const games = checkRequest(getOperation('listSportGames'), {
+        params: { sport: 'allsvenskan' },
+        query: { upcoming: 'true', limit: '5', team: '', unknown: 'ignored' }
+    });
+    assert.deepEqual(games.details, []);
+    assert.deepEqual(games.input.query, { upcoming: true, limit: 5 }, 'empty and unknown parameters are dropped');
+
+    assert.deepEqual(checkRequest(getOperation('getBiathlonSchedule'), { query: {} }).input.query, { limit: 30 });
+
+    const teams = checkRequest(getOperation('listTeams'), { query: { league: ['shl,allsvenskan', 'svenska-cupen'], offset: '10' } });
+    assert.deepEqual(teams.input.query, { sport: 'all', sort: 'name', league: ['shl', 'allsvenskan', 'svenska-cupen'], offset: 10 });
+
+    const invalid = checkRequest(getOperation('getShlStandings'), { query: { top: 'ten' } });
+    assert.deepEqual(invalid.details, [{ in: 'query', name: 'top', message: 'top must be an integer' }]);
+
+    const audit = checkRequest(getOperation('listAuditEntries'), { query: { limit: '900', actor: ['a', 'b'] } });
+    assert.deepEqual(audit.details.map(detail => detail.message), ['limit must be at most 500', 'actor must be a single value']);
+});
+
+test('invalid parameters and bodies are answered with a consistent 400', async (t) => {
+    setProvider('allsvenskan', createStubProvider());
+    const app = express();
+    app.use(express.json());
+    app.post('/api/fcm/register', validateRequest('registerDevice'), (req, res) => res.json(req.input.body));
+    app.use('/api', createSportRouter());
+    const base = `${await startServer(t, app)}/api`;
+    const post = async body => {
+        const response = await fetch(`${base}/fcm/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const games = await fetch(`${base}/allsvenskan/games?limit=0&upcoming=soon`);
+    assert.equal(games.status, 400);
+    assert.deepEqual(await games.json(), {
+        error: 'upcoming must be true or false; limit must be at least 1',
+        details: [
+            { in: 'query', name: 'upcoming', message: 'upcoming must be true or false' },
+            { in: 'query', name: 'limit', message: 'limit must be at least 1' }
+        ]
+    });
+    const unknownSport = await fetch(`${base}/cricket/games?limit=0`);
+    assert.equal(unknownSport.status, 404, 'an unknown sport is still a 404');
+    await unknownSport.json();
+
+    assert.deepEqual(await post({ topics: 'team_lhf' }), {
+        status: 400,
+        body: {
+            error: 'token is required; topics must be an array',
+            details: [
+                { in: 'body', name: 'token', message: 'token is required' },
+                { in: 'body', name: 'topics', message: 'topics must be an array' }
+            ]
+        }
+    });
+    assert.equal((await post({ token: 'abc', topics: ['team_lhf', 7] })).body.error, 'topics[1] must be a string');
+    assert.deepEqual(await post({ token: 'abc', topics: ['team_lhf'] }), { status: 200, body: { token: 'abc', topics: ['team_lhf'] } });
+});
+
+test('every route is validated against a catalogue entry with matching method and path parameters', () => {
+    const used = new Set();
+    const undocumented = [];
+
+    for (const file of ROUTE_SOURCES) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const [, method, paths, operationId] of source.matchAll(ROUTE_PATTERN)) {
+            const routes = paths.match(/'[^']*'/g).map(route => route.slice(1, -1));
+            if (routes[0] === '/admin' || routes[0].startsWith('/admin/')) {
+                continue;
+            }
+            if (!operationId) {
+                undocumented.push(`${file}: ${method.toUpperCase()} ${routes[0]}`);
+                continue;
+            }
+            used.add(operationId);
+            const operation = getOperation(operationId);
+            assert.equal(operation.method, method, `${operationId} method`);
+            const expressParams = Array.from(routes[0].matchAll(/:(\w+)/g), match => match[1]).sort();
+            assert.deepEqual(Object.keys(operation.params || {}).sort(), expressParams, `${operationId} path parameters`);
+        }
+    }
+
+    assert.deepEqual(undocumented, []);
+    assert.deepEqual(Object.keys(OPERATIONS).filter(operationId => !used.has(operationId)), [], 'catalogue entries without a route');
+});
+
+test('the document is consistent and covers every path the app client calls', () => {
+    const document = buildOpenApiDocument({ version: '1.2.3' });
+    assert.equal(document.openapi, '3.1.0');
+    assert.equal(document.info.version, '1.2.3');
+
+    const operationIds = new Set();
+    for (const [route, methods] of Object.entries(document.paths)) {
+        for (const operation of Object.values(methods)) {
+            assert.ok(!operationIds.has(operation.operationId), `duplicate operationId ${operation.operationId}`);
+            operationIds.add(operation.operationId);
+            const declared = operation.parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name).sort();
+            assert.deepEqual(declared, templateParams(route), `${route} path parameters`);
+        }
+    }
+
+    const refs = JSON.stringify(document).match(/"#\/components\/(schemas|responses)\/\w+"/g);
+    for (const ref of new Set(refs)) {
+        const [, kind, name] = ref.slice(1, -1).split('/').slice(1);
+        assert.ok(document.components[kind][name], `${ref} resolves`);
+    }
+
+    // Every URL the app builds must match a documented path; ${...} is a path segment.
+    const client = fs.readFileSync(path.join(ROOT, 'shl-highlights-app', 'api', 'shl.js'), 'utf8');
+    const templates = Object.keys(document.paths).map(route => new RegExp(
+        `^${route.replace(/[.]/g, '\\.').replace(/\{\w+\}/g, '[^/]+')}$`
+    ));
+    const calls = Array.from(client.matchAll(/`\$\{API_BASE_URL\}(\/api\/[^`]*)`/g), match => match[1]
+        .replace(/\$\{params[^}]*\}$/, '')
+        .split('?')[0]
+        .replace(/\$\{[^}]+\}/g, 'x'));
+    assert.ok(calls.length > 30);
+    const missing = calls.filter(call => !templates.some(template => template.test(call)));
+    assert.deepEqual(missing, []);
+});
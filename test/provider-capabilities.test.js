@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_CAPABILITIES } = require('../modules/providers/base');
+const {
+    getAvailableSports,
+    getSportCapabilities,
+    setProvider,
+    resetProvider
+} = require('../modules/providers');
+
+test('every provider reports the full capability contract', () => {
+    const flags = Object.keys(DEFAULT_CAPABILITIES).sort();
+    for (const sport of getAvailableSports()) {
+        const capabilities = getSportCapabilities(sport);
+        assert.deepEqual(Object.keys(capabilities).sort(), flags, `${sport} flags`);
+        for (const value of Object.values(capabilities)) {
+            assert.equal(typeof value, 'boolean');
+        }
+    }
+});
+
+test('capabilities reflect what each provider actually implements', () => {
+    const allsvenskan = getSportCapabilities('allsvenskan');
+    assert.equal(allsvenskan.videos, true);
+    assert.equal(allsvenskan.goalClips, true);
+    assert.equal(allsvenskan.bracket, false);
+
+    for (const sport of ['europa-league-qual', 'conference-league-qual']) {
+        const capabilities = getSportCapabilities(sport);
+        assert.equal(capabilities.videos, false, `${sport} has no clip source`);
+        assert.equal(capabilities.goalClips, false);
+        assert.equal(capabilities.standings, false, `${sport} is knockout`);
+        assert.equal(capabilities.bracket, true);
+    }
+
+    assert.equal(getSportCapabilities('hockeyallsvenskan').videos, true, 'inherits SHL');
+    assert.equal(getSportCapabilities('svenska-cupen').videos, false);
+    assert.equal(getSportCapabilities('biathlon').teams, false);
+    assert.equal(getSportCapabilities('biathlon').liveEvents, false);
+
+    assert.equal(getSportCapabilities('shl').leaders, true);
+    assert.equal(getSportCapabilities('hockeyallsvenskan').leaders, true, 'inherits SHL');
+    assert.equal(allsvenskan.leaders, false);
+});
+
+test('providers without getCapabilities fall back to the defaults', (t) => {
+    t.after(() => resetProvider('shl'));
+    setProvider('shl', { getName: () => 'Mock' });
+    assert.deepEqual(getSportCapabilities('shl'), DEFAULT_CAPABILITIES);
+});
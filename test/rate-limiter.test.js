@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { RateLimiter, TokenBucketLimiter, classifyRequest } = require('../modules/rate-limiter');
+const { startServer } = require('./helpers/harness');
+
+test('classifyRequest separates cached reads, upstream routes and the image proxy', () => {
+    assert.equal(classifyRequest('/api/img', { url: 'https://a.espncdn.com/x.png' }), 'image');
+    assert.equal(classifyRequest('/api/shl/games', {}), 'read');
+    assert.equal(classifyRequest('/api/football/standings', {}), 'read');
+    assert.equal(classifyRequest('/api/football/standings', { season: '2024' }), 'upstream');
+    assert.equal(classifyRequest('/api/game/abc/details', {}), 'upstream');
+    assert.equal(classifyRequest('/api/allsvenskan/game/123/videos', {}), 'upstream');
+    assert.equal(classifyRequest('/api/v2/shl/games', {}), 'read');
+    assert.equal(classifyRequest('/api/v2/shl/games/abc', {}), 'upstream');
+    assert.equal(classifyRequest('/api/v2/allsvenskan/games/123/videos', {}), 'upstream');
+    assert.equal(classifyRequest('/api/biathlon/race/BT2526SWRLCP01SWSP', {}), 'upstream');
+    assert.equal(classifyRequest('/api/export/shl.xlsx', {}), 'upstream');
+    assert.equal(classifyRequest('/api/h2h', { sport: 'allsvenskan', teamA: 'AIK', teamB: 'MFF' }), 'upstream', 'may read past seasons');
+    assert.equal(classifyRequest('/api/auth/login', {}), 'upstream');
+    assert.equal(classifyRequest('/static/app-icon.png', {}), null);
+    assert.equal(classifyRequest('/admin', {}), null);
+});
+
+test('token buckets allow a burst, then refill over the window', () => {
+    let now = 0;
+    const limiter = new TokenBucketLimiter({ name: 'read', limit: 3, windowMs: 3000, now: () => now });
+
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('ip:a').allowed), [true, true, true]);
+    const rejected = limiter.take('ip:a');
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfterMs, 1000);
+    assert.equal(limiter.take('ip:b').allowed, true, 'clients have separate buckets');
+
+    now = 1000;
+    assert.equal(limiter.take('ip:a').allowed, true);
+    assert.equal(limiter.take('ip:a').allowed, false);
+
+    assert.equal(limiter.take('key:partner', 2).limit, 6, 'multiplier scales the bucket');
+
+    const stats = limiter.getStats();
+    assert.equal(stats.allowed, 6);
+    assert.equal(stats.limited, 2);
+    assert.deepEqual(stats.topLimitedClients.map(entry => [entry.client, entry.count]), [['ip:a', 2]]);
+});
+
+test('middleware answers 429 with Retry-After and honours API keys', async (t) => {
+    const limiter = new RateLimiter({
+        limits: { read: 2, upstream: 1, image: 1 },
+        apiKeys: 'scoreboard:sk-123',
+        apiKeyMultiplier: 3
+    });
+    const app = express();
+    app.use(limiter.middleware());
+    app.get('/api/shl/games', (req, res) => res.json([]));
+    app.get('/api/game/:id/details', (req, res) => res.json({}));
+
+    const base = await startServer(t, app);
+
+    const first = await fetch(`${base}/api/shl/games`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+
+    await fetch(`${base}/api/shl/games`);
+    const limited = await fetch(`${base}/api/shl/games`);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '30');
+    assert.deepEqual(await limited.json(), { error: 'Too many requests, please slow down', bucket: 'read', retryAfter: 30 });
+
+    assert.equal((await fetch(`${base}/api/game/g1/details`)).status, 200, 'upstream bucket is separate');
+    assert.equal((await fetch(`${base}/api/game/g2/details`)).status, 429);
+    const limitedV2 = await fetch(`${base}/api/v2/shl/games/g3`);
+    assert.equal(limitedV2.status, 429);
+    assert.deepEqual(await limitedV2.json(), {
+        error: { code: 'rate_limited', message: 'Too many requests, please slow down', details: { bucket: 'upstream', retryAfter: 60 } }
+    }, 'v2 paths get the v2 error envelope');
+
+    const keyed = await fetch(`${base}/api/shl/games`, { headers: { 'X-API-Key': 'sk-123' } });
+    assert.equal(keyed.status, 200);
+    assert.equal(keyed.headers.get('ratelimit-limit'), '6');
+
+    const stats = limiter.getStats();
+    assert.equal(stats.buckets.read.limited, 1);
+    assert.equal(stats.buckets.upstream.limited, 2);
+    assert.equal(stats.buckets.read.limitPerMinute, 2);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { buildSchedule, createScheduleRouter, normalizeEvent, resolveSports } = require('../modules/schedule');
+const { setProvider } = require('../modules/providers');
+const { createGetter, createStubProvider, game, startServer } = require('./helpers/harness');
+
+// 12:00 in Stockholm (CEST)
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+const HOCKEY = [
+    game('upcoming', '2026-11-05T18:00:00Z', 'pre-game'),
+    game('live', '2026-10-19T09:00:00Z', 'live', 'SAIK', 'MODO'),
+    game('tonight', '2026-10-19T17:00:00Z', 'pre-game', 'FHC', 'LHF'),
+    game('past-midnight', '2026-10-19T22:30:00Z', 'pre-game', 'SAIK', 'HV71'),
+    game('this-week', '2026-10-24T15:00:00Z', 'pre-game'),
+    game('last-week', '2026-10-15T17:00:00Z', 'post-game'),
+    game('early-october', '2026-10-01T17:00:00Z', 'post-game'),
+    game('morning-result', '2026-10-19T07:00:00Z', 'post-game', 'MODO', 'HV71'),
+    { uuid: 'no-date', state: 'pre-game' }
+];
+
+const RACES = [
+    { uuid: 'sprint', startDateTime: '2026-10-18T12:00:00Z', state: 'completed', country: 'SWE' },
+    { uuid: 'pursuit', startDateTime: '2026-10-22T12:00:00Z', state: 'upcoming', country: 'NOR' },
+    { uuid: 'relay', startDateTime: '2026-10-19T10:30:00Z', state: 'starting-soon', country: 'SWE' }
+];
+
+test('events of every sport are merged, date-sorted and grouped like the app', () => {
+    const schedule = buildSchedule({ shl: HOCKEY, biathlon: RACES }, { from: '2026-09-01', now: NOW });
+
+    assert.equal(schedule.to, '2026-11-18', 'default window ends 30 days ahead');
+    assert.equal(schedule.timeZone, 'Europe/Stockholm');
+    assert.deepEqual(schedule.events.map(event => [event.uuid, event.section]), [
+        ['early-october', 'earlierResults'],
+        ['last-week', 'recentResults'],
+        ['sprint', 'recentResults'],
+        ['morning-result', 'today'],
+        ['live', 'live'],
+        ['relay', 'startingSoon'],
+        ['tonight', 'today'],
+        ['past-midnight', 'tomorrow'],
+        ['pursuit', 'thisWeek'],
+        ['this-week', 'thisWeek'],
+        ['upcoming', 'upcoming']
+    ]);
+    assert.equal(schedule.total, 11, 'events without a start time are left out');
+    assert.deepEqual(schedule.sections, [
+        { key: 'live', title: 'Live Now', count: 1 },
+        { key: 'startingSoon', title: 'Starting Soon', count: 1 },
+        { key: 'today', title: 'Today', count: 2 },
+        { key: 'tomorrow', title: 'Tomorrow', count: 1 },
+        { key: 'thisWeek', title: 'This Week', count: 2 },
+        { key: 'upcoming', title: 'Upcoming', count: 1 },
+        { key: 'recentResults', title: 'Recent Results', count: 2 },
+        { key: 'earlierResults', title: 'Earlier Results', count: 1 }
+    ]);
+
+    const window = buildSchedule({ shl: HOCKEY }, { now: NOW });
+    assert.equal(window.from, '2026-10-12', 'default window starts a week back');
+    assert.ok(!window.events.some(event => event.uuid === 'early-october'));
+
+    const day = buildSchedule({ shl: HOCKEY }, { from: '2026-10-20', to: '2026-10-20', now: NOW });
+    assert.deepEqual(day.events.map(event => event.uuid), ['past-midnight'], 'days are Stockholm days');
+});
+
+test('biathlon states are mapped to the team-sport ones', () => {
+    const [completed, upcoming, startingSoon] = RACES.map(race => normalizeEvent(race, 'biathlon'));
+    assert.equal(completed.normalizedState, 'post-game');
+    assert.equal(completed.isCompleted, true);
+    assert.equal(upcoming.normalizedState, 'pre-game');
+    assert.equal(startingSoon.normalizedState, 'pre-game');
+    assert.equal(startingSoon.isStartingSoon, true);
+    assert.equal(startingSoon.startTime, Date.parse('2026-10-19T10:30:00Z'));
+
+    const hockey = normalizeEvent(HOCKEY[1], 'shl');
+    assert.equal(hockey.sport, 'shl');
+    assert.equal(hockey.normalizedState, 'live');
+    assert.equal(hockey.isLive, true);
+});
+
+test('teams filter team sports and nations filter biathlon', () => {
+    const schedule = buildSchedule({ shl: HOCKEY, biathlon: RACES }, {
+        from: '2026-09-01',
+        teams: ['saik', 'Modo'],
+        nations: ['swe'],
+        now: NOW
+    });
+    assert.deepEqual(schedule.events.map(event => event.uuid), ['sprint', 'morning-result', 'live', 'relay', 'past-midnight']);
+
+    assert.deepEqual(resolveSports(['hockey', 'biathlon'], ['shl', 'allsvenskan', 'hockeyallsvenskan', 'biathlon']), ['shl', 'hockeyallsvenskan', 'biathlon']);
+    assert.deepEqual(resolveSports(['football'], ['shl', 'allsvenskan', 'svenska-cupen']), ['allsvenskan', 'svenska-cupen']);
+    assert.deepEqual(resolveSports(undefined, ['shl', 'biathlon']), ['shl', 'biathlon']);
+});
+
+test('GET /api/schedule loads each sport and reports the ones that failed', async (t) => {
+    const now = Date.now();
+    const soon = new Date(now + 2 * 60 * 60 * 1000).toISOString();
+    setProvider('allsvenskan', createStubProvider({
+        fetchAllGames: async () => [game('football', soon, 'pre-game', 'AIK', 'MFF')]
+    }));
+    setProvider('hockeyallsvenskan', createStubProvider({
+        fetchAllGames: async () => {
+            throw new Error('HTTP 503');
+        }
+    }));
+
+    const app = express();
+    app.use('/api/schedule', createScheduleRouter({
+        sources: {
+            shl: async () => [game('shl', soon, 'live')],
+            biathlon: async () => assert.fail('biathlon was not requested')
+        }
+    }));
+    const get = createGetter(`${await startServer(t, app)}/api/schedule`);
+
+    const { status, body } = await get('?sports=hockey,allsvenskan');
+    assert.equal(status, 200);
+    assert.deepEqual(body.events.map(event => [event.sport, event.uuid]), [['shl', 'shl'], ['allsvenskan', 'football']]);
+    assert.deepEqual(body.unavailable, [{ sport: 'hockeyallsvenskan', error: 'HTTP 503' }]);
+    assert.equal(body.sections[0].key, 'live');
+
+    const invalid = await get('?from=2026-10-20&to=2026-10-19');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'from must not be after to');
+    assert.equal((await get('?from=19.10.2026')).body.error, 'from has an invalid format');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createSportRouter, filterGames, filterStandings } = require('../modules/sport-routes');
+const { setProvider } = require('../modules/providers');
+const cache = require('../modules/cache');
+const { createStubProvider, createGetter, startServer } = require('./helpers/harness');
+
+const GAMES = [
+    {
+        uuid: 'g2',
+        startDateTime: '2026-05-10T15:00:00Z',
+        state: 'pre-game',
+        homeTeamInfo: { code: 'AIK', uuid: '994', names: { short: 'AIK', long: 'AIK' } },
+        awayTeamInfo: { code: 'HBK', uuid: '3017', names: { short: 'Halmstad', long: 'Halmstads BK' } }
+    },
+    {
+        uuid: 'g1',
+        startDateTime: '2026-04-05T18:00:00Z',
+        state: 'post-game',
+        homeTeamInfo: { code: 'MFF', uuid: '2720', names: { short: 'Malmö', long: 'Malmö FF' } },
+        awayTeamInfo: { code: 'AIK', uuid: '994', names: { short: 'AIK', long: 'AIK' } }
+    }
+];
+
+function createGamesProvider(overrides = {}) {
+    return createStubProvider({
+        fetchAllGames: async () => GAMES.slice().reverse(),
+        fetchGameVideos: async () => null,
+        fetchGameDetails: async id => (id === 'g1' ? { info: { uuid: 'g1' } } : null),
+        fetchStandings: async () => ({
+            season: '2026',
+            standings: [{ teamCode: 'AIK', teamName: 'AIK' }, { teamCode: 'MFF', teamName: 'Malmö FF' }]
+        }),
+        ...overrides
+    });
+}
+
+async function startApi(t) {
+    const app = express();
+    app.use('/api', createSportRouter({ aliases: { football: 'allsvenskan' } }));
+    return createGetter(`${await startServer(t, app)}/api`);
+}
+
+test('filterGames matches teams case-insensitively by code, id or name', () => {
+    assert.deepEqual(filterGames(GAMES, { team: 'aik' }).map(g => g.uuid), ['g2', 'g1']);
+    assert.deepEqual(filterGames(GAMES, { team: 'Halmstads BK' }).map(g => g.uuid), ['g2']);
+    assert.deepEqual(filterGames(GAMES, { team: '2720' }).map(g => g.uuid), ['g1']);
+    assert.deepEqual(filterGames(GAMES, { state: 'POST-GAME' }).map(g => g.uuid), ['g1']);
+    assert.deepEqual(
+        filterGames(GAMES, { upcoming: 'true' }, new Date('2026-05-01T00:00:00Z')).map(g => g.uuid),
+        ['g2']
+    );
+    assert.equal(filterGames(GAMES, { limit: '1' }).length, 1);
+});
+
+test('filterStandings applies team, top and group filters', () => {
+    const standings = {
+        standings: [{ teamCode: 'AIK' }, { teamCode: 'MFF' }, { teamCode: 'HBK' }],
+        groups: [{ id: 'a', name: 'Grupp 1' }, { id: 'b', name: 'Grupp 2' }]
+    };
+    assert.deepEqual(filterStandings(standings, { team: 'mff' }).standings, [{ teamCode: 'MFF' }]);
+    assert.equal(filterStandings(standings, { top: '2' }).standings.length, 2);
+    assert.deepEqual(filterStandings(standings, { group: 'grupp 2' }).groups, [{ id: 'b', name: 'Grupp 2' }]);
+    assert.equal(standings.standings.length, 3, 'input is not mutated');
+});
+
+test('generic router serves every sport and keeps legacy aliases', async (t) => {
+    setProvider('allsvenskan', createGamesProvider());
+    const get = await startApi(t);
+
+    const games = await get('/allsvenskan/games?team=mff');
+    assert.equal(games.status, 200);
+    assert.deepEqual(games.body.map(g => g.uuid), ['g1']);
+
+    // The legacy prefix resolves to the same sport and hits the shared cache.
+    const aliased = await get('/football/games');
+    assert.deepEqual(aliased.body.map(g => g.uuid), ['g2', 'g1'], 'newest first');
+    assert.ok(cache.getCachedGames('allsvenskan'));
+
+    const videos = await get('/football/game/g1/videos');
+    assert.deepEqual(videos.body, [], 'videos are always an array');
+
+    const standings = await get('/allsvenskan/standings?top=1');
+    assert.deepEqual(standings.body.standings, [{ teamCode: 'AIK', teamName: 'AIK' }]);
+    assert.ok(cache.getCachedStandings('allsvenskan', '2026'), 'cached under the resolved season too');
+});
+
+test('generic router uses consistent 404 error shapes', async (t) => {
+    setProvider('allsvenskan', createGamesProvider());
+    const get = await startApi(t);
+
+    assert.deepEqual(await get('/cricket/games'), { status: 404, body: { error: 'Unknown sport: cricket' } });
+    assert.deepEqual(await get('/allsvenskan/game/nope/details'), { status: 404, body: { error: 'Game not found' } });
+    assert.deepEqual(
+        await get('/allsvenskan/bracket'),
+        { status: 404, body: { error: 'Bracket not available for allsvenskan' } }
+    );
+});
+
+test('generic router reports provider failures as 500 JSON', async (t) => {
+    setProvider('hockeyallsvenskan', createGamesProvider({
+        fetchAllGames: async () => {
+            throw new Error('upstream down');
+        }
+    }));
+    const get = await startApi(t);
+
+    assert.deepEqual(await get('/hockeyallsvenskan/games'), { status: 500, body: { error: 'upstream down' } });
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+    FileBackend,
+    MemoryBackend,
+    StateDocument,
+    SeenIdStore,
+    checkStateStorage
+} = require('../modules/state-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('FileBackend writes atomically and leaves no temp files behind', (t) => {
+    const dir = tempDir(t);
+    const backend = new FileBackend({ dir });
+
+    assert.equal(backend.read('seen_games'), null);
+    backend.write('seen_games', '{"a":1}');
+    backend.write('seen_games', '{"a":2}');
+
+    assert.equal(backend.read('seen_games'), '{"a":2}');
+    assert.deepEqual(fs.readdirSync(dir), ['seen_games.json']);
+});
+
+test('StateDocument wraps data in a versioned envelope', () => {
+    const backend = new MemoryBackend();
+    const doc = new StateDocument('admin_games', {
+        schemaVersion: 1,
+        defaultValue: () => [],
+        backend
+    });
+
+    assert.deepEqual(doc.load(), []);
+    doc.save([{ id: 'x' }]);
+
+    const stored = JSON.parse(backend.read('admin_games'));
+    assert.equal(stored.schemaVersion, 1);
+    assert.ok(stored.updatedAt);
+    assert.deepEqual(stored.data, [{ id: 'x' }]);
+    assert.deepEqual(doc.load(), [{ id: 'x' }]);
+});
+
+test('StateDocument migrates legacy bare arrays and survives corrupt files', () => {
+    const backend = new MemoryBackend();
+    const calls = [];
+    const doc = new StateDocument('admin_games', {
+        schemaVersion: 2,
+        defaultValue: () => [],
+        migrate: (data, fromVersion) => {
+            calls.push(fromVersion);
+            return data.map(record => ({ ...record, migrated: true }));
+        },
+        backend
+    });
+
+    backend.write('admin_games', JSON.stringify([{ id: 'legacy' }]));
+    assert.deepEqual(doc.load(), [{ id: 'legacy', migrated: true }]);
+    assert.deepEqual(calls, [0]);
+
+    backend.write('admin_games', '[{"id": "trunc');
+    assert.deepEqual(doc.load(), []);
+
+    backend.write('admin_games', JSON.stringify({ schemaVersion: 3, data: [{ id: 'future' }] }));
+    assert.deepEqual(doc.load(), [], 'newer schema versions are not guessed at');
+});
+
+test('SeenIdStore upgrades legacy arrays and prunes by TTL', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 10 * DAY });
+    const backend = new MemoryBackend();
+    backend.write('seen_videos', JSON.stringify(['485456', '485455']));
+
+    const seen = new SeenIdStore('seen_videos', { ttlMs: 7 * DAY, backend });
+    assert.equal(seen.load(), 2);
+    assert.equal(seen.has('485456'), true);
+
+    t.mock.timers.tick(3 * DAY);
+    assert.equal(seen.add('new-clip'), true);
+    assert.equal(seen.add('new-clip'), false);
+
+    t.mock.timers.tick(5 * DAY);
+    seen.prune();
+    assert.equal(seen.has('485456'), false, 'legacy ids expire one TTL after migration');
+    assert.equal(seen.has('new-clip'), true);
+
+    // Persisted state round-trips through a fresh store.
+    seen.save();
+    const reloaded = new SeenIdStore('seen_videos', { ttlMs: 7 * DAY, backend });
+    assert.equal(reloaded.load(), 1);
+    assert.equal(reloaded.has('new-clip'), true);
+});
+
+test('SeenIdStore enforces maxEntries by dropping the oldest ids', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const seen = new SeenIdStore('seen_pre_game', { ttlMs: DAY, maxEntries: 2, backend: new MemoryBackend() });
+    seen.add('a');
+    t.mock.timers.tick(1);
+    seen.add('b');
+    t.mock.timers.tick(1);
+    seen.add('c');
+
+    assert.equal(seen.size, 2);
+    assert.equal(seen.has('a'), false);
+    assert.equal(seen.has('c'), true);
+});
+
+test('state documents report whether they can still be written', (t) => {
+    const dir = tempDir(t);
+    const missingDir = path.join(dir, 'missing');
+    const writable = new StateDocument('health_ok', { schemaVersion: 1, defaultValue: () => [], backend: new FileBackend({ dir }) });
+    const unwritable = new StateDocument('health_missing_dir', { schemaVersion: 1, defaultValue: () => [], backend: new FileBackend({ dir: missingDir }) });
+
+    assert.equal(writable.checkWritable().writable, true);
+    assert.throws(() => unwritable.save([]));
+    const report = unwritable.checkWritable();
+    assert.equal(report.writable, false);
+    assert.equal(report.location, path.join(missingDir, 'health_missing_dir.json'));
+    assert.match(report.lastSaveError.message, /ENOENT/);
+
+    const names = checkStateStorage().map(entry => entry.name);
+    assert.ok(names.includes('health_ok') && names.includes('health_missing_dir'));
+});
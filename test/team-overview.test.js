@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { buildTeamOverview, createTeamOverviewRouter, findTeams, findStandingsRow } = require('../modules/team-overview');
+const { buildTeamsIndex } = require('../modules/teams-index');
+const highlightFeed = require('../modules/highlight-feed');
+const { setProvider } = require('../modules/providers');
+const { createGetter, createStubProvider, game, startServer, useMemoryBackend } = require('./helpers/harness');
+
+const ALLSVENSKAN = [
+    game('a1', '2026-04-05T15:00:00Z', 'post-game', 'AIK', 'MFF', [2, 0]),
+    game('a2', '2026-04-12T15:00:00Z', 'post-game', 'HBK', 'AIK', [1, 1]),
+    game('a3', '2026-04-19T15:00:00Z', 'post-game', 'AIK', 'DIF', [0, 3]),
+    game('a4', '2026-11-01T15:00:00Z', 'pre-game', 'DIF', 'AIK'),
+    game('a5', '2026-04-20T15:00:00Z', 'post-game', 'MFF', 'HBK', [1, 0])
+];
+const CUP = [
+    game('c1', '2026-03-01T14:00:00Z', 'post-game', 'AIK', 'IFK', [4, 1]),
+    game('c2', '2026-10-25T14:00:00Z', 'pre-game', 'IFK', 'AIK')
+];
+const HOCKEY = [
+    game('h1', '2026-10-10T17:00:00Z', 'post-game', 'AIK', 'MODO', [2, 3]),
+    { ...game('h2', '2026-10-14T17:00:00Z', 'post-game', 'BIK', 'AIK', [3, 2]), overtime: true }
+];
+
+const STANDINGS = {
+    allsvenskan: { season: '2026', standings: [{ position: 1, teamCode: 'DIF', points: 9 }, { position: 4, teamCode: 'AIK', points: 4, gamesPlayed: 3 }] },
+    'svenska-cupen': { season: '2026', groups: [{ id: '1', name: 'Group 3', standings: [{ position: 1, teamName: 'AIK', points: 3 }] }] }
+};
+
+function buildIndex() {
+    return buildTeamsIndex({
+        shlTeams: [],
+        gamesByLeague: { hockeyallsvenskan: HOCKEY, allsvenskan: ALLSVENSKAN, 'svenska-cupen': CUP }
+    });
+}
+
+test('a key is resolved by uid, or by key within a sport', () => {
+    const index = buildIndex();
+    assert.deepEqual(findTeams(index, 'aik').map(entry => entry.uid), ['hockey:AIK', 'football:AIK'], 'ambiguous');
+    assert.deepEqual(findTeams(index, 'aik', 'football').map(entry => entry.uid), ['football:AIK']);
+    assert.deepEqual(findTeams(index, 'HOCKEY:aik').map(entry => entry.uid), ['hockey:AIK']);
+    assert.deepEqual(findTeams(index, 'MFF').map(entry => entry.leagues), [['allsvenskan']]);
+    assert.deepEqual(findTeams(index, 'nope'), []);
+});
+
+test('fixtures are merged across leagues with form, next game and table rows', () => {
+    const [aik] = findTeams(buildIndex(), 'aik', 'football');
+    const overview = buildTeamOverview(aik, {
+        gamesByLeague: { allsvenskan: ALLSVENSKAN, 'svenska-cupen': CUP },
+        standingsByLeague: STANDINGS
+    });
+
+    assert.deepEqual(overview.fixtures.map(fixture => `${fixture.sport}:${fixture.uuid}`), [
+        'svenska-cupen:c1', 'allsvenskan:a1', 'allsvenskan:a2', 'allsvenskan:a3', 'svenska-cupen:c2', 'allsvenskan:a4'
+    ]);
+    assert.deepEqual(overview.form, ['L', 'D', 'W', 'W'], 'most recent first');
+    assert.equal(overview.nextGame.uuid, 'c2');
+    assert.deepEqual(overview.standings, [
+        { league: 'allsvenskan', season: '2026', group: null, position: 4, points: 4, gamesPlayed: 3 },
+        { league: 'svenska-cupen', season: '2026', group: 'Group 3', position: 1, points: 3, gamesPlayed: null }
+    ]);
+    assert.equal(overview.latestHighlight, null);
+
+    const [hockey] = findTeams(buildIndex(), 'hockey:AIK');
+    assert.deepEqual(buildTeamOverview(hockey, { gamesByLeague: { hockeyallsvenskan: HOCKEY } }).form, ['OT', 'L']);
+    assert.equal(findStandingsRow({ standings: [] }, hockey), null);
+});
+
+test('GET /api/teams/:key/overview loads every league of the club', async (t) => {
+    useMemoryBackend(t);
+    highlightFeed.recordClip('allsvenskan', {
+        gameId: 'a3', homeTeam: 'AIK', awayTeam: 'DIF', homeTeamCode: 'AIK', awayTeamCode: 'DIF'
+    }, { id: 'v1', title: 'Goal', date: '2026-04-19T16:00:00Z' }, { isGoalClip: true });
+
+    setProvider('allsvenskan', createStubProvider({
+        fetchAllGames: async () => ALLSVENSKAN,
+        fetchStandings: async () => STANDINGS.allsvenskan
+    }));
+    setProvider('svenska-cupen', createStubProvider({
+        fetchAllGames: async () => CUP,
+        fetchStandings: async () => {
+            throw new Error('HTTP 503');
+        }
+    }));
+
+    const app = express();
+    app.use('/api/teams', createTeamOverviewRouter({ loadTeamsIndex: async () => buildIndex() }));
+    const get = createGetter(`${await startServer(t, app)}/api/teams`);
+
+    const { status, body } = await get('/aik/overview?sport=football');
+    assert.equal(status, 200);
+    assert.equal(body.team.uid, 'football:AIK');
+    assert.equal(body.fixtures.length, 6);
+    assert.equal(body.nextGame.uuid, 'c2');
+    assert.deepEqual(body.standings.map(row => [row.league, row.position]), [['allsvenskan', 4]]);
+    assert.deepEqual(body.unavailable, [{ league: 'svenska-cupen', resource: 'standings', error: 'HTTP 503' }]);
+    assert.equal(body.latestHighlight.videoId, 'v1');
+
+    assert.deepEqual(await get('/aik/overview'), {
+        status: 400,
+        body: { error: 'Team key aik is used in several sports; add ?sport=hockey or ?sport=football' }
+    });
+    assert.deepEqual(await get('/XYZ/overview'), { status: 404, body: { error: 'Team not found: XYZ' } });
+    assert.equal((await get('/aik/overview?sport=curling')).status, 400);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { UpstreamClient, UpstreamUnavailableError } = require('../modules/upstream-client');
+
+const URL_A = 'https://www.shl.se/api/sports-v2/game-schedule';
+
+function createClient(transport, options = {}) {
+    const delays = [];
+    const client = new UpstreamClient({
+        transport,
+        maxRetries: 2,
+        retryBaseDelay: 100,
+        retryMaxDelay: 1000,
+        breakerThreshold: 2,
+        breakerCooldown: 30000,
+        sleep: async (ms) => {
+            delays.push(ms);
+        },
+        ...options
+    });
+    return { client, delays };
+}
+
+function hostStatus(client, host = 'www.shl.se') {
+    return client.getStatus().hosts.find(entry => entry.host === host);
+}
+
+test('retries 5xx with exponential backoff and returns the first good response', async () => {
+    const statuses = [502, 503, 200];
+    const { client, delays } = createClient(async () => new Response('ok', { status: statuses.shift() }));
+
+    const response = await client.request(URL_A);
+    assert.equal(response.status, 200);
+    assert.deepEqual(delays, [100, 200]);
+    assert.equal(hostStatus(client).retries, 2);
+    assert.equal(hostStatus(client).consecutiveFailures, 0);
+});
+
+test('honours Retry-After on 429 and passes 4xx through without retrying', async () => {
+    const responses = [
+        new Response('', { status: 429, headers: { 'retry-after': '1' } }),
+        new Response('forbidden', { status: 403 })
+    ];
+    let calls = 0;
+    const { client, delays } = createClient(async () => {
+        calls++;
+        return responses.shift();
+    });
+
+    const response = await client.request(URL_A);
+    assert.equal(response.status, 403);
+    assert.equal(calls, 2);
+    assert.deepEqual(delays, [1000]);
+    assert.equal(hostStatus(client).breaker, 'closed', '4xx never trips the breaker');
+});
+
+test('opens the circuit after consecutive failures and probes after the cooldown', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    let healthy = false;
+    let calls = 0;
+    const { client } = createClient(async () => {
+        calls++;
+        if (!healthy) {
+            throw new TypeError('fetch failed');
+        }
+        return new Response('ok', { status: 200 });
+    }, { maxRetries: 0 });
+
+    await assert.rejects(client.request(URL_A), /fetch failed/);
+    await assert.rejects(client.request(URL_A), /fetch failed/);
+    assert.equal(hostStatus(client).breaker, 'open');
+
+    await assert.rejects(client.request(URL_A), UpstreamUnavailableError);
+    assert.equal(calls, 2, 'open circuit rejects without calling upstream');
+    assert.equal(hostStatus(client).rejected, 1);
+    assert.equal(client.getStatus().openCircuits, 1);
+
+    // Other hosts are unaffected.
+    healthy = true;
+    assert.equal((await client.request('https://site.api.espn.com/x')).status, 200);
+
+    t.mock.timers.tick(30000);
+    assert.equal((await client.request(URL_A)).status, 200);
+    assert.equal(hostStatus(client).breaker, 'closed');
+});
+
+test('a failed half-open probe re-opens the circuit', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { client } = createClient(async () => new Response('', { status: 500 }), { maxRetries: 0 });
+
+    await client.request(URL_A);
+    await client.request(URL_A);
+    assert.equal(hostStatus(client).breaker, 'open');
+
+    t.mock.timers.tick(30000);
+    const probe = await client.request(URL_A);
+    assert.equal(probe.status, 500);
+    assert.equal(hostStatus(client).breaker, 'open');
+    assert.equal(hostStatus(client).retryAt, new Date(60000).toISOString());
+});
+
+test('caps in-flight requests per host', async () => {
+    let active = 0;
+    let peak = 0;
+    const { client } = createClient(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active--;
+        return new Response('ok', { status: 200 });
+    }, { maxConcurrency: 2 });
+
+    await Promise.all(Array.from({ length: 6 }, (_, i) => client.request(`${URL_A}?game=${i}`)));
+    assert.equal(peak, 2);
+    assert.equal(hostStatus(client).requests, 6);
+    assert.equal(hostStatus(client).active, 0);
+});
+
+test('times out hung requests per host', async () => {
+    const { client } = createClient((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }), { maxRetries: 0, timeoutMs: 1000, hostTimeouts: { 'www.shl.se': 20 } });
+
+    // AbortSignal.timeout() timers are unref'd; keep the loop alive until it fires.
+    const keepAlive = setTimeout(() => {}, 1000);
+    await assert.rejects(client.request(URL_A), { name: 'TimeoutError' });
+    clearTimeout(keepAlive);
+    assert.equal(hostStatus(client).timeouts, 1);
+    assert.equal(hostStatus(client).timeoutMs, 20);
+});
+
+test('requests queued for a slot do not time out while a slow host answers', async () => {
+    const { client } = createClient((url, init) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(new Response('ok', { status: 200 })), 30);
+        init.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(init.signal.reason);
+        });
+    }), { maxRetries: 0, maxConcurrency: 1, timeoutMs: 50, breakerThreshold: 1 });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, (_, i) => client.request(`${URL_A}?game=${i}`)));
+    assert.deepEqual(responses.map(response => response.status), [200, 200, 200, 200, 200]);
+    assert.equal(hostStatus(client).timeouts, 0);
+    assert.equal(hostStatus(client).breaker, 'closed');
+});
+
+test('tracks failure streaks per provider, ignoring 4xx answers', async () => {
+    const statuses = [200, 503, 404, 503, 503];
+    const { client } = createClient(async () => new Response('', { status: statuses.shift() }), { maxRetries: 0, breakerThreshold: 5 });
+
+    for (let i = 0; i < 4; i++) {
+        await client.request(URL_A, {}, { provider: 'svenska-cupen' });
+    }
+    const cup = client.getProviderStatus()['svenska-cupen'];
+    assert.equal(cup.requests, 4);
+    assert.equal(cup.failures, 2);
+    assert.equal(cup.consecutiveFailures, 2, 'a 404 for an unknown id neither fails nor resets the streak');
+    assert.equal(cup.lastError, 'HTTP 503');
+    assert.ok(cup.lastSuccessAt);
+
+    await client.request(URL_A, {}, { provider: 'svenska-cupen' });
+    assert.equal(client.getProviderStatus()['svenska-cupen'].consecutiveFailures, 3);
+
+    statuses.push(200);
+    await client.request(URL_A, {}, { provider: 'svenska-cupen' });
+    assert.equal(client.getProviderStatus()['svenska-cupen'].consecutiveFailures, 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createUpstreamFetch, getFixturePath } = require('../modules/upstream-fixtures');
+
+const SCOREBOARD_URL = 'https://site.api.espn.com/apis/site/v2/sports/soccer/swe.1/scoreboard?dates=20260101-20261231&limit=400';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('getFixturePath groups fixtures by host and distinguishes query strings', () => {
+    const first = getFixturePath('/fx', SCOREBOARD_URL);
+    const second = getFixturePath('/fx', SCOREBOARD_URL.replace('2026', '2025'));
+
+    assert.equal(path.dirname(first), path.join('/fx', 'site.api.espn.com'));
+    assert.match(path.basename(first), /^soccer-swe_1-scoreboard-[0-9a-f]{12}\.json$/);
+    assert.notEqual(first, second);
+});
+
+test('record mode saves upstream responses and replay mode serves them offline', async (t) => {
+    const dir = tempDir(t);
+    const calls = [];
+    const recorder = createUpstreamFetch({
+        mode: 'record',
+        dir,
+        fetchImpl: async (url) => {
+            calls.push(url);
+            return new Response(JSON.stringify({ events: [{ id: '401842658' }] }), {
+                status: 200,
+                headers: { 'content-type': 'application/json; charset=utf-8' }
+            });
+        }
+    });
+
+    const recorded = await recorder(SCOREBOARD_URL, { headers: { Accept: 'application/json' } });
+    assert.deepEqual(await recorded.json(), { events: [{ id: '401842658' }] }, 'caller still gets the body');
+    assert.equal(recorder.stats.recorded, 1);
+
+    const stored = JSON.parse(fs.readFileSync(getFixturePath(dir, SCOREBOARD_URL), 'utf8'));
+    assert.equal(stored.url, SCOREBOARD_URL);
+    assert.deepEqual(stored.json, { events: [{ id: '401842658' }] }, 'JSON bodies are stored readable');
+
+    const replay = createUpstreamFetch({
+        mode: 'fixtures',
+        dir,
+        fetchImpl: async () => assert.fail('replay must not touch the network')
+    });
+    const replayed = await replay(SCOREBOARD_URL);
+    assert.equal(replayed.ok, true);
+    assert.deepEqual(await replayed.json(), { events: [{ id: '401842658' }] });
+    assert.equal(calls.length, 1);
+});
+
+test('replay mode answers 404 for unrecorded URLs and keeps non-JSON bodies', async (t) => {
+    const dir = tempDir(t);
+    const recorder = createUpstreamFetch({
+        mode: 'record',
+        dir,
+        fetchImpl: async () => new Response('<html>match page</html>', {
+            status: 200,
+            headers: { 'content-type': 'text/html' }
+        })
+    });
+    await recorder('https://www.fotmob.com/matches/aik-vs-hammarby/abc');
+
+    const replay = createUpstreamFetch({ mode: 'fixtures', dir });
+    const page = await replay('https://www.fotmob.com/matches/aik-vs-hammarby/abc');
+    assert.equal(await page.text(), '<html>match page</html>');
+
+    const missing = await replay('https://www.shl.se/api/sports-v2/game-schedule');
+    assert.equal(missing.status, 404);
+    assert.equal(replay.stats.misses, 1);
+});
+
+test('createUpstreamFetch rejects unknown modes', () => {
+    assert.throws(() => createUpstreamFetch({ mode: 'shl' }), /Unknown DATA_PROVIDER mode/);
+});
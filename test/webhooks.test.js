@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryBackend, StateDocument } = require('../modules/state-store');
+const liveEvents = require('../modules/live-events');
+const {
+    WebhookService,
+    WebhookValidationError,
+    verifySignature,
+    toWebhookEvent
+} = require('../modules/webhooks');
+
+function createService(transport, options = {}) {
+    const scheduled = [];
+    const service = new WebhookService({
+        document: new StateDocument('webhooks', {
+            schemaVersion: 1,
+            defaultValue: () => [],
+            backend: new MemoryBackend()
+        }),
+        transport,
+        schedule: (callback, delay) => scheduled.push({ callback, delay }),
+        getAvailableSports: () => ['shl', 'allsvenskan'],
+        maxAttempts: 3,
+        retryBaseDelay: 1000,
+        retryMaxDelay: 60000,
+        ...options
+    });
+    return { service, scheduled };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('validates subscriptions and hides the secret in listings', () => {
+    const { service } = createService(async () => new Response(null, { status: 204 }));
+
+    assert.throws(() => service.create({ url: 'ftp://example.com' }), WebhookValidationError);
+    assert.throws(() => service.create({ url: 'https://example.com', events: ['kickoff'] }), /Unknown event type: kickoff/);
+    assert.throws(() => service.create({ url: 'https://example.com', sports: ['curling'] }), /Unknown sport: curling/);
+
+    const created = service.create({ url: 'https://example.com/hook', teams: 'lif, mif', sports: ['SHL'] });
+    assert.equal(created.name, 'example.com');
+    assert.deepEqual(created.events, ['goal', 'final', 'highlight', 'pre-game']);
+    assert.deepEqual(created.teams, ['LIF', 'MIF']);
+    assert.deepEqual(created.sports, ['shl']);
+    assert.match(created.secret, /^[0-9a-f]{48}$/);
+
+    const [listed] = service.list();
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.secretPreview, `…${created.secret.slice(-4)}`);
+});
+
+test('delivers matching events with a verifiable signature', async () => {
+    const requests = [];
+    const { service } = createService(async (url, init) => {
+        requests.push({ url, init });
+        return new Response(null, { status: 204 });
+    });
+    const hook = service.create({ url: 'https://example.com/hook', events: ['goal'], teams: ['LIF'] });
+    service.create({ url: 'https://other.example/hook', events: ['final'] });
+
+    const deliveries = service.dispatch('goal', { sport: 'shl', gameId: 'g1', teams: ['LIF', 'FBK'], data: { homeScore: 1 } });
+    assert.equal(deliveries.length, 1, 'only the goal subscription matches');
+    assert.equal(service.dispatch('goal', { sport: 'shl', gameId: 'g2', teams: ['MIF', 'SAIK'], data: {} }).length, 0);
+    await flush();
+
+    assert.equal(requests.length, 1);
+    const { headers, body } = requests[0].init;
+    assert.equal(headers['X-GamePulse-Event'], 'goal');
+    assert.equal(JSON.parse(body).data.homeScore, 1);
+    assert.equal(verifySignature(hook.secret, headers['X-GamePulse-Timestamp'], body, headers['X-GamePulse-Signature']), true);
+    assert.equal(verifySignature('wrong-secret', headers['X-GamePulse-Timestamp'], body, headers['X-GamePulse-Signature']), false);
+    assert.equal(service.getDeliveries()[0].status, 'delivered');
+});
+
+test('retries 5xx with backoff and gives up after maxAttempts; 4xx is final', async () => {
+    let calls = 0;
+    const { service, scheduled } = createService(async () => {
+        calls++;
+        return new Response('', { status: 503 });
+    });
+    const hook = service.create({ url: 'https://example.com/hook' });
+
+    const [delivery] = service.dispatch('final', { sport: 'shl', gameId: 'g1', teams: [], data: {} });
+    await flush();
+    assert.equal(delivery.status, 'retrying');
+    assert.equal(scheduled[0].delay, 1000);
+
+    scheduled[0].callback();
+    await flush();
+    assert.equal(scheduled[1].delay, 2000);
+    scheduled[1].callback();
+    await flush();
+
+    assert.equal(calls, 3);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.error, 'HTTP 503');
+    assert.equal(scheduled.length, 2);
+
+    const { service: strict, scheduled: none } = createService(async () => new Response('', { status: 410 }));
+    strict.create({ url: hook.url });
+    const [gone] = strict.dispatch('goal', { sport: 'shl', gameId: 'g1', teams: [], data: {} });
+    await flush();
+    assert.equal(gone.status, 'failed');
+    assert.equal(none.length, 0);
+});
+
+test('dispatch reads subscriptions from memory, kept current by create/update/remove', async () => {
+    const { service } = createService(async () => new Response(null, { status: 204 }));
+    let loads = 0;
+    const load = service.document.load.bind(service.document);
+    service.document.load = () => {
+        loads++;
+        return load();
+    };
+    const goal = () => service.dispatch('goal', { sport: 'shl', gameId: 'g1', teams: ['LIF', 'FBK'], data: {} }).length;
+
+    const hook = service.create({ url: 'https://example.com/hook', events: ['goal'] });
+    assert.equal(goal(), 1);
+    service.update(hook.id, { enabled: false });
+    assert.equal(goal(), 0);
+    service.update(hook.id, { enabled: true });
+    service.create({ url: 'https://other.example/hook', events: ['goal'] });
+    assert.equal(goal(), 2);
+    service.remove(hook.id);
+    assert.equal(goal(), 1);
+    assert.equal(loads, 1, 'the state document is read once');
+    await flush();
+});
+
+test('sendTest ignores filters and reports the first attempt', async () => {
+    const { service } = createService(async () => new Response(null, { status: 200 }));
+    const hook = service.create({ url: 'https://example.com/hook', enabled: false, events: ['pre-game'] });
+
+    const delivery = await service.sendTest(hook.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.event, 'pre-game');
+    assert.equal(JSON.parse(delivery.body).test, true);
+    assert.equal(await service.sendTest('missing'), null);
+});
+
+test('maps live-stream events to webhook events and forwards them once started', async (t) => {
+    assert.equal(toWebhookEvent({ type: 'state', data: { to: 'post-game' } }), 'final');
+    assert.equal(toWebhookEvent({ type: 'state', data: { to: 'live' } }), null);
+    assert.equal(toWebhookEvent({ type: 'clip', data: { isHighlight: false, isGoalClip: true } }), 'highlight');
+    assert.equal(toWebhookEvent({ type: 'score', data: {} }), null);
+
+    liveEvents.reset();
+    const received = [];
+    const { service } = createService(async (url, init) => {
+        received.push(JSON.parse(init.body));
+        return new Response(null, { status: 204 });
+    });
+    service.create({ url: 'https://example.com/hook' });
+    service.start();
+    t.after(() => service.stop());
+
+    liveEvents.publish('state', { sport: 'shl', gameId: 'g1', teams: ['LIF', 'FBK'], data: { from: 'live', to: 'post-game', homeScore: 3, awayScore: 2 } });
+    liveEvents.publish('score', { sport: 'shl', gameId: 'g1', teams: ['LIF', 'FBK'], data: {} });
+    await flush();
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, 'final');
+    assert.equal(received[0].data.homeScore, 3);
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ExcelJS = require('exceljs');
+
+const { createExportRouter, buildGoalRows, buildStandingsRows, clearExportCache } = require('../modules/workbook-export');
+const { setProvider } = require('../modules/providers');
+const cache = require('../modules/cache');
+const { createGetter, createStubProvider, startServer } = require('./helpers/harness');
+
+const GAMES = [
+    {
+        uuid: 'g1',
+        startDateTime: '2026-10-03T17:00:00Z',
+        state: 'post-game',
+        homeTeamInfo: { code: 'LIF', names: { short: 'Leksand', long: 'Leksands IF' }, score: 3 },
+        awayTeamInfo: { code: 'FBK', names: { short: 'Färjestad', long: 'Färjestad BK' }, score: 2 },
+        venueInfo: { name: 'Tegera Arena' }
+    },
+    {
+        uuid: 'g2',
+        startDateTime: '2026-10-10T17:00:00Z',
+        state: 'post-game',
+        homeTeamInfo: { code: 'MIF', names: { short: 'Malmö', long: 'Malmö Redhawks' }, score: 1 },
+        awayTeamInfo: { code: 'SAIK', names: { short: 'Skellefteå', long: 'Skellefteå AIK' }, score: 0 }
+    },
+    {
+        uuid: 'g3',
+        startDateTime: '2026-10-24T17:00:00Z',
+        state: 'pre-game',
+        homeTeamInfo: { code: 'FBK', names: { short: 'Färjestad', long: 'Färjestad BK' } },
+        awayTeamInfo: { code: 'LIF', names: { short: 'Leksand', long: 'Leksands IF' } }
+    }
+];
+
+const LIF_GOAL = {
+    type: 'goal',
+    period: 1,
+    time: '04:12',
+    eventTeam: { teamCode: 'LIF' },
+    player: { firstName: 'Jon', familyName: 'Lizotte' },
+    assist1: { firstName: 'Max', familyName: 'Lindholm' },
+    homeGoals: 1,
+    awayGoals: 0,
+    isPowerPlay: true
+};
+
+// Game ids whose play-by-play is not published yet: details come back without events.
+function createHockeyStub(detailsRequests, unpublished = new Set()) {
+    return createStubProvider({
+        getName: () => 'SHL',
+        getCapabilities: () => ({ details: true, standings: true, teams: true }),
+        fetchAllGames: async () => GAMES,
+        fetchGameDetails: async (id) => {
+            detailsRequests.push(id);
+            if (unpublished.has(id)) {
+                return { events: { all: [], goals: [] } };
+            }
+            const goals = id === 'g1' ? [LIF_GOAL] : [];
+            return { events: { all: [{ type: 'period' }, ...goals], goals } };
+        },
+        fetchStandings: async () => ({
+            season: '2026-27',
+            standings: [
+                { position: 1, teamCode: 'LIF', teamName: 'Leksands IF', gamesPlayed: 1, wins: 1, losses: 0, overtimeWins: 0, overtimeLosses: 0, goalsFor: 3, goalsAgainst: 2, goalDiff: 1, points: 3 },
+                { position: 2, teamCode: 'FBK', teamName: 'Färjestad BK', gamesPlayed: 1, wins: 0, losses: 1, overtimeWins: 0, overtimeLosses: 0, goalsFor: 2, goalsAgainst: 3, goalDiff: -1, points: 0 }
+            ]
+        })
+    });
+}
+
+async function startExport(t, options = {}) {
+    const app = express();
+    app.use('/api/export', createExportRouter({ aliases: { football: 'allsvenskan' }, ...options }));
+    const base = await startServer(t, app);
+    t.after(() => clearExportCache());
+    return createGetter(`${base}/api/export`, 'buffer');
+}
+
+async function readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    return workbook;
+}
+
+function sheetValues(sheet) {
+    const rows = [];
+    sheet.eachRow(row => rows.push(row.values.slice(1)));
+    return rows;
+}
+
+test('row builders flatten goals and cup groups', () => {
+    const [goal] = buildGoalRows(GAMES[0], [LIF_GOAL]);
+    assert.equal(goal.scorer, 'Jon Lizotte');
+    assert.equal(goal.assists, 'Max Lindholm');
+    assert.equal(goal.score, '1–0');
+    assert.equal(goal.type, 'PP');
+    assert.equal(goal.game, 'LIF – FBK');
+
+    const rows = buildStandingsRows({
+        groups: [
+            { name: 'Grupp 1', standings: [{ teamCode: 'AIK' }] },
+            { name: 'Grupp 2', standings: [{ teamCode: 'MFF' }] }
+        ]
+    });
+    assert.deepEqual(rows.map(row => `${row.group}:${row.teamCode}`), ['Grupp 1:AIK', 'Grupp 2:MFF']);
+});
+
+test('GET /api/export/:sport.xlsx builds games, standings and goals sheets for hockey', async (t) => {
+    const detailsRequests = [];
+    const unpublished = new Set(['g2']);
+    setProvider('shl', createHockeyStub(detailsRequests, unpublished));
+    const get = await startExport(t);
+
+    const response = await get('/shl.xlsx?team=lif');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /spreadsheetml\.sheet/);
+    assert.match(response.headers.get('content-disposition'), /filename="shl-lif\.xlsx"/);
+
+    const workbook = await readWorkbook(response.body);
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Games', 'Standings', 'Goals']);
+
+    const games = sheetValues(workbook.getWorksheet('Games'));
+    assert.equal(games[0][0], 'Start');
+    assert.deepEqual(games.slice(1).map(row => row[7]), ['g1', 'g3'], 'team filter, oldest first');
+    assert.deepEqual(games[1].slice(0, 5), ['2026-10-03 19:00', 'Leksands IF', 'Färjestad BK', 3, 2]);
+
+    const standings = workbook.getWorksheet('Standings');
+    assert.deepEqual(standings.getRow(1).values.slice(1), ['Pos', 'Team', 'Code', 'GP', 'W', 'L', 'OTW', 'OTL', 'GF', 'GA', 'GD', 'Pts']);
+    assert.equal(standings.getRow(2).getCell(1).fill?.fgColor?.argb, 'FFFFF2CC', 'team row highlighted');
+
+    const goals = sheetValues(workbook.getWorksheet('Goals'));
+    assert.equal(goals.length, 2);
+    assert.equal(goals[1][5], 'Jon Lizotte');
+    assert.deepEqual(detailsRequests, ['g1', 'g2'], 'goals are read for the whole season');
+
+    await get('/shl.xlsx?team=lif');
+    assert.equal(detailsRequests.length, 2, 'second export is served from the workbook cache');
+
+    // g2's play-by-play is out now. The details cache still has the empty version, so
+    // clear it: the export has to ask again rather than remember g2 as goalless.
+    unpublished.clear();
+    cache.clearAllCaches();
+    const other = await readWorkbook((await get('/shl.xlsx?team=mif')).body);
+    assert.equal(sheetValues(other.getWorksheet('Goals')).length, 1, 'only the header: MIF scored no recorded goals');
+    assert.deepEqual(detailsRequests, ['g1', 'g2', 'g2'], 'a game without play-by-play is fetched again, g1 is reused');
+    await get('/shl.xlsx?team=fbk');
+    assert.equal(detailsRequests.length, 3, 'other teams reuse the season goals');
+
+    const finishedLater = GAMES.map(game => (game.uuid === 'g3' ? { ...game, state: 'post-game' } : game));
+    setProvider('shl', { ...createHockeyStub(detailsRequests), fetchAllGames: async () => finishedLater });
+    cache.clearAllCaches();
+    await get('/shl.xlsx');
+    assert.deepEqual(detailsRequests, ['g1', 'g2', 'g2', 'g3'], 'only the newly finished game is read');
+});
+
+test('sports with a source export their current games from it', async (t) => {
+    setProvider('shl', { ...createHockeyStub([]), fetchAllGames: async () => assert.fail('the SHL source is used') });
+    const manual = { ...GAMES[2], uuid: 'manual', startDateTime: '2026-10-31T17:00:00Z' };
+    const get = await startExport(t, { sources: { shl: async () => [...GAMES, manual] } });
+
+    const workbook = await readWorkbook((await get('/shl.xlsx')).body);
+    assert.deepEqual(sheetValues(workbook.getWorksheet('Games')).slice(1).map(row => row[7]), ['g1', 'g2', 'g3', 'manual']);
+});
+
+test('GET /api/export/:sport.xlsx rejects unknown sports and unsupported seasons', async (t) => {
+    setProvider('shl', createHockeyStub([]));
+    const get = await startExport(t);
+
+    const unknown = await get('/curling.xlsx');
+    assert.equal(unknown.status, 404);
+    assert.equal(JSON.parse(unknown.body).error, 'Unknown sport: curling');
+
+    const season = await get('/shl.xlsx?season=2019');
+    assert.equal(season.status, 400);
+    assert.equal(JSON.parse(season.body).error, 'Season selection not available for shl');
+});
+
+test('biathlon export has races, results filtered by nation and World Cup standings', async (t) => {
+    const races = [
+        { uuid: 'R1', eventName: 'Östersund', discipline: 'Sprint', gender: 'women', genderDisplay: 'Women', startDateTime: '2026-11-29T15:00:00Z', location: 'Östersund', country: 'SWE', countryName: 'Sweden', state: 'completed' },
+        { uuid: 'R2', eventName: 'Östersund', discipline: 'Sprint', gender: 'men', genderDisplay: 'Men', startDateTime: '2026-11-30T12:00:00Z', location: 'Östersund', country: 'SWE', countryName: 'Sweden', state: 'completed' },
+        { uuid: 'R3', eventName: 'Hochfilzen', discipline: 'Pursuit', gender: 'women', genderDisplay: 'Women', startDateTime: '2026-12-07T12:00:00Z', location: 'Hochfilzen', country: 'AUT', countryName: 'Austria', state: 'upcoming' }
+    ];
+    const detailsRequests = [];
+    setProvider('biathlon', {
+        getName: () => 'Biathlon',
+        fetchAllGames: async () => races,
+        fetchGameDetails: async (id) => {
+            detailsRequests.push(id);
+            return {
+                results: [
+                    { Rank: '1', Name: 'Elvira Öberg', Nat: 'SWE', Bib: '12', TotalTime: '20:01.2', Behind: '0.0', ShootingTotal: '0+0' },
+                    { Rank: '2', Name: 'Lou Jeanmonnot', Nat: 'FRA', Bib: '7', TotalTime: '20:05.9', Behind: '+4.7', ShootingTotal: '0+1' }
+                ]
+            };
+        },
+        fetchStandings: async ({ gender }) => ({
+            categories: [{
+                gender,
+                genderDisplay: 'Women',
+                standings: [
+                    { rank: 1, name: 'Lou Jeanmonnot', nation: 'FRA', points: 90, raceCount: 1 },
+                    { rank: 2, name: 'Elvira Öberg', nation: 'SWE', points: 60, raceCount: 1 }
+                ]
+            }]
+        })
+    });
+    const get = await startExport(t);
+
+    const response = await get('/biathlon.xlsx?gender=women&team=swe');
+    assert.equal(response.status, 200);
+    const workbook = await readWorkbook(response.body);
+    assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), ['Races', 'Results', 'World Cup']);
+
+    assert.deepEqual(sheetValues(workbook.getWorksheet('Races')).slice(1).map(row => row[7]), ['R1', 'R3']);
+    assert.deepEqual(detailsRequests, ['R1'], 'results only for finished races');
+
+    const results = sheetValues(workbook.getWorksheet('Results'));
+    assert.equal(results.length, 2);
+    assert.deepEqual(results[1].slice(4, 9), [1, 'Elvira Öberg', 'SWE', 12, '20:01.2']);
+
+    const standings = sheetValues(workbook.getWorksheet('World Cup'));
+    assert.deepEqual(standings.slice(1).map(row => row[2]), ['Elvira Öberg']);
+});